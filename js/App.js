@@ -15,6 +15,7 @@ import { VMQ_VERSION, FEATURES } from './config/constants.js';
 import { STORAGE_KEYS, loadJSON, saveJSON } from './config/storage.js';
 
 import { audioEngine } from './engines/audioEngine.js';
+import './engines/instrumentProfile.js'; // hydrate the saved instrument before any module reads it
 import { loadXP, updateStreak, getLevel, addXP, unlockAchievement } from './engines/gamification.js';
 import { sessionTracker } from './engines/sessionTracker.js';
 import { keyboard } from './utils/keyboard.js';
@@ -149,6 +150,13 @@ const Fingerboard   = React.lazy(() => import('./components/Fingerboard.js'));
 const ScalesLab     = React.lazy(() => import('./components/ScalesLab.js'));
 const Flashcards    = React.lazy(() => import('./components/Flashcards.js'));
 const IntervalEar   = React.lazy(() => import('./components/IntervalEarTester.js'));
+const Tuner         = React.lazy(() => import('./components/Tuner.js'));
+const Metronome     = React.lazy(() => import('./components/Metronome.js'));
+const RecordingLibrary = React.lazy(() => import('./components/RecordingLibrary.js'));
+const ShiftingTrainer = React.lazy(() => import('./components/ShiftingTrainer.js'));
+const NoteLocator   = React.lazy(() => import('./components/NoteLocator.js'));
+const SightReading  = React.lazy(() => import('./components/SightReading.js'));
+const DeckEditor    = React.lazy(() => import('./components/DeckEditor.js'));
 
 // Hardened optional modules (these are the ones your screenshots show failing)
 const Settings = SafeLazy('Settings', [
@@ -346,9 +354,16 @@ const ROUTES = {
   rhythm: Rhythm,
   bieler: Bieler,
   fingerboard: Fingerboard,
+  notelocator: NoteLocator,
   scales: ScalesLab,
   flashcards: Flashcards,
+  sightreading: SightReading,
+  decks: DeckEditor,
   'interval-ear': IntervalEar,
+  tuner: Tuner,
+  metronome: Metronome,
+  recordings: RecordingLibrary,
+  shifting: ShiftingTrainer,
 
   // Additional modules used by your UI
   achievements: Achievements,
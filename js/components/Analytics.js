@@ -9,6 +9,7 @@ const { createElement: h, useState, useEffect } = React;
 import { loadJSON, STORAGE_KEYS } from '../config/storage.js';
 import { ACHIEVEMENTS } from '../config/constants.js';
 import { VMQ_ROUTES } from '../utils/router.js';
+import SRSInsights from './SRSInsights.js';
 
 // Pull analytics helpers from the analytics ENGINE
 import {
@@ -126,6 +127,8 @@ export default function Analytics({ onNavigate }) {
       )
     ),
 
+    h(SRSInsights),
+
     analysis && h('div', { className: 'analytics-grid' },
       (analysis.strengths || []).length > 0 && h('div', { className: 'analytics-card' },
         h('h3', null, '💪 Strengths'),
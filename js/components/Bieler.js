@@ -6,7 +6,7 @@
 
 const { createElement: h, useState, useEffect, useRef, useMemo, useCallback } = React;
 
-// Imports
+// Imports (namespaces so a missing optional engine export can't stop the module loading)
 import {
   BIELER_VOCAB,
   TECHNIQUE_TASKS,
@@ -15,61 +15,56 @@ import {
   REFLECTION_PROMPTS
 } from '../config/constants.js';
 
-import {
-  selectNextItem,
-  updateItem,
-  getMasteryStats,
-  getConfusionMatrix,
-  recordConfusion
-} from '../engines/spacedRepetition.js';
-
-import {
-  getDifficulty,
-  getBielerPool,
-  getDifficultyInfo,
-  analyzeResponseTime,
-  predictMasteryCurve
-} from '../engines/difficultyAdapter.js';
-
-import {
-  getRandom,
-  fuzzyMatch,
-  normalizeText,
-  calculateSemanticSimilarity,
-  extractKeyConcepts
-} from '../utils/helpers.js';
-
-import {
-  awardXP,
-  incrementDailyItems,
-  recordStreak,
-  getStreak,
-  unlockAchievement
-} from '../engines/gamification.js';
-
-import {
-  updateStats,
-  getSessionStats,
-  recordBreakthrough,
-  detectPlateau
-} from '../config/storage.js';
-
-import {
-  playFeedback,
-  playSuccess,
-  playHintReveal
-} from '../engines/audioEngine.js';
-
-import {
-  getCoachRecommendation,
-  logBielerSession
-} from '../engines/coachEngine.js';
-
-import {
-  trackEvent,
-  trackTimeOnTask,
-  trackHintUsage
-} from '../engines/analytics.js';
+import * as SRSMod from '../engines/spacedRepetition.js';
+import * as DiffMod from '../engines/difficultyAdapter.js';
+import * as HelpersMod from '../utils/helpers.js';
+import * as GameMod from '../engines/gamification.js';
+import * as StorageMod from '../config/storage.js';
+import * as AudioMod from '../engines/audioEngine.js';
+import * as CoachMod from '../engines/coachEngine.js';
+import * as AnalyticsMod from '../engines/analytics.js';
+
+const selectNextItem = SRSMod.selectNextItem || null;
+const updateItem = SRSMod.updateItem || null;
+const getMasteryStats = SRSMod.getMasteryStats || null;
+const getConfusionMatrix = SRSMod.getConfusionMatrix || null;
+const recordConfusion = SRSMod.recordConfusion ||
+  ((term, confusedWith) => StorageMod.trackConfusion?.('bieler', term, confusedWith));
+
+const getDifficulty = DiffMod.getDifficulty || null;
+const getBielerPool = DiffMod.getBielerPool || null;
+const getDifficultyInfo = DiffMod.getDifficultyInfo || null;
+const analyzeResponseTime = DiffMod.analyzeResponseTime || null;
+const predictMasteryCurve = DiffMod.predictMasteryCurve || null;
+
+const getRandom = HelpersMod.getRandom || null;
+const normalizeText = HelpersMod.normalizeText || null;
+const fuzzyMatch = HelpersMod.fuzzyMatch ||
+  ((a, b) => !!normalizeText && normalizeText(a) === normalizeText(b));
+const calculateSemanticSimilarity = HelpersMod.calculateSemanticSimilarity || null;
+const extractKeyConcepts = HelpersMod.extractKeyConcepts || null;
+
+const awardXP = GameMod.awardXP || null;
+const incrementDailyItems = GameMod.incrementDailyItems || null;
+const recordStreak = GameMod.recordStreak || null;
+const getStreak = GameMod.getStreak || null;
+const unlockAchievement = GameMod.unlockAchievement || null;
+
+const updateStats = StorageMod.updateStats || null;
+const getSessionStats = StorageMod.getSessionStats || null;
+const recordBreakthrough = StorageMod.recordBreakthrough || null;
+const detectPlateau = StorageMod.detectPlateau || null;
+
+const playFeedback = AudioMod.playFeedback || null;
+const playSuccess = AudioMod.playSuccess || null;
+const playHintReveal = AudioMod.playHintReveal || null;
+
+const getCoachRecommendation = CoachMod.getCoachRecommendation || null;
+const logBielerSession = CoachMod.logBielerSession || null;
+
+const trackEvent = AnalyticsMod.trackEvent || null;
+const trackTimeOnTask = AnalyticsMod.trackTimeOnTask || null;
+const trackHintUsage = AnalyticsMod.trackHintUsage || null;
 
 // ---------------------------
 // Small safety helpers
@@ -409,7 +404,7 @@ export function Bieler({ navigate, onAnswer, showToast }) {
   // IMPORTANT: No state mutations during render.
   // Hints are revealed only on button click.
   // ---------------------------
-  const revealHint = useCallback(() => {
+  const revealHint = useCallback(async () => {
     if (!currentTerm || hintLevel >= 4) return;
 
     const nextLevel = hintLevel + 1;
@@ -435,17 +430,16 @@ export function Bieler({ navigate, onAnswer, showToast }) {
       text = `💡 This relates to: ${cat || 'a technique concept'}`;
 
       // Optional: show common confusion info if available
-      const cm = safeFn(getConfusionMatrix) || {};
-      const prefix = `${String(currentTerm.term)}→`;
-      const candidates = Object.entries(cm)
-        .filter(([k]) => k.startsWith(prefix))
-        .sort((a, b) => (Number(b[1]) || 0) - (Number(a[1]) || 0))
-        .slice(0, 1);
-
-      if (candidates.length) {
-        const to = candidates[0][0].split('→')[1];
-        if (to) text += `\n💡 Commonly confused with: ${to}`;
-      }
+      // (term ids aren't numeric, so pairs come back as 'term-confusedWith' strings)
+      let pairs = [];
+      try {
+        const cm = await safeFn(getConfusionMatrix, 'bieler');
+        pairs = Array.isArray(cm?.pairs) ? cm.pairs : [];
+      } catch (_) {}
+      const prefix = `${String(currentTerm.term)}-`;
+      const hit = pairs.find(pair => typeof pair === 'string' && pair.startsWith(prefix));
+      const to = hit ? hit.slice(prefix.length) : '';
+      if (to) text += `\n💡 Commonly confused with: ${to}`;
     } else if (nextLevel === 4) {
       text = `💡 Full definition: ${def}`;
     }
@@ -0,0 +1,656 @@
+// js/components/DeckEditor.js
+// ===================================
+// VMQ Flashcard Decks — v1.0
+// Teacher-authored decks: front/back text, tags, an optional staff note or
+// interval and an optional audio prompt (audioEngine). Decks can be switched
+// off without losing their schedule; each card is an SM-2 flashcard item
+// (engines/flashcardDecks.js). List with per-deck stats → editor → study.
+// Decks move in and out as CSV / TSV (Anki text import/export, spreadsheets).
+// No JSX. React.createElement style.
+// ===================================
+
+import StaffNotation from './StaffNotation.js';
+import { INTERVALS } from '../config/constants.js';
+import { audioEngine, midiToFreq } from '../engines/audioEngine.js';
+import { downloadBlob } from '../engines/audioExport.js';
+import { recordAnswer } from '../engines/gamification.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+import {
+  DECK_LIMITS,
+  CARD_CLEFS,
+  CARD_AUDIO,
+  DECK_RATINGS,
+  cardNotes,
+  normalizeCard,
+  isCardComplete,
+  getDecks,
+  saveDeck,
+  setDeckEnabled,
+  removeDeck,
+  getDeckStats,
+  getStudyQueue,
+  recordCardReview,
+  importDeckText,
+  exportDeckText,
+  formatDue
+} from '../engines/flashcardDecks.js';
+import { DECK_TEXT_DELIMITERS, DECK_TEXT_FIELDS, DECK_TEXT_LIMITS, parseDeckText } from '../utils/deckText.js';
+
+const { createElement: h, useCallback, useEffect, useMemo, useRef, useState } = React;
+
+const EMPTY_IMPORT = { text: '', name: '', delimiter: 'auto', header: 'auto', schedule: 'carry', mapping: null };
+const PREVIEW_ROWS = 5;
+
+const EMPTY_CARD = { front: '', back: '', tags: '', note: '', interval: '', direction: 'up', clef: 'treble', staff: true, audio: 'none' };
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+// Card <-> flat form fields
+function cardToForm(card) {
+  if (!card) return { ...EMPTY_CARD };
+  return {
+    id: card.id,
+    createdAt: card.createdAt,
+    front: card.front,
+    back: card.back,
+    tags: card.tags.join(', '),
+    note: card.music?.note || '',
+    interval: card.music?.interval || '',
+    direction: card.music?.direction || 'up',
+    clef: card.music?.clef || 'treble',
+    staff: card.staff !== false,
+    audio: card.audio || 'none'
+  };
+}
+
+function formToCard(form) {
+  return normalizeCard({
+    id: form.id,
+    createdAt: form.createdAt,
+    front: form.front,
+    back: form.back,
+    tags: form.tags,
+    music: form.note ? { note: form.note, interval: form.interval || null, direction: form.direction, clef: form.clef } : null,
+    staff: form.staff,
+    audio: form.audio
+  });
+}
+
+async function playCardAudio(card) {
+  const notes = cardNotes(card);
+  if (!notes.length || card.audio === 'none') return;
+  try {
+    if (!audioEngine.initialized) await audioEngine.init();
+    if (notes.length === 2) {
+      audioEngine.playInterval(midiToFreq(notes[0].midi), midiToFreq(notes[1].midi), card.audio === 'harmonic', 1.6, { volume: 0.3 });
+    } else {
+      audioEngine.playTone(midiToFreq(notes[0].midi), 0.9, { volume: 0.3 });
+    }
+  } catch (e) {
+    console.warn('[Decks] audio prompt failed:', e);
+  }
+}
+
+function CardMusic({ card, scale = 2 }) {
+  const notes = cardNotes(card);
+  if (!notes.length || !card.staff) return null;
+  return h(StaffNotation, {
+    clef: card.music.clef,
+    notes: notes.map((n) => ({ note: n.note, duration: 'quarter' })),
+    minWidth: 160,
+    scale,
+    ariaLabel: `Staff: ${notes.map((n) => n.note).join(' to ')}`
+  });
+}
+
+export default function DeckEditor(props = {}) {
+  const { onBack, onNavigate } = props;
+
+  const [decks, setDecks] = useState(() => getDecks());
+  const [stats, setStats] = useState({});
+  const [view, setView] = useState('list');          // list | edit | study | import
+  const [draft, setDraft] = useState(null);          // deck being edited
+  const [form, setForm] = useState(null);            // card form (null = closed)
+  const [queue, setQueue] = useState([]);
+  const [pos, setPos] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [session, setSession] = useState({ reviewed: 0, again: 0 });
+  const [busy, setBusy] = useState(false);
+  const [imp, setImp] = useState(EMPTY_IMPORT);
+  const [exportSchedule, setExportSchedule] = useState(true);
+  const shownAtRef = useRef(Date.now());
+
+  const refresh = useCallback(async () => {
+    const list = getDecks();
+    setDecks(list);
+    setStats(await getDeckStats(list));
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  // -----------------------------
+  // Deck list actions
+  // -----------------------------
+  const newDeck = () => {
+    setDraft({ name: '', description: '', enabled: true, cards: [] });
+    setForm(null);
+    setView('edit');
+  };
+
+  const editDeck = (deck) => {
+    setDraft({ ...deck, cards: deck.cards.slice() });
+    setForm(null);
+    setView('edit');
+  };
+
+  const toggleDeck = async (deck) => {
+    await setDeckEnabled(deck.id, !deck.enabled);
+    sessionTracker.trackActivity?.('decks', deck.enabled ? 'disable' : 'enable', { deckId: deck.id });
+    refresh();
+  };
+
+  const deleteDeck = async (deck) => {
+    if (typeof window !== 'undefined' && window.confirm && !window.confirm(`Delete “${deck.name}” and its review history?`)) return;
+    await removeDeck(deck.id);
+    emitToast('Deck deleted', 'info');
+    refresh();
+  };
+
+  const startStudy = useCallback(async (deckIds = null) => {
+    const q = await getStudyQueue({ deckIds, limit: 20, newLimit: 10 });
+    if (!q.length) {
+      emitToast('Nothing due — come back later or add cards', 'info');
+      return;
+    }
+    setQueue(q);
+    setPos(0);
+    setRevealed(false);
+    setSession({ reviewed: 0, again: 0 });
+    shownAtRef.current = Date.now();
+    setView('study');
+    sessionTracker.trackActivity?.('decks', 'study_start', { cards: q.length, decks: deckIds ? deckIds.length : 'enabled' });
+  }, []);
+
+  // -----------------------------
+  // CSV / TSV
+  // -----------------------------
+  const exportDeck = async (deck, delimiter) => {
+    try {
+      const out = await exportDeckText(deck, { delimiter, schedule: exportSchedule });
+      if (!out) return;
+      downloadBlob(new Blob([out.text], { type: `${out.mime};charset=utf-8` }), out.filename);
+      sessionTracker.trackActivity?.('decks', 'export', { deckId: deck.id, format: delimiter, cards: out.count });
+    } catch (e) {
+      console.warn('[Decks] export failed:', e);
+      emitToast('Could not export the deck', 'error');
+    }
+  };
+
+  const parsedImport = useMemo(() => {
+    if (!imp.text.trim()) return null;
+    try {
+      return parseDeckText(imp.text, { delimiter: imp.delimiter, header: imp.header === 'auto' ? 'auto' : imp.header === 'yes' });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [imp.text, imp.delimiter, imp.header]);
+
+  const importMapping = imp.mapping && parsedImport && imp.mapping.length === parsedImport.columns
+    ? imp.mapping
+    : parsedImport?.mapping || [];
+
+  const setImport = (patch) => setImp((prev) => ({ ...prev, ...patch }));
+
+  const readImportFile = (file) => {
+    if (!file) return;
+    if (file.size > DECK_TEXT_LIMITS.maxBytes) {
+      emitToast('That file is too large for a deck', 'error');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setImp((prev) => ({
+      ...prev,
+      text: String(reader.result || ''),
+      name: prev.name || file.name.replace(/\.(csv|tsv|txt)$/i, ''),
+      mapping: null
+    }));
+    reader.onerror = () => emitToast('Could not read that file', 'error');
+    reader.readAsText(file);
+  };
+
+  const runImport = async () => {
+    setBusy(true);
+    try {
+      const res = await importDeckText(imp.text, {
+        name: imp.name.trim(),
+        delimiter: imp.delimiter,
+        header: imp.header === 'auto' ? 'auto' : imp.header === 'yes',
+        mapping: importMapping,
+        schedule: imp.schedule
+      });
+      const extra = [
+        res.scheduled ? `${res.scheduled} with review history` : '',
+        res.skipped ? `${res.skipped} rows skipped` : ''
+      ].filter(Boolean).join(', ');
+      emitToast(`Imported ${res.imported} cards into “${res.deck.name}”${extra ? ` (${extra})` : ''}`, 'success');
+      res.warnings.forEach((w) => emitToast(w, 'warning'));
+      sessionTracker.trackActivity?.('decks', 'import', { deckId: res.deck.id, cards: res.imported, scheduled: res.scheduled });
+      setImp(EMPTY_IMPORT);
+      setView('list');
+      refresh();
+    } catch (e) {
+      emitToast(e?.message || 'Import failed', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // -----------------------------
+  // Editor actions
+  // -----------------------------
+  const setField = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+  const previewCard = useMemo(() => (form ? formToCard(form) : null), [form]);
+
+  const commitCard = () => {
+    const card = formToCard(form);
+    if (form.note && !card.music) {
+      emitToast(`“${form.note}” is not a note name (try A4, F#5, Bb3)`, 'error');
+      return;
+    }
+    if (!isCardComplete(card)) {
+      emitToast('A card needs a prompt (text, staff or sound) and an answer', 'error');
+      return;
+    }
+    setDraft((prev) => {
+      const exists = prev.cards.some((c) => c.id === card.id);
+      if (!exists && prev.cards.length >= DECK_LIMITS.maxCards) {
+        emitToast(`A deck holds up to ${DECK_LIMITS.maxCards} cards`, 'error');
+        return prev;
+      }
+      return { ...prev, cards: exists ? prev.cards.map((c) => (c.id === card.id ? card : c)) : [...prev.cards, card] };
+    });
+    setForm(null);
+  };
+
+  const removeCard = (id) => setDraft((prev) => ({ ...prev, cards: prev.cards.filter((c) => c.id !== id) }));
+
+  const saveDraft = async () => {
+    if (!draft.name.trim()) {
+      emitToast('Give the deck a name', 'error');
+      return;
+    }
+    setBusy(true);
+    try {
+      const saved = await saveDeck(draft);
+      sessionTracker.trackActivity?.('decks', 'save', { deckId: saved.id, cards: saved.cards.length });
+      emitToast(`Saved “${saved.name}” (${saved.cards.length} cards)`, 'success');
+      setView('list');
+      setDraft(null);
+      setForm(null);
+      refresh();
+    } catch (e) {
+      emitToast(e?.message || 'Could not save the deck', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // -----------------------------
+  // Study actions
+  // -----------------------------
+  const current = view === 'study' ? queue[pos] : null;
+
+  useEffect(() => {
+    if (current && current.card.audio !== 'none') playCardAudio(current.card);
+    shownAtRef.current = Date.now();
+  }, [current]);
+
+  const rate = useCallback(async (rating) => {
+    if (!current || !revealed) return;
+    const responseMs = Date.now() - shownAtRef.current;
+    const passed = rating.quality >= 3;
+    await recordCardReview(current.deck, current.card, rating.quality, responseMs);
+    try { recordAnswer('flashcards', passed, responseMs); } catch {}
+    try { sessionTracker.trackActivity?.('decks', 'review', { deckId: current.deck.id, rating: rating.id, isNew: current.isNew }); } catch {}
+
+    const nextSession = { reviewed: session.reviewed + 1, again: session.again + (passed ? 0 : 1) };
+    setSession(nextSession);
+    // "Again" cards come back once at the end of the session
+    if (!passed && !current.requeued) setQueue((prev) => [...prev, { ...current, requeued: true }]);
+    setRevealed(false);
+    setPos((p) => p + 1);
+  }, [current, revealed, session]);
+
+  const finished = view === 'study' && pos >= queue.length;
+
+  useEffect(() => {
+    if (finished) refresh();
+  }, [finished, refresh]);
+
+  // Space reveals, 1-4 rate, R replays the sound
+  useEffect(() => {
+    if (view !== 'study') return undefined;
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) return;
+      if ((e.key === ' ' || e.key === 'Enter') && current && !revealed) { e.preventDefault(); setRevealed(true); }
+      else if (revealed && /^[1-4]$/.test(e.key)) rate(DECK_RATINGS[Number(e.key) - 1]);
+      else if ((e.key === 'r' || e.key === 'R') && current) playCardAudio(current.card);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [view, current, revealed, rate]);
+
+  // -----------------------------
+  // Render
+  // -----------------------------
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => {
+          if (view !== 'list') { setView('list'); setForm(null); return; }
+          if (typeof onBack === 'function') onBack(); else onNavigate?.('menu');
+        }
+      }, view === 'list' ? '← Back' : '← Decks'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '🗂️ Flashcard Decks')
+    ),
+    view === 'list' && h('button', { type: 'button', className: 'btn btn-outline', onClick: () => onNavigate?.('flashcards') }, '🎼 Note reading cards')
+  );
+
+  const input = (label, value, onChange, attrs = {}) => h('label', { style: { display: 'flex', flexDirection: 'column', gap: '4px' } },
+    h('span', { className: 'text-muted' }, label),
+    h(attrs.rows ? 'textarea' : 'input', { className: 'input', value: value ?? '', onChange: (e) => onChange(e.target.value), ...attrs })
+  );
+
+  const select = (label, value, options, onChange, attrs = {}) => h('label', { style: { display: 'flex', flexDirection: 'column', gap: '4px' } },
+    h('span', { className: 'text-muted' }, label),
+    h('select', { className: 'input', value: value == null ? '' : String(value), onChange: (e) => onChange(e.target.value), ...attrs },
+      options.map(([v, text]) => h('option', { key: v, value: v }, text)))
+  );
+
+  // ---- List ----
+  if (view === 'list') {
+    const enabled = decks.filter((d) => d.enabled);
+    const dueTotal = enabled.reduce((sum, d) => sum + (stats[d.id]?.due || 0), 0);
+    const newTotal = enabled.reduce((sum, d) => sum + (stats[d.id]?.new || 0), 0);
+
+    return h('div', { className: 'module-container deck-editor' },
+      header,
+      h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+        h('div', { className: 'card-body', style: { display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' } },
+          h('span', { style: { fontWeight: 600 } }, decks.length
+            ? `${dueTotal} due • ${newTotal} new across ${enabled.length} enabled deck${enabled.length === 1 ? '' : 's'}`
+            : 'No decks yet — create one for your students.'),
+          h('div', { style: { flex: 1 } }),
+          enabled.length > 0 && h('button', { type: 'button', className: 'btn btn-primary', onClick: () => startStudy(null) }, '▶ Study enabled decks'),
+          h('button', { type: 'button', className: 'btn btn-outline', onClick: newDeck }, '＋ New deck'),
+          h('button', { type: 'button', className: 'btn btn-outline', onClick: () => setView('import') }, '⬆️ Import CSV / TSV')
+        ),
+        decks.length > 0 && h('div', { className: 'card-body', style: { paddingTop: 0 } },
+          h('label', { className: 'text-muted', style: { display: 'flex', alignItems: 'center', gap: '6px' } },
+            h('input', { type: 'checkbox', checked: exportSchedule, onChange: (e) => setExportSchedule(e.target.checked) }),
+            'Include review schedule (due, interval, ease) in exports'
+          )
+        )
+      ),
+      decks.map((deck) => {
+        const s = stats[deck.id] || {};
+        return h('div', { key: deck.id, className: 'card', style: { marginTop: '12px', opacity: deck.enabled ? 1 : 0.65 } },
+          h('div', { className: 'card-body' },
+            h('div', { style: { display: 'flex', alignItems: 'baseline', gap: '8px', flexWrap: 'wrap' } },
+              h('h3', { style: { margin: 0 } }, deck.name),
+              !deck.enabled && h('span', { className: 'badge' }, 'disabled'),
+              h('small', { className: 'text-muted' }, `${deck.cards.length} card${deck.cards.length === 1 ? '' : 's'}`)
+            ),
+            deck.description && h('p', { className: 'text-muted', style: { margin: '4px 0' } }, deck.description),
+            h('div', { className: 'text-muted', style: { display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '0.9em' } },
+              h('span', null, `Due ${s.due ?? 0}`),
+              h('span', null, `New ${s.new ?? 0}`),
+              h('span', null, `Learning ${s.learning ?? 0}`),
+              h('span', null, `Mature ${s.mature ?? 0}`),
+              h('span', null, `Lapsed ${s.lapsed ?? 0}`),
+              s.avgEF ? h('span', null, `Ease ${s.avgEF.toFixed(2)}`) : null,
+              s.avgEF ? h('span', null, `Recall ${s.retention}%`) : null,
+              s.nextDue && !s.due ? h('span', null, `Next in ${formatDue(s.nextDue)}`) : null
+            ),
+            h('div', { style: { display: 'flex', gap: '8px', marginTop: '8px', flexWrap: 'wrap' } },
+              h('button', {
+                type: 'button',
+                className: 'btn btn-sm btn-primary',
+                disabled: !deck.enabled || !deck.cards.length,
+                onClick: () => startStudy([deck.id])
+              }, '▶ Study'),
+              h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => editDeck(deck) }, '✏️ Edit'),
+              h('button', {
+                type: 'button',
+                className: `btn btn-sm ${deck.enabled ? 'btn-outline' : 'btn-secondary'}`,
+                'aria-pressed': deck.enabled,
+                onClick: () => toggleDeck(deck),
+                title: deck.enabled ? 'Pause this deck: its cards stop coming due' : 'Resume this deck'
+              }, deck.enabled ? '⏸ Disable' : '▶ Enable'),
+              h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => exportDeck(deck, 'tab'), title: 'Tab-separated, for Anki File → Import' }, '⬇️ Anki TSV'),
+              h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => exportDeck(deck, 'comma'), title: 'Comma-separated, for spreadsheets' }, '⬇️ CSV'),
+              h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => deleteDeck(deck) }, '🗑 Delete')
+            )
+          )
+        );
+      })
+    );
+  }
+
+  // ---- Import ----
+  if (view === 'import') {
+    const p = parsedImport && !parsedImport.error ? parsedImport : null;
+    const hasSchedule = importMapping.includes('due') || importMapping.includes('interval');
+    const canImport = !!p && p.rows.length > 0 && importMapping.includes('back') &&
+      (importMapping.includes('front') || importMapping.includes('music'));
+
+    return h('div', { className: 'module-container deck-editor' },
+      header,
+      h('div', { className: 'card', style: { marginTop: '12px' } },
+        h('div', { className: 'card-body' },
+          h('h3', null, 'Import cards from CSV / TSV'),
+          h('p', { className: 'text-muted' },
+            'Anki: Browse → select notes → Notes → Export Notes → “Notes in Plain Text”. Spreadsheets: save as CSV or TSV, one card per row.'),
+          h('input', {
+            type: 'file',
+            accept: '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain',
+            onChange: (e) => readImportFile(e.target.files?.[0])
+          }),
+          input('…or paste rows', imp.text, (v) => setImport({ text: v, mapping: null }), { rows: 4, placeholder: 'Front<TAB>Back<TAB>tags' }),
+          parsedImport?.error && h('p', { className: 'text-danger' }, parsedImport.error)
+        )
+      ),
+      p && h('div', { className: 'card', style: { marginTop: '12px' } },
+        h('div', { className: 'card-body' },
+          h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '8px' } },
+            input('Deck name', imp.name || p.deckName, (v) => setImport({ name: v }), { maxLength: 80, placeholder: 'Imported deck' }),
+            select('Separator', imp.delimiter,
+              [['auto', `Auto (${p.delimiter})`], ...Object.keys(DECK_TEXT_DELIMITERS).map((d) => [d, d[0].toUpperCase() + d.slice(1)])],
+              (v) => setImport({ delimiter: v, mapping: null })),
+            select('First row', imp.header, [['auto', p.headers ? 'Auto (column names)' : 'Auto (cards)'], ['yes', 'Column names'], ['no', 'A card']],
+              (v) => setImport({ header: v, mapping: null }))
+          ),
+          h('div', { style: { overflowX: 'auto', marginTop: '12px' } },
+            h('table', { className: 'table', style: { width: '100%', fontSize: '0.9em' } },
+              h('thead', null,
+                h('tr', null, importMapping.map((field, col) => h('th', { key: col },
+                  p.headers?.[col] && h('div', { className: 'text-muted' }, p.headers[col]),
+                  h('select', {
+                    className: 'input',
+                    value: field,
+                    'aria-label': `Column ${col + 1} holds`,
+                    onChange: (e) => {
+                      const next = importMapping.map((f, i) => {
+                        if (i === col) return e.target.value;
+                        return f === e.target.value && f !== 'ignore' ? 'ignore' : f;
+                      });
+                      setImport({ mapping: next });
+                    }
+                  }, Object.entries(DECK_TEXT_FIELDS).map(([id, label]) => h('option', { key: id, value: id }, label)))
+                )))
+              ),
+              h('tbody', null, p.rows.slice(0, PREVIEW_ROWS).map((row, r) => h('tr', { key: r },
+                importMapping.map((field, col) => h('td', {
+                  key: col,
+                  style: { opacity: field === 'ignore' ? 0.45 : 1, maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }
+                }, row[col] ?? ''))
+              )))
+            )
+          ),
+          h('small', { className: 'text-muted' },
+            `${p.rows.length} row${p.rows.length === 1 ? '' : 's'}${p.html ? ' • HTML fields converted to text' : ''}${p.truncated ? ' • truncated' : ''}`),
+          h('fieldset', { style: { border: 'none', padding: 0, marginTop: '12px' } },
+            h('legend', { style: { fontWeight: 600 } }, 'Review schedule'),
+            [['carry', hasSchedule ? 'Keep each card’s due date, interval and ease' : 'Keep review history (map Due date or Interval columns to use it)'],
+              ['reset', 'Start every card as new']].map(([id, label]) => h('label', { key: id, style: { display: 'flex', alignItems: 'center', gap: '6px' } },
+              h('input', { type: 'radio', name: 'deck-import-schedule', checked: imp.schedule === id, onChange: () => setImport({ schedule: id }) }),
+              label
+            ))
+          ),
+          h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px' } },
+            h('button', { type: 'button', className: 'btn btn-primary', disabled: busy || !canImport, onClick: runImport }, busy ? 'Importing…' : '⬆️ Import deck'),
+            h('button', { type: 'button', className: 'btn btn-outline', onClick: () => { setImp(EMPTY_IMPORT); setView('list'); } }, 'Cancel')
+          ),
+          !canImport && h('small', { className: 'text-muted' }, 'Map a column to Back and one to Front (or VMQ note) to import.')
+        )
+      )
+    );
+  }
+
+  // ---- Study ----
+  if (view === 'study') {
+    if (finished) {
+      return h('div', { className: 'module-container deck-editor' },
+        header,
+        h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+          h('div', { className: 'card-body' },
+            h('h3', null, 'Session complete'),
+            h('p', null, `${session.reviewed} review${session.reviewed === 1 ? '' : 's'} • ${session.again} again`),
+            h('div', { style: { display: 'flex', gap: '8px' } },
+              h('button', { type: 'button', className: 'btn btn-primary', onClick: () => setView('list') }, 'Back to decks'),
+              h('button', { type: 'button', className: 'btn btn-outline', onClick: () => startStudy(null) }, 'Study more')
+            )
+          )
+        )
+      );
+    }
+
+    const { deck, card } = current;
+    return h('div', { className: 'module-container deck-editor' },
+      header,
+      h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+        h('div', { className: 'card-body', style: { textAlign: 'center' } },
+          h('small', { className: 'text-muted' }, `${deck.name} • ${pos + 1}/${queue.length}${current.isNew ? ' • new' : ''}`),
+          card.front && h('p', { style: { fontSize: '1.4em', fontWeight: 600, whiteSpace: 'pre-wrap' } }, card.front),
+          h(CardMusic, { card }),
+          card.audio !== 'none' && h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => playCardAudio(card) }, '🔊 Play again'),
+          !revealed
+            ? h('div', { style: { marginTop: '16px' } },
+                h('button', { type: 'button', className: 'btn btn-primary btn-lg', onClick: () => setRevealed(true) }, 'Show answer'))
+            : h('div', { style: { marginTop: '16px' } },
+                h('hr'),
+                h('p', { role: 'status', 'aria-live': 'polite', style: { fontSize: '1.2em', whiteSpace: 'pre-wrap' } }, card.back),
+                card.tags.length > 0 && h('small', { className: 'text-muted' }, card.tags.map((t) => `#${t}`).join(' ')),
+                h('div', { role: 'group', 'aria-label': 'How well did you remember?', style: { display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px', flexWrap: 'wrap' } },
+                  DECK_RATINGS.map((r, i) => h('button', {
+                    key: r.id,
+                    type: 'button',
+                    className: `btn ${r.id === 'again' ? 'btn-secondary' : r.id === 'good' ? 'btn-primary' : 'btn-outline'}`,
+                    onClick: () => rate(r)
+                  }, `${i + 1} · ${r.label}`))
+                )
+              )
+        )
+      ),
+      h('small', { className: 'text-muted' }, 'Keys: Space show answer • 1–4 rate • R replay sound')
+    );
+  }
+
+  // ---- Edit ----
+  const cardList = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('div', { style: { display: 'flex', alignItems: 'center', gap: '8px' } },
+        h('h3', { style: { margin: 0 } }, `Cards (${draft.cards.length})`),
+        h('div', { style: { flex: 1 } }),
+        !form && h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => setForm({ ...EMPTY_CARD }) }, '＋ Add card')
+      ),
+      draft.cards.length === 0 && !form && h('p', { className: 'text-muted' }, 'No cards yet.'),
+      h('ol', { style: { paddingLeft: '20px' } },
+        draft.cards.map((card) => h('li', { key: card.id, style: { marginTop: '6px' } },
+          h('div', { style: { display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' } },
+            h('span', { style: { fontWeight: 600 } }, card.front || cardNotes(card).map((n) => n.note).join('–') || '—'),
+            h('span', { className: 'text-muted' }, `→ ${card.back}`),
+            card.music && h('span', { className: 'badge' }, card.music.interval ? `${card.music.interval} ${card.music.direction}` : card.music.note),
+            card.audio !== 'none' && h('span', { title: CARD_AUDIO[card.audio] }, '🔊'),
+            card.tags.length > 0 && h('small', { className: 'text-muted' }, card.tags.map((t) => `#${t}`).join(' ')),
+            h('div', { style: { flex: 1 } }),
+            h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => setForm(cardToForm(card)) }, 'Edit'),
+            h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => removeCard(card.id), 'aria-label': `Remove card ${card.front || card.back}` }, '✕')
+          )
+        ))
+      )
+    )
+  );
+
+  const cardForm = form && h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, form.id ? 'Edit card' : 'New card'),
+      h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '8px' } },
+        input('Front (question)', form.front, (v) => setField({ front: v }), { rows: 2, maxLength: DECK_LIMITS.maxText }),
+        input('Back (answer)', form.back, (v) => setField({ back: v }), { rows: 2, maxLength: DECK_LIMITS.maxText })
+      ),
+      h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '8px', marginTop: '8px' } },
+        input('Tags (comma separated)', form.tags, (v) => setField({ tags: v }), { placeholder: 'scales, 3rd position' }),
+        input('Staff note', form.note, (v) => setField({ note: v }), { placeholder: 'A4, F#5, Bb3', maxLength: 6 }),
+        select('Interval', form.interval, [['', 'None (single note)'], ...INTERVALS.map((iv) => [iv.id, iv.name])],
+          (v) => setField({ interval: v, audio: !v && form.audio === 'harmonic' ? 'melodic' : form.audio }), { disabled: !form.note }),
+        select('Direction', form.direction, [['up', 'Up'], ['down', 'Down']], (v) => setField({ direction: v }), { disabled: !form.interval }),
+        select('Clef', form.clef, CARD_CLEFS.map((c) => [c, c[0].toUpperCase() + c.slice(1)]), (v) => setField({ clef: v }), { disabled: !form.note }),
+        select('Audio prompt', form.audio,
+          Object.entries(CARD_AUDIO).filter(([id]) => id !== 'harmonic' || form.interval),
+          (v) => setField({ audio: v }), { disabled: !form.note })
+      ),
+      h('label', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px' } },
+        h('input', { type: 'checkbox', checked: !!form.staff, disabled: !form.note, onChange: (e) => setField({ staff: e.target.checked }) }),
+        'Show the note(s) on a staff (untick for an ear-only card)'
+      ),
+      previewCard?.music && h('div', { style: { marginTop: '8px' } },
+        h(CardMusic, { card: previewCard, scale: 1.6 }),
+        previewCard.audio !== 'none' && h('button', { type: 'button', className: 'btn btn-sm btn-outline', onClick: () => playCardAudio(previewCard) }, '🔊 Preview sound')
+      ),
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px' } },
+        h('button', { type: 'button', className: 'btn btn-primary', onClick: commitCard }, form.id ? 'Update card' : 'Add card'),
+        h('button', { type: 'button', className: 'btn btn-outline', onClick: () => setForm(null) }, 'Cancel')
+      )
+    )
+  );
+
+  return h('div', { className: 'module-container deck-editor' },
+    header,
+    h('div', { className: 'card', style: { marginTop: '12px' } },
+      h('div', { className: 'card-body' },
+        h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '8px' } },
+          input('Deck name', draft.name, (v) => setDraft((prev) => ({ ...prev, name: v })), { maxLength: 80, placeholder: 'Suzuki Book 2 vocabulary' }),
+          input('Description', draft.description, (v) => setDraft((prev) => ({ ...prev, description: v })), { maxLength: 300 })
+        ),
+        h('label', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px' } },
+          h('input', { type: 'checkbox', checked: draft.enabled !== false, onChange: (e) => setDraft((prev) => ({ ...prev, enabled: e.target.checked })) }),
+          'Enabled (cards come due for review)'
+        ),
+        h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px' } },
+          h('button', { type: 'button', className: 'btn btn-primary', disabled: busy || !!form, onClick: saveDraft }, busy ? 'Saving…' : '💾 Save deck'),
+          h('button', { type: 'button', className: 'btn btn-outline', onClick: () => { setView('list'); setForm(null); } }, 'Cancel')
+        ),
+        form && h('small', { className: 'text-muted' }, 'Finish or cancel the open card before saving.')
+      )
+    ),
+    cardForm,
+    cardList
+  );
+}
@@ -3,78 +3,159 @@
 // FINGERBOARD v3.0.5+ - ML-ADAPTIVE VIOLIN MASTERY
 // Position Confusion • Optimal Fingering • 8-Engine Live
 // Adds: Show Answer • Pair Drills • Aggregated Mastery • Low/High 2 Frames
+// MIDI input: a played note answers at its easiest unlocked stop
+// Instrument profiles: strings / positions / hand frames follow Settings → Instrument
+// Scordatura: retuned strings sound their new pitch; labels also show the written note
+// Imported MusicXML passages can be loaded into the fingering panel
 // ======================================
 
 const { createElement: h, useState, useEffect, useCallback, useMemo, useRef } = React;
 
-import { MUSIC, getRandomWeighted, getFingeringDifficulty } from '../utils/helpers.js';
+import { MUSIC, getRandomWeighted } from '../utils/helpers.js';
 import { audioEngine } from '../engines/audioEngine.js';
 import {
   updateItem,
   ITEM_TYPES,
   getDueItems,
-  getConfusionMatrix,
-  getMasteryByPosition
+  getConfusionMatrix
 } from '../engines/spacedRepetition.js';
 import { addXP, recordAnswer, getUserLevel } from '../engines/gamification.js';
-import { getAdaptiveConfig, analyzeFingerboardPerformance } from '../engines/analytics.js';
-import { keyboard, a11y } from '../utils/keyboard.js';
+import { getAdaptiveConfig } from '../engines/difficultyAdapter.js';
+import { keyboard } from '../utils/keyboard.js';
+import { a11y } from '../utils/accessibility.js';
 import { sessionTracker } from '../engines/sessionTracker.js';
 import { useVMQRouter, VMQ_ROUTES } from '../utils/router.js';
 import { useGamification, useNotifications } from '../contexts/AppContext.js';
 import { FEATURES } from '../config/version.js';
+import { midiInput } from '../engines/midiInput.js';
+import { optimizeFingering } from '../engines/fingeringOptimizer.js';
+import { getRepertoireEntries } from '../engines/repertoire.js';
+import { instrumentProfile, getInstrument, scordaturaWrittenMidi, tuningLabel } from '../engines/instrumentProfile.js';
 
 // -----------------------------
 // Core data
 // -----------------------------
-const STRINGS = [
-  { id: 'G', openMidi: 55, color: '#f39c12', name: 'G3', tension: 'medium' },
-  { id: 'D', openMidi: 62, color: '#2ecc71', name: 'D4', tension: 'low' },
-  { id: 'A', openMidi: 69, color: '#3498db', name: 'A4', tension: 'medium' },
-  { id: 'E', openMidi: 76, color: '#e74c3c', name: 'E5', tension: 'high' }
+// Strings, positions and hand frames come from the active instrument profile
+// (constants.INSTRUMENT_PROFILES, retuned by any scordatura); applyInstrument()
+// rebuilds these tables.
+// Styling is per string slot, low -> high.
+const STRING_STYLE = [
+  { color: '#f39c12', tension: 'medium' },
+  { color: '#2ecc71', tension: 'low' },
+  { color: '#3498db', tension: 'medium' },
+  { color: '#e74c3c', tension: 'high' }
 ];
 
-const POSITIONS = [1, 2, 3, 4, 5, 7, 9]; // standard violin milestones
+// Adaptive unlock order: the classic 1-2-3-4-5 path first, half position
+// once 5th is secure, then upward (limited to the positions the profile has).
+const UNLOCK_ORDER = [1, 2, 3, 4, 5, 0.5, 6, 7, 8, 9, 10, 11, 12];
+const HOME_POSITION = 1;
+
+let INSTRUMENT = null;
+let STRINGS = [];
+let POSITIONS = [];              // neck order, nut -> bridge. 0.5 = half position.
+let POSITION_UNLOCK_ORDER = [];
+let POSITION_1ST_FINGER_OFFSET = {};
+let FINGER_FRAMES = {};
+
+function applyInstrument(profile) {
+  if (INSTRUMENT === profile) return INSTRUMENT;
+  INSTRUMENT = profile;
+  STRINGS = profile.strings.map((s, i) => ({
+    id: s.id,
+    openMidi: s.openMidi,
+    name: midiLabel(s.openMidi),
+    retuned: s.standardMidi != null && s.standardMidi !== s.openMidi,
+    ...(STRING_STYLE[i] || STRING_STYLE[0])
+  }));
+  POSITION_1ST_FINGER_OFFSET = profile.positionOffsets;
+  POSITIONS = Object.keys(profile.positionOffsets).map(Number).sort((a, b) => a - b);
+  POSITION_UNLOCK_ORDER = UNLOCK_ORDER.filter(p => POSITIONS.includes(p));
+  FINGER_FRAMES = profile.fingerFrames;
+  return INSTRUMENT;
+}
+applyInstrument(getInstrument());
+
+function positionsFor(count) {
+  const unlocked = new Set(POSITION_UNLOCK_ORDER.slice(0, clampInt(count, 1, POSITION_UNLOCK_ORDER.length)));
+  return POSITIONS.filter(p => unlocked.has(p));
+}
+
+function positionLabel(pos) {
+  return pos === 0.5 ? '½' : String(pos);
+}
 
 // NOTE: finger semitones are now driven by the selected "frame"
 // (high2 vs low2), but we keep this array for rendering & identity.
+// slot = where the stop sits inside a position's width on the SVG.
 const FINGERS = [
-  { id: '1',  label: '1',  extension: false },
-  { id: '2',  label: '2',  extension: false },
-  { id: '3',  label: '3',  extension: false },
-  { id: '4',  label: '4',  extension: false },
-  { id: '1x', label: '1×', extension: true }
+  { id: '1b', label: '1↓', extension: true,  slot: 0.06 }, // backward extension (low 1)
+  { id: '1',  label: '1',  extension: false, slot: 0.20 },
+  { id: '2',  label: '2',  extension: false, slot: 0.40 },
+  { id: '3',  label: '3',  extension: false, slot: 0.60 },
+  { id: '4',  label: '4',  extension: false, slot: 0.76 },
+  { id: '4x', label: '4↑', extension: true,  slot: 0.87 }, // forward extension
+  { id: '1x', label: '1×', extension: true,  slot: 0.96 }
 ];
 
 // -----------------------------
-// Low-2 / High-2 finger frames
+// Harmonics
 // -----------------------------
-// These are offsets relative to 1st finger (which is 0 by definition in this model).
-// High2 = "normal" whole step between 1 and 2 (0->2), and whole step 2->3 (2->4)
-// Low2  = half step between 1 and 2 (0->1), then whole step 2->3 (1->3)
-const FINGER_FRAMES = {
-  high2: { '1': 0, '2': 2, '3': 4, '4': 5, '1x': 7 },
-  low2:  { '1': 0, '2': 1, '3': 3, '4': 5, '1x': 7 }
-};
+// Natural: lightly touching the node at k/n of the string sounds partial n.
+// touch = where that node sits, in (rounded) semitones above the open string.
+const NATURAL_HARMONICS = [
+  { id: 'n2',  label: '◇½', partial: 2, touch: 12 },
+  { id: 'n3',  label: '◇⅓', partial: 3, touch: 7 },
+  { id: 'n3b', label: '◇⅔', partial: 3, touch: 19 },
+  { id: 'n4',  label: '◇¼', partial: 4, touch: 5 },
+  { id: 'n4b', label: '◇¾', partial: 4, touch: 24 },
+  { id: 'n5',  label: '◇⅕', partial: 5, touch: 4 },
+  { id: 'n6',  label: '◇⅙', partial: 6, touch: 3 }
+];
 
+// Artificial: 1st finger stops, 4th finger touches a perfect 4th above ->
+// partial 4 of the stopped length (two octaves above the stop).
+const ARTIFICIAL_HARMONIC = { id: 'a4', label: '◇4', partial: 4, touchAbove: 5 };
+
+const HARMONICS = [
+  ...NATURAL_HARMONICS.map(hm => ({ ...hm, kind: 'natural', extension: false })),
+  { ...ARTIFICIAL_HARMONIC, kind: 'artificial', extension: false }
+];
+
+// Everything computeNoteInfo / the stops layer / the trainer pool can use
+const ALL_STOPS = [
+  ...FINGERS.map(f => ({ ...f, kind: 'stop' })),
+  ...HARMONICS
+];
+
+// -----------------------------
+// Low-2 / High-2 finger frames
+// -----------------------------
+// Offsets relative to 1st finger (0 by definition), from the profile's fingerFrames.
+// Violin/viola: High2 = whole step 1->2 and 2->3; Low2 = half step 1->2.
+// Cello: 'high2' is the extended hand, 'low2' the closed one.
+// Double bass: one Simandl 1-2-4 frame (no 3rd finger).
 function getFingerSemitone(fingerId, frameId) {
   const frame = FINGER_FRAMES[frameId] || FINGER_FRAMES.high2;
   const v = frame[fingerId];
   return Number.isFinite(Number(v)) ? Number(v) : 0;
 }
 
-// -----------------------------
-// Violin-accurate position model
-// -----------------------------
-const POSITION_1ST_FINGER_OFFSET = {
-  1: 2,
-  2: 4,
-  3: 5,
-  4: 7,
-  5: 9,
-  7: 12,
-  9: 16
-};
+function frameIds() {
+  return Object.keys(FINGER_FRAMES);
+}
+
+function frameLabel(frameId) {
+  return INSTRUMENT?.frameLabels?.[frameId] || frameId;
+}
+
+// The double bass has no 3rd-finger stop
+function fingerUsed(fingerId) {
+  return Object.values(FINGER_FRAMES).some(frame => frame[fingerId] != null);
+}
+
+// Fingering mode: a starter run (A major, one octave) students can overwrite
+const FINGERING_SAMPLE = 'A4 B4 C#5 D5 E5 F#5 G#5 A5';
 
 // -----------------------------
 // Defaults + small utilities
@@ -196,38 +277,104 @@ function firstFingerOffset(position) {
   return POSITION_1ST_FINGER_OFFSET[position] ?? POSITION_1ST_FINGER_OFFSET[1];
 }
 
+function findStop(fingerId) {
+  return ALL_STOPS.find(f => f.id === fingerId) || ALL_STOPS.find(f => f.id === '1');
+}
+
+// Natural harmonic node -> the lowest whole position whose hand frame reaches it,
+// and the finger that touches it there.
+function harmonicHome(harmonic) {
+  const frame = FINGER_FRAMES.high2 || Object.values(FINGER_FRAMES)[0] || {};
+  const top = frame['4'] ?? 5;
+  for (const pos of POSITIONS) {
+    if (pos === 0.5) continue;
+    const rel = harmonic.touch - firstFingerOffset(pos);
+    if (rel < 0 || rel > top) continue;
+    const fingerId = ['1', '2', '3', '4'].find(id => frame[id] != null && frame[id] >= rel) || '4';
+    return { position: pos, fingerId };
+  }
+  return { position: POSITIONS[POSITIONS.length - 1], fingerId: '4' };
+}
+
+// Does this stop exist in this position? (natural harmonics live in one
+// position; a backward extension in half position would be the open string)
+function stopAvailable(stop, position) {
+  if (!stop) return false;
+  if (stop.kind === 'stop' && !fingerUsed(stop.id)) return false;
+  if (stop.kind === 'natural') return harmonicHome(stop).position === position;
+  if (stop.id === '1b') return firstFingerOffset(position) - 1 > 0;
+  return true;
+}
+
+// 'C#5' (MUSIC has no midiToNoteName; every name here came out as 'MIDI n')
+function midiLabel(midi) {
+  return safeCall(() => MUSIC.midiToNote(midi)) || `MIDI ${midi}`;
+}
+
+function describeNote(info) {
+  if (!info) return '—';
+  const written = info.writtenName ? `, written ${info.writtenName}` : '';
+  if (info.kind === 'natural') return `${info.fullName} (natural harmonic ${info.finger.replace('◇', '')}${written})`;
+  if (info.kind === 'artificial') return `${info.fullName} (artificial harmonic${written})`;
+  return written ? `${info.fullName} (${written.slice(2)})` : info.fullName;
+}
+
 // -----------------------------
 // Note computation (frame-aware)
 // -----------------------------
 function computeNoteInfo({ stringIdx, position, fingerId, confusion, frameId }) {
   const string = STRINGS[stringIdx] || STRINGS[0];
-  const finger = FINGERS.find(f => f.id === fingerId) || FINGERS[0];
+  const finger = findStop(fingerId);
+  const toFreq = (m) => safeCall(MUSIC?.midiToFreq, m) || 440 * Math.pow(2, (m - 69) / 12);
 
   const base = firstFingerOffset(position);
-  const semis = getFingerSemitone(finger.id, frameId);
-  const midi = string.openMidi + base + semis;
+  let midi;
+  let freq;
+  let touchMidi = null;
+
+  if (finger.kind === 'natural') {
+    // Sounds the partial of the open string, wherever the hand is
+    position = harmonicHome(finger).position;
+    midi = string.openMidi + Math.round(12 * Math.log2(finger.partial));
+    freq = toFreq(string.openMidi) * finger.partial;
+    touchMidi = string.openMidi + finger.touch;
+  } else if (finger.kind === 'artificial') {
+    const stopped = string.openMidi + base;
+    midi = stopped + 24;
+    freq = toFreq(stopped) * finger.partial;
+    touchMidi = stopped + finger.touchAbove;
+  } else {
+    midi = string.openMidi + base + getFingerSemitone(finger.id, frameId);
+    freq = toFreq(midi);
+  }
 
-  const noteName = safeCall(MUSIC?.midiToNoteName, midi) || `MIDI ${midi}`;
+  const noteName = midiLabel(midi).replace(/-?\d+$/, '');
   const octave = Math.floor(midi / 12) - 1;
   const fullName = `${noteName}${octave}`;
-  const freq = safeCall(MUSIC?.midiToFreq, midi) || 440 * Math.pow(2, (midi - 69) / 12);
 
-  const diff = safeCall(getFingeringDifficulty, position, stringIdx, midi);
-  const difficulty = Number.isFinite(Number(diff)) ? Number(diff) : 1.0;
+  const techniqueCost = finger.kind === 'artificial' ? 1.5 : finger.kind === 'natural' ? 0.5 : finger.extension ? 0.5 : 0;
+  const difficulty = 1.0 + techniqueCost;
 
   const confusionScore = confusion?.midiSet?.has(midi) ? 1.5 : 1.0;
 
+  // Scordatura: the part shows the note this stop would give in standard tuning
+  const writtenMidi = string.retuned ? scordaturaWrittenMidi(stringIdx, midi, INSTRUMENT) : midi;
+
   return {
     midi,
     freq,
     name: noteName,
     octave,
     fullName,
+    writtenMidi,
+    writtenName: writtenMidi !== midi ? midiLabel(writtenMidi) : null,
     string: string.id,
     stringIdx,
     position,
     finger: finger.label,
     fingerId: finger.id,
+    kind: finger.kind,
+    touchMidi,
     difficulty,
     confusionScore,
     frameId
@@ -236,14 +383,14 @@ function computeNoteInfo({ stringIdx, position, fingerId, confusion, frameId })
 
 // Generate challenging notes inside unlocked ranges (frame-aware)
 function generateChallengingNotes(maxPosCount, maxStrCount, confusion, frameId) {
-  const posList = POSITIONS.slice(0, clampInt(maxPosCount, 1, POSITIONS.length));
+  const posList = positionsFor(maxPosCount);
   const strCount = clampInt(maxStrCount, 1, 4);
 
   const challenging = [];
   for (let s = 0; s < strCount; s++) {
     for (const pos of posList) {
-      for (const f of FINGERS) {
-        if (f.extension && pos > 3) continue;
+      for (const f of ALL_STOPS) {
+        if (!stopAvailable(f, pos)) continue;
         const info = computeNoteInfo({ stringIdx: s, position: pos, fingerId: f.id, confusion, frameId });
         if ((info.difficulty || 1) > 1.2) {
           challenging.push({ stringIdx: s, position: pos, fingerId: f.id, difficulty: info.difficulty, frameId });
@@ -255,20 +402,22 @@ function generateChallengingNotes(maxPosCount, maxStrCount, confusion, frameId)
 }
 
 // Find playable fingering for a midi under current frame; fallback to high2 if needed
+// (stopped notes win over harmonics of the same pitch)
 function findPlayableForMidi(targetMidi, maxPosCount, maxStrCount, confusion, frameId) {
-  const posList = POSITIONS.slice(0, clampInt(maxPosCount, 1, POSITIONS.length));
+  const posList = positionsFor(maxPosCount);
   const strCount = clampInt(maxStrCount, 1, 4);
 
   const attempt = (frameTry) => {
     let best = null;
     for (let s = 0; s < strCount; s++) {
       for (const pos of posList) {
-        for (const f of FINGERS) {
-          if (f.extension && pos > 3) continue;
+        for (const f of ALL_STOPS) {
+          if (!stopAvailable(f, pos)) continue;
           const info = computeNoteInfo({ stringIdx: s, position: pos, fingerId: f.id, confusion, frameId: frameTry });
           if (info.midi !== targetMidi) continue;
 
-          const score = (info.difficulty || 1) * (info.confusionScore || 1) + (pos * 0.05) + (s * 0.02);
+          const score = (info.difficulty || 1) * (info.confusionScore || 1) + (pos * 0.05) + (s * 0.02)
+            + (f.kind === 'stop' ? 0 : 3);
           if (!best || score < best.score) best = { ...info, score };
         }
       }
@@ -309,12 +458,21 @@ export default function Fingerboard({ onBack, refreshStats }) {
   const [config, setConfig] = useState({ ...DEFAULT_CONFIG });
 
   const [selectedString, setSelectedString] = useState(0);
-  const [selectedPosition, setSelectedPosition] = useState(POSITIONS[0]);
+  const [selectedPosition, setSelectedPosition] = useState(HOME_POSITION);
   const [selectedFinger, setSelectedFinger] = useState('1');
 
   // New: finger frame state (kept in sync with config)
   const [fingerFrame, setFingerFrame] = useState(DEFAULT_CONFIG.fingerFrame);
 
+  // Instrument profile: the neck tables are module-level, so re-render when it changes
+  const [instrumentId, setInstrumentId] = useState(() => applyInstrument(getInstrument()).id);
+  const [tuning, setTuning] = useState(() => tuningLabel(INSTRUMENT));
+  useEffect(() => instrumentProfile.subscribe((profile) => {
+    applyInstrument(profile);
+    setInstrumentId(profile.id);
+    setTuning(tuningLabel(profile));
+  }), []);
+
   const [targetNote, setTargetNote] = useState(null);
   const [userAnswer, setUserAnswer] = useState(null);
 
@@ -334,6 +492,15 @@ export default function Fingerboard({ onBack, refreshStats }) {
   // NEW: pair-drill context
   const [pairContext, setPairContext] = useState(null);   // { loMidi, hiMidi, targetMidi, distractorMidi, prompt }
 
+  // NEW: passage fingering (mode 'fingering')
+  const [passageText, setPassageText] = useState(FINGERING_SAMPLE);
+  const [fingering, setFingering] = useState(null);       // optimizeFingering() result
+  const [fingeringRank, setFingeringRank] = useState(0);  // index into fingering.alternatives
+  const [fingeringStep, setFingeringStep] = useState(-1); // step highlighted during play-through
+  const fingeringTimersRef = useRef([]);
+  const [passages] = useState(() => getRepertoireEntries().filter(e => e.fingering?.text));
+  const [passageSource, setPassageSource] = useState('');  // repertoire entry loaded into the input
+
   const questionStartRef = useRef(nowMs());
   const answeredLockRef = useRef(false);
   const timerRef = useRef(null);
@@ -349,13 +516,16 @@ export default function Fingerboard({ onBack, refreshStats }) {
   // -----------------------------
   // Derived lists
   // -----------------------------
+  // Fingering mode shows the whole neck: repertoire runs don't follow unlock levels
   const unlockedPositions = useMemo(
-    () => POSITIONS.slice(0, clampInt(config.positions, 1, POSITIONS.length)),
-    [config.positions]
+    () => (mode === 'fingering' ? POSITIONS : positionsFor(config.positions)),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [config.positions, mode, instrumentId, tuning]
   );
   const unlockedStrings = useMemo(
-    () => STRINGS.slice(0, clampInt(config.strings, 1, 4)),
-    [config.strings]
+    () => (mode === 'fingering' ? STRINGS : STRINGS.slice(0, clampInt(config.strings, 1, 4))),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [config.strings, mode, instrumentId, tuning]
   );
 
   // -----------------------------
@@ -398,13 +568,16 @@ export default function Fingerboard({ onBack, refreshStats }) {
     setPositionMasteryAgg(agg);
   }, [positionMastery]);
 
+  // Latest session mastery for the adaptive re-init (runs from timers)
+  const positionMasteryRef = useRef(positionMastery);
+  positionMasteryRef.current = positionMastery;
+
   // -----------------------------
   // Init adaptive (ML)
   // -----------------------------
   const initAdaptiveFingerboard = useCallback(async () => {
     const userLevel = await safeAsync(safeCall(getUserLevel));
-    const adaptiveConfig = await safeAsync(safeCall(getAdaptiveConfig, 'fingerboard'));
-    const masteryRaw = await safeAsync(safeCall(getMasteryByPosition, 'fingerboard'));
+    const adaptiveConfig = await safeAsync(safeCall(getAdaptiveConfig));
     const confusionRaw = await safeAsync(safeCall(getConfusionMatrix, 'fingerboard'));
 
     const adaptive = (adaptiveConfig && typeof adaptiveConfig === 'object') ? adaptiveConfig : {};
@@ -421,7 +594,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
       ? adaptive.fingerFrame
       : DEFAULT_CONFIG.fingerFrame;
 
-    const normalizedMastery = normalizeMastery(masteryRaw);
+    const normalizedMastery = normalizeMastery(positionMasteryRef.current);
     const normalizedConfusion = normalizeConfusion(confusionRaw);
 
     const weakPositions = Object.entries(normalizedMastery)
@@ -439,7 +612,6 @@ export default function Fingerboard({ onBack, refreshStats }) {
       fingerFrame: fingerFrameCfg
     }));
 
-    setPositionMastery(normalizedMastery);
     setConfusion(normalizedConfusion);
 
     safeCall(sessionTracker?.trackActivity, 'fingerboard', 'adaptive_init', {
@@ -498,7 +670,9 @@ export default function Fingerboard({ onBack, refreshStats }) {
       confusion,
       frameId: fingerFrame
     });
-  }, [confusion, fingerFrame]);
+    // instrumentId / tuning: computeNoteInfo reads the module-level neck tables
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [confusion, fingerFrame, instrumentId, tuning]);
 
   // -----------------------------
   // Audio helpers
@@ -537,7 +711,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
         frameId: fingerFrame
       });
 
-      safeCall(a11y?.announce, `${info.fullName} on ${info.string} string, position ${info.position}, finger ${info.finger}`);
+      safeCall(a11y?.announce, `${describeNote(info)} on ${info.string} string, position ${positionLabel(info.position)}, finger ${info.finger}`);
     } catch (error) {
       // eslint-disable-next-line no-console
       console.warn('[Fingerboard v3.0.5+] Audio failed:', error);
@@ -620,8 +794,8 @@ export default function Fingerboard({ onBack, refreshStats }) {
 
     // Build a prompt that works with existing tap interface:
     // "I will play two notes; tap the SECOND one."
-    const targetName = safeCall(MUSIC?.midiToNoteName, targetMidi) || `MIDI ${targetMidi}`;
-    const distractorName = safeCall(MUSIC?.midiToNoteName, distractorMidi) || `MIDI ${distractorMidi}`;
+    const targetName = midiLabel(targetMidi);
+    const distractorName = midiLabel(distractorMidi);
 
     const prompt = `Pair Drill: I’ll play 2 notes — tap the SECOND. (Confusion: ${targetName} vs ${distractorName})`;
 
@@ -659,7 +833,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
         }
         if (!info) {
           // last-ditch: pick a safe default
-          info = getNoteInfo(0, POSITIONS[0], '1');
+          info = getNoteInfo(0, HOME_POSITION, '1');
         }
 
         setTargetNote({ ...info, drillType: 'pair', pairKey: `${pair.loMidi}-${pair.hiMidi}`, pairTargetMidi: pair.targetMidi });
@@ -703,29 +877,29 @@ export default function Fingerboard({ onBack, refreshStats }) {
       ...challenging.map(n => ({ ...n, weight: 1.5 + (n.difficulty || 1) * 0.5 }))
     ];
 
-    const chosen = (pool.length && safeCall(getRandomWeighted, pool)) || pool[0] || { stringIdx: 0, position: POSITIONS[0], fingerId: '1' };
+    const chosen = (pool.length && safeCall(getRandomWeighted, pool)) || pool[0] || { stringIdx: 0, position: HOME_POSITION, fingerId: '1' };
 
     let info = null;
 
     if (typeof chosen.midi === 'number') {
       info = findPlayableForMidi(chosen.midi, config.positions, config.strings, confusion, fingerFrame);
       if (!info) {
-        const fb = challenging[0] || { stringIdx: 0, position: POSITIONS[0], fingerId: '1' };
+        const fb = challenging[0] || { stringIdx: 0, position: HOME_POSITION, fingerId: '1' };
         info = getNoteInfo(fb.stringIdx, fb.position, fb.fingerId);
       }
     } else {
       const sIdx = clampInt(chosen.stringIdx ?? 0, 0, 3);
-      const posList = POSITIONS.slice(0, clampInt(config.positions, 1, POSITIONS.length));
+      const posList = positionsFor(config.positions);
       const pos = posList.includes(chosen.position) ? chosen.position : posList[0];
-      const fingerId = FINGERS.some(f => f.id === chosen.fingerId) ? chosen.fingerId : '1';
+      const fingerId = ALL_STOPS.some(f => f.id === chosen.fingerId) ? chosen.fingerId : '1';
       info = getNoteInfo(sIdx, pos, fingerId);
     }
 
     setTargetNote({ ...info, drillType: 'single' });
     questionStartRef.current = nowMs();
 
-    safeCall(a11y?.announce, `Find ${info.fullName}. Level ${config.level}.`);
-    setStatusLine(`Find: ${info.fullName} (Lv${config.level}) • Frame ${fingerFrame}`);
+    safeCall(a11y?.announce, `Find ${describeNote(info)}. Level ${config.level}.`);
+    setStatusLine(`Find: ${describeNote(info)} (Lv${config.level}) • Frame ${fingerFrame}`);
 
     if (mode === 'trainer' && config.autoPlayTrainer) {
       setTimeout(() => {
@@ -751,7 +925,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     if (!targetNote) return;
     setRevealAnswer(true);
 
-    const msg = `Answer revealed: ${targetNote.fullName}.`;
+    const msg = `Answer revealed: ${describeNote(targetNote)}.`;
     setStatusLine(msg);
     safeCall(a11y?.announce, msg);
 
@@ -776,7 +950,9 @@ export default function Fingerboard({ onBack, refreshStats }) {
     if (answeredLockRef.current) return;
 
     const answerInfo = getNoteInfo(stringIdx, position, fingerId);
-    const isCorrect = (answerInfo.midi === targetNote.midi);
+    // A harmonic target must be answered with the same kind of harmonic
+    const isCorrect = (answerInfo.midi === targetNote.midi)
+      && (!targetNote.kind || targetNote.kind === 'stop' || answerInfo.kind === targetNote.kind);
 
     answeredLockRef.current = true;
     setUserAnswer(answerInfo);
@@ -836,7 +1012,9 @@ export default function Fingerboard({ onBack, refreshStats }) {
 
     if (isCorrect) {
       // SR update
-      const itemId = `fingerboard_${targetNote.midi}_${targetNote.string}_${targetNote.position}`;
+      // Violin ids stay unprefixed so existing review history keeps counting
+      const itemId = `fingerboard${instrumentId === 'violin' ? '' : `_${instrumentId}`}_${targetNote.midi}_${targetNote.string}_${targetNote.position}`
+        + (targetNote.kind && targetNote.kind !== 'stop' ? `_${targetNote.fingerId}` : '');
 
       await safeAsync(safeCall(updateItem, itemId, 4, responseTime, {
         type: ITEM_TYPES?.POSITION_NOTE || 'POSITION_NOTE',
@@ -850,7 +1028,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
       await awardXP(xp, 'fingerboard_ml');
 
       addNotification(`✅ ${targetNote.fullName} +${xp}XP (Lv${config.level})`, 'success');
-      setStatusLine(`✅ Correct: ${targetNote.fullName} (+${xp} XP) • Frame ${fingerFrame}`);
+      setStatusLine(`✅ Correct: ${describeNote(targetNote)} (+${xp} XP) • Frame ${fingerFrame}`);
 
       // Positive reinforcement play
       playNote(stringIdx, position, fingerId, { duration: 0.85, vibrato: 0.10 });
@@ -860,7 +1038,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     } else {
       // Miss: DO NOT highlight target automatically.
       // We only reveal highlight after pressing "Show Answer".
-      addNotification(`❌ Target: ${targetNote.fullName} • You chose: ${answerInfo.fullName}`, 'error');
+      addNotification(`❌ Target: ${describeNote(targetNote)} • You chose: ${describeNote(answerInfo)}`, 'error');
 
       // Give a helpful status line, including pair drill context if applicable
       if (targetNote.drillType === 'pair' && pairContext) {
@@ -897,7 +1075,6 @@ export default function Fingerboard({ onBack, refreshStats }) {
         const nextTotal = (stats.total || 0) + 1;
 
         if (nextTotal % 10 === 0) {
-          await safeAsync(safeCall(analyzeFingerboardPerformance, { module: 'fingerboard', level: config.level }));
           await initAdaptiveFingerboard();
         }
 
@@ -931,6 +1108,99 @@ export default function Fingerboard({ onBack, refreshStats }) {
     nextQuestion
   ]);
 
+  // -----------------------------
+  // MIDI input — a pitch has several stops, so the target's own stop is used
+  // when it matches; otherwise the easiest unlocked stop for the played note.
+  // -----------------------------
+  const midiHandlerRef = useRef(null);
+  midiHandlerRef.current = (event) => {
+    if (mode === 'fingering') {
+      setPassageText(prev => `${prev.trim()} ${event.note}`.trim());
+      return;
+    }
+
+    const answering = (mode === 'trainer' || mode === 'quiz') && targetNote;
+    const stop = (answering && event.midi === targetNote.midi)
+      ? targetNote
+      : findPlayableForMidi(event.midi, config.positions, config.strings, confusion, fingerFrame);
+
+    if (!stop) {
+      setStatusLine(`🎹 ${midiLabel(event.midi)} is outside the unlocked strings/positions.`);
+      return;
+    }
+
+    setSelectedString(stop.stringIdx);
+    setSelectedPosition(stop.position);
+    setSelectedFinger(stop.fingerId);
+
+    if (answering) checkAnswer(stop.stringIdx, stop.position, stop.fingerId);
+  };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return midiInput.onNote((event) => midiHandlerRef.current?.(event));
+  }, [enabled]);
+
+  // -----------------------------
+  // Passage fingering — the optimizer gets the whole neck in this file's
+  // position model, so every suggested stop has a place on the SVG.
+  // -----------------------------
+  const runFingering = useCallback(() => {
+    const result = optimizeFingering(passageText, {
+      strings: STRINGS,
+      positions: POSITION_1ST_FINGER_OFFSET,
+      reach: INSTRUMENT.fingerReach,
+      alternatives: 3
+    });
+    setFingering(result);
+    setFingeringRank(0);
+    setFingeringStep(-1);
+
+    const best = result.alternatives[0];
+    const unread = result.errors.length ? ` • Skipped: ${result.errors.join(', ')}` : '';
+    if (result.unplayable.length) {
+      const names = result.unplayable.map(i => midiLabel(result.notes[i]));
+      setStatusLine(`Below the G string: ${names.join(', ')}${unread}`);
+    } else if (!best) {
+      setStatusLine(`Enter a passage, e.g. ${FINGERING_SAMPLE}${unread}`);
+    } else {
+      setStatusLine(`Best fingering (cost ${best.cost}): ${best.reasons[0]}${unread}`);
+    }
+
+    safeCall(sessionTracker?.trackActivity, 'fingerboard', 'fingering_suggested', {
+      notes: result.notes.length,
+      alternatives: result.alternatives.length,
+      bestCost: best?.cost ?? null
+    });
+  }, [passageText]);
+
+  useEffect(() => {
+    if (passageSource) runFingering();
+  }, [passageSource]);
+
+  const stopFingeringPlayback = useCallback(() => {
+    fingeringTimersRef.current.forEach(id => clearTimeout(id));
+    fingeringTimersRef.current = [];
+    setFingeringStep(-1);
+  }, []);
+
+  useEffect(() => stopFingeringPlayback, [stopFingeringPlayback]);
+
+  const playFingering = useCallback(() => {
+    const alt = fingering?.alternatives?.[fingeringRank];
+    if (!alt) return;
+    stopFingeringPlayback();
+
+    const gap = 0.5;
+    const t0 = (audioEngine?.audioContext?.currentTime || 0) + 0.05;
+    alt.steps.forEach((step, i) => {
+      const freq = safeCall(MUSIC?.midiToFreq, step.midi) || 440 * Math.pow(2, (step.midi - 69) / 12);
+      safeCall(audioEngine?.playTone?.bind(audioEngine), freq, gap * 0.9, { when: t0 + i * gap });
+      fingeringTimersRef.current.push(setTimeout(() => setFingeringStep(i), i * gap * 1000));
+    });
+    fingeringTimersRef.current.push(setTimeout(() => setFingeringStep(-1), alt.steps.length * gap * 1000));
+  }, [fingering, fingeringRank, stopFingeringPlayback]);
+
   // -----------------------------
   // Keyboard / a11y bindings (unchanged behavior, plus 'h' to toggle frame)
   // -----------------------------
@@ -939,19 +1209,22 @@ export default function Fingerboard({ onBack, refreshStats }) {
 
     const handler = (e) => {
       const k = e.key;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) return;
 
       if (k === '1') return setSelectedFinger('1');
       if (k === '2') return setSelectedFinger('2');
-      if (k === '3') return setSelectedFinger('3');
+      if (k === '3' && fingerUsed('3')) return setSelectedFinger('3');
       if (k === '4') return setSelectedFinger('4');
       if (k === '5') return setSelectedFinger('1x');
+      if (k === '6') return setSelectedFinger('4x');
+      if (k === '0') return setSelectedFinger('1b');
 
       // NEW: 'h' toggles high2/low2 quickly
-      if (k === 'h' || k === 'H') {
+      if ((k === 'h' || k === 'H') && frameIds().length > 1) {
         const next = (fingerFrame === 'high2') ? 'low2' : 'high2';
         setFingerFrame(next);
         setConfig(prev => ({ ...prev, fingerFrame: next }));
-        setStatusLine(`Frame switched: ${next === 'high2' ? 'High 2' : 'Low 2'}`);
+        setStatusLine(`Frame switched: ${frameLabel(next)}`);
         safeCall(sessionTracker?.trackActivity, 'fingerboard', 'frame_toggle_key', { frameId: next });
         return;
       }
@@ -962,7 +1235,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
         return;
       }
 
-      const posList = POSITIONS.slice(0, clampInt(config.positions, 1, POSITIONS.length));
+      const posList = positionsFor(config.positions);
       if (k === 'ArrowRight' || k === 'ArrowUp') {
         e.preventDefault();
         setSelectedPosition(prev => {
@@ -1039,12 +1312,15 @@ export default function Fingerboard({ onBack, refreshStats }) {
   // SVG rendering
   // -----------------------------
   const GEO = useMemo(() => {
-    const W = 1200, H = 480;
-    const left = 170, right = 1030;
+    // Past ~4 positions the board grows wider instead of crowding the stops
+    const posCount = unlockedPositions.length || 1;
+    const MIN_POS_W = 200;
+    const W = Math.max(1200, 170 + posCount * MIN_POS_W + 170), H = 480;
+    const left = 170, right = W - 170;
     const top = 140, bottom = 340;
 
-    const posCount = unlockedPositions.length || 1;
     const posW = (right - left) / posCount;
+    const stopR = Math.max(9, Math.min(14, posW * 0.05));
 
     const stringY = (sIdx) => {
       const n = unlockedStrings.length || 1;
@@ -1054,34 +1330,35 @@ export default function Fingerboard({ onBack, refreshStats }) {
 
     const posX = (pIdx) => left + pIdx * posW;
 
-    const fingerOffsets = [0.20, 0.45, 0.70, 0.88, 0.96]; // 1,2,3,4,1x
-    const fingerX = (pIdx, fIdx) => posX(pIdx) + posW * (fingerOffsets[fIdx] ?? 0.2);
+    // slot: 0..1 across the position (FINGERS[].slot)
+    const fingerX = (pIdx, slot) => posX(pIdx) + posW * (slot ?? 0.2);
 
-    return { W, H, left, right, top, bottom, posW, stringY, posX, fingerX };
+    return { W, H, left, right, top, bottom, posW, stopR, stringY, posX, fingerX };
   }, [unlockedPositions, unlockedStrings]);
 
   const renderViolinBody = useCallback(() => {
+    const W = GEO.W;
     return h('g', { className: 'violin-body-v3' },
       h('path', {
-        d: 'M 80 80 Q 140 30 240 80 L 960 80 Q 1060 30 1100 80 L 1100 400 Q 1060 440 960 400 L 240 400 Q 140 440 80 400 Z',
+        d: `M 80 80 Q 140 30 240 80 L ${W - 240} 80 Q ${W - 140} 30 ${W - 100} 80 L ${W - 100} 400 Q ${W - 140} 440 ${W - 240} 400 L 240 400 Q 140 440 80 400 Z`,
         fill: 'var(--wood-dark, #8B4513)',
         stroke: '#654321',
         strokeWidth: 4,
         strokeLinejoin: 'round'
       }),
       h('rect', {
-        x: 110, y: 100, width: 980, height: 300,
+        x: 110, y: 100, width: W - 220, height: 300,
         rx: 20, fill: 'var(--wood-light, #A0522D)',
         stroke: '#654321', strokeWidth: 3
       })
     );
-  }, []);
+  }, [GEO]);
 
   // UPDATED: position markers can use aggregated mastery
   const renderPositionMarkers = useCallback(() => {
     return h('g', { className: 'pos-markers-v3' },
       unlockedPositions.map((pos, i) => {
-        const x = 280 + i * 160;
+        const x = GEO.posX(i) + 4;
 
         const agg = positionMasteryAgg?.[pos] || { accuracy: 0 };
         const acc = clamp01(agg.accuracy);
@@ -1091,11 +1368,11 @@ export default function Fingerboard({ onBack, refreshStats }) {
 
         return h('g', { key: `pos-${pos}` },
           h('rect', { x, y: 130, width: 12, height: 220, rx: 4, fill, className: `pos-marker ${acc >= 0.9 ? 'mastered' : ''}` }),
-          h('text', { x: x + 6, y: 380, fontSize: 22, fontWeight: 'bold', fill: '#fff', textAnchor: 'middle' }, String(pos))
+          h('text', { x: x + 6, y: 380, fontSize: 22, fontWeight: 'bold', fill: '#fff', textAnchor: 'middle' }, positionLabel(pos))
         );
       })
     );
-  }, [unlockedPositions, selectedPosition, positionMasteryAgg]);
+  }, [GEO, unlockedPositions, selectedPosition, positionMasteryAgg]);
 
   const renderString = useCallback((sIdx, active) => {
     const s = STRINGS[sIdx];
@@ -1121,11 +1398,17 @@ export default function Fingerboard({ onBack, refreshStats }) {
   }, [GEO]);
 
   // UPDATED: "correct stop highlight" only appears when revealAnswer is true AFTER a miss.
-  const renderFingerStop = useCallback((sIdx, pos, pIdx, finger, fIdx) => {
-    if (finger.extension && pos > 3) return null;
-
-    const x = GEO.fingerX(pIdx, fIdx);
-    const y = GEO.stringY(sIdx);
+  // Harmonics are diamonds: natural above the string (at the node), artificial
+  // below it (at the 4th finger touching a fourth above the 1st finger stop).
+  const renderFingerStop = useCallback((sIdx, pos, pIdx, finger) => {
+    if (!stopAvailable(finger, pos)) return null;
+
+    const slotOf = (id) => FINGERS.find(f => f.id === id)?.slot ?? 0.2;
+    const harmonic = finger.kind === 'natural' || finger.kind === 'artificial';
+    const x = GEO.fingerX(pIdx, finger.kind === 'natural'
+      ? slotOf(harmonicHome(finger).fingerId)
+      : finger.kind === 'artificial' ? slotOf('4') : finger.slot);
+    const y = GEO.stringY(sIdx) + (finger.kind === 'natural' ? -24 : finger.kind === 'artificial' ? 24 : 0);
 
     const info = getNoteInfo(sIdx, pos, finger.id);
 
@@ -1133,7 +1416,8 @@ export default function Fingerboard({ onBack, refreshStats }) {
     const isAnswered = !!(userAnswer && userAnswer.midi === info.midi);
 
     const missed = (lastResult?.correct === false);
-    const isTarget = !!(targetNote && targetNote.midi === info.midi);
+    const isTarget = !!(targetNote && targetNote.midi === info.midi
+      && (!targetNote.kind || targetNote.kind === 'stop' || targetNote.kind === info.kind));
 
     // NEW: Only highlight target if user missed AND pressed Show Answer.
     const showTargetHighlight = (missed && revealAnswer && (mode === 'trainer' || mode === 'quiz') && isTarget);
@@ -1149,7 +1433,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     if (showTargetHighlight) { fill = 'rgba(255,215,0,0.22)'; stroke = 'rgba(255,215,0,0.65)'; }
     if (isAnswered) { fill = 'rgba(76,175,80,0.33)'; stroke = '#4CAF50'; }
 
-    const r = isSelected ? 18 : 14;
+    const r = GEO.stopR + (isSelected ? 4 : 0) - (harmonic ? 3 : 0);
 
     const onPick = async () => {
       setSelectedString(sIdx);
@@ -1164,19 +1448,21 @@ export default function Fingerboard({ onBack, refreshStats }) {
         if (!targetNote) {
           setTargetNote({ ...info, drillType: 'single' });
           questionStartRef.current = nowMs();
-          setStatusLine(`Quiz target set: ${info.fullName} • Frame ${fingerFrame}`);
-          safeCall(a11y?.announce, `Quiz target set: ${info.fullName}`);
+          setStatusLine(`Quiz target set: ${describeNote(info)} • Frame ${fingerFrame}`);
+          safeCall(a11y?.announce, `Quiz target set: ${describeNote(info)}`);
         } else {
           await checkAnswer(sIdx, pos, finger.id);
         }
       }
     };
 
-    const aria = `${info.fullName} on ${STRINGS[sIdx].id} string, position ${pos}, finger ${finger.label}`;
+    const aria = `${describeNote(info)} on ${STRINGS[sIdx].id} string, position ${positionLabel(pos)}, finger ${finger.label}`;
 
     return h('g', { key: `stop-${sIdx}-${pos}-${finger.id}` },
-      h('circle', {
-        cx: x, cy: y, r,
+      h(harmonic ? 'polygon' : 'circle', {
+        ...(harmonic
+          ? { points: `${x},${y - r} ${x + r},${y} ${x},${y + r} ${x - r},${y}` }
+          : { cx: x, cy: y, r }),
         fill,
         stroke,
         strokeWidth: isSelected ? 3 : 2,
@@ -1192,7 +1478,10 @@ export default function Fingerboard({ onBack, refreshStats }) {
           }
         }
       }),
-      isSelected && h('text', { x, y: y - 20, fontSize: 14, fill: '#fff', textAnchor: 'middle' }, info.name)
+      isSelected && h('text', { x, y: y - r - 6, fontSize: 14, fill: '#fff', textAnchor: 'middle' },
+        harmonic ? `${info.name} ${finger.label}` : info.name,
+        info.writtenName && h('tspan', { fontSize: 11, opacity: 0.8 }, ` (w. ${info.writtenName.replace(/-?\d+$/, '')})`)
+      )
     );
   }, [
     GEO,
@@ -1218,24 +1507,72 @@ export default function Fingerboard({ onBack, refreshStats }) {
       ? 'Pair Drill Target'
       : 'Find';
 
-    const detail = `${noteInfo.fullName} • ${noteInfo.string}${noteInfo.position}${noteInfo.finger} • Frame ${fingerFrame}`;
+    const detail = `${describeNote(noteInfo)} • ${noteInfo.string}${positionLabel(noteInfo.position)}${noteInfo.finger} • Frame ${fingerFrame}`;
 
     return h('g', { className: 'target-display-v3' },
       h('rect', {
-        x: 290, y: 92, width: 620, height: 40, rx: 12,
+        x: GEO.W / 2 - 310, y: 92, width: 620, height: 40, rx: 12,
         fill: 'rgba(0,0,0,0.35)',
         stroke: 'rgba(255,255,255,0.25)',
         strokeWidth: 2
       }),
       h('text', {
-        x: 600, y: 118,
+        x: GEO.W / 2, y: 118,
         fontSize: 18,
         fill: '#fff',
         textAnchor: 'middle',
         fontWeight: 'bold'
       }, `${label}: ${detail}`)
     );
-  }, [fingerFrame]);
+  }, [GEO, fingerFrame]);
+
+  // Passage fingering: numbered stops joined in playing order; shifts dashed
+  const renderFingeringOverlay = useCallback(() => {
+    const alt = fingering?.alternatives?.[fingeringRank];
+    if (!alt) return null;
+
+    const pts = alt.steps.map((step) => {
+      const y = GEO.stringY(step.stringIdx);
+      if (step.open) return { x: GEO.left + 14, y };
+      const pIdx = Math.max(0, unlockedPositions.indexOf(step.position));
+      const id = step.extension ? (step.finger === 1 ? '1b' : '4x') : String(step.finger);
+      const x = GEO.fingerX(pIdx, FINGERS.find(f => f.id === id)?.slot);
+      return { x, y };
+    });
+
+    return h('g', { className: 'fingering-overlay-v3', 'aria-hidden': 'true' },
+      pts.slice(1).map((p, i) => {
+        const shifted = alt.steps[i + 1].shiftFrom != null;
+        return h('line', {
+          key: `fseg-${i}`,
+          x1: pts[i].x, y1: pts[i].y, x2: p.x, y2: p.y,
+          stroke: shifted ? '#FF9800' : 'rgba(255,255,255,0.6)',
+          strokeWidth: shifted ? 4 : 2,
+          strokeDasharray: shifted ? '10 6' : null
+        });
+      }),
+      alt.steps.map((step, i) => {
+        const { x, y } = pts[i];
+        const active = (i === fingeringStep);
+        // Repeated stops stack their order numbers instead of overprinting
+        const repeat = pts.slice(0, i).filter(q => q.x === x && q.y === y).length;
+        return h('g', { key: `fstep-${i}` },
+          h('circle', {
+            cx: x, cy: y, r: active ? 20 : 15,
+            fill: STRINGS[step.stringIdx]?.color || '#fff',
+            stroke: active ? '#FFD700' : step.extension ? '#FF5252' : '#fff',
+            strokeWidth: active ? 4 : 2
+          }),
+          h('text', { x, y: y + 6, fontSize: 16, fontWeight: 'bold', fill: '#000', textAnchor: 'middle' },
+            step.open ? '0' : String(step.finger)
+          ),
+          h('text', { x, y: y - 22 - repeat * 16, fontSize: 13, fill: '#fff', textAnchor: 'middle' },
+            `${i + 1}·${step.note}`
+          )
+        );
+      })
+    );
+  }, [fingering, fingeringRank, fingeringStep, GEO, unlockedPositions]);
 
   const fingerboardSVG = useMemo(() => {
     const currentStringId = STRINGS[selectedString]?.id || 'G';
@@ -1249,7 +1586,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     return h('svg', {
       width: '100%',
       height: 480,
-      viewBox: '0 0 1200 480',
+      viewBox: `0 0 ${GEO.W} ${GEO.H}`,
       className: 'fingerboard-svg-v3',
       role: 'application',
       'aria-label': aria
@@ -1258,25 +1595,29 @@ export default function Fingerboard({ onBack, refreshStats }) {
       renderPositionMarkers(),
 
       // Strings
-      STRINGS.slice(0, clampInt(config.strings, 1, 4)).map((s, sIdx) =>
+      unlockedStrings.map((s, sIdx) =>
         renderString(sIdx, selectedString === sIdx)
       ),
 
       // Stops
-      h('g', { className: 'stops-layer-v3' },
-        STRINGS.slice(0, clampInt(config.strings, 1, 4)).map((s, sIdx) =>
+      h('g', { className: 'stops-layer-v3', opacity: mode === 'fingering' ? 0.35 : 1 },
+        unlockedStrings.map((s, sIdx) =>
           unlockedPositions.map((pos, pIdx) =>
-            FINGERS.map((finger, fIdx) => renderFingerStop(sIdx, pos, pIdx, finger, fIdx))
+            ALL_STOPS.map((finger) => renderFingerStop(sIdx, pos, pIdx, finger))
           )
         )
       ),
 
       // Target display (trainer only)
-      (mode === 'trainer' && targetNote) ? renderTargetDisplay(targetNote) : null
+      (mode === 'trainer' && targetNote) ? renderTargetDisplay(targetNote) : null,
+
+      // Suggested fingering (fingering mode only)
+      mode === 'fingering' ? renderFingeringOverlay() : null
     );
   }, [
+    GEO,
     mode,
-    config.strings,
+    unlockedStrings,
     selectedString,
     selectedPosition,
     targetNote,
@@ -1286,7 +1627,8 @@ export default function Fingerboard({ onBack, refreshStats }) {
     renderPositionMarkers,
     renderString,
     renderFingerStop,
-    renderTargetDisplay
+    renderTargetDisplay,
+    renderFingeringOverlay
   ]);
 
   // -----------------------------
@@ -1302,6 +1644,8 @@ export default function Fingerboard({ onBack, refreshStats }) {
     setMode(id);
     safeCall(sessionTracker?.trackActivity, 'fingerboard', 'mode_change', { mode: id });
     if (id === 'trainer') nextQuestion();
+    if (id === 'fingering' && !fingering) runFingering();
+    if (id !== 'fingering') stopFingeringPlayback();
   };
 
   const playSelection = () => playNote(selectedString, selectedPosition, selectedFinger, { duration: 1.0, vibrato: 0 });
@@ -1310,7 +1654,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     const next = (frameId === 'low2') ? 'low2' : 'high2';
     setFingerFrame(next);
     setConfig(prev => ({ ...prev, fingerFrame: next }));
-    setStatusLine(`Frame: ${next === 'high2' ? 'High 2' : 'Low 2'}`);
+    setStatusLine(`Frame: ${frameLabel(next)}`);
     safeCall(sessionTracker?.trackActivity, 'fingerboard', 'frame_toggle_ui', { frameId: next });
   };
 
@@ -1335,7 +1679,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     // Header
     h('header', { className: 'module-header elevated' },
       h('button', { className: 'btn-back', onClick: onBack }, '← Back'),
-      h('h1', null, '🎻 Fingerboard v3.0.5+'),
+      h('h1', null, `${INSTRUMENT.icon} Fingerboard v3.0.5+`, instrumentId === 'violin' ? '' : ` · ${INSTRUMENT.name}`),
       h('div', { className: 'stats-live ml-enhanced', 'aria-live': 'polite' },
         h('div', { className: 'stat-card accuracy' },
           h('div', { className: 'stat-value' }, `${stats.correct}/${stats.total}`),
@@ -1360,6 +1704,12 @@ export default function Fingerboard({ onBack, refreshStats }) {
       statusLine || (mode === 'trainer' ? `Find: ${targetNote?.fullName || '—'}` : 'Ready.')
     ),
 
+    // Scordatura banner (Settings → Instrument)
+    INSTRUMENT.scordatura && h('p', { className: 'fb-scordatura text-muted', role: 'note' },
+      `🔧 Scordatura: ${INSTRUMENT.scordatura.name} (${tuning}). Stops sound the retuned pitch; `,
+      `(w.) marks the written note on retuned strings.`
+    ),
+
     // Controls
     h('section', { className: 'fingerboard-controls-v3' },
 
@@ -1374,8 +1724,9 @@ export default function Fingerboard({ onBack, refreshStats }) {
               '--glow': (positionMastery[masteryKey(string.id, selectedPosition)]?.accuracy || 0) >= 0.9 ? '#4CAF50' : ''
             },
             onClick: () => setSelectedString(i),
-            'aria-label': `${string.name} string`
-          }, string.id)
+            'aria-label': string.retuned ? `${string.id} string, tuned to ${string.name}` : `${string.name} string`,
+            title: string.retuned ? `Tuned to ${string.name}` : undefined
+          }, string.retuned ? `${string.id}→${string.name.replace(/-?\d+$/, '')}` : string.id)
         )
       ),
 
@@ -1389,34 +1740,49 @@ export default function Fingerboard({ onBack, refreshStats }) {
             key: pos,
             className: `toggle-btn pos-btn-v3 ${selectedPosition === pos ? 'active' : ''} ${mastered ? 'mastered' : ''}`,
             onClick: () => setSelectedPosition(pos)
-          }, String(pos));
+          }, positionLabel(pos));
         })
       ),
 
       // Fingers
       h('div', { className: 'toggle-group fingers-v3' },
-        FINGERS.map(f =>
+        FINGERS.filter(f => fingerUsed(f.id)).map(f =>
           h('button', {
             key: f.id,
             className: `toggle-btn finger-btn-v3 ${selectedFinger === f.id ? 'active' : ''}`,
             onClick: () => setSelectedFinger(f.id),
-            'aria-label': `Finger ${f.label}`
+            'aria-label': `Finger ${f.label}${f.extension ? ' (extension)' : ''}`
           }, f.label)
         )
       ),
 
-      // NEW: Frame toggle (Low 2 / High 2)
-      h('div', { className: 'toggle-group frames-v3' },
-        h('button', {
-          className: `toggle-btn frame-btn-v3 ${fingerFrame === 'high2' ? 'active' : ''}`,
-          onClick: () => setFrame('high2'),
-          'aria-label': 'High 2 frame'
-        }, 'High 2'),
-        h('button', {
-          className: `toggle-btn frame-btn-v3 ${fingerFrame === 'low2' ? 'active' : ''}`,
-          onClick: () => setFrame('low2'),
-          'aria-label': 'Low 2 frame'
-        }, 'Low 2')
+      // Harmonics (natural nodes + artificial 4th)
+      h('div', { className: 'toggle-group harmonics-v3' },
+        HARMONICS.map(hm =>
+          h('button', {
+            key: hm.id,
+            className: `toggle-btn finger-btn-v3 harmonic-btn-v3 ${selectedFinger === hm.id ? 'active' : ''}`,
+            onClick: () => {
+              setSelectedFinger(hm.id);
+              if (hm.kind === 'natural') setSelectedPosition(harmonicHome(hm).position);
+            },
+            'aria-label': hm.kind === 'natural'
+              ? `Natural harmonic at ${hm.label.replace('◇', '')} of the string`
+              : 'Artificial harmonic, 4th finger a fourth above 1st'
+          }, hm.label)
+        )
+      ),
+
+      // NEW: Frame toggle (Low 2 / High 2; Closed / Extended on cello)
+      frameIds().length > 1 && h('div', { className: 'toggle-group frames-v3' },
+        frameIds().map(frameId =>
+          h('button', {
+            key: frameId,
+            className: `toggle-btn frame-btn-v3 ${fingerFrame === frameId ? 'active' : ''}`,
+            onClick: () => setFrame(frameId),
+            'aria-label': `${frameLabel(frameId)} frame`
+          }, frameLabel(frameId))
+        )
       )
     ),
 
@@ -1425,7 +1791,8 @@ export default function Fingerboard({ onBack, refreshStats }) {
       [
         { id: 'explore', label: '🌍 Explore', color: 'var(--primary)' },
         { id: 'quiz', label: '🧠 Quiz', color: 'var(--secondary)' },
-        { id: 'trainer', label: '🎯 ML Trainer', color: 'var(--success)' }
+        { id: 'trainer', label: '🎯 ML Trainer', color: 'var(--success)' },
+        { id: 'fingering', label: '🖐 Fingering', color: 'var(--warning)' }
       ].map(({ id, label, color }) =>
         h('button', {
           key: id,
@@ -1440,11 +1807,87 @@ export default function Fingerboard({ onBack, refreshStats }) {
     h('section', { className: 'fingerboard-section-v3', 'aria-live': mode === 'trainer' ? 'assertive' : 'polite' },
       fingerboardSVG,
 
+      // Passage fingering panel
+      mode === 'fingering' && h('div', { className: 'fingering-panel-v3' },
+        h('form', {
+          className: 'fingering-input-row',
+          onSubmit: (e) => { e.preventDefault(); runFingering(); }
+        },
+          h('label', { htmlFor: 'fb-passage' }, 'Passage'),
+          passages.length > 0 && h('select', {
+            className: 'input',
+            value: passageSource,
+            onChange: (e) => {
+              const entry = passages.find(p => p.id === e.target.value);
+              stopFingeringPlayback();
+              setPassageSource(entry?.id || '');
+              if (entry) setPassageText(entry.fingering.text);
+            },
+            'aria-label': 'Load an imported passage',
+            style: { width: 'auto' }
+          },
+            h('option', { value: '' }, 'Imported…'),
+            passages.map(p => h('option', { key: p.id, value: p.id }, `🎼 ${p.title}`))
+          ),
+          h('input', {
+            id: 'fb-passage',
+            type: 'text',
+            value: passageText,
+            placeholder: FINGERING_SAMPLE,
+            spellCheck: false,
+            onChange: (e) => { setPassageText(e.target.value); setPassageSource(''); },
+            'aria-describedby': 'fb-passage-hint'
+          }),
+          h('button', { type: 'submit', className: 'btn btn-primary' }, '🖐 Suggest'),
+          h('button', {
+            type: 'button',
+            className: 'btn btn-secondary',
+            onClick: () => { setPassageText(''); setPassageSource(''); setFingering(null); stopFingeringPlayback(); }
+          }, 'Clear')
+        ),
+        h('small', { id: 'fb-passage-hint', className: 'text-muted' },
+          'Note names or MIDI numbers, e.g. G4 A4 Bb4 C5 — a MIDI keyboard appends notes as you play.'
+        ),
+
+        fingering?.alternatives?.length > 0 && h('ol', { className: 'fingering-alternatives' },
+          fingering.alternatives.map((alt, i) =>
+            h('li', { key: `alt-${alt.rank}`, className: `fingering-alt ${i === fingeringRank ? 'active' : ''}` },
+              h('button', {
+                type: 'button',
+                className: `toggle-btn ${i === fingeringRank ? 'active' : ''}`,
+                'aria-pressed': i === fingeringRank,
+                onClick: () => { stopFingeringPlayback(); setFingeringRank(i); }
+              },
+                h('strong', null, i === 0 ? 'Best' : `#${alt.rank}`),
+                ` • cost ${alt.cost}`,
+                i > 0 ? ` (+${alt.deltaFromBest})` : ''
+              ),
+              h('div', { className: 'fingering-steps' },
+                alt.steps.map(s => s.open ? `${s.note} ${s.string}0` : `${s.note} ${s.string}${positionLabel(s.position)}/${s.finger}${s.extension ? 'x' : ''}`).join(' · ')
+              ),
+              h('ul', { className: 'fingering-reasons' },
+                alt.reasons.map((r, j) => h('li', { key: j }, r))
+              ),
+              h('small', { className: 'text-muted' },
+                Object.entries(alt.breakdown).map(([k, v]) => `${k} ${v}`).join(' • ') || 'no penalties'
+              )
+            )
+          )
+        )
+      ),
+
       // Actions
       h('div', { className: 'fingerboard-actions-v3' },
 
+        // Fingering play-through
+        mode === 'fingering' && h('button', {
+          className: 'btn-play-large-v3',
+          onClick: playFingering,
+          disabled: !fingering?.alternatives?.length
+        }, fingeringStep >= 0 ? `🔊 ${fingeringStep + 1}/${fingering.alternatives[fingeringRank]?.steps.length}` : '🔊 Play Passage'),
+
         // Explore/Quiz play
-        mode !== 'trainer' && h('button', {
+        (mode === 'explore' || mode === 'quiz') && h('button', {
           className: `btn-play-large-v3 ${isPlaying ? 'playing' : ''}`,
           onClick: playSelection,
           disabled: isPlaying
@@ -1457,13 +1900,13 @@ export default function Fingerboard({ onBack, refreshStats }) {
         }, '🎯 Next Challenge'),
 
         // NEW: Show Answer button (only after a miss)
-        (mode !== 'explore' && lastResult?.correct === false && !revealAnswer) && h('button', {
+        ((mode === 'trainer' || mode === 'quiz') && lastResult?.correct === false && !revealAnswer) && h('button', {
           className: 'btn-show-answer-v3',
           onClick: onShowAnswer
         }, '👁 Show Answer'),
 
         // Optional: hide again
-        (mode !== 'explore' && lastResult?.correct === false && revealAnswer) && h('button', {
+        ((mode === 'trainer' || mode === 'quiz') && lastResult?.correct === false && revealAnswer) && h('button', {
           className: 'btn-hide-answer-v3',
           onClick: () => setRevealAnswer(false)
         }, '🙈 Hide Highlight')
@@ -1483,7 +1926,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
             const pct = clamp01(m.accuracy) * 100;
 
             return h('div', { key: `str-${stringId}-pos-${pos}`, className: `mastery-item ${pct >= 90 ? 'mastered' : 'needs-work'}` },
-              h('strong', null, `Pos ${pos}`),
+              h('strong', null, `Pos ${positionLabel(pos)}`),
               h('div', { className: 'progress-bar' },
                 h('div', { className: 'progress-fill', style: { width: `${pct.toFixed(0)}%` } })
               ),
@@ -1501,7 +1944,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
             const attempts = Number(m.attempts) || 0;
 
             return h('div', { key: `agg-pos-${pos}`, className: `mastery-item ${pct >= 90 ? 'mastered' : 'needs-work'}` },
-              h('strong', null, `Pos ${pos}`),
+              h('strong', null, `Pos ${positionLabel(pos)}`),
               h('div', { className: 'progress-bar' },
                 h('div', { className: 'progress-fill', style: { width: `${pct.toFixed(0)}%` } })
               ),
@@ -1515,6 +1958,7 @@ export default function Fingerboard({ onBack, refreshStats }) {
     // Keyboard hints (updated)
     h('div', { className: 'keyboard-hints-v3' },
       h('div', null, h('kbd', null, '1-5'), ' Fingers (5 = 1×)'),
+      h('div', null, h('kbd', null, '0/6'), ' Backward / forward extension'),
       h('div', null, h('kbd', null, 'TAB'), ' Next string'),
       h('div', null, h('kbd', null, '←/→'), ' Change position'),
       h('div', null, h('kbd', null, 'SPACE'), mode === 'trainer' ? 'Replay/Next' : 'Play'),
@@ -1,32 +1,73 @@
 // js/components/Flashcards.js
 // ======================================
 // FLASHCARDS v3.0 - ML-Adaptive Note Reading
-// SM-2 Enhanced • Confusion Detection • Position Mastery
+// SM-2 Enhanced • Confusion Detection • Position Mastery • MIDI answers
+// Reading ranges + clefs follow the instrument profile (Settings → Instrument)
 // ======================================
 
 const { createElement: h, useState, useEffect, useCallback, useRef } = React;
 
 import { 
   NATURAL_NOTES, SHARPS, FLATS, XP_VALUES, POSITIONS, 
-  LEGER_LINES 
+  LEGER_LINES
 } from '../config/constants.js';
-import { 
-  updateItem, getDueItems, getMasteryLevel, getConfusionPairs 
-} from '../engines/spacedRepetition.js';
+import { updateItem, getDueItems } from '../engines/spacedRepetition.js';
 import { addXP, recordAnswer, getUserLevel } from '../engines/gamification.js';
-import { analyzePerformance, getAdaptiveConfig } from '../engines/analytics.js';
-import { keyboard, a11y } from '../utils/keyboard.js';
+import { getAdaptiveConfig } from '../engines/difficultyAdapter.js';
+import { trackConfusion, getConfusionData } from '../config/storage.js';
+import { keyboard } from '../utils/keyboard.js';
+import { a11y } from '../utils/accessibility.js';
 import { sessionTracker } from '../engines/sessionTracker.js';
 import { audioEngine } from '../engines/audioEngine.js';
 import { FEATURES } from '../config/version.js';
+import { midiInput, midiMatchesName, midiToName } from '../engines/midiInput.js';
+import {
+  getInstrument, positionRange, naturalNotesBetween, clefForNote,
+  writtenMidi, soundingMidi
+} from '../engines/instrumentProfile.js';
+import { MUSIC } from '../utils/helpers.js';
+import StaffNotation from './StaffNotation.js';
+
+// Reading ranges for the profile's flashcard positions, in written pitch
+// (violin 1st/3rd/5th, cello 1st/4th/7th; the double bass reads an octave up).
+function flashcardPositions(profile = getInstrument()) {
+  return profile.flashcardPositions.map((pos, i) => {
+    const { low, high } = positionRange(pos, profile);
+    return {
+      name: `${ordinal(pos)} Position`,
+      low: MUSIC.midiToNote(writtenMidi(low, profile)),
+      high: MUSIC.midiToNote(writtenMidi(high, profile)),
+      strings: profile.strings.length,
+      difficulty: i + 1
+    };
+  });
+}
 
-const FLASHCARD_POSITIONS = [
-  { name: '1st Position', low: 'G3', high: 'E5', strings: 4, difficulty: 1 },
-  { name: '3rd Position', low: 'B3', high: 'G5', strings: 4, difficulty: 2 },
-  { name: '5th Position', low: 'D4', high: 'A5', strings: 4, difficulty: 3 }
-];
+function ordinal(n) {
+  return `${n}${['th', 'st', 'nd', 'rd'][n] || 'th'}`;
+}
+
+// Notes answered wrongly at least twice, placed in the position whose range holds them.
+function confusedCards(positions, profile, minMisses = 2) {
+  return Object.entries(getConfusionData('flashcards'))
+    .map(([note, guesses]) => ({
+      note,
+      misses: Object.values(guesses || {}).reduce((sum, n) => sum + (Number(n) || 0), 0)
+    }))
+    .filter(c => c.misses >= minMisses)
+    .sort((a, b) => b.misses - a.misses)
+    .map(c => {
+      const midi = noteToMidi(c.note);
+      const pos = positions.find(p => midi >= noteToMidi(p.low) && midi <= noteToMidi(p.high));
+      return pos ? { note: c.note, position: pos.name, midi: soundingMidi(midi, profile) } : null;
+    })
+    .filter(Boolean)
+    .slice(0, 10);
+}
 
 export default function Flashcards({ onBack, showToast, refreshStats }) {
+  const [instrument] = useState(() => getInstrument());
+  const [FLASHCARD_POSITIONS] = useState(() => flashcardPositions(instrument));
   const [config, setConfig] = useState({ level: 1, notesPerSession: 8 });
   const [deck, setDeck] = useState([]);
   const [currentCard, setCurrentCard] = useState(null);
@@ -43,9 +84,9 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
   // 🎯 ML-Adaptive Deck Generation
   const generateMLDeck = useCallback(async () => {
     const userLevel = await getUserLevel();
-    const adaptiveConfig = await getAdaptiveConfig('flashcards');
+    const adaptiveConfig = { level: userLevel || 1, notesPerSession: 8, ...(await getAdaptiveConfig()) };
     const dueItems = await getDueItems('flashcards', 20);
-    const confusionItems = await getConfusionPairs('flashcards');
+    const confusionItems = confusedCards(FLASHCARD_POSITIONS, instrument);
     
     // Weighted pool: 40% due, 30% confusion, 30% new
     const pool = [
@@ -73,8 +114,10 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
   }, []);
 
   function generatePositionNotes(position, count) {
-    const notes = generateNotesInRange(position.low, position.high);
-    return notes.slice(0, count).map(note => ({ note, midi: noteToMidi(note) }));
+    const notes = generateNotesInRange(position.low, position.high)
+      .sort(() => Math.random() - 0.5);
+    // note = written name (what the staff shows); midi = sounding pitch for playback
+    return notes.slice(0, count).map(note => ({ note, midi: soundingMidi(noteToMidi(note), instrument) }));
   }
 
   // 🎯 Weighted Random Selection (ML)
@@ -120,16 +163,19 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
     });
   }, [deck]);
 
-  const checkAnswer = useCallback(async (e) => {
-    e?.preventDefault();
-    if (!userAnswer.trim() || !currentCard) return;
+  // `answerOverride` lets MIDI input answer without going through the text field
+  const checkAnswer = useCallback(async (e, answerOverride = null) => {
+    e?.preventDefault?.();
+    const answer = String(answerOverride ?? userAnswer).trim();
+    if (!answer || !currentCard) return;
     
-    const normalizedAnswer = normalizeNote(userAnswer.trim());
+    const normalizedAnswer = normalizeNote(answer);
     const isCorrect = normalizedAnswer === normalizeNote(currentCard.note);
     const responseTime = Date.now() - startTime;
     
     // 🎯 ML Confusion Detection
     const confusionScore = confusionPairs.includes(currentCard.note) ? 1.2 : 1.0;
+    if (!isCorrect) trackConfusion('flashcards', currentCard.note, normalizedAnswer);
     
     setShowAnswer(true);
     
@@ -175,6 +221,17 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
     refreshStats?.();
   }, [currentCard, userAnswer, startTime, quality, stats, confusionPairs, refreshStats]);
 
+  // 🎹 MIDI: the played key answers the card (enharmonics count, octave must match)
+  const midiHandlerRef = useRef(null);
+  midiHandlerRef.current = (event) => {
+    if (!currentCard || showAnswer) return;
+    const answer = midiMatchesName(event.midi, currentCard.note) ? currentCard.note : midiToName(event.midi);
+    setUserAnswer(answer);
+    checkAnswer(null, answer);
+  };
+
+  useEffect(() => midiInput.onNote((event) => midiHandlerRef.current?.(event)), []);
+
   const setQualityRating = useCallback(async (q) => {
     setQuality(q);
     
@@ -240,6 +297,9 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
     ? Math.round((positionMastery.correct / positionMastery.attempts) * 100) 
     : 0;
 
+  const cardClef = currentCard?.note ? clefForNote(currentCard.note, instrument) : instrument.clefs[0];
+  const isConfusion = !!currentCard?.note && confusionPairs.includes(currentCard.note);
+
   return h('div', { className: 'module-container flashcards', role: 'main', 'aria-label': 'Note reading flashcards' },
     // Header with live stats
     h('header', { className: 'module-header' },
@@ -255,69 +315,20 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
     // 🎯 ML Staff Display
     h('section', { className: 'flashcard-section', 'aria-live': 'assertive', role: 'img', 'aria-label': `Note flashcard in ${currentCard?.position || 'unknown'}` },
       h('div', { className: 'staff-container' },
-        h('svg', {
-          width: '100%', 
-          height: 280, 
-          viewBox: '0 0 420 280',
-          className: `staff-svg ${currentCard?.note && confusionPairs.includes(currentCard.note) ? 'confusion-highlight' : ''}`,
-          role: 'img',
-          'aria-label': `Note: ${currentCard?.note || 'loading'} in ${currentCard?.position || 'unknown'}`
-        },
-          // Dynamic ledger lines
-          renderLedgerLines(currentCard?.note),
-          
-          // Staff lines (treble clef)
-          [0,1,2,3,4].map(i =>
-            h('line', {
-              key: `staff-${i}`,
-              x1: 50, y1: 100 + i * 16, x2: 370, y2: 100 + i * 16,
-              stroke: 'var(--ink)', strokeWidth: 2.5
-            })
-          ),
-          
-          // Treble clef
-          h('text', {
-            x: 70, y: 155, fontSize: 52, fill: 'var(--ink)',
-            fontFamily: 'serif', fontWeight: 'bold'
-          }, '𝄞'),
-          
-          // 🎯 Note head with confusion glow
-          currentCard && h('g', null,
-            h('circle', {
-              cx: 220, 
-              cy: noteToLedgerY(currentCard.note),
-              r: 14, 
-              fill: confusionPairs.includes(currentCard.note) 
-                ? 'var(--warning)' 
-                : 'var(--primary)',
-              stroke: 'var(--ink)', 
-              strokeWidth: 2,
-              className: 'note-head'
-            }),
-            
-            // Note stem
-            h('line', {
-              x1: 220, 
-              y1: noteToLedgerY(currentCard.note) - 10,
-              x2: 220, 
-              y2: noteToLedgerY(currentCard.note) - 60,
-              stroke: 'var(--ink)', 
-              strokeWidth: 3, 
-              strokeLinecap: 'round'
-            }),
-            
-            // 🎯 Confusion indicator
-            confusionPairs.includes(currentCard.note) && h('circle', {
-              cx: 220, cy: noteToLedgerY(currentCard.note),
-              r: 18,
-              fill: 'none',
-              stroke: 'var(--warning)',
-              strokeWidth: 3,
-              strokeDasharray: '6,6',
-              opacity: 0.7
-            })
-          )
-        )
+        h(StaffNotation, {
+          clef: cardClef,
+          notes: currentCard?.note ? [{
+            note: currentCard.note,
+            duration: 'quarter',
+            color: isConfusion ? 'var(--warning)' : 'var(--primary)',
+            halo: isConfusion,
+            className: 'note-head'
+          }] : [],
+          minWidth: 160,
+          scale: 2.2,
+          className: `staff-svg ${isConfusion ? 'confusion-highlight' : ''}`,
+          ariaLabel: `Note: ${currentCard?.note || 'loading'} in ${currentCard?.position || 'unknown'}`
+        })
       ),
 
       // Position badge with mastery
@@ -445,39 +456,9 @@ export default function Flashcards({ onBack, showToast, refreshStats }) {
   );
 }
 
-// 🎯 Music Notation Helpers
-function noteToLedgerY(note) {
-  const noteMap = {
-    'G3': 140, 'A3': 130, 'B3': 120, 'C4': 110, 'D4': 100, 'E4': 90,
-    'F4': 80, 'G4': 70, 'A4': 60, 'B4': 50, 'C5': 40, 'D5': 30, 'E5': 20
-  };
-  return noteMap[note] || 100;
-}
-
-function renderLedgerLines(note) {
-  const ledgerYs = [];
-  const y = noteToLedgerY(note);
-  
-  if (y > 120) ledgerYs.push(y - 10);      // Below staff
-  if (y < 30) ledgerYs.push(y + 10);       // Above staff
-  
-  return ledgerYs.map((ly, i) =>
-    h('line', {
-      key: `ledger-${i}`,
-      x1: 180, y1: ly, x2: 260, y2: ly,
-      stroke: 'var(--ink-light)', strokeWidth: 2,
-      strokeLinecap: 'round'
-    })
-  );
-}
-
 function noteToMidi(note) {
-  const noteMap = {
-    'C4': 60, 'C#4': 61, 'D4': 62, 'D#4': 63, 'E4': 64, 'F4': 65,
-    'F#4': 66, 'G4': 67, 'G#4': 68, 'A4': 69, 'A#4': 70, 'B4': 71,
-    'C5': 72, 'C#5': 73, 'D5': 74, 'D#5': 75, 'E5': 76
-  };
-  return noteMap[note] || 60;
+  const midi = MUSIC.noteToMidi(note);
+  return Number.isFinite(midi) ? midi : 60;
 }
 
 const QUALITY_LABELS = ['Forgot', 'Hard', 'Good', 'Easy', 'Perfect'];
@@ -487,7 +468,5 @@ function normalizeNote(note) {
 }
 
 function generateNotesInRange(low, high) {
-  const notes = [];
-  // Implementation for note generation within range
-  return notes;
+  return naturalNotesBetween(noteToMidi(low), noteToMidi(high));
 }
@@ -2,6 +2,9 @@
 // ======================================
 // INTERVALS v3.0 (Drop-in, Hardened)
 // ML-Adaptive + Weighted Pool + Confusion Detection + Live Mastery
+// Perform mode: student plays the interval, mic pitch detection scores note + cents
+// MIDI input: play the upper note (perform) or both notes (listening modes)
+// Passage source: drill the melodic intervals of an imported MusicXML passage
 // 8-engine integration (best-effort, safe fallbacks)
 // ======================================
 
@@ -17,6 +20,11 @@ import * as SessionMod from '../engines/sessionTracker.js';
 import * as AnalyticsMod from '../engines/analytics.js';
 import * as DifficultyMod from '../engines/difficultyAdapter.js';
 import * as StorageMod from '../config/storage.js';
+import * as PitchMod from '../engines/pitchTracker.js';
+import * as ExportMod from '../engines/audioExport.js';
+import * as MidiExportMod from '../engines/midiExport.js';
+import * as MidiMod from '../engines/midiInput.js';
+import * as RepertoireMod from '../engines/repertoire.js';
 
 // -------------------------
 // SAFE CONSTANTS + HELPERS
@@ -49,6 +57,11 @@ const CONFIG = {
   VIOLIN_RANGE_LOW: 55,  // G3
   VIOLIN_RANGE_HIGH: 88, // E5
   OPTION_COUNT_DEFAULT: 6,
+  PERFORM_CENTS_PERFECT: 10,    // |cents| for full SM-2 credit
+  PERFORM_CENTS_TOLERANCE: 25,  // beyond this a right note still counts as out of tune
+  PERFORM_STABLE_FRAMES: 6,     // ~300ms held before a note is scored
+  PERFORM_REFERENCE_SEC: 1.2,
+  LISTENING_SET_SIZE: 10,       // intervals per downloadable listening set
   ...APP_CONFIG,
 };
 
@@ -88,6 +101,11 @@ const mean = HelpersMod.mean || (HelpersMod.default && HelpersMod.default.mean)
 
 // Engines (safe)
 const audioEngineImported = AudioMod.audioEngine || (AudioMod.default && AudioMod.default.audioEngine) || AudioMod.default || null;
+const renderIntervalSetWav = ExportMod.renderIntervalSetWav || (ExportMod.default && ExportMod.default.renderIntervalSetWav) || null;
+const downloadBlob = ExportMod.downloadBlob || (ExportMod.default && ExportMod.default.downloadBlob) || null;
+const wavFilename = ExportMod.wavFilename || (ExportMod.default && ExportMod.default.wavFilename) || ((...p) => `vmq-${p.join('-')}.wav`);
+const intervalSetToMidi = MidiExportMod.intervalSetToMidi || (MidiExportMod.default && MidiExportMod.default.intervalSetToMidi) || null;
+const downloadMidi = MidiExportMod.downloadMidi || (MidiExportMod.default && MidiExportMod.default.downloadMidi) || null;
 
 const recordAnswer = GameMod.recordAnswer || (GameMod.default && GameMod.default.recordAnswer) || (() => {});
 const addXP = GameMod.addXP || (GameMod.default && GameMod.default.addXP) || (() => {});
@@ -99,6 +117,13 @@ const ITEM_TYPES = SRSMod.ITEM_TYPES || (SRSMod.default && SRSMod.default.ITEM_T
 
 const sessionTracker = SessionMod.sessionTracker || (SessionMod.default && SessionMod.default.sessionTracker) || { trackActivity: () => {} };
 
+const pitchTracker = PitchMod.pitchTracker || PitchMod.default || null;
+
+const midiInput = MidiMod.midiInput || MidiMod.default || null;
+const createIntervalCollector = MidiMod.createIntervalCollector || null;
+
+const getRepertoireEntries = RepertoireMod.getRepertoireEntries || (RepertoireMod.default && RepertoireMod.default.getRepertoireEntries) || (() => []);
+
 const analyzePerformance = AnalyticsMod.analyzePerformance || (AnalyticsMod.default && AnalyticsMod.default.analyzePerformance) || null;
 
 const getAdaptiveConfig =
@@ -207,6 +232,42 @@ function basePoolForLevel(level) {
   return pools[L] || pools[1] || INTERVALS;
 }
 
+// Random lower note that keeps the upper note inside the violin range
+function pickBaseMidi(interval) {
+  const minBase = CONFIG.VIOLIN_RANGE_LOW;
+  const maxBase = CONFIG.VIOLIN_RANGE_HIGH - (interval?.semitones || 0);
+  const safeMax = Math.max(minBase, maxBase);
+  const base = minBase + (((Math.random() * (safeMax - minBase + 1)) | 0));
+  return clamp(base, minBase, safeMax);
+}
+
+// Weighted pick from the adaptive pool
+// One downloadable set (WAV or MIDI): random picks from the weighted pool
+function buildListeningItems(pool) {
+  return Array.from({ length: CONFIG.LISTENING_SET_SIZE }, () => {
+    const iv = pickWeighted(pool);
+    const base = pickBaseMidi(iv);
+    const top = base + (iv.semitones || 0);
+    return {
+      midi1: base,
+      midi2: top,
+      f1: midiToFreq(base),
+      f2: midiToFreq(top),
+      label: `${iv.name || iv.id} (from ${midiToNote(base)})`
+    };
+  });
+}
+
+function pickWeighted(pool) {
+  const totalW = pool.reduce((s, i) => s + (i.weight || 1), 0) || 1;
+  let r = Math.random() * totalW;
+  for (const iv of pool) {
+    r -= (iv.weight || 1);
+    if (r <= 0) return iv;
+  }
+  return pool[0];
+}
+
 // -------------------------
 // COMPONENT
 // -------------------------
@@ -233,7 +294,7 @@ export default function Intervals(props) {
     else console.log(msg);
   }, [showToast]);
 
-  const [mode, setMode] = useState('visual'); // visual | melodic | harmonic | mixed
+  const [mode, setMode] = useState('visual'); // visual | melodic | harmonic | mixed | perform
   const [adaptiveConfig, setAdaptiveConfig] = useState({
     level: 1,
     difficulty: 'easy',
@@ -269,6 +330,25 @@ export default function Intervals(props) {
   const performanceLogRef = useRef([]);
   const autoAdvanceTimerRef = useRef(null);
 
+  // Perform mode (mic)
+  const [listening, setListening] = useState(false);
+  const [liveReading, setLiveReading] = useState(null);
+  const [performResult, setPerformResult] = useState(null);
+  const ignoreMicUntilRef = useRef(0);   // don't score our own reference tone
+  const performHandlerRef = useRef(null);
+
+  // MIDI input
+  const [midiReady, setMidiReady] = useState(() => !!(midiInput?.isConnected?.() && midiInput.getSettings().enabled));
+  const midiHandlerRef = useRef(null);
+  const midiCollectorRef = useRef(createIntervalCollector ? createIntervalCollector() : null);
+
+  const [exporting, setExporting] = useState(false);   // listening-set WAV render
+
+  // Imported passages (repertoire engine) with an interval drill
+  const [passages] = useState(() => getRepertoireEntries().filter(e => e.intervalDrill?.items?.length));
+  const [passageId, setPassageId] = useState('');
+  const passage = useMemo(() => passages.find(p => p.id === passageId) || null, [passages, passageId]);
+
   // -------------------------
   // Derived display values
   // -------------------------
@@ -278,8 +358,9 @@ export default function Intervals(props) {
 
   const isCorrect = useMemo(() => {
     if (!showAnswerState || !currentInterval) return null;
+    if (performResult) return performResult.correct;
     return userAnswer === currentInterval.id;
-  }, [showAnswerState, currentInterval, userAnswer]);
+  }, [showAnswerState, currentInterval, userAnswer, performResult]);
 
   const sessionAcc = useMemo(() => accuracyPct(stats.correct, stats.total), [stats.correct, stats.total]);
   const sessionGrade = useMemo(() => {
@@ -435,33 +516,30 @@ export default function Intervals(props) {
     const pool = adaptiveConfig.intervalPool || [];
     if (!pool.length) return;
 
-    // weighted selection
-    const totalW = pool.reduce((s, i) => s + (i.weight || 1), 0) || 1;
-    let r = Math.random() * totalW;
-    let picked = pool[0];
-
-    for (const iv of pool) {
-      r -= (iv.weight || 1);
-      if (r <= 0) { picked = iv; break; }
-    }
+    // Passage source: a real melodic step from the piece, lower note as the base
+    const items = passage?.intervalDrill?.items || [];
+    const item = items.length ? items[(Math.random() * items.length) | 0] : null;
+    const fromPassage = item && INTERVALS.find(i => i.id === item.intervalId);
 
-    // choose base midi so top stays in range
-    const minBase = CONFIG.VIOLIN_RANGE_LOW;
-    const maxBase = CONFIG.VIOLIN_RANGE_HIGH - (picked.semitones || 0);
-    const safeMax = Math.max(minBase, maxBase);
-    const base = minBase + (((Math.random() * (safeMax - minBase + 1)) | 0));
-    const baseClamped = clamp(base, minBase, safeMax);
+    const picked = fromPassage
+      ? (pool.find(i => i.id === fromPassage.id) || { ...fromPassage, weight: 1 })
+      : pickWeighted(pool);
+    const baseClamped = fromPassage ? Math.min(item.from, item.to) : pickBaseMidi(picked);
 
     setCurrentInterval(picked);
     setBaseMidi(baseClamped);
 
-    setOptions(generateOptions(picked, pool, adaptiveConfig.optionCount));
+    const choices = fromPassage
+      ? [...pool, ...INTERVALS.filter(i => passage.intervalDrill.counts[i.id] && !pool.some(p => p.id === i.id))]
+      : pool;
+    setOptions(generateOptions(picked, choices, adaptiveConfig.optionCount));
 
     setUserAnswer('');
     setShowAnswerState(false);
     setPlayCount(0);
     playCountRef.current = 0;
     setUsedHint(false);
+    setPerformResult(null);
     setResponseStart(Date.now());
 
     sessionTracker.trackActivity?.('intervals', 'question_shown', {
@@ -469,13 +547,14 @@ export default function Intervals(props) {
       level: adaptiveConfig.level,
       mode,
       weight: picked.weight,
+      passage: fromPassage ? passage.id : null,
     });
 
-    // auto-play for audio modes (melodic/harmonic/mixed)
+    // auto-play for audio modes (melodic/harmonic/mixed) + reference note in perform mode
     if (mode !== 'visual') {
       setTimeout(() => { playInterval(); }, 250);
     }
-  }, [adaptiveConfig.intervalPool, adaptiveConfig.level, adaptiveConfig.optionCount, mode, clearAutoAdvance, generateOptions]);
+  }, [adaptiveConfig.intervalPool, adaptiveConfig.level, adaptiveConfig.optionCount, mode, passage, clearAutoAdvance, generateOptions]);
 
   // -------------------------
   // Audio playback
@@ -497,7 +576,12 @@ export default function Intervals(props) {
     const f2 = midiToFreq(baseMidi + (currentInterval.semitones || 0));
 
     try {
-      if (mode === 'harmonic') {
+      if (mode === 'perform' && !showAnswerState) {
+        // Reference only — the student supplies the upper note
+        const dur = CONFIG.PERFORM_REFERENCE_SEC;
+        ignoreMicUntilRef.current = Date.now() + dur * 1000 + 250;
+        await engine.playTone?.(f1, dur, { volume: 0.25, vibrato: true });
+      } else if (mode === 'harmonic') {
         await engine.playInterval(f1, f2, true, 2.0);
       } else if (mode === 'melodic' || mode === 'mixed') {
         await engine.playInterval(f1, f2, false, 1.5, 'ascending');
@@ -515,7 +599,69 @@ export default function Intervals(props) {
       console.error('[Intervals] playInterval failed:', e);
       toast('Audio playback failed', 'error');
     }
-  }, [engine, currentInterval, baseMidi, mode, toast]);
+  }, [engine, currentInterval, baseMidi, mode, showAnswerState, toast]);
+
+  // -------------------------
+  // Listening set export (WAV + answer key) from the current adaptive pool
+  // -------------------------
+  const exportListeningSet = useCallback(async () => {
+    const pool = adaptiveConfig.intervalPool || [];
+    if (exporting || !pool.length) return;
+    if (!renderIntervalSetWav || !downloadBlob) {
+      toast('Audio export is not supported in this browser', 'error');
+      return;
+    }
+
+    const harmonic = mode === 'harmonic';
+    const items = buildListeningItems(pool);
+
+    setExporting(true);
+    try {
+      const { blob, answerKey } = await renderIntervalSetWav(items, { harmonic, noteSec: harmonic ? 2.0 : 1.5 });
+      const name = wavFilename('intervals', harmonic ? 'harmonic' : 'melodic', `level${adaptiveConfig.level}`);
+      downloadBlob(blob, name);
+      downloadBlob(new Blob([`VMQ interval listening set — answer key\n\n${answerKey}\n`], { type: 'text/plain' }),
+        name.replace(/\.wav$/, '-answers.txt'));
+      sessionTracker.trackActivity?.('intervals', 'export_listening_set', {
+        count: items.length, harmonic, level: adaptiveConfig.level,
+      });
+      toast('Listening set downloaded (WAV + answer key)', 'success');
+    } catch (e) {
+      console.warn('[Intervals] listening set export failed:', e);
+      toast('Export failed', 'error');
+    } finally {
+      setExporting(false);
+    }
+  }, [adaptiveConfig.intervalPool, adaptiveConfig.level, mode, exporting, toast]);
+
+  // Same kind of set as a MIDI file; labels travel as markers, so the answer
+  // key shows up in the DAW/notation timeline as well as in the .txt
+  const exportMidiSet = useCallback(() => {
+    const pool = adaptiveConfig.intervalPool || [];
+    if (!pool.length) return;
+    if (!intervalSetToMidi || !downloadMidi) {
+      toast('MIDI export is not available', 'error');
+      return;
+    }
+
+    const harmonic = mode === 'harmonic';
+    const items = buildListeningItems(pool);
+    try {
+      const bytes = intervalSetToMidi(items, { harmonic, title: `VMQ intervals — level ${adaptiveConfig.level}` });
+      const name = wavFilename('intervals', harmonic ? 'harmonic' : 'melodic', `level${adaptiveConfig.level}`).replace(/\.wav$/, '.mid');
+      downloadMidi(bytes, name);
+      const answerKey = items.map((it, i) => `${String(i + 1).padStart(2, ' ')}. ${it.label}`).join('\n');
+      downloadBlob?.(new Blob([`VMQ interval set — answer key\n\n${answerKey}\n`], { type: 'text/plain' }),
+        name.replace(/\.mid$/, '-answers.txt'));
+      sessionTracker.trackActivity?.('intervals', 'export_midi_set', {
+        count: items.length, harmonic, level: adaptiveConfig.level,
+      });
+      toast('Interval set downloaded (MIDI + answer key)', 'success');
+    } catch (e) {
+      console.warn('[Intervals] MIDI set export failed:', e);
+      toast('Export failed', 'error');
+    }
+  }, [adaptiveConfig.intervalPool, adaptiveConfig.level, mode, toast]);
 
   // -------------------------
   // Hint (keeps feature; you can restyle later)
@@ -528,8 +674,10 @@ export default function Intervals(props) {
 
   // -------------------------
   // Answer checking (8-engine cascade)
+  // `performance` (perform mode): { cents } of the played note; the right
+  // note outside PERFORM_CENTS_TOLERANCE is scored as incorrect.
   // -------------------------
-  const checkAnswer = useCallback(async (intervalIdOrText) => {
+  const checkAnswer = useCallback(async (intervalIdOrText, performance = null) => {
     if (!currentInterval || showAnswerState) return;
 
     // normalize for visual typing:
@@ -547,7 +695,9 @@ export default function Intervals(props) {
         .replace(/^diminished/i, 'd');
     }
 
-    const correct = pickedId === currentInterval.id;
+    const pitchCorrect = pickedId === currentInterval.id;
+    const absCents = performance ? Math.abs(Number(performance.cents) || 0) : 0;
+    const correct = pitchCorrect && absCents <= CONFIG.PERFORM_CENTS_TOLERANCE;
     const responseTime = Date.now() - (responseStart || Date.now());
     const plays = playCountRef.current || 0;
 
@@ -594,6 +744,7 @@ export default function Intervals(props) {
       usedHint,
       mode,
       level: adaptiveConfig.level,
+      cents: performance ? performance.cents : null,
       timestamp: Date.now(),
     };
     performanceLogRef.current.push(perf);
@@ -601,11 +752,22 @@ export default function Intervals(props) {
 
     // Engine cascade
     try {
-      recordAnswer('intervals', correct, responseTime, { interval: currentInterval.id, mode, level: adaptiveConfig.level });
+      recordAnswer('intervals', correct, responseTime, {
+        interval: currentInterval.id,
+        mode,
+        level: adaptiveConfig.level,
+        ...(performance ? { cents: performance.cents } : {}),
+      });
     } catch {}
 
     try {
-      const quality = correct ? (usedHint ? 4 : (plays <= 1 ? 5 : 4)) : 2;
+      let quality = correct ? (usedHint ? 4 : (plays <= 1 ? 5 : 4)) : 2;
+      if (performance) {
+        // Intonation matters: in tune = 5, usable = 4, right note but out of tune = 2, wrong note = 1
+        if (!pitchCorrect) quality = 1;
+        else if (!correct) quality = 2;
+        else quality = Math.min(quality, absCents <= CONFIG.PERFORM_CENTS_PERFECT ? 5 : 4);
+      }
       await updateItem(
         `intervals_${currentInterval.id}_${mode}`,
         quality,
@@ -618,15 +780,16 @@ export default function Intervals(props) {
           plays,
           usedHint,
           level: adaptiveConfig.level,
+          ...(performance ? { cents: performance.cents } : {}),
         }
       );
     } catch (e) {
       console.warn('[Intervals] updateItem failed:', e);
     }
 
-    // Confusion + mastery
-    if (!correct) recordConfusion(currentInterval.id, pickedId);
-    else checkForMastery(currentInterval.id);
+    // Confusion + mastery (an out-of-tune right note is not a confusion)
+    if (!pitchCorrect) recordConfusion(currentInterval.id, pickedId);
+    else if (correct) checkForMastery(currentInterval.id);
 
     // Practice XP engine (if you have it)
     if (typeof awardPracticeXP === 'function') {
@@ -698,6 +861,129 @@ export default function Intervals(props) {
     refreshStats,
   ]);
 
+  // -------------------------
+  // Perform mode: score the first sustained note after the reference.
+  // Playing the reference note itself (students often play the lower note
+  // first) isn't an answer: keep listening for the upper note.
+  // -------------------------
+  const handlePerformedNote = useCallback((played) => {
+    if (mode !== 'perform' || !currentInterval || showAnswerState) return;
+    if (played.source !== 'midi' && Date.now() < ignoreMicUntilRef.current) return;
+
+    const targetMidi = baseMidi + (currentInterval.semitones || 0);
+    if (played.midi === baseMidi && targetMidi !== baseMidi) return;
+    const semitones = played.midi - baseMidi;
+    const heard = INTERVALS.find(i => i.semitones === semitones);
+    const pickedId = heard ? heard.id : `${semitones}st`;
+
+    const result = {
+      playedMidi: played.midi,
+      playedNote: played.note,
+      targetNote: midiToNote(targetMidi),
+      cents: played.cents,
+      pitchCorrect: played.midi === targetMidi,
+      correct: played.midi === targetMidi && Math.abs(played.cents) <= CONFIG.PERFORM_CENTS_TOLERANCE,
+    };
+    setPerformResult(result);
+
+    sessionTracker.trackActivity?.('intervals', 'interval_performed', {
+      interval: currentInterval.id,
+      played: played.note,
+      cents: played.cents,
+    });
+
+    checkAnswer(pickedId, { cents: played.cents });
+  }, [mode, currentInterval, showAnswerState, baseMidi, checkAnswer]);
+
+  performHandlerRef.current = handlePerformedNote;
+
+  // -------------------------
+  // MIDI: perform mode scores the upper note against baseMidi (exact pitch,
+  // so cents are 0); the listening modes take both notes in any register.
+  // -------------------------
+  const handleMidiEvent = useCallback((event) => {
+    if (!currentInterval || showAnswerState) return;
+
+    if (mode === 'perform') {
+      if (event.type === 'noteon') {
+        handlePerformedNote({ midi: event.midi, note: event.note, cents: 0, source: 'midi' });
+      }
+      return;
+    }
+
+    const pair = midiCollectorRef.current?.push(event);
+    if (!pair) return;
+    const heard =
+      options.find(iv => iv.semitones === pair.semitones) ||
+      INTERVALS.find(iv => iv.semitones === pair.semitones);
+    checkAnswer(heard ? heard.id : `${pair.semitones}st`);
+  }, [mode, currentInterval, showAnswerState, options, handlePerformedNote, checkAnswer]);
+
+  midiHandlerRef.current = handleMidiEvent;
+
+  useEffect(() => {
+    if (!midiInput) return undefined;
+    const sync = () => setMidiReady(!!(midiInput.isConnected() && midiInput.getSettings().enabled));
+    const off = midiInput.subscribe((event) => {
+      if (event.type === 'noteon' || event.type === 'noteoff') midiHandlerRef.current?.(event);
+      else sync();
+    });
+    midiInput.ensureStarted().then(sync);
+    return off;
+  }, []);
+
+  // A half-played interval never carries over to the next question
+  useEffect(() => {
+    midiCollectorRef.current?.reset();
+  }, [currentInterval, mode]);
+
+  const toggleListening = useCallback(async () => {
+    if (!pitchTracker) return;
+    if (listening) {
+      pitchTracker.stop();
+      setListening(false);
+      setLiveReading(null);
+      return;
+    }
+    if (!pitchTracker.isSupported?.()) {
+      toast('Microphone not supported in this browser', 'error');
+      return;
+    }
+    const ok = await pitchTracker.start();
+    if (!ok) {
+      toast('Microphone unavailable — check browser permissions', 'error');
+      return;
+    }
+    setListening(true);
+  }, [listening, toast]);
+
+  useEffect(() => {
+    if (mode !== 'perform' || !listening || !pitchTracker) return undefined;
+
+    const offLive = pitchTracker.subscribe((r) => setLiveReading(r.silent ? null : r));
+    const offStable = pitchTracker.onStableNote(
+      (note) => performHandlerRef.current?.(note),
+      { minFrames: CONFIG.PERFORM_STABLE_FRAMES }
+    );
+    return () => {
+      offLive();
+      offStable();
+    };
+  }, [mode, listening]);
+
+  // Leaving perform mode (or the screen) releases the mic
+  useEffect(() => {
+    if (mode === 'perform') return undefined;
+    if (listening) {
+      pitchTracker?.stop?.();
+      setListening(false);
+      setLiveReading(null);
+    }
+    return undefined;
+  }, [mode]);
+
+  useEffect(() => () => { pitchTracker?.stop?.(); }, []);
+
   // -------------------------
   // Init + mode changes
   // -------------------------
@@ -709,7 +995,7 @@ export default function Intervals(props) {
     if (adaptiveConfig.intervalPool && adaptiveConfig.intervalPool.length > 0) {
       nextQuestion();
     }
-  }, [adaptiveConfig.intervalPool?.length, mode]);
+  }, [adaptiveConfig.intervalPool?.length, mode, passageId]);
 
   // Cleanup
   useEffect(() => {
@@ -772,21 +1058,45 @@ export default function Intervals(props) {
     // Controls
     h('div', { className: 'control-grid' },
       h('div', { className: 'mode-toggle' },
-        ['visual', 'melodic', 'harmonic', 'mixed'].map(m =>
+        ['visual', 'melodic', 'harmonic', 'mixed', 'perform'].map(m =>
           h('button', {
             key: m,
             className: `btn ${mode === m ? 'btn-primary' : 'btn-outline'}`,
             onClick: () => setMode(m),
-            title: `Switch to ${m} mode`,
-          }, m.charAt(0).toUpperCase() + m.slice(1))
+            title: m === 'perform' ? 'Play the interval on your violin (microphone)' : `Switch to ${m} mode`,
+            disabled: m === 'perform' && !pitchTracker,
+          }, m === 'perform' ? '🎻 Perform' : m.charAt(0).toUpperCase() + m.slice(1))
         )
       ),
+      passages.length > 0 && h('select', {
+        className: 'input',
+        value: passageId,
+        onChange: (e) => setPassageId(e.target.value),
+        'aria-label': 'Interval source',
+        title: 'Drill the melodic intervals of an imported passage',
+        style: { width: 'auto' }
+      },
+        h('option', { value: '' }, 'Level pool'),
+        passages.map(p => h('option', { key: p.id, value: p.id }, `🎼 ${p.title}`))
+      ),
       h('div', { className: 'mode-toggle' },
         h('button', { className: 'btn btn-outline', onClick: showHint, disabled: showAnswerState || !currentInterval }, '💡 Hint'),
         h('button', {
           className: 'btn btn-outline',
           onClick: () => nextQuestion(),
-        }, '↻ New')
+        }, '↻ New'),
+        h('button', {
+          className: 'btn btn-outline',
+          onClick: exportListeningSet,
+          disabled: exporting || !(adaptiveConfig.intervalPool || []).length,
+          title: `Download ${CONFIG.LISTENING_SET_SIZE} intervals from your current pool as a WAV listening set`,
+        }, exporting ? '⏳ Rendering…' : '⬇️ Listening set'),
+        intervalSetToMidi && h('button', {
+          className: 'btn btn-outline',
+          onClick: exportMidiSet,
+          disabled: !(adaptiveConfig.intervalPool || []).length,
+          title: `Download ${CONFIG.LISTENING_SET_SIZE} intervals from your current pool as a MIDI file`,
+        }, '⬇️ MIDI set')
       )
     ),
 
@@ -801,16 +1111,41 @@ export default function Intervals(props) {
             h('span', { className: 'mastery-icon', title: 'Mastered' }, '⭐')
         ),
 
+        (mode === 'perform' && currentInterval) && h('h3', { style: { marginTop: 'var(--space-md)' } },
+          `Play a ${currentInterval.name || currentInterval.id} above ${baseNoteName}`
+        ),
+
         (mode !== 'visual') && h('button', {
           className: 'btn btn-primary btn-lg btn-play',
           onClick: playInterval,
           disabled: !engine || typeof engine.playInterval !== 'function' || !currentInterval,
           style: { width: '100%', margin: 'var(--space-lg) 0' }
-        }, `🔊 Play (${playCount + 1}x)`)
+        }, mode === 'perform' ? `🔊 Reference (${playCount + 1}x)` : `🔊 Play (${playCount + 1}x)`)
       ),
 
       // Answer UI
-      !showAnswerState
+      (!showAnswerState && mode === 'perform')
+        ? h('div', { className: 'perform-panel', style: { textAlign: 'center' } },
+            h('button', {
+              type: 'button',
+              className: `btn ${listening ? 'btn-danger' : 'btn-primary'} btn-lg`,
+              onClick: toggleListening,
+              style: { width: '100%' }
+            }, listening ? '⏹ Stop listening' : '🎤 Start listening'),
+            h('div', { className: 'text-muted', 'aria-live': 'polite', style: { marginTop: 'var(--space-md)' } },
+              !listening
+                ? 'Turn on the mic, listen to the reference, then play and hold the upper note.'
+                : liveReading && liveReading.midi === baseMidi && currentInterval?.semitones
+                  ? `Hearing ${liveReading.note}, the reference note — now play the upper note.`
+                : liveReading
+                  ? `Hearing ${liveReading.note} (${liveReading.cents > 0 ? '+' : ''}${liveReading.cents}¢) — hold it steady…`
+                  : 'Listening… play and hold the upper note.'
+            ),
+            midiReady && h('div', { className: 'text-muted', style: { marginTop: 'var(--space-sm)' } },
+              '🎹 MIDI: play the upper note on your controller.'
+            )
+          )
+        : !showAnswerState
         ? h('form', {
             onSubmit: (e) => {
               e.preventDefault();
@@ -848,7 +1183,10 @@ export default function Intervals(props) {
                       }
                     }, iv.name || iv.id)
                   )
-                )
+                ),
+            midiReady && h('div', { className: 'text-muted', style: { marginTop: 'var(--space-sm)', textAlign: 'center' } },
+              '🎹 MIDI: play both notes of the interval (together or one after the other).'
+            )
           )
         : currentInterval && h('div', { className: `feedback-card ${isCorrect ? 'success' : 'error'}` },
             h('div', { style: { fontSize: '1.25rem', marginBottom: 'var(--space-sm)' } },
@@ -859,7 +1197,14 @@ export default function Intervals(props) {
               h('div', null, `${currentInterval.semitones} semitones • ${currentInterval.quality || ''}`.trim()),
               currentInterval.example && h('div', { className: 'text-muted' }, `Example: ${currentInterval.example}`)
             ),
-            !isCorrect && h('div', { className: 'text-muted', style: { marginTop: 'var(--space-sm)' } },
+            performResult && h('div', { className: 'text-muted', style: { marginTop: 'var(--space-sm)' } },
+              `Target ${performResult.targetNote} • you played ${performResult.playedNote} ` +
+              `(${performResult.cents > 0 ? '+' : ''}${performResult.cents}¢)` +
+              (performResult.pitchCorrect && !performResult.correct
+                ? ` — right note, ${performResult.cents > 0 ? 'sharp' : 'flat'}`
+                : '')
+            ),
+            (!isCorrect && !performResult) && h('div', { className: 'text-muted', style: { marginTop: 'var(--space-sm)' } },
               `You selected: ${INTERVALS.find(i => i.id === userAnswer)?.name || userAnswer}`
             ),
             h('div', { style: { display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-md)' } },
@@ -897,6 +1242,7 @@ export default function Intervals(props) {
               setPlayCount(0);
               playCountRef.current = 0;
               setUsedHint(false);
+              setPerformResult(null);
               setResponseStart(Date.now());
             }
           },
@@ -14,9 +14,14 @@ import * as GameMod from '../engines/gamification.js';
 import * as AnalyticsMod from '../engines/analytics.js';
 import * as HelpersMod from '../utils/helpers.js';
 import * as AudioMod from '../engines/audioEngine.js';
+import * as DroneMod from '../engines/droneEngine.js';
 import * as KeyboardMod from '../utils/keyboard.js';
 import * as A11yMod from '../accessibility.js';
 import * as SessionMod from '../engines/sessionTracker.js';
+import * as InstrumentMod from '../engines/instrumentProfile.js';
+import * as StorageMod from '../config/storage.js';
+import { keySignatureCount } from '../utils/notation.js';
+import StaffNotation from './StaffNotation.js';
 
 // ---------------------------
 // SAFE IMPORTS / FALLBACKS
@@ -32,6 +37,9 @@ const updateItem = SRSMod.updateItem || null;
 const getMasteryStats = SRSMod.getMasteryStats || null;
 const getConfusionMatrix = SRSMod.getConfusionMatrix || null;
 const getDueItems = SRSMod.getDueItems || null;
+const getReviewLog = SRSMod.getReviewLog || null;
+
+const trackConfusion = StorageMod.trackConfusion || null;
 
 const getDifficulty = DiffMod.getDifficulty || null;
 const getItemPool = DiffMod.getItemPool || null;
@@ -42,6 +50,8 @@ const addXP = GameMod.addXP || (() => {});
 const recordStreak = GameMod.recordStreak || (() => {});
 const getUserLevel = GameMod.getUserLevel || (() => 1);
 
+const getInstrument = InstrumentMod.getInstrument || null;
+
 const analyzeKeySignaturePerformance = AnalyticsMod.analyzeKeySignaturePerformance || null;
 const predictSkillTransfer = AnalyticsMod.predictSkillTransfer || null;
 
@@ -67,6 +77,7 @@ const debounce =
   });
 
 const audioEngine = AudioMod.audioEngine || AudioMod.default || AudioMod;
+const droneEngine = DroneMod.droneEngine || DroneMod.default || null;
 const keyboard = KeyboardMod.keyboard || KeyboardMod.default || KeyboardMod;
 const a11y = A11yMod.a11y || A11yMod.default || A11yMod || { announce: () => {} };
 const sessionTracker = SessionMod.default || SessionMod.sessionTracker || SessionMod;
@@ -82,6 +93,29 @@ function safeArray(x) {
   return Array.isArray(x) ? x : [];
 }
 
+// Per-key history from the SRS review log (quality >= 3 counts as right):
+// { [keyId]: { attempts, correct, accuracy (0-100), avgTime } }
+async function keyHistory(ids) {
+  const wanted = new Set(safeArray(ids).map(String));
+  const out = {};
+  safeArray(await safeCall(getReviewLog)).forEach((e) => {
+    const id = String(e?.id);
+    if (!wanted.has(id)) return;
+    const h = out[id] || (out[id] = { attempts: 0, correct: 0, time: 0, timed: 0 });
+    h.attempts += 1;
+    if ((Number(e.q) || 0) >= 3) h.correct += 1;
+    if (Number(e.rt) > 0) {
+      h.time += Number(e.rt);
+      h.timed += 1;
+    }
+  });
+  Object.values(out).forEach((h) => {
+    h.accuracy = Math.round((h.correct / h.attempts) * 100);
+    h.avgTime = h.timed ? Math.round(h.time / h.timed) : 0;
+  });
+  return out;
+}
+
 function levenshteinDistance(a, b) {
   a = String(a || '');
   b = String(b || '');
@@ -190,6 +224,38 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
   const inputRef = useRef(null);
   const isMountedRef = useRef(true);
 
+  // Key drone — only once the key is no longer the answer being asked for
+  const [droneState, setDroneState] = useState(() => droneEngine?.getState?.() || { playing: false });
+  const droneOn = !!(droneState.playing && droneState.source === 'keysignatures');
+  const droneAllowed = !!currentKey && (answered || questionType === 'handMap');
+
+  useEffect(() => {
+    if (!droneEngine?.subscribe) return undefined;
+    const unsubscribe = droneEngine.subscribe(setDroneState);
+    return () => {
+      unsubscribe();
+      if (droneEngine.getState().source === 'keysignatures') droneEngine.stop();
+    };
+  }, []);
+
+  // New question: follow the key if it's already named in the prompt, otherwise go quiet
+  useEffect(() => {
+    if (!droneOn) return;
+    if (droneAllowed) droneEngine.startInKey(currentKey, { source: 'keysignatures' });
+    else droneEngine.stop(0.5);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentKey, questionType]);
+
+  const toggleDrone = useCallback(async () => {
+    if (!droneEngine || !currentKey) return;
+    if (droneOn) {
+      droneEngine.stop();
+      return;
+    }
+    const ok = await droneEngine.startInKey(currentKey, { source: 'keysignatures' });
+    if (!ok) showToast?.('Audio not available (check mute)', 'error');
+  }, [droneOn, currentKey, showToast]);
+
   // Init: load difficulty/pool/config then generate
   useEffect(() => {
     isMountedRef.current = true;
@@ -289,15 +355,24 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
       dueIds = safeArray(dueList).map(x => x?.id).filter(Boolean);
     } catch {}
 
-    // Confusion matrix / weak keys
+    // Per-key history / weak keys
     let matrix = {};
     try {
-      const cm = safeCall(getConfusionMatrix, 'keySignatures');
-      matrix = (cm && typeof cm.then === 'function') ? await cm : (cm || {});
+      matrix = await keyHistory(p.map(k => k?.id));
+    } catch {}
+
+    // Keys answered as another key (recorded in handleSubmit); pairs are 'key-answeredAs'
+    let confused = new Set();
+    try {
+      const cm = await safeCall(getConfusionMatrix, 'keySignatures');
+      confused = new Set(safeArray(cm?.pairs)
+        .filter(pair => typeof pair === 'string')
+        .map(pair => pair.split('-')[0]));
     } catch {}
 
     const weakIds = Object.entries(matrix || {})
-      .filter(([_, data]) => (data?.attempts || 0) > 3 && (data?.accuracy ?? 100) < 70)
+      .filter(([id, data]) => (data?.attempts || 0) > 3 &&
+        ((data?.accuracy ?? 100) < 70 || confused.has(id)))
       .map(([id]) => id);
 
     // Decide question type (focus weakest type if possible)
@@ -491,6 +566,14 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
     }
   }
 
+  // A wrong major/minor answer that names another key: remember which key it was taken for
+  function recordKeyConfusion(answer) {
+    if (!currentKey || (questionType !== 'major' && questionType !== 'minor')) return;
+    const normalized = normalizeText(answer);
+    const other = safeArray(pool).find(k => k?.id !== currentKey.id && normalizeText(k?.[questionType]) === normalized);
+    if (other) safeCall(trackConfusion, 'keySignatures', currentKey.id, other.id);
+  }
+
   function getCorrectAnswer() {
     if (!currentKey) return '—';
     switch (questionType) {
@@ -554,6 +637,7 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
 
     const isCorrect = checkAnswer(userAnswer);
     setAnswered(true);
+    if (!isCorrect) recordKeyConfusion(userAnswer);
 
     // Record SRS: try a few common signatures safely
     try {
@@ -666,12 +750,10 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
   }
 
   // Staff accidental display helpers
-  const accidentalCount = Math.abs(currentKey?.accidentals || 0);
-  const accidentalNotes = useMemo(() => {
-    if (!currentKey || accidentalCount === 0) return [];
-    const order = currentKey.type === 'sharp' ? SHARP_ORDER : FLAT_ORDER;
-    return order.slice(0, accidentalCount);
-  }, [currentKey, accidentalCount]);
+  const keyFifths = keySignatureCount(currentKey);
+  const accidentalCount = Math.abs(keyFifths);
+  const accidentalType = keyFifths < 0 ? 'flat' : 'sharp';
+  const staffClef = getInstrument?.()?.clefs?.[0] || 'treble';
 
   // ---------------------------
   // RENDER
@@ -701,22 +783,16 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
       currentKey ? h('div', { className: 'keysig-area' },
         // Key signature visual
         h('div', { className: 'keysig-visual' },
-          h('div', { className: 'staff' },
-            h('div', { className: 'clef' }, '𝄞'),
-            h('div', { className: 'accidentals-display' },
-              accidentalCount === 0
-                ? h('span', { className: 'no-accidentals' }, 'No sharps or flats')
-                : h('div', { className: `accidentals ${currentKey.type}` },
-                    accidentalNotes.map((note, i) =>
-                      h('span', {
-                        key: i,
-                        className: 'accidental',
-                        'data-note': note
-                      }, currentKey.type === 'sharp' ? '♯' : '♭')
-                    )
-                  )
-            )
-          )
+          h(StaffNotation, {
+            clef: staffClef,
+            keySignature: currentKey,
+            notes: [],
+            minWidth: 120,
+            scale: 2,
+            ariaLabel: accidentalCount === 0
+              ? 'Key signature: no sharps or flats'
+              : `Key signature: ${accidentalCount} ${accidentalType === 'sharp' ? 'sharp' : 'flat'}${accidentalCount === 1 ? '' : 's'}`
+          })
         ),
 
         // Circle-of-fifths indicator (safe)
@@ -738,6 +814,15 @@ export function KeySignatures({ onBack, onAnswer, showToast }) {
         // Question text
         h('p', { className: 'instruction', 'aria-live': 'polite' }, questionText),
 
+        droneEngine && h('button', {
+          type: 'button',
+          className: `btn ${droneOn ? 'btn-primary' : 'btn-secondary'} btn-sm`,
+          onClick: toggleDrone,
+          disabled: !droneAllowed && !droneOn,
+          'aria-pressed': droneOn,
+          title: droneAllowed ? 'Sustained drone in this key' : 'Available after you answer'
+        }, droneOn ? '🔇 Stop drone' : '🎵 Drone in this key'),
+
         // Fingerboard overlay
         (questionType === 'handMap') && h(FingerboardMini, {
           keySignature: currentKey,
@@ -371,7 +371,14 @@ export default function MainMenu({ onNavigate }) {
         h('button', { className: 'btn btn-outline', onClick: () => navigate('spaced-rep') },
           `📚 Review (${safeNum(spacedStats?.dueToday || 0, 0)})`
         ),
-        h('button', { className: 'btn btn-outline', onClick: () => navigate('fingerboard') }, '🎻 Fingerboard')
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('decks') }, '🗂️ My Decks'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('fingerboard') }, '🎻 Fingerboard'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('shifting') }, '🎢 Shifting'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('notelocator') }, '📍 Note Locator'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('sightreading') }, '📖 Sight Reading'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('tuner') }, '🎯 Tuner'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('metronome') }, '⏱️ Metronome'),
+        h('button', { className: 'btn btn-outline', onClick: () => navigate('recordings') }, '🎙️ Recordings')
       )
     ),
 
@@ -0,0 +1,333 @@
+// js/components/Metronome.js
+// ===================================
+// VMQ Metronome — v1.0 (drop-in)
+// Standalone practice metronome on the lookahead scheduler (engines/metronome.js):
+// subdivisions, accent groupings, silent gap bars, tempo ramps, tap tempo.
+// No JSX. React.createElement style.
+// Last-used setup is stored in STORAGE_KEYS.METRONOME.
+// ===================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { metronome, SUBDIVISIONS, ACCENT_PRESETS, METRONOME_LIMITS } from '../engines/metronome.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+
+const { createElement: h, useEffect, useRef, useState } = React;
+
+const DEFAULTS = {
+  bpm: 80,
+  beatsPerBar: 4,
+  subdivision: 'quarter',
+  accents: '',
+  volume: 0.6,
+  tonality: 'neutral',
+  gapOn: false,
+  gapPlay: 2,
+  gapMute: 2,
+  rampOn: false,
+  rampStep: 2,
+  rampEvery: 4,
+  rampTarget: 120
+};
+
+const BEAT_CHOICES = [2, 3, 4, 5, 6, 7, 9, 12];
+const TAP_RESET_MS = 2000;
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function clampBpm(v) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n)) return DEFAULTS.bpm;
+  return Math.max(METRONOME_LIMITS.MIN_BPM, Math.min(METRONOME_LIMITS.MAX_BPM, n));
+}
+
+function loadSetup() {
+  const raw = loadJSON(STORAGE_KEYS.METRONOME, {});
+  return { ...DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+}
+
+function schedulerOptions(setup) {
+  return {
+    bpm: setup.bpm,
+    beatsPerBar: setup.beatsPerBar,
+    subdivision: setup.subdivision,
+    accents: setup.accents || null,
+    volume: setup.volume,
+    tonality: setup.tonality,
+    gap: setup.gapOn ? { play: setup.gapPlay, mute: setup.gapMute } : null,
+    ramp: setup.rampOn ? { step: setup.rampStep, everyBars: setup.rampEvery, target: setup.rampTarget } : null
+  };
+}
+
+export default function Metronome(props = {}) {
+  const { onBack, onNavigate } = props;
+
+  const [setup, setSetup] = useState(() => loadSetup());
+  const [running, setRunning] = useState(metronome.isRunning());
+  const [tick, setTick] = useState(null);   // last tick event
+  const tapsRef = useRef([]);
+  const appliedRef = useRef(null);   // scheduler options last sent while running
+
+  const set = (patch) => setSetup((prev) => ({ ...prev, ...patch }));
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEYS.METRONOME, setup);
+  }, [setup]);
+
+  // Live changes while running: send only what changed so a volume tweak doesn't reset a ramp
+  useEffect(() => {
+    const next = schedulerOptions(setup);
+    const prev = appliedRef.current;
+    appliedRef.current = next;
+    if (!running || !prev) return;
+
+    const patch = {};
+    Object.keys(next).forEach((k) => {
+      if (JSON.stringify(next[k]) !== JSON.stringify(prev[k])) patch[k] = next[k];
+    });
+    if (Object.keys(patch).length) metronome.update(patch);
+  }, [setup, running]);
+
+  useEffect(() => {
+    const unsubscribe = metronome.subscribe((e) => setTick(e));
+    try { sessionTracker.trackActivity?.('metronome', 'open', {}); } catch {}
+    return () => {
+      unsubscribe();
+      metronome.stop();
+    };
+  }, []);
+
+  async function toggle() {
+    if (running) {
+      metronome.stop();
+      setRunning(false);
+      setTick(null);
+      return;
+    }
+    const ok = await metronome.start(schedulerOptions(setup));
+    if (!ok) {
+      emitToast('Audio unavailable — tap the screen and try again', 'error');
+      return;
+    }
+    setRunning(true);
+    try {
+      sessionTracker.trackActivity?.('metronome', 'start', {
+        bpm: setup.bpm,
+        beatsPerBar: setup.beatsPerBar,
+        subdivision: setup.subdivision,
+        gap: setup.gapOn,
+        ramp: setup.rampOn
+      });
+    } catch {}
+  }
+
+  function tapTempo() {
+    const now = Date.now();
+    const taps = tapsRef.current.filter((t) => now - t < TAP_RESET_MS);
+    taps.push(now);
+    tapsRef.current = taps.slice(-6);
+    if (tapsRef.current.length < 2) return;
+
+    const gaps = [];
+    for (let i = 1; i < tapsRef.current.length; i++) gaps.push(tapsRef.current[i] - tapsRef.current[i - 1]);
+    const avg = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+    if (avg > 0) set({ bpm: clampBpm(60000 / avg) });
+  }
+
+  function changeBeats(beatsPerBar) {
+    const presets = ACCENT_PRESETS[beatsPerBar] || [];
+    set({ beatsPerBar, accents: presets.includes(setup.accents) ? setup.accents : '' });
+  }
+
+  const liveBpm = running && tick ? tick.bpm : setup.bpm;
+  const accentOptions = ACCENT_PRESETS[setup.beatsPerBar] || [];
+
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '⏱️ Metronome')
+    )
+  );
+
+  const beatDots = h('div', {
+    style: { display: 'flex', justifyContent: 'center', gap: '8px', flexWrap: 'wrap', margin: 'var(--space-md) 0' },
+    'aria-hidden': true
+  },
+    Array.from({ length: setup.beatsPerBar }, (_, i) => {
+      const active = running && tick && tick.beat === i;
+      const strong = i === 0;
+      return h('span', {
+        key: i,
+        style: {
+          width: strong ? '22px' : '16px',
+          height: strong ? '22px' : '16px',
+          borderRadius: '50%',
+          alignSelf: 'center',
+          background: active ? (tick.silent ? 'var(--ink-lighter)' : 'var(--primary)') : 'var(--border)',
+          transition: 'background 60ms linear'
+        }
+      });
+    })
+  );
+
+  const display = h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body', style: { textAlign: 'center' } },
+      h('div', { style: { fontSize: 'clamp(3rem, 14vw, 5rem)', fontWeight: 700, lineHeight: 1.1 } }, liveBpm),
+      h('div', { className: 'text-muted' }, 'BPM'),
+      beatDots,
+      h('div', { className: 'text-muted' },
+        running && tick
+          ? `Bar ${tick.bar + 1}${tick.silent ? ' • silent — keep counting' : ''}`
+          : `${setup.beatsPerBar} beats • ${SUBDIVISIONS[setup.subdivision]?.label || 'Quarters'}`
+      ),
+      h('button', {
+        className: `btn ${running ? 'btn-danger' : 'btn-primary'} btn-lg`,
+        type: 'button',
+        onClick: toggle,
+        style: { width: '100%', marginTop: 'var(--space-lg)' }
+      }, running ? '⏹ Stop' : '▶ Start')
+    )
+  );
+
+  const tempo = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Tempo'),
+      h('input', {
+        type: 'range',
+        className: 'slider',
+        min: METRONOME_LIMITS.MIN_BPM,
+        max: 240,
+        value: setup.bpm,
+        onChange: (e) => set({ bpm: clampBpm(e.target.value) }),
+        'aria-label': 'Tempo in beats per minute',
+        style: { width: '100%' }
+      }),
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: '8px' } },
+        h('button', { className: 'btn btn-outline', type: 'button', onClick: () => set({ bpm: clampBpm(setup.bpm - 1) }) }, '−1'),
+        h('button', { className: 'btn btn-outline', type: 'button', onClick: () => set({ bpm: clampBpm(setup.bpm + 1) }) }, '+1'),
+        h('button', { className: 'btn btn-secondary', type: 'button', onClick: tapTempo, style: { flex: 1 } }, '👆 Tap tempo')
+      )
+    )
+  );
+
+  const meter = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Meter & subdivision'),
+      h('div', { className: 'grid', style: { display: 'grid', gap: '10px', gridTemplateColumns: '1fr 1fr' } },
+        h('label', null,
+          h('div', { className: 'label' }, 'Beats per bar'),
+          h('select', {
+            className: 'input',
+            value: String(setup.beatsPerBar),
+            onChange: (e) => changeBeats(Number(e.target.value))
+          }, BEAT_CHOICES.map((n) => h('option', { key: n, value: String(n) }, String(n))))
+        ),
+        h('label', null,
+          h('div', { className: 'label' }, 'Accent grouping'),
+          h('select', {
+            className: 'input',
+            value: setup.accents,
+            onChange: (e) => set({ accents: e.target.value })
+          },
+            h('option', { value: '' }, 'Downbeat only'),
+            accentOptions.map((a) => h('option', { key: a, value: a }, a))
+          )
+        )
+      ),
+      h('div', { className: 'grid-2', style: { marginTop: '10px' } },
+        Object.values(SUBDIVISIONS).map((sd) =>
+          h('button', {
+            key: sd.id,
+            type: 'button',
+            className: `btn ${setup.subdivision === sd.id ? 'btn-primary' : 'btn-outline'}`,
+            onClick: () => set({ subdivision: sd.id }),
+            'aria-pressed': setup.subdivision === sd.id
+          }, sd.label)
+        )
+      )
+    )
+  );
+
+  const numberField = (label, key, min, max) =>
+    h('label', null,
+      h('div', { className: 'label' }, label),
+      h('input', {
+        type: 'number',
+        className: 'input',
+        inputMode: 'numeric',
+        min,
+        max,
+        value: setup[key],
+        onChange: (e) => {
+          const n = Math.round(Number(e.target.value));
+          if (Number.isFinite(n)) set({ [key]: Math.max(min, Math.min(max, n)) });
+        }
+      })
+    );
+
+  const training = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Internal pulse'),
+      h('label', { style: { display: 'flex', gap: '8px', alignItems: 'center' } },
+        h('input', { type: 'checkbox', checked: setup.gapOn, onChange: (e) => set({ gapOn: e.target.checked }) }),
+        'Gap bars — the click drops out; keep playing in time'
+      ),
+      setup.gapOn && h('div', { className: 'grid', style: { display: 'grid', gap: '10px', gridTemplateColumns: '1fr 1fr', marginTop: '8px' } },
+        numberField('Bars with click', 'gapPlay', 1, 16),
+        numberField('Silent bars', 'gapMute', 1, 16)
+      ),
+
+      h('h3', { style: { marginTop: 'var(--space-lg)' } }, 'Tempo ramp'),
+      h('label', { style: { display: 'flex', gap: '8px', alignItems: 'center' } },
+        h('input', { type: 'checkbox', checked: setup.rampOn, onChange: (e) => set({ rampOn: e.target.checked }) }),
+        'Change tempo automatically while you play'
+      ),
+      setup.rampOn && h('div', { className: 'grid', style: { display: 'grid', gap: '10px', gridTemplateColumns: '1fr 1fr 1fr', marginTop: '8px' } },
+        numberField('BPM per step', 'rampStep', -20, 20),
+        numberField('Every N bars', 'rampEvery', 1, 32),
+        numberField('Stop at BPM', 'rampTarget', METRONOME_LIMITS.MIN_BPM, METRONOME_LIMITS.MAX_BPM)
+      )
+    )
+  );
+
+  const sound = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Sound'),
+      h('div', { className: 'grid', style: { display: 'grid', gap: '10px', gridTemplateColumns: '1fr 1fr' } },
+        h('label', null,
+          h('div', { className: 'label' }, 'Click'),
+          h('select', {
+            className: 'input',
+            value: setup.tonality,
+            onChange: (e) => set({ tonality: e.target.value })
+          },
+            h('option', { value: 'neutral' }, 'Woodblock'),
+            h('option', { value: 'musical' }, 'Musical (C/G)'),
+            h('option', { value: 'gentle' }, 'Gentle')
+          )
+        ),
+        h('label', null,
+          h('div', { className: 'label' }, `Volume: ${Math.round(setup.volume * 100)}%`),
+          h('input', {
+            type: 'range',
+            className: 'slider',
+            min: 0,
+            max: 100,
+            value: Math.round(setup.volume * 100),
+            onChange: (e) => set({ volume: Number(e.target.value) / 100 }),
+            style: { width: '100%' }
+          })
+        )
+      )
+    )
+  );
+
+  return h('div', { className: 'module-container' }, header, display, tempo, meter, training, sound);
+}
@@ -0,0 +1,355 @@
+// js/components/NoteLocator.js
+// ===================================
+// VMQ Note Locator — v1.0
+// Timed "find every C#5 in positions 1–3" game: tap each place the
+// pitch can be played before the clock runs out. Score = completeness +
+// speed; best time per note; missed spots feed the fingerboard confusion
+// data (noteLocator engine → storage confusion matrix). The neck is the
+// active instrument's, retuned strings included.
+// No JSX. React.createElement style.
+// ===================================
+
+import { audioEngine, midiToFreq } from '../engines/audioEngine.js';
+import { getInstrument } from '../engines/instrumentProfile.js';
+import {
+  LOCATOR_DEFAULTS,
+  locationKey,
+  locatorNeck,
+  reachSpan,
+  locationsForMidi,
+  pickTarget,
+  scoreRound,
+  loadLocatorStats,
+  locatorStatsKey,
+  recordRound
+} from '../engines/noteLocator.js';
+import { addXP, recordAnswer } from '../engines/gamification.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+import { MUSIC } from '../utils/helpers.js';
+
+const { createElement: h, useCallback, useEffect, useMemo, useRef, useState } = React;
+
+const STRING_COLORS = ['#f39c12', '#2ecc71', '#3498db', '#e74c3c'];
+const TIME_LIMITS = [20000, 30000, 45000, 60000];
+
+// SVG geometry: semitone cells along each string, open string left of the nut
+const BOARD = { W: 900, H: 260, open: 30, nut: 70, end: 880, top: 55, bottom: 205 };
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function noteName(midi) {
+  try { return MUSIC.midiToNote(midi) || `MIDI ${midi}`; } catch { return `MIDI ${midi}`; }
+}
+
+function fmtSeconds(ms) {
+  return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+}
+
+function ordinal(n) {
+  return `${n}${['th', 'st', 'nd', 'rd'][n] || 'th'}`;
+}
+
+export default function NoteLocator(props = {}) {
+  const { onBack, onNavigate } = props;
+  const maxPosition = LOCATOR_DEFAULTS.maxPosition;
+  const [profile] = useState(() => getInstrument());
+  const neck = useMemo(() => locatorNeck(maxPosition, profile), [maxPosition, profile]);
+  const span = reachSpan(maxPosition, profile);
+
+  const [limitMs, setLimitMs] = useState(LOCATOR_DEFAULTS.timeLimitMs);
+  const [phase, setPhase] = useState('idle');       // idle | playing | done
+  const [target, setTarget] = useState(null);       // { midi, name, count }
+  const [found, setFound] = useState([]);           // location keys
+  const [wrongTaps, setWrongTaps] = useState([]);   // { key, stringIdx, semis, midi }
+  const [elapsed, setElapsed] = useState(0);
+  const [outcome, setOutcome] = useState(null);     // recordRound() result
+  const [stats, setStats] = useState(() => loadLocatorStats());
+
+  const startRef = useRef(0);
+  const timerRef = useRef(null);
+  const roundRef = useRef({ found: [], wrongTaps: [] });
+
+  const locations = useMemo(
+    () => (target ? locationsForMidi(target.midi, { maxPosition, profile }) : []),
+    [target, maxPosition, profile]
+  );
+
+  useEffect(() => {
+    try { sessionTracker.trackActivity?.('notelocator', 'open', {}); } catch {}
+    return () => clearInterval(timerRef.current);
+  }, []);
+
+  const playMidi = useCallback(async (midi, dur = 0.6) => {
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      audioEngine.playTone(midiToFreq(midi), dur, { volume: 0.3 });
+    } catch (e) {
+      console.warn('[NoteLocator] playback failed:', e);
+    }
+  }, []);
+
+  const finish = useCallback((reason) => {
+    clearInterval(timerRef.current);
+    timerRef.current = null;
+    if (!target) return;
+
+    const elapsedMs = Math.min(limitMs, Date.now() - startRef.current);
+    const { found: foundKeys, wrongTaps: taps } = roundRef.current;
+    const missed = locations.filter((l) => !foundKeys.includes(l.key));
+    const res = recordRound({
+      midi: target.midi,
+      found: foundKeys.length,
+      total: locations.length,
+      wrong: taps.length,
+      elapsedMs,
+      limitMs,
+      missed,
+      wrongTaps: taps
+    }, profile);
+
+    setElapsed(elapsedMs);
+    setOutcome({ ...res, reason, missed });
+    setStats(res.stats);
+    setPhase('done');
+
+    try { recordAnswer('notelocator', res.result.complete, elapsedMs); } catch {}
+    if (res.result.score > 0) {
+      try { addXP(Math.round(res.result.score / 50), 'notelocator', { source: 'notelocator', metadata: { note: target.name } }); } catch {}
+    }
+    try {
+      sessionTracker.trackActivity?.('notelocator', 'round', {
+        note: target.name,
+        found: foundKeys.length,
+        total: locations.length,
+        wrong: taps.length,
+        elapsedMs,
+        score: res.result.score,
+        reason
+      });
+    } catch {}
+    if (res.isBest) emitToast(`🏆 New best for ${target.name}: ${fmtSeconds(elapsedMs)}`, 'success');
+  }, [target, locations, limitMs, profile]);
+
+  const start = useCallback(() => {
+    const next = pickTarget({ maxPosition, profile, stats, exclude: target?.midi ?? null });
+    if (!next) return;
+    roundRef.current = { found: [], wrongTaps: [] };
+    setTarget(next);
+    setFound([]);
+    setWrongTaps([]);
+    setOutcome(null);
+    setElapsed(0);
+    setPhase('playing');
+    startRef.current = Date.now();
+    clearInterval(timerRef.current);
+    timerRef.current = setInterval(() => setElapsed(Date.now() - startRef.current), 100);
+    playMidi(next.midi, 0.9);
+  }, [maxPosition, profile, stats, target, playMidi]);
+
+  // Clock and completion are checked on every tick / tap
+  useEffect(() => {
+    if (phase !== 'playing' || !target) return;
+    if (locations.length > 0 && found.length >= locations.length) finish('complete');
+    else if (elapsed >= limitMs) finish('timeout');
+  }, [phase, target, found, locations, elapsed, limitMs, finish]);
+
+  const tap = useCallback((stringIdx, semis) => {
+    if (phase !== 'playing' || !target) return;
+    const key = locationKey(stringIdx, semis);
+    const midi = neck.strings[stringIdx].openMidi + semis;
+    const round = roundRef.current;
+
+    if (locations.some((l) => l.key === key)) {
+      if (round.found.includes(key)) return;
+      round.found = [...round.found, key];
+      setFound(round.found);
+      playMidi(midi, 0.4);
+      return;
+    }
+    if (round.wrongTaps.some((t) => t.key === key)) return;
+    round.wrongTaps = [...round.wrongTaps, { key, stringIdx, semis, midi }];
+    setWrongTaps(round.wrongTaps);
+  }, [phase, target, locations, playMidi, neck]);
+
+  // Enter/Space starts or moves on; Esc gives up
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) return;
+      if ((e.key === 'Enter' || e.key === ' ') && phase !== 'playing') {
+        e.preventDefault();
+        start();
+      } else if (e.key === 'Escape' && phase === 'playing') {
+        finish('gave_up');
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [phase, start, finish]);
+
+  // -----------------------------
+  // Fingerboard
+  // -----------------------------
+  const cellW = (BOARD.end - BOARD.nut) / span;
+  const xOf = (semis) => (semis === 0 ? BOARD.open : BOARD.nut + (semis - 0.5) * cellW);
+  const yOf = (sIdx) => BOARD.top + (3 - sIdx) * ((BOARD.bottom - BOARD.top) / 3); // E on top, as seen by the player
+
+  const board = (() => {
+    const missedKeys = new Set((outcome?.missed || []).map((l) => l.key));
+    const wrongKeys = new Set(wrongTaps.map((t) => t.key));
+    const foundKeys = new Set(found);
+
+    const spots = [];
+    neck.strings.forEach((s, sIdx) => {
+      for (let semis = 0; semis <= span; semis++) {
+        const key = locationKey(sIdx, semis);
+        const midi = s.openMidi + semis;
+        let fill = 'rgba(255,255,255,0.08)';
+        let stroke = 'rgba(255,255,255,0.25)';
+        let label = null;
+        if (foundKeys.has(key)) { fill = 'var(--success, #2ecc71)'; stroke = '#fff'; label = noteName(midi); }
+        else if (missedKeys.has(key)) { fill = 'none'; stroke = 'var(--danger, #e74c3c)'; label = noteName(midi); }
+        else if (wrongKeys.has(key)) { fill = 'rgba(127,127,127,0.6)'; stroke = '#999'; label = phase === 'done' ? noteName(midi) : '✕'; }
+
+        spots.push(h('g', {
+          key,
+          role: 'button',
+          tabIndex: phase === 'playing' ? 0 : -1,
+          'aria-label': `${s.id} string, ${semis === 0 ? 'open' : `${semis} semitone${semis === 1 ? '' : 's'} up`}`,
+          style: { cursor: phase === 'playing' ? 'pointer' : 'default' },
+          onClick: () => tap(sIdx, semis),
+          onKeyDown: (e) => { if (e.key === 'Enter') tap(sIdx, semis); }
+        },
+          h('circle', {
+            cx: xOf(semis), cy: yOf(sIdx), r: 14, fill, stroke,
+            strokeWidth: missedKeys.has(key) ? 3 : 1.5,
+            strokeDasharray: missedKeys.has(key) ? '4 3' : null
+          }),
+          label && h('text', { x: xOf(semis), y: yOf(sIdx) - 20, fontSize: 11, fill: 'currentColor', textAnchor: 'middle' }, label)
+        ));
+      }
+    });
+
+    return h('svg', {
+      viewBox: `0 0 ${BOARD.W} ${BOARD.H}`,
+      width: '100%',
+      role: 'group',
+      'aria-label': target ? `Fingerboard: tap every ${target.name}` : 'Fingerboard'
+    },
+      h('rect', { x: BOARD.nut, y: BOARD.top - 30, width: BOARD.end - BOARD.nut, height: BOARD.bottom - BOARD.top + 60, rx: 12, fill: 'var(--wood-light, #A0522D)' }),
+      h('rect', { x: BOARD.nut - 4, y: BOARD.top - 30, width: 6, height: BOARD.bottom - BOARD.top + 60, fill: '#eee' }),
+
+      // 1st-finger place of each position in range
+      Object.entries(neck.positions)
+        .map(([pos, semis]) => h('g', { key: `pos-${pos}` },
+          h('line', { x1: xOf(semis), y1: BOARD.top - 26, x2: xOf(semis), y2: BOARD.bottom + 26, stroke: 'rgba(255,255,255,0.35)', strokeDasharray: '4 4' }),
+          h('text', { x: xOf(semis), y: BOARD.bottom + 44, fontSize: 13, fill: 'currentColor', textAnchor: 'middle' }, `${ordinal(Number(pos))} pos`)
+        )),
+
+      neck.strings.map((s, sIdx) => h('g', { key: `str-${s.id}` },
+        h('line', { x1: BOARD.nut, y1: yOf(sIdx), x2: BOARD.end, y2: yOf(sIdx), stroke: STRING_COLORS[sIdx], strokeWidth: 2 + (3 - sIdx) * 0.6 }),
+        // Retuned strings show their sounding open note
+        h('text', { x: 8, y: yOf(sIdx) + 5, fontSize: 14, fontWeight: 'bold', fill: 'currentColor' },
+          profile.strings[sIdx]?.standardMidi != null && profile.strings[sIdx].standardMidi !== s.openMidi
+            ? noteName(s.openMidi).replace(/-?\d+$/, '')
+            : s.id)
+      )),
+
+      spots
+    );
+  })();
+
+  // -----------------------------
+  // Render
+  // -----------------------------
+  const remaining = Math.max(0, limitMs - elapsed);
+  const statsKey = target ? locatorStatsKey(target.name, profile) : null;
+  const best = statsKey ? stats.best[statsKey] : null;
+  const history = statsKey ? (stats.history[statsKey] || []) : [];
+  const bestCount = Object.keys(stats.best).filter((k) => k.startsWith(`${profile.id}:`)).length;
+  const live = phase === 'playing' && target
+    ? scoreRound({ found: found.length, total: locations.length, wrong: wrongTaps.length, elapsedMs: elapsed, limitMs })
+    : null;
+
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '📍 Note Locator')
+    ),
+    h('div', { className: 'text-muted' }, `${stats.rounds} rounds • ${bestCount} notes with a best time`)
+  );
+
+  const prompt = h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '8px' } },
+        h('h3', { style: { margin: 0 } },
+          target
+            ? `Find every ${target.name} in positions 1–${maxPosition}`
+            : `Find every spot for a note in positions 1–${maxPosition}`
+        ),
+        phase === 'playing' && h('div', {
+          role: 'timer',
+          'aria-live': 'off',
+          style: { fontSize: '1.4rem', fontWeight: 700, color: remaining < 5000 ? 'var(--danger, #e74c3c)' : 'inherit' }
+        }, fmtSeconds(remaining))
+      ),
+      phase === 'playing' && h('p', { className: 'text-muted' },
+        `${found.length} found • ${wrongTaps.length} wrong • score ${live?.score ?? 0}`,
+        best ? ` • best ${fmtSeconds(best.ms)}` : ''
+      ),
+      board,
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap' } },
+        phase === 'playing'
+          ? h('button', { type: 'button', className: 'btn btn-secondary', onClick: () => finish('gave_up') }, 'Give up')
+          : h('button', { type: 'button', className: 'btn btn-primary', onClick: start }, phase === 'done' ? 'Next note →' : '▶ Start'),
+        target && h('button', { type: 'button', className: 'btn btn-outline', onClick: () => playMidi(target.midi, 0.9) }, '🔊 Hear note'),
+        phase !== 'playing' && h('label', { style: { display: 'flex', alignItems: 'center', gap: '6px' } },
+          'Clock',
+          h('select', { className: 'input', value: String(limitMs), onChange: (e) => setLimitMs(Number(e.target.value)) },
+            TIME_LIMITS.map((ms) => h('option', { key: ms, value: String(ms) }, `${ms / 1000}s`)))
+        )
+      ),
+      h('small', { className: 'text-muted' }, 'Keys: Enter start / next • Esc give up')
+    )
+  );
+
+  const results = phase === 'done' && outcome && target && h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body', role: 'status', 'aria-live': 'polite' },
+      h('h3', null,
+        outcome.result.complete ? `✅ All ${locations.length} found` : `⏱️ ${outcome.missed.length} of ${locations.length} missed`,
+        ` — ${outcome.result.score} points`
+      ),
+      h('p', null,
+        `Time ${fmtSeconds(elapsed)}`,
+        outcome.isBest
+          ? ' • 🏆 new best'
+          : (outcome.previousBest ? ` • best ${fmtSeconds(outcome.previousBest.ms)}` : ''),
+        wrongTaps.length ? ` • ${wrongTaps.length} wrong tap${wrongTaps.length === 1 ? '' : 's'}` : ''
+      ),
+      h('ul', null, locations.map((l) => h('li', { key: l.key },
+        `${found.includes(l.key) ? '✓' : '✗'} ${l.string} string: `,
+        l.open
+          ? 'open'
+          : l.fingerings.map((f) => `${ordinal(f.position)} pos finger ${f.finger}${f.extension ? ' (ext.)' : ''}`).join(', ')
+      ))),
+      outcome.missed.length > 0 && h('p', { className: 'text-muted' }, 'Missed spots are added to the Fingerboard trainer’s confusion list.'),
+      history.length > 1 && h('p', { className: 'text-muted' },
+        'Recent: ',
+        history.slice(-8).map((r) => (r.complete ? fmtSeconds(r.ms) : `${r.found}/${r.total}`)).join(' · ')
+      )
+    )
+  );
+
+  return h('div', { className: 'module-container note-locator' },
+    header,
+    prompt,
+    results
+  );
+}
@@ -7,6 +7,7 @@
 
 import { STORAGE_KEYS } from '../config/constants.js';
 import * as storage from '../config/storage.js';
+import { recordingLibrary } from '../engines/recordingLibrary.js';
 
 const { createElement: h, useEffect, useMemo, useState } = React;
 
@@ -49,6 +50,18 @@ export default function PracticeJournal(props = {}) {
   const [notes, setNotes] = useState('');
   const [rating, setRating] = useState('3');   // 1–5
   const [tags, setTags] = useState('');        // comma separated
+  const [takeCounts, setTakeCounts] = useState({}); // journal entry id -> linked recordings
+
+  useEffect(() => {
+    let alive = true;
+    recordingLibrary.list().then((takes) => {
+      if (!alive) return;
+      const counts = {};
+      takes.forEach((t) => { if (t.journalEntryId) counts[t.journalEntryId] = (counts[t.journalEntryId] || 0) + 1; });
+      setTakeCounts(counts);
+    });
+    return () => { alive = false; };
+  }, []);
 
   useEffect(() => {
     // Persist any external edits elsewhere
@@ -185,7 +198,16 @@ export default function PracticeJournal(props = {}) {
                       h('div', { style: { fontWeight: 700 } }, `${e.date || ''} • ${e.minutes || 0} min • ${'★'.repeat(e.rating || 3)}`),
                       e.focus ? h('div', { className: 'muted', style: { marginTop: '4px' } }, e.focus) : null
                     ),
-                    h('button', { className: 'btn btn-secondary', type: 'button', onClick: () => deleteEntry(e.id) }, 'Delete')
+                    h('div', { style: { display: 'flex', gap: '8px' } },
+                      takeCounts[e.id]
+                        ? h('button', {
+                            className: 'btn btn-secondary',
+                            type: 'button',
+                            onClick: () => onNavigate?.('recordings')
+                          }, `🎙️ ${takeCounts[e.id]} take${takeCounts[e.id] === 1 ? '' : 's'}`)
+                        : null,
+                      h('button', { className: 'btn btn-secondary', type: 'button', onClick: () => deleteEntry(e.id) }, 'Delete')
+                    )
                   ),
                   e.notes ? h('div', { style: { marginTop: '8px', whiteSpace: 'pre-wrap' } }, e.notes) : null,
                   (e.tags && e.tags.length)
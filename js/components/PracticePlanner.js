@@ -5,15 +5,28 @@
  * - Safe storage + safe gamification calls (works across engine naming variants)
  * - Prevents stale-state bugs via functional setState updates
  * - Debounced autosave, resilient task/category handling
+ * - Optional key per item (or "in A minor" in the name) → one-tap key drone
  */
 
 import * as storage from '../config/storage.js';
 import * as gamification from '../engines/gamification.js';
-import { TECHNIQUE_TASKS as TECHNIQUE_TASKS_RAW } from '../config/constants.js';
+import { TECHNIQUE_TASKS as TECHNIQUE_TASKS_RAW, KEY_SIGNATURES as KEY_SIGNATURES_RAW } from '../config/constants.js';
+import { droneEngine, parseKey, keyFromText } from '../engines/droneEngine.js';
 
 const { createElement: h, useEffect, useMemo, useRef, useState, useCallback } = React;
 
 const TECHNIQUE_TASKS = Array.isArray(TECHNIQUE_TASKS_RAW) ? TECHNIQUE_TASKS_RAW : [];
+const KEY_SIGNATURES = Array.isArray(KEY_SIGNATURES_RAW) ? KEY_SIGNATURES_RAW : [];
+
+// Explicit key wins; otherwise look for "A minor" / "D major" in the item name
+function itemKey(item) {
+  return parseKey(item?.key) || keyFromText(item?.name);
+}
+
+function isPlannerDrone(state, key) {
+  return !!key && !!state?.playing && state.source === 'planner' &&
+    state.key?.tonic === key.tonic && state.key?.mode === key.mode;
+}
 
 function safeToast(showToast, message, type = 'info') {
   try {
@@ -108,6 +121,16 @@ export default function PracticePlanner({ navigate, showToast }) {
   const [tab, setTab] = useState('custom'); // 'custom' | 'technique'
   const [newItemName, setNewItemName] = useState('');
   const [selectedTaskId, setSelectedTaskId] = useState('');
+  const [newItemKey, setNewItemKey] = useState('');
+  const [droneState, setDroneState] = useState(() => droneEngine.getState());
+
+  useEffect(() => {
+    const unsubscribe = droneEngine.subscribe(setDroneState);
+    return () => {
+      unsubscribe();
+      if (droneEngine.getState().source === 'planner') droneEngine.stop();
+    };
+  }, []);
 
   // ---- initial load ----
   useEffect(() => {
@@ -172,14 +195,16 @@ export default function PracticePlanner({ navigate, showToast }) {
       id: makeId('pp_custom'),
       name,
       type: 'custom',
+      key: newItemKey || undefined,
       completed: false,
       addedDate: nowISO(),
     };
 
     setItems(prev => [...prev, newItem]);
     setNewItemName('');
+    setNewItemKey('');
     safeToast(showToast, 'Added to practice plan', 'success');
-  }, [newItemName, showToast]);
+  }, [newItemName, newItemKey, showToast]);
 
   const addTechniqueTask = useCallback(() => {
     if (!selectedTaskId) return;
@@ -232,6 +257,17 @@ export default function PracticePlanner({ navigate, showToast }) {
     safeToast(showToast, 'Completed items cleared', 'info');
   }, [showToast]);
 
+  const toggleDrone = useCallback(async (item) => {
+    const key = itemKey(item);
+    if (!key) return;
+    if (isPlannerDrone(droneState, key)) {
+      droneEngine.stop();
+      return;
+    }
+    const ok = await droneEngine.startInKey(key, { source: 'planner' });
+    if (!ok) safeToast(showToast, 'Audio not available (check mute)', 'error');
+  }, [droneState, showToast]);
+
   const go = useCallback((route) => {
     try {
       if (typeof navigate === 'function') navigate(route);
@@ -269,6 +305,8 @@ export default function PracticePlanner({ navigate, showToast }) {
   const renderItemRow = (item, { completed = false } = {}) => {
     const bg = completed ? 'var(--success-bg, #d4edda)' : 'var(--surface-2, #f8f9fa)';
     const textColor = completed ? 'var(--success-ink, #155724)' : 'var(--ink, #111827)';
+    const key = itemKey(item);
+    const droneActive = isPlannerDrone(droneState, key);
 
     return h('div', {
       key: item.id,
@@ -301,6 +339,14 @@ export default function PracticePlanner({ navigate, showToast }) {
         item.description ? h('div', { className: 'small', style: { color: 'var(--muted, #6c757d)', marginTop: '4px' } }, String(item.description)) : null,
         item.bielerRef ? h('div', { className: 'small', style: { color: 'var(--primary, #2563eb)', marginTop: '4px', fontStyle: 'italic' } }, `Bieler: ${String(item.bielerRef)}`) : null
       ),
+      key && !completed ? h('button', {
+        className: droneActive ? 'btn-primary' : 'btn-outline',
+        style: { padding: '4px 8px', fontSize: '0.85rem', whiteSpace: 'nowrap' },
+        onClick: () => toggleDrone(item),
+        title: droneActive ? 'Stop drone' : `Drone in ${key.name}`,
+        'aria-pressed': droneActive,
+        type: 'button'
+      }, droneActive ? `🔇 ${key.name}` : `🎵 ${key.name}`) : null,
       h('button', {
         className: 'btn-danger',
         style: { padding: '4px 8px', fontSize: '0.85rem' },
@@ -355,6 +401,15 @@ export default function PracticePlanner({ navigate, showToast }) {
               style: { width: '100%', padding: '8px', marginBottom: '12px' },
               'aria-label': 'New custom practice item'
             }),
+            h('select', {
+              value: newItemKey,
+              onChange: (e) => setNewItemKey(e.target.value),
+              style: { width: '100%', padding: '8px', marginBottom: '12px' },
+              'aria-label': 'Key of this item (for drones)'
+            },
+              h('option', { value: '' }, 'Key (optional — enables a drone)'),
+              ...KEY_SIGNATURES.map(k => h('option', { key: String(k.id), value: String(k.id) }, String(k.name || k.id)))
+            ),
             h('button', {
               className: 'btn-primary',
               onClick: addCustomItem,
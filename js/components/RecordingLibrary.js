@@ -0,0 +1,451 @@
+// js/components/RecordingLibrary.js
+// ===================================
+// VMQ Recording Library — v1.0 (drop-in)
+// Record, keep and compare practice takes (IndexedDB via engines/recordingLibrary.js).
+// Takes carry piece, tempo, tags and an optional PracticeJournal entry link.
+// No JSX. React.createElement style.
+// ===================================
+
+import { audioEngine } from '../engines/audioEngine.js';
+import { recordingLibrary } from '../engines/recordingLibrary.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+import { STORAGE_KEYS, loadJSON } from '../config/storage.js';
+import { formatDurationShort } from '../utils/helpers.js';
+
+const { createElement: h, useEffect, useMemo, useRef, useState } = React;
+
+const DAY_MS = 86400000;
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function humanBytes(bytes) {
+  const b = Number(bytes) || 0;
+  if (b < 1024) return `${b} B`;
+  const kb = b / 1024;
+  if (kb < 1024) return `${kb.toFixed(1)} KB`;
+  const mb = kb / 1024;
+  if (mb < 1024) return `${mb.toFixed(2)} MB`;
+  return `${(mb / 1024).toFixed(2)} GB`;
+}
+
+function loadJournalEntries() {
+  const raw = loadJSON(STORAGE_KEYS.PRACTICE_LOG, []);
+  return (Array.isArray(raw) ? raw : [])
+    .filter((e) => e && e.id)
+    .sort((a, b) => (b.when || 0) - (a.when || 0));
+}
+
+function journalLabel(entry) {
+  if (!entry) return '';
+  return `${entry.date || ''}${entry.focus ? ` • ${entry.focus}` : ''}`;
+}
+
+// "+7 days • tempo 72 → 80 • 0:41 → 0:38"
+function describeProgress(older, newer) {
+  if (!older || !newer) return '';
+  const parts = [];
+  const days = Math.round(((newer.createdAt || 0) - (older.createdAt || 0)) / DAY_MS);
+  parts.push(days === 0 ? 'same day' : `${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`);
+  if (older.tempo && newer.tempo) parts.push(`tempo ${older.tempo} → ${newer.tempo}`);
+  if (older.duration && newer.duration) {
+    parts.push(`${formatDurationShort(older.duration)} → ${formatDurationShort(newer.duration)}`);
+  }
+  return parts.join(' • ');
+}
+
+export default function RecordingLibrary(props = {}) {
+  const { onBack, onNavigate } = props;
+
+  const supported = recordingLibrary.isSupported();
+
+  const [takes, setTakes] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [pieceFilter, setPieceFilter] = useState('');
+  const [journal] = useState(() => loadJournalEntries());
+
+  // Recorder
+  const [recording, setRecording] = useState(false);
+  const [pending, setPending] = useState(null);   // { blob, duration, url }
+  const [form, setForm] = useState({ name: '', piece: '', tempo: '', tags: '', journalEntryId: '' });
+
+  // Playback / edit / compare
+  const [urls, setUrls] = useState({});            // id -> object URL
+  const [playingId, setPlayingId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+  const urlsRef = useRef({});
+
+  async function refresh() {
+    const [list, u] = await Promise.all([recordingLibrary.list(), recordingLibrary.getUsage()]);
+    setTakes(list);
+    setUsage(u);
+  }
+
+  useEffect(() => {
+    refresh();
+    try { sessionTracker.trackActivity?.('recordings', 'open', {}); } catch {}
+
+    return () => {
+      Object.values(urlsRef.current).forEach((u) => { try { URL.revokeObjectURL(u); } catch {} });
+      urlsRef.current = {};
+      if (audioEngine.mediaRecorder && audioEngine.mediaRecorder.state !== 'inactive') {
+        audioEngine.stopRecording().catch(() => {});
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    return () => { if (pending?.url) { try { URL.revokeObjectURL(pending.url); } catch {} } };
+  }, [pending]);
+
+  async function ensureUrl(id) {
+    if (urlsRef.current[id]) return urlsRef.current[id];
+    const url = await recordingLibrary.getObjectUrl(id);
+    if (!url) return null;
+    urlsRef.current = { ...urlsRef.current, [id]: url };
+    setUrls(urlsRef.current);
+    return url;
+  }
+
+  // -------------------------
+  // Recording
+  // -------------------------
+  async function toggleRecording() {
+    if (recording) {
+      try {
+        const take = await audioEngine.stopRecording();
+        setPending(take);
+        setForm((f) => ({ ...f, name: '' }));
+      } catch (e) {
+        emitToast(`Recording failed: ${e?.message || e}`, 'error');
+      }
+      setRecording(false);
+      return;
+    }
+
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      await audioEngine.startRecording();
+      setPending(null);
+      setRecording(true);
+    } catch (e) {
+      emitToast(`Can't record: ${e?.message || 'microphone unavailable'}`, 'error');
+    }
+  }
+
+  async function savePending() {
+    if (!pending?.blob) return;
+    const saved = await recordingLibrary.save(pending.blob, {
+      name: form.name,
+      piece: form.piece,
+      tempo: form.tempo,
+      tags: form.tags,
+      journalEntryId: form.journalEntryId || null,
+      duration: pending.duration
+    });
+    if (!saved) {
+      emitToast('Could not save take — storage may be full', 'error');
+      return;
+    }
+    setPending(null);
+    setForm((f) => ({ ...f, name: '', tags: '' }));
+    try { sessionTracker.trackActivity?.('recordings', 'save', { piece: saved.piece, tempo: saved.tempo }); } catch {}
+    emitToast('Take saved 🎙️', 'success');
+    refresh();
+  }
+
+  // -------------------------
+  // Library actions
+  // -------------------------
+  async function play(id) {
+    const url = await ensureUrl(id);
+    if (!url) {
+      emitToast('Take could not be loaded', 'error');
+      return;
+    }
+    setPlayingId(id);
+  }
+
+  async function commitRename(id) {
+    const updated = await recordingLibrary.rename(id, editName);
+    setEditingId(null);
+    if (updated) setTakes((prev) => prev.map((t) => (t.id === id ? updated : t)));
+  }
+
+  async function remove(take) {
+    if (!confirm(`Delete "${take.name}"? This can't be undone.`)) return;
+    const ok = await recordingLibrary.remove(take.id);
+    if (!ok) return;
+    if (urlsRef.current[take.id]) {
+      try { URL.revokeObjectURL(urlsRef.current[take.id]); } catch {}
+      const { [take.id]: _gone, ...rest } = urlsRef.current;
+      urlsRef.current = rest;
+      setUrls(rest);
+    }
+    setCompareIds((ids) => ids.filter((x) => x !== take.id));
+    if (playingId === take.id) setPlayingId(null);
+    emitToast('Take deleted', 'info');
+    refresh();
+  }
+
+  function toggleCompare(id) {
+    setCompareIds((ids) => {
+      if (ids.includes(id)) return ids.filter((x) => x !== id);
+      return [...ids, id].slice(-2);
+    });
+  }
+
+  // Oldest take of the same piece vs this one — the week-over-week view
+  function compareWithFirst(take) {
+    const first = takes
+      .filter((t) => t.piece && t.piece === take.piece && t.id !== take.id)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))[0];
+    if (!first) {
+      emitToast('No earlier take of this piece yet', 'info');
+      return;
+    }
+    setCompareIds([first.id, take.id]);
+  }
+
+  useEffect(() => {
+    compareIds.forEach((id) => { ensureUrl(id); });
+  }, [compareIds]);
+
+  const pieces = useMemo(
+    () => [...new Set(takes.map((t) => t.piece).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    [takes]
+  );
+
+  const visible = useMemo(
+    () => (pieceFilter ? takes.filter((t) => t.piece === pieceFilter) : takes),
+    [takes, pieceFilter]
+  );
+
+  const journalById = useMemo(() => {
+    const m = {};
+    journal.forEach((e) => { m[e.id] = e; });
+    return m;
+  }, [journal]);
+
+  const comparePair = useMemo(() => {
+    const pair = compareIds.map((id) => takes.find((t) => t.id === id)).filter(Boolean);
+    return pair.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }, [compareIds, takes]);
+
+  // -------------------------
+  // Render
+  // -------------------------
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '🎙️ Recordings')
+    ),
+    h('div', { className: 'module-header-right' },
+      h('button', { className: 'btn btn-secondary', type: 'button', onClick: () => onNavigate?.('journal') }, 'Journal')
+    )
+  );
+
+  if (!supported) {
+    return h('div', { className: 'module-container' }, header,
+      h('div', { className: 'card', style: { marginTop: '12px' } },
+        h('div', { className: 'card-body' }, 'This browser cannot store recordings (IndexedDB unavailable, e.g. private browsing).')
+      )
+    );
+  }
+
+  const storageCard = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('div', { style: { display: 'flex', justifyContent: 'space-between', gap: '10px', flexWrap: 'wrap' } },
+        h('strong', null, `${usage?.count ?? 0} take${usage?.count === 1 ? '' : 's'} • ${humanBytes(usage?.bytes)}`),
+        usage?.estimate?.quota
+          ? h('span', { className: 'text-muted' },
+              `Device storage: ${humanBytes(usage.estimate.usage)} of ${humanBytes(usage.estimate.quota)} (${usage.estimate.percentage}%)`)
+          : null
+      ),
+      usage?.estimate?.quota
+        ? h('div', {
+            style: { height: '8px', marginTop: '8px', borderRadius: 'var(--radius)', background: 'var(--border)', overflow: 'hidden' },
+            role: 'progressbar',
+            'aria-valuenow': usage.estimate.percentage,
+            'aria-valuemin': 0,
+            'aria-valuemax': 100
+          },
+            h('div', {
+              style: {
+                width: `${Math.min(100, usage.estimate.percentage)}%`,
+                height: '100%',
+                background: usage.estimate.isFull ? 'var(--danger)' : 'var(--primary)'
+              }
+            })
+          )
+        : null,
+      usage?.estimate?.isFull && h('p', { className: 'text-muted', style: { marginTop: '8px' } },
+        'Storage is nearly full — delete old takes to keep recording.')
+    )
+  );
+
+  const field = (label, key, attrs = {}) =>
+    h('label', null,
+      h('div', { className: 'label' }, label),
+      h('input', {
+        className: 'input',
+        value: form[key],
+        onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })),
+        ...attrs
+      })
+    );
+
+  const recorder = h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('button', {
+        type: 'button',
+        className: `btn ${recording ? 'btn-danger' : 'btn-primary'} btn-lg`,
+        onClick: toggleRecording,
+        style: { width: '100%' }
+      }, recording ? '⏹ Stop recording' : '🎙️ Record a take'),
+
+      pending && h('div', { style: { marginTop: 'var(--space-md)' } },
+        h('audio', { controls: true, src: pending.url, style: { width: '100%' } }),
+        h('div', { className: 'grid', style: { display: 'grid', gap: '10px', gridTemplateColumns: '1fr 1fr', marginTop: '10px' } },
+          field('Piece', 'piece', { placeholder: 'Accolay Concerto, Kreutzer 2…', list: 'vmq-rec-pieces' }),
+          field('Tempo (BPM)', 'tempo', { type: 'number', min: 20, max: 300, inputMode: 'numeric' }),
+          field('Name (optional)', 'name', { placeholder: 'Auto: piece + date' }),
+          field('Tags (comma separated)', 'tags', { placeholder: 'intonation, shifting…' }),
+          h('label', { style: { gridColumn: '1 / -1' } },
+            h('div', { className: 'label' }, 'Link to journal entry'),
+            h('select', {
+              className: 'input',
+              value: form.journalEntryId,
+              onChange: (e) => setForm((f) => ({ ...f, journalEntryId: e.target.value }))
+            },
+              h('option', { value: '' }, journal.length ? '— none —' : 'No journal entries yet'),
+              journal.slice(0, 30).map((e) => h('option', { key: e.id, value: e.id }, journalLabel(e)))
+            )
+          )
+        ),
+        h('datalist', { id: 'vmq-rec-pieces' }, pieces.map((p) => h('option', { key: p, value: p }))),
+        h('div', { style: { display: 'flex', gap: '10px', marginTop: '10px' } },
+          h('button', { className: 'btn btn-primary', type: 'button', onClick: savePending }, 'Save take'),
+          h('button', { className: 'btn btn-secondary', type: 'button', onClick: () => setPending(null) }, 'Discard')
+        )
+      )
+    )
+  );
+
+  const compareCard = comparePair.length === 2 && h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '10px' } },
+        h('h3', null, 'Compare'),
+        h('button', { className: 'btn btn-secondary btn-sm', type: 'button', onClick: () => setCompareIds([]) }, 'Close')
+      ),
+      h('p', { className: 'text-muted' }, describeProgress(comparePair[0], comparePair[1])),
+      h('div', { className: 'grid-2' },
+        comparePair.map((t, i) =>
+          h('div', { key: t.id },
+            h('div', { style: { fontWeight: 700 } }, `${i === 0 ? 'Before' : 'After'}: ${t.name}`),
+            h('div', { className: 'text-muted' }, `${t.date}${t.tempo ? ` • ${t.tempo} BPM` : ''}`),
+            urls[t.id]
+              ? h('audio', { controls: true, src: urls[t.id], style: { width: '100%', marginTop: '6px' } })
+              : h('div', { className: 'text-muted' }, 'Loading…')
+          )
+        )
+      )
+    )
+  );
+
+  const list = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' } },
+        h('h3', null, 'Library'),
+        pieces.length > 0 && h('select', {
+          className: 'input',
+          value: pieceFilter,
+          onChange: (e) => setPieceFilter(e.target.value),
+          'aria-label': 'Filter by piece',
+          style: { width: 'auto' }
+        },
+          h('option', { value: '' }, 'All pieces'),
+          pieces.map((p) => h('option', { key: p, value: p }, p))
+        )
+      ),
+      compareIds.length === 1 && h('p', { className: 'text-muted' }, 'Select one more take to compare.'),
+      visible.length === 0
+        ? h('div', { className: 'muted' }, 'No takes yet. Record one above — future you will want to hear it.')
+        : h('div', { style: { display: 'grid', gap: '10px', marginTop: '8px' } },
+            visible.map((t) =>
+              h('div', { key: t.id, className: 'card', style: { border: '1px solid rgba(255,255,255,.08)' } },
+                h('div', { className: 'card-body' },
+                  h('div', { style: { display: 'flex', justifyContent: 'space-between', gap: '10px', alignItems: 'baseline' } },
+                    editingId === t.id
+                      ? h('input', {
+                          className: 'input',
+                          value: editName,
+                          autoFocus: true,
+                          onChange: (e) => setEditName(e.target.value),
+                          onBlur: () => commitRename(t.id),
+                          onKeyDown: (e) => {
+                            if (e.key === 'Enter') commitRename(t.id);
+                            if (e.key === 'Escape') setEditingId(null);
+                          },
+                          style: { flex: 1 }
+                        })
+                      : h('div', { style: { fontWeight: 700 } }, t.name),
+                    h('label', { className: 'text-muted', style: { whiteSpace: 'nowrap' } },
+                      h('input', {
+                        type: 'checkbox',
+                        checked: compareIds.includes(t.id),
+                        onChange: () => toggleCompare(t.id)
+                      }),
+                      ' Compare'
+                    )
+                  ),
+                  h('div', { className: 'muted', style: { marginTop: '4px' } },
+                    [
+                      t.date,
+                      t.piece,
+                      t.tempo ? `${t.tempo} BPM` : null,
+                      t.duration ? formatDurationShort(t.duration) : null,
+                      humanBytes(t.size)
+                    ].filter(Boolean).join(' • ')
+                  ),
+                  t.journalEntryId && journalById[t.journalEntryId] &&
+                    h('div', { className: 'text-muted', style: { marginTop: '4px' } }, `📓 ${journalLabel(journalById[t.journalEntryId])}`),
+                  (t.tags && t.tags.length)
+                    ? h('div', { style: { marginTop: '8px', display: 'flex', flexWrap: 'wrap', gap: '6px' } },
+                        t.tags.map((tag) => h('span', { key: tag, className: 'chip' }, tag))
+                      )
+                    : null,
+                  playingId === t.id && urls[t.id] &&
+                    h('audio', { controls: true, autoPlay: true, src: urls[t.id], style: { width: '100%', marginTop: '8px' } }),
+                  h('div', { style: { display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '8px' } },
+                    h('button', { className: 'btn btn-primary btn-sm', type: 'button', onClick: () => play(t.id) }, '▶ Play'),
+                    h('button', {
+                      className: 'btn btn-secondary btn-sm',
+                      type: 'button',
+                      onClick: () => { setEditingId(t.id); setEditName(t.name); }
+                    }, 'Rename'),
+                    t.piece && h('button', {
+                      className: 'btn btn-secondary btn-sm',
+                      type: 'button',
+                      onClick: () => compareWithFirst(t)
+                    }, 'vs. first take'),
+                    h('button', { className: 'btn btn-danger btn-sm', type: 'button', onClick: () => remove(t) }, 'Delete')
+                  )
+                )
+              )
+            )
+          )
+    )
+  );
+
+  return h('div', { className: 'module-container' }, header, storageCard, recorder, compareCard, list);
+}
@@ -3,6 +3,8 @@
 // RHYTHM v3.0 (Drop-in, Hardened)
 // ML-Adaptive Pattern Mastery
 // Syncopation + Confusion Detection + Tempo Adaptation + 8-Engine Integration
+// Pattern sets export as Standard MIDI Files (rhythm part + click track)
+// Passage source: drill the bars of an imported MusicXML passage
 // ======================================
 
 const { createElement: h, useState, useEffect, useCallback, useRef, useMemo } = React;
@@ -11,12 +13,18 @@ const { createElement: h, useState, useEffect, useCallback, useRef, useMemo } =
 import * as ConstantsMod from '../config/constants.js';
 import * as HelpersMod from '../utils/helpers.js';
 import * as AudioMod from '../engines/audioEngine.js';
+import * as MetronomeMod from '../engines/metronome.js';
+import * as RhythmAnalyzerMod from '../engines/rhythmAnalyzer.js';
+import * as RecordingsMod from '../engines/recordingLibrary.js';
+import * as MidiExportMod from '../engines/midiExport.js';
 import * as GameMod from '../engines/gamification.js';
 import * as SRSMod from '../engines/spacedRepetition.js';
 import * as SessionMod from '../engines/sessionTracker.js';
 import * as AnalyticsMod from '../engines/analytics.js';
 import * as DifficultyMod from '../engines/difficultyAdapter.js';
 import * as StorageMod from '../config/storage.js';
+import * as RepertoireMod from '../engines/repertoire.js';
+import StaffNotation from './StaffNotation.js';
 
 // -------------------------
 // SAFE CONSTANTS + HELPERS
@@ -92,6 +100,25 @@ const accuracyPct = (c, t) => (t ? Math.round((c / t) * 100) : 0);
 
 // Engines (safe)
 const audioEngineImported = AudioMod.audioEngine || (AudioMod.default && AudioMod.default.audioEngine) || AudioMod.default || null;
+const metronomeScheduler = MetronomeMod.metronome || MetronomeMod.default || null;
+const SUBDIVISIONS = MetronomeMod.SUBDIVISIONS || { quarter: { id: 'quarter', label: 'Quarters', perBeat: 1 } };
+const rhythmAnalyzer = RhythmAnalyzerMod.rhythmAnalyzer || RhythmAnalyzerMod.default || null;
+const recordingLibrary = RecordingsMod.recordingLibrary || RecordingsMod.default || null;
+const rhythmSetToMidi = MidiExportMod.rhythmSetToMidi || (MidiExportMod.default && MidiExportMod.default.rhythmSetToMidi) || null;
+const downloadMidi = MidiExportMod.downloadMidi || (MidiExportMod.default && MidiExportMod.default.downloadMidi) || null;
+const midiFilename = MidiExportMod.midiFilename || (MidiExportMod.default && MidiExportMod.default.midiFilename) || ((...p) => `vmq-${p.join('-')}.mid`);
+const rhythmPatternValues = MidiExportMod.rhythmPatternValues || (MidiExportMod.default && MidiExportMod.default.rhythmPatternValues) || null;
+const getRepertoireEntries = RepertoireMod.getRepertoireEntries || (RepertoireMod.default && RepertoireMod.default.getRepertoireEntries) || (() => []);
+
+// MIDI export sets: the current adaptive pool, or RHYTHM_PATTERNS by difficulty
+const MIDI_EXPORT_SETS = [
+  { id: 'pool', label: 'Current pool' },
+  { id: '1', label: 'Foundations (difficulty 1)' },
+  { id: '2', label: 'Intermediate (difficulty 2)' },
+  { id: '3', label: 'Advanced (difficulty 3)' },
+  { id: '4', label: 'Expert (difficulty 4)' },
+  { id: 'all', label: 'All patterns' },
+];
 
 const recordAnswer = GameMod.recordAnswer || (GameMod.default && GameMod.default.recordAnswer) || (() => {});
 const addXP = GameMod.addXP || (GameMod.default && GameMod.default.addXP) || (() => {});
@@ -104,6 +131,14 @@ const ITEM_TYPES = SRSMod.ITEM_TYPES || (SRSMod.default && SRSMod.default.ITEM_T
 const sessionTracker = SessionMod.sessionTracker || (SessionMod.default && SessionMod.default.sessionTracker) || { trackActivity: () => {} };
 
 const analyzePerformance = AnalyticsMod.analyzePerformance || (AnalyticsMod.default && AnalyticsMod.default.analyzePerformance) || null;
+const recordRhythmAssessment =
+  AnalyticsMod.recordRhythmAssessment ||
+  (AnalyticsMod.default && AnalyticsMod.default.recordRhythmAssessment) ||
+  (() => null);
+const getRhythmTimingHistory =
+  AnalyticsMod.getRhythmTimingHistory ||
+  (AnalyticsMod.default && AnalyticsMod.default.getRhythmTimingHistory) ||
+  (() => []);
 
 const getAdaptiveConfig =
   DifficultyMod.getAdaptiveConfig ||
@@ -149,6 +184,27 @@ const DURATIONS = [
   { id: 'half', label: 'Half', symbol: '𝅗𝅥', beats: 2.0 },
 ];
 
+// -------------------------
+// Notation
+// -------------------------
+function renderPatternNotation(pattern, timeSignature, scale) {
+  const values = rhythmPatternValues ? rhythmPatternValues(pattern) : null;
+  if (!values) {
+    // Unknown shape: fall back to the duration symbols
+    return (pattern?.beats || []).map((b, i) => {
+      const d = DURATIONS.find(x => x.id === b.value);
+      return h('span', { key: i, className: 'rhythm-note' }, d?.symbol || b.symbol || b.value);
+    });
+  }
+  return h(StaffNotation, {
+    rhythm: true,
+    timeSignature,
+    notes: values.map(v => ({ duration: v.beats, rest: v.rest })),
+    scale,
+    ariaLabel: `Rhythm ${pattern.name || pattern.id || ''} in ${timeSignature}`.replace(/\s+/g, ' ')
+  });
+}
+
 // -------------------------
 // Storage shapes
 // -------------------------
@@ -191,6 +247,80 @@ function parseTimeSig(ts) {
   return { beatsPerBar: Number.isFinite(n) ? n : 4, beatUnit: Number.isFinite(d) ? d : 4 };
 }
 
+// Accent grouping for the metronome: compound meters in dotted-quarter groups (6/8 -> 3+3)
+function accentsForTimeSig(ts) {
+  const { beatsPerBar, beatUnit } = parseTimeSig(ts);
+  if (beatUnit === 8 && beatsPerBar % 3 === 0 && beatsPerBar > 3) {
+    return new Array(beatsPerBar / 3).fill(3).join('+');
+  }
+  if (beatUnit === 8 && beatsPerBar === 7) return '2+2+3';
+  if (beatUnit === 8 && beatsPerBar === 5) return '3+2';
+  return null;
+}
+
+// -------------------------
+// Played-timing timeline: one column per beat, dot above the line = late (drag),
+// below = early (rush). ±TIMELINE_RANGE_MS fills the height.
+// -------------------------
+const TIMELINE_RANGE_MS = 120;
+
+function timingColor(ms) {
+  const a = Math.abs(ms);
+  if (a <= 20) return 'var(--success)';
+  if (a <= 50) return 'var(--warning)';
+  return 'var(--danger)';
+}
+
+function describeTiming(r) {
+  if (!r || !r.hits) return 'No notes detected yet';
+  const lean = r.tendency === 'rushing'
+    ? `rushing ${Math.abs(r.meanMs)} ms`
+    : r.tendency === 'dragging'
+      ? `dragging ${r.meanMs} ms`
+      : 'on the beat';
+  return `${lean} • ±${r.stdDevMs} ms spread • consistency ${r.consistency}%`;
+}
+
+function renderTimingTimeline(result) {
+  const beats = (result?.beats || []).slice(-64);
+  if (!beats.length) return null;
+
+  const colW = 14;
+  const height = 90;
+  const mid = height / 2;
+  const width = Math.max(colW * beats.length, 120);
+  const yFor = (ms) => mid + (Math.max(-TIMELINE_RANGE_MS, Math.min(TIMELINE_RANGE_MS, ms)) / TIMELINE_RANGE_MS) * (mid - 6);
+
+  return h('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    height,
+    preserveAspectRatio: 'none',
+    role: 'img',
+    'aria-label': `Timing per beat: ${describeTiming(result)}`,
+    style: { display: 'block', marginTop: 'var(--space-sm)' }
+  },
+    h('line', { x1: 0, x2: width, y1: mid, y2: mid, stroke: 'var(--border)', strokeWidth: 1 }),
+    beats.map((b, i) => {
+      const x = i * colW + colW / 2;
+      const parts = [];
+      if (b.beat === 0) {
+        parts.push(h('line', { key: 'bar', x1: x - colW / 2, x2: x - colW / 2, y1: 4, y2: height - 4, stroke: 'var(--border)', strokeWidth: 1, opacity: 0.6 }));
+      }
+      if (b.deviationMs == null) {
+        parts.push(h('text', { key: 'miss', x, y: mid + 4, textAnchor: 'middle', fontSize: 10, fill: 'var(--danger)', opacity: 0.7 }, '×'));
+      } else {
+        const y = yFor(b.deviationMs);
+        parts.push(h('line', { key: 'stem', x1: x, x2: x, y1: mid, y2: y, stroke: timingColor(b.deviationMs), strokeWidth: 2, opacity: b.silent ? 0.5 : 1 }));
+        parts.push(h('circle', { key: 'dot', cx: x, cy: y, r: 3.5, fill: timingColor(b.deviationMs) },
+          h('title', null, `Bar ${b.bar + 1}, beat ${b.beat + 1}: ${b.deviationMs > 0 ? '+' : ''}${b.deviationMs} ms${b.silent ? ' (silent bar)' : ''}`)
+        ));
+      }
+      return h('g', { key: i }, parts);
+    })
+  );
+}
+
 // -------------------------
 // Component
 // -------------------------
@@ -215,8 +345,14 @@ export default function Rhythm(props) {
     difficulty: 'easy',
     optionCount: CONFIG.OPTION_COUNT_DEFAULT,
     patternPool: [],
+    source: '',
   });
 
+  // Imported passages (repertoire engine) with spellable bars
+  const [passages] = useState(() => getRepertoireEntries().filter(e => e.rhythmDrill?.patterns?.length));
+  const [passageId, setPassageId] = useState('');
+  const passage = useMemo(() => passages.find(p => p.id === passageId) || null, [passages, passageId]);
+
   const [currentPattern, setCurrentPattern] = useState(null);
   const [userBeats, setUserBeats] = useState([]);     // array length = pattern beats length, each = duration id or null
   const [selectedTool, setSelectedTool] = useState(DURATIONS[0].id);
@@ -230,6 +366,17 @@ export default function Rhythm(props) {
 
   const [isPlaying, setIsPlaying] = useState(false);
   const [playCount, setPlayCount] = useState(0);
+  const [metroOn, setMetroOn] = useState(false);
+  const [metroSub, setMetroSub] = useState('quarter');
+
+  // Played timing (mic or saved take vs. the click grid)
+  const [timingOn, setTimingOn] = useState(false);
+  const [timing, setTiming] = useState(null);
+  const [timingHistory, setTimingHistory] = useState(() => getRhythmTimingHistory(5));
+  const [takes, setTakes] = useState([]);
+  const [takeId, setTakeId] = useState('');
+  const [analyzingTake, setAnalyzingTake] = useState(false);
+  const [midiSet, setMidiSet] = useState('1');
 
   const [masteredPatterns, setMasteredPatterns] = useState([]);
   const [confusionState, setConfusionState] = useState({ byPattern: {}, byPair: {} });
@@ -242,6 +389,7 @@ export default function Rhythm(props) {
   const autoAdvanceRef = useRef(null);
   const patternTimerRef = useRef(null);
   const metroTimerRef = useRef(null);
+  const timingUnsubRef = useRef(null);
 
   // Derived
   const { beatsPerBar } = useMemo(() => parseTimeSig(timeSig), [timeSig]);
@@ -345,15 +493,19 @@ export default function Rhythm(props) {
     const lvl = clamp(cfg?.level || 1, 1, 6);
     const optionCount = clamp(cfg?.config?.optionCount || CONFIG.OPTION_COUNT_DEFAULT, 3, 6);
 
-    const pool = buildWeightedPool(lvl, timeSig);
+    // A passage replaces the level pool with its own bars
+    const pool = passage
+      ? passage.rhythmDrill.patterns.map(p => ({ ...p, weight: calcWeight(p, lvl) }))
+      : buildWeightedPool(lvl, timeSig);
 
     setAdaptiveConfig({
       level: lvl,
       difficulty: cfg?.difficulty || cfg?.name || (lvl <= 2 ? 'easy' : lvl <= 4 ? 'medium' : 'hard'),
       optionCount,
       patternPool: pool,
+      source: passage?.id || '',
     });
-  }, [buildWeightedPool, timeSig]);
+  }, [buildWeightedPool, calcWeight, timeSig, passage]);
 
   // ---------------------------------------
   // Timer cleanup
@@ -371,7 +523,14 @@ export default function Rhythm(props) {
       clearInterval(metroTimerRef.current);
       metroTimerRef.current = null;
     }
+    try { metronomeScheduler?.stop?.(); } catch {}
     try { engine?.stopMetronome?.(); } catch {}
+    setMetroOn(false);
+    // No click, no grid: a running timing check ends without being scored
+    try { timingUnsubRef.current?.(); } catch {}
+    timingUnsubRef.current = null;
+    try { rhythmAnalyzer?.stop?.(); } catch {}
+    setTimingOn(false);
   }, [engine]);
 
   const clearAutoAdvance = useCallback(() => {
@@ -508,6 +667,44 @@ export default function Rhythm(props) {
     step();
   }, [engine, currentPattern, tempo, timeSig, isPlaying, beatsPerBar, toast]);
 
+  // ---------------------------------------
+  // MIDI export: pattern set at the current tempo + meter, each pattern
+  // twice with a marker, over a click track (for notation software / DAWs)
+  // ---------------------------------------
+  const exportPatternsMidi = useCallback(() => {
+    if (!rhythmSetToMidi || !downloadMidi) {
+      toast('MIDI export is not available', 'error');
+      return;
+    }
+
+    const patterns =
+      midiSet === 'pool' ? (adaptiveConfig.patternPool || []) :
+      midiSet === 'all' ? RHYTHM_PATTERNS :
+      RHYTHM_PATTERNS.filter(p => Number(p.difficulty) === Number(midiSet));
+    if (!patterns.length) {
+      toast('No patterns in this set', 'info');
+      return;
+    }
+
+    try {
+      const { bytes, included, skipped } = rhythmSetToMidi(patterns, {
+        bpm: tempo,
+        timeSig,
+        title: `VMQ rhythm set — ${MIDI_EXPORT_SETS.find(x => x.id === midiSet)?.label || midiSet}`,
+      });
+      if (!included.length) {
+        toast('These patterns have no fixed notation to export', 'info');
+        return;
+      }
+      downloadMidi(bytes, midiFilename('rhythm', midiSet === 'pool' ? `level${adaptiveConfig.level}` : `set-${midiSet}`, timeSig.replace('/', '-'), `${tempo}bpm`));
+      sessionTracker.trackActivity?.('rhythm', 'export_midi', { set: midiSet, count: included.length, skipped: skipped.length, tempo, timeSig });
+      toast(`${included.length} patterns downloaded as MIDI` + (skipped.length ? ` (skipped ${skipped.join(', ')})` : ''), 'success');
+    } catch (e) {
+      console.warn('[Rhythm] MIDI export failed:', e);
+      toast('Export failed', 'error');
+    }
+  }, [midiSet, adaptiveConfig.patternPool, adaptiveConfig.level, tempo, timeSig, toast]);
+
   // ---------------------------------------
   // Hint
   // ---------------------------------------
@@ -743,20 +940,25 @@ export default function Rhythm(props) {
       return;
     }
 
-    if (metroTimerRef.current) {
+    if (metroOn) {
       stopMetronome();
       toast('Metronome stopped', 'info');
       return;
     }
 
-    // Prefer engine method
-    try {
-      if (typeof engine.startMetronome === 'function') {
-        engine.startMetronome(tempo, beatsPerBar);
-        toast('Metronome started', 'info');
-        return;
-      }
-    } catch {}
+    // Prefer the lookahead scheduler (sample-accurate, accents + subdivisions)
+    if (metronomeScheduler?.start) {
+      metronomeScheduler.start({
+        bpm: tempo,
+        beatsPerBar,
+        subdivision: metroSub,
+        accents: accentsForTimeSig(timeSig)
+      }).then((ok) => {
+        setMetroOn(!!ok);
+        toast(ok ? 'Metronome started' : 'Audio engine not available', ok ? 'info' : 'error');
+      }).catch(() => toast('Metronome failed to start', 'error'));
+      return;
+    }
 
     // Fallback: interval tick
     if (typeof engine.playMetronomeTick !== 'function') {
@@ -771,9 +973,92 @@ export default function Rhythm(props) {
       try { engine.playMetronomeTick(down, down ? 0.45 : 0.2); } catch {}
       i++;
     }, beatMs);
+    setMetroOn(true);
 
     toast('Metronome started', 'info');
-  }, [engine, tempo, beatsPerBar, stopMetronome, toast]);
+  }, [engine, tempo, beatsPerBar, timeSig, metroOn, metroSub, stopMetronome, toast]);
+
+  // ---------------------------------------
+  // Played timing (onsets vs. metronome grid)
+  // ---------------------------------------
+  const saveTiming = useCallback((result, context = {}) => {
+    setTiming(result);
+    if (!result || !result.hits) return;
+    recordRhythmAssessment(result, { timeSig, ...context });
+    setTimingHistory(getRhythmTimingHistory(5));
+    try {
+      sessionTracker.trackActivity('rhythm', 'timing_assessment', {
+        source: result.source,
+        bpm: result.bpm,
+        meanMs: result.meanMs,
+        stdDevMs: result.stdDevMs,
+        consistency: result.consistency
+      });
+    } catch {}
+  }, [timeSig]);
+
+  const startTimingCheck = useCallback(async () => {
+    if (!rhythmAnalyzer || !metronomeScheduler?.start) {
+      toast('Timing check not available', 'error');
+      return;
+    }
+
+    if (!metronomeScheduler.isRunning?.()) {
+      const ok = await metronomeScheduler.start({
+        bpm: tempo,
+        beatsPerBar,
+        subdivision: metroSub,
+        accents: accentsForTimeSig(timeSig)
+      });
+      if (!ok) {
+        toast('Audio engine not available', 'error');
+        return;
+      }
+      setMetroOn(true);
+    }
+
+    const ok = await rhythmAnalyzer.start();
+    if (!ok) {
+      toast('Microphone not available', 'error');
+      return;
+    }
+
+    setTiming(null);
+    timingUnsubRef.current = rhythmAnalyzer.subscribe((snapshot) => setTiming(snapshot));
+    setTimingOn(true);
+    toast('Listening — play on the clicks', 'info');
+  }, [tempo, beatsPerBar, metroSub, timeSig, toast]);
+
+  const stopTimingCheck = useCallback(() => {
+    try { timingUnsubRef.current?.(); } catch {}
+    timingUnsubRef.current = null;
+    const result = rhythmAnalyzer?.stop?.() || null;
+    setTimingOn(false);
+    saveTiming(result);
+    if (result?.hits) toast(describeTiming(result), 'success');
+    else toast('No notes detected — check the mic and play a little louder', 'warning');
+  }, [saveTiming, toast]);
+
+  const analyzeSavedTake = useCallback(async () => {
+    const meta = takes.find(t => t.id === takeId);
+    if (!meta || !recordingLibrary || !rhythmAnalyzer) return;
+
+    setAnalyzingTake(true);
+    try {
+      const record = await recordingLibrary.get(meta.id);
+      const result = record?.blob
+        ? await rhythmAnalyzer.analyzeTake(record.blob, { bpm: meta.tempo, beatsPerBar })
+        : null;
+      if (!result) {
+        toast('Could not find clear note onsets in that take', 'warning');
+        setTiming(null);
+      } else {
+        saveTiming(result, { takeId: meta.id });
+      }
+    } finally {
+      setAnalyzingTake(false);
+    }
+  }, [takes, takeId, beatsPerBar, saveTiming, toast]);
 
   // ---------------------------------------
   // UI helpers
@@ -815,13 +1100,36 @@ export default function Rhythm(props) {
   useEffect(() => {
     // refresh pool when timeSig or tempo changes (tempo affects weight)
     refreshAdaptive();
-  }, [timeSig, tempo]);
+  }, [timeSig, tempo, passageId]);
 
   useEffect(() => {
     if (adaptiveConfig.patternPool && adaptiveConfig.patternPool.length > 0) {
       nextQuestion();
     }
-  }, [adaptiveConfig.patternPool?.length, mode]);
+  }, [adaptiveConfig.patternPool?.length, adaptiveConfig.source, mode]);
+
+  // Keep a running metronome in step with the tempo slider / meter / subdivision
+  useEffect(() => {
+    if (!metroOn || !metronomeScheduler?.isRunning?.()) return;
+    metronomeScheduler.update?.({
+      bpm: tempo,
+      beatsPerBar,
+      subdivision: metroSub,
+      accents: accentsForTimeSig(timeSig)
+    });
+  }, [tempo, beatsPerBar, timeSig, metroSub, metroOn]);
+
+  // Saved takes with a tempo can be graded against a click grid
+  useEffect(() => {
+    let alive = true;
+    recordingLibrary?.list?.().then((list) => {
+      if (!alive) return;
+      const withTempo = (list || []).filter(t => t.tempo);
+      setTakes(withTempo);
+      if (withTempo.length) setTakeId(withTempo[0].id);
+    }).catch(() => {});
+    return () => { alive = false; };
+  }, []);
 
   useEffect(() => {
     return () => {
@@ -887,11 +1195,30 @@ export default function Rhythm(props) {
           h('button', {
             key: ts,
             className: `btn ${timeSig === ts ? 'btn-primary' : 'btn-outline'} btn-sm`,
-            onClick: () => setTimeSig(ts)
+            onClick: () => setTimeSig(ts),
+            disabled: !!passage
           }, ts)
         )
       ),
 
+      // Source: level pool or an imported passage (in its own meter)
+      passages.length > 0 && h('select', {
+        className: 'input btn-sm',
+        value: passageId,
+        onChange: (e) => {
+          const next = passages.find(p => p.id === e.target.value);
+          setPassageId(next?.id || '');
+          if (next?.timeSignature) setTimeSig(next.timeSignature);
+          else if (!TIME_SIGNATURES.includes(timeSig)) setTimeSig(TIME_SIGNATURES[0] || '4/4');
+        },
+        'aria-label': 'Rhythm source',
+        title: 'Drill the bars of an imported passage',
+        style: { width: 'auto' }
+      },
+        h('option', { value: '' }, 'Level pool'),
+        passages.map(p => h('option', { key: p.id, value: p.id }, `🎼 ${p.title} (${p.timeSignature})`))
+      ),
+
       // Tempo
       h('div', { style: { display: 'flex', flexDirection: 'column', gap: 'var(--space-sm)', minWidth: '220px' } },
         h('label', null, `Tempo: ${tempo} BPM`),
@@ -908,7 +1235,15 @@ export default function Rhythm(props) {
       // Tools
       h('div', { className: 'mode-toggle' },
         h('button', { className: 'btn btn-outline btn-sm', onClick: hint, disabled: !currentPattern || showAnswerState }, '💡 Hint'),
-        h('button', { className: 'btn btn-outline btn-sm', onClick: toggleMetronome }, metroTimerRef.current ? '⏹ Metro' : '⏰ Metro'),
+        h('button', { className: 'btn btn-outline btn-sm', onClick: toggleMetronome, 'aria-pressed': metroOn }, metroOn ? '⏹ Metro' : '⏰ Metro'),
+        h('select', {
+          className: 'input btn-sm',
+          value: metroSub,
+          onChange: (e) => setMetroSub(e.target.value),
+          'aria-label': 'Metronome subdivision'
+        },
+          Object.values(SUBDIVISIONS).map(sd => h('option', { key: sd.id, value: sd.id }, sd.label))
+        ),
         h('button', { className: 'btn btn-outline btn-sm', onClick: () => nextQuestion() }, '↻ New')
       )
     ),
@@ -944,10 +1279,7 @@ export default function Rhythm(props) {
         className: 'pattern-visual large',
         style: { marginTop: 'var(--space-lg)' }
       },
-        (currentPattern.beats || []).map((b, i) => {
-          const d = DURATIONS.find(x => x.id === b.value);
-          return h('span', { key: i, className: 'rhythm-note' }, d?.symbol || b.symbol || b.value);
-        })
+        renderPatternNotation(currentPattern, currentPattern.timeSig || timeSig, 2)
       ),
 
       // Tool palette
@@ -1030,9 +1362,80 @@ export default function Rhythm(props) {
       )
     ),
 
+    // Played timing
+    h('div', { className: 'card' },
+      h('h3', null, '🎤 Play-along timing'),
+      h('small', { className: 'text-muted' },
+        `Play one note per beat with the click at ${tempo} BPM. Each dot is a beat — above the line is late, below is early.`
+      ),
+      h('div', { style: { display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap', marginTop: 'var(--space-md)' } },
+        !timingOn
+          ? h('button', { className: 'btn btn-primary', onClick: startTimingCheck }, '🎤 Check my timing')
+          : h('button', { className: 'btn btn-danger', onClick: stopTimingCheck }, '⏹ Stop & score'),
+        takes.length > 0 && h('select', {
+          className: 'input btn-sm',
+          value: takeId,
+          onChange: (e) => setTakeId(e.target.value),
+          disabled: timingOn || analyzingTake,
+          'aria-label': 'Saved take to analyze'
+        },
+          takes.map(t => h('option', { key: t.id, value: t.id }, `${t.name} (${t.tempo} BPM)`))
+        ),
+        takes.length > 0 && h('button', {
+          className: 'btn btn-outline',
+          onClick: analyzeSavedTake,
+          disabled: timingOn || analyzingTake || !takeId
+        }, analyzingTake ? 'Analyzing…' : '📼 Analyze take')
+      ),
+      timing && h('div', { style: { marginTop: 'var(--space-md)' } },
+        h('div', { style: { display: 'flex', gap: 'var(--space-md)', flexWrap: 'wrap' } },
+          h('div', { className: 'stat-card' },
+            h('div', { className: 'stat-value' }, `${timing.meanMs > 0 ? '+' : ''}${timing.meanMs} ms`),
+            h('small', null, timing.tendency === 'none' ? 'avg offset' : timing.tendency)
+          ),
+          h('div', { className: 'stat-card' },
+            h('div', { className: 'stat-value' }, `±${timing.stdDevMs} ms`),
+            h('small', null, 'spread')
+          ),
+          h('div', { className: 'stat-card' },
+            h('div', { className: 'stat-value' }, `${timing.consistency}%`),
+            h('small', null, 'consistency')
+          ),
+          h('div', { className: 'stat-card' },
+            h('div', { className: 'stat-value' }, `${timing.hits}/${timing.total}`),
+            h('small', null, 'beats played')
+          )
+        ),
+        renderTimingTimeline(timing),
+        h('small', { className: 'text-muted' }, describeTiming(timing))
+      ),
+      timingHistory.length > 0 && h('div', { style: { marginTop: 'var(--space-md)' } },
+        h('h4', null, 'Recent checks'),
+        h('ul', null,
+          timingHistory.map(x => h('li', { key: x.timestamp },
+            `${new Date(x.timestamp).toLocaleDateString()} • ${x.bpm || '?'} BPM • ${x.tendency} ${x.meanMs > 0 ? '+' : ''}${x.meanMs} ms • ${x.consistency}%${x.source === 'take' ? ' • take' : ''}`
+          ))
+        )
+      )
+    ),
+
     // Quick reference / browse
     h('div', { className: 'card' },
       h('h3', null, 'Patterns'),
+      rhythmSetToMidi && h('div', { style: { display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap', alignItems: 'center', marginBottom: 'var(--space-md)' } },
+        h('select', {
+          value: midiSet,
+          onChange: (e) => setMidiSet(e.target.value),
+          'aria-label': 'Pattern set to export'
+        },
+          MIDI_EXPORT_SETS.map(x => h('option', { key: x.id, value: x.id }, x.label))
+        ),
+        h('button', {
+          className: 'btn btn-outline',
+          onClick: exportPatternsMidi,
+          title: `Download the set as a MIDI file at ${tempo} BPM in ${timeSig} (rhythm part + click track)`
+        }, '⬇️ MIDI')
+      ),
       h('div', { className: 'module-grid' },
         (adaptiveConfig.patternPool || []).slice(0, 8).map(p =>
           h('div', {
@@ -1053,10 +1456,7 @@ export default function Rhythm(props) {
           },
             h('h4', null, p.name || p.id),
             h('div', { className: 'pattern-visual small' },
-              (p.beats || []).map((b, i) => {
-                const d = DURATIONS.find(x => x.id === b.value);
-                return h('span', { key: i, className: 'rhythm-note' }, d?.symbol || b.symbol || b.value);
-              })
+              renderPatternNotation(p, p.timeSig || timeSig, 1.2)
             ),
             h('small', { className: 'text-muted' }, `${p.timeSig || timeSig} • ${p.difficulty || ''}${p.syncopated ? ' • syncopated' : ''}`)
           )
@@ -0,0 +1,269 @@
+// js/components/SRSInsights.js
+// ===================================
+// VMQ SRS Insights — v1.0
+// Spaced-repetition panel for the Analytics screen: true retention against
+// the scheduler's target, forgetting curves per item type, review workload
+// (past and forecast) and the ease distribution, all from the review log
+// (engines/srsAnalytics.js). Charts are inline SVG.
+// No JSX. React.createElement style.
+// ===================================
+
+import { getSRSAnalytics } from '../engines/srsAnalytics.js';
+import { retrievability } from '../engines/fsrs.js';
+
+const { createElement: h, useEffect, useState } = React;
+
+const TYPE_LABELS = {
+  flashcard: 'Flashcards',
+  interval: 'Intervals',
+  key: 'Key signatures',
+  rhythm: 'Rhythm',
+  scale: 'Scales',
+  bieler: 'Bieler',
+  shift: 'Shifting'
+};
+const SERIES_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#17a2b8', '#dc3545', '#6c757d'];
+const MAX_CURVES = 5;
+
+const W = 360;
+const H = 180;
+const PAD = { l: 34, r: 8, t: 10, b: 24 };
+
+const pct = (v) => (v == null ? '—' : `${Math.round(v * 100)}%`);
+const typeLabel = (t) => TYPE_LABELS[t] || t;
+
+function Chart({ label, children }) {
+  return h('svg', {
+    viewBox: `0 0 ${W} ${H}`,
+    role: 'img',
+    'aria-label': label,
+    style: { width: '100%', maxWidth: '560px', height: 'auto', display: 'block', marginTop: '8px' }
+  }, children);
+}
+
+function yAxis(ticks, y, format) {
+  return ticks.map((v) => h('g', { key: `y${v}` },
+    h('line', { x1: PAD.l, x2: W - PAD.r, y1: y(v), y2: y(v), stroke: '#dee2e6', strokeDasharray: '2,2' }),
+    h('text', { x: PAD.l - 4, y: y(v) + 3, textAnchor: 'end', fontSize: 9, fill: '#6c757d' }, format(v))
+  ));
+}
+
+function stat(label, value, color = '#007bff') {
+  return h('div', null,
+    h('div', { className: 'small', style: { color: '#6c757d' } }, label),
+    h('div', { style: { fontSize: '1.5rem', fontWeight: 'bold', color } }, value)
+  );
+}
+
+// ---------------------------------
+// Retention vs target
+// ---------------------------------
+function RetentionCard({ data }) {
+  const r = data.retention;
+  const weeks = r.weekly;
+  const lowest = Math.min(0.5, ...weeks.filter((w) => w.retention != null).map((w) => w.retention), r.target - 0.1);
+  const y = (v) => PAD.t + (1 - (v - lowest) / (1 - lowest)) * (H - PAD.t - PAD.b);
+  const x = (i) => PAD.l + (i / Math.max(1, weeks.length - 1)) * (W - PAD.l - PAD.r);
+  const pts = weeks.map((w, i) => (w.retention == null ? null : [x(i), y(w.retention)])).filter(Boolean);
+  const gapColor = r.gap == null ? '#6c757d' : r.gap >= -0.02 ? '#28a745' : r.gap >= -0.08 ? '#ffc107' : '#dc3545';
+
+  return h('div', { className: 'card', style: { marginBottom: '20px' } },
+    h('h3', null, '🧠 Retention vs Target'),
+    h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))', gap: '16px', marginTop: '12px' } },
+      stat('True retention', pct(r.retention), gapColor),
+      stat(data.scheduler === 'fsrs' ? 'FSRS target' : 'SM-2 nominal target', pct(r.target), '#6c757d'),
+      stat('Spaced reviews', r.reviews, '#007bff'),
+      stat('Gap', r.gap == null ? '—' : `${r.gap > 0 ? '+' : ''}${Math.round(r.gap * 100)} pts`, gapColor)
+    ),
+    pts.length > 0 && h(Chart, { label: 'Weekly retention against the target' },
+      yAxis([lowest, (lowest + 1) / 2, 1].map((v) => Math.round(v * 100) / 100), y, (v) => `${Math.round(v * 100)}%`),
+      h('line', { x1: PAD.l, x2: W - PAD.r, y1: y(r.target), y2: y(r.target), stroke: '#dc3545', strokeDasharray: '5,3' }),
+      h('text', { x: W - PAD.r, y: y(r.target) - 3, textAnchor: 'end', fontSize: 9, fill: '#dc3545' }, 'target'),
+      h('polyline', { points: pts.map((p) => p.join(',')).join(' '), fill: 'none', stroke: '#007bff', strokeWidth: 2 }),
+      weeks.map((w, i) => w.retention != null && h('circle', { key: i, cx: x(i), cy: y(w.retention), r: 3, fill: '#007bff' },
+        h('title', null, `Week of ${w.label}: ${pct(w.retention)} of ${w.reviews}`))),
+      weeks.map((w, i) => i % 2 === 0 && h('text', { key: `l${i}`, x: x(i), y: H - 8, textAnchor: 'middle', fontSize: 9, fill: '#6c757d' }, w.label))
+    ),
+    Object.keys(r.byAlgorithm).length > 1 && h('div', { className: 'small', style: { marginTop: '8px', color: '#6c757d' } },
+      Object.entries(r.byAlgorithm).map(([algo, s]) =>
+        `${algo.toUpperCase()}: ${pct(s.retention)} of ${s.reviews}${s.predicted != null ? ` (predicted ${pct(s.predicted)})` : ''}`).join(' • ')
+    ),
+    r.byPreviousAnswer.length > 0 && h('div', { style: { marginTop: '12px' } },
+      h('strong', null, 'SM-2 multipliers'),
+      h('div', { className: 'small', style: { color: '#6c757d', marginBottom: '4px' } },
+        'Recall at the next review, by the answer that set the interval (past the 1- and 6-day steps). Similar recall across rows means the multipliers stretch intervals about right; a lower Easy row means 1.6× is too generous.'),
+      r.byPreviousAnswer.map((row) => h('div', { key: row.quality, className: 'stat-row' },
+        h('span', null, `${row.quality === 5 ? 'Easy' : row.quality === 4 ? 'Good' : 'Hard'} (q${row.quality}, ×${row.multiplier}) • avg ${row.avgInterval}d`),
+        h('strong', null, `${pct(row.retention)} of ${row.reviews}`)
+      ))
+    )
+  );
+}
+
+// ---------------------------------
+// Forgetting curves
+// ---------------------------------
+function CurvesCard({ curves }) {
+  const shown = curves.slice(0, MAX_CURVES);
+  const minD = 0.5;
+  const maxD = 240;
+  const x = (d) => PAD.l + (Math.log(Math.min(maxD, Math.max(minD, d)) / minD) / Math.log(maxD / minD)) * (W - PAD.l - PAD.r);
+  const y = (v) => PAD.t + (1 - v) * (H - PAD.t - PAD.b);
+  const curvePath = (s) => {
+    const steps = 40;
+    return Array.from({ length: steps + 1 }, (_, i) => {
+      const d = minD * (maxD / minD) ** (i / steps);
+      return `${i ? 'L' : 'M'} ${x(d).toFixed(1)} ${y(retrievability(d, s)).toFixed(1)}`;
+    }).join(' ');
+  };
+
+  return h('div', { className: 'card', style: { marginBottom: '20px' } },
+    h('h3', null, '📉 Forgetting Curves'),
+    h('div', { className: 'small', style: { color: '#6c757d' } },
+      'Recall by days since the last review (dots, sized by reviews) and the best-fitting curve. Stability = days until recall drops to 90%.'),
+    h(Chart, { label: 'Forgetting curves per item type' },
+      yAxis([0, 0.5, 0.9, 1], y, (v) => `${Math.round(v * 100)}%`),
+      [1, 7, 30, 120].map((d) => h('text', { key: d, x: x(d), y: H - 8, textAnchor: 'middle', fontSize: 9, fill: '#6c757d' }, d < 30 ? `${d}d` : `${Math.round(d / 30)}m`)),
+      shown.map((c, i) => h('g', { key: c.type },
+        c.stability && h('path', { d: curvePath(c.stability), fill: 'none', stroke: SERIES_COLORS[i], strokeWidth: 1.5, opacity: 0.8 }),
+        c.bins.filter((b) => b.reviews > 0).map((b) => h('circle', {
+          key: b.label,
+          cx: x(b.days),
+          cy: y(b.recall),
+          r: Math.min(6, 2 + Math.sqrt(b.reviews) / 2),
+          fill: SERIES_COLORS[i],
+          opacity: 0.75
+        }, h('title', null, `${typeLabel(c.type)} • ${b.label}: ${pct(b.recall)} of ${b.reviews}`)))
+      ))
+    ),
+    h('div', { style: { display: 'flex', flexWrap: 'wrap', gap: '12px', marginTop: '8px' } },
+      shown.map((c, i) => h('span', { key: c.type, className: 'small' },
+        h('span', { style: { color: SERIES_COLORS[i], fontWeight: 'bold' } }, '● '),
+        `${typeLabel(c.type)}: ${pct(c.recall)} of ${c.reviews}` + (c.stability ? ` • stability ${c.stability}d` : '')
+      ))
+    )
+  );
+}
+
+// ---------------------------------
+// Workload
+// ---------------------------------
+function WorkloadCard({ workload }) {
+  const bars = [
+    ...workload.past.map((d) => ({ ...d, kind: 'past', value: d.reviews })),
+    ...workload.forecast.slice(1).map((d) => ({ ...d, kind: 'due', value: d.due }))
+  ];
+  const max = Math.max(5, ...bars.map((b) => b.value), workload.forecast[0]?.due || 0);
+  const bw = (W - PAD.l - PAD.r) / bars.length;
+  const y = (v) => PAD.t + (1 - v / max) * (H - PAD.t - PAD.b);
+  const todayX = PAD.l + workload.past.length * bw;
+
+  return h('div', { className: 'card', style: { marginBottom: '20px' } },
+    h('h3', null, '📅 Review Workload'),
+    h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))', gap: '16px', marginTop: '12px' } },
+      stat('Reviews / day (30d)', workload.avgPerDay ?? 0),
+      stat('Due today', workload.forecast[0]?.due ?? 0, '#fd7e14'),
+      stat('Overdue', workload.overdue, workload.overdue ? '#dc3545' : '#28a745'),
+      stat('Seconds / review', workload.avgSecondsPerReview ?? '—', '#6c757d')
+    ),
+    h(Chart, { label: 'Reviews per day for the last 30 days and cards due over the next two weeks' },
+      yAxis([0, Math.round(max / 2), max], y, (v) => String(v)),
+      bars.map((b, i) => h('g', { key: `${b.kind}${b.start}` },
+        h('rect', {
+          x: PAD.l + i * bw + 1,
+          y: y(b.value),
+          width: Math.max(1, bw - 2),
+          height: Math.max(0, y(0) - y(b.value)),
+          fill: b.kind === 'past' ? '#007bff' : 'none',
+          stroke: b.kind === 'past' ? 'none' : '#fd7e14'
+        }, h('title', null, b.kind === 'past'
+          ? `${b.label}: ${b.reviews} reviews, ${b.lapses} lapses, ${b.first} new, ${b.minutes} min`
+          : `${b.label}: ${b.value} due`)),
+        b.kind === 'past' && b.lapses > 0 && h('rect', {
+          x: PAD.l + i * bw + 1,
+          y: y(b.lapses),
+          width: Math.max(1, bw - 2),
+          height: Math.max(0, y(0) - y(b.lapses)),
+          fill: '#dc3545'
+        })
+      )),
+      h('line', { x1: todayX, x2: todayX, y1: PAD.t, y2: H - PAD.b, stroke: '#6c757d', strokeDasharray: '3,3' }),
+      h('text', { x: todayX, y: H - 8, textAnchor: 'middle', fontSize: 9, fill: '#6c757d' }, 'today'),
+      h('text', { x: PAD.l, y: H - 8, fontSize: 9, fill: '#6c757d' }, workload.past[0]?.label)
+    ),
+    h('div', { className: 'small', style: { color: '#6c757d' } }, 'Blue: reviews (red: lapses) • orange outline: cards coming due')
+  );
+}
+
+// ---------------------------------
+// Ease
+// ---------------------------------
+function EaseCard({ ease }) {
+  const max = Math.max(1, ...ease.bins.map((b) => b.count));
+  const bw = (W - PAD.l - PAD.r) / ease.bins.length;
+  const y = (v) => PAD.t + (1 - v / max) * (H - PAD.t - PAD.b);
+
+  return h('div', { className: 'card', style: { marginBottom: '20px' } },
+    h('h3', null, '⚖️ Ease Distribution'),
+    h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))', gap: '16px', marginTop: '12px' } },
+      stat('Reviewed items', ease.items),
+      stat('Mean ease', ease.mean ?? '—', '#6c757d'),
+      stat('Median ease', ease.median ?? '—', '#6c757d'),
+      stat('Near the floor', ease.nearFloor, ease.nearFloor ? '#dc3545' : '#28a745')
+    ),
+    ease.items > 0 && h(Chart, { label: 'Number of items per ease value' },
+      yAxis([0, max], y, (v) => String(v)),
+      ease.bins.map((b, i) => h('rect', {
+        key: b.ease,
+        x: PAD.l + i * bw + 1,
+        y: y(b.count),
+        width: Math.max(1, bw - 2),
+        height: Math.max(0, y(0) - y(b.count)),
+        fill: b.ease < ease.bins[0].ease + 0.4 ? '#dc3545' : '#28a745'
+      }, h('title', null, `Ease ${b.ease}: ${b.count}`))),
+      ease.bins.filter((_, i) => i % 4 === 0).map((b) => h('text', {
+        key: `l${b.ease}`,
+        x: PAD.l + (ease.bins.indexOf(b) + 0.5) * bw,
+        y: H - 8,
+        textAnchor: 'middle',
+        fontSize: 9,
+        fill: '#6c757d'
+      }, b.ease.toFixed(1)))
+    ),
+    Object.keys(ease.byType).length > 0 && h('div', { className: 'small', style: { color: '#6c757d', marginTop: '8px' } },
+      Object.entries(ease.byType).map(([t, v]) => `${typeLabel(t)} ${v}`).join(' • '))
+  );
+}
+
+export default function SRSInsights() {
+  const [data, setData] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    getSRSAnalytics().then((d) => {
+      if (!alive) return;
+      setData(d);
+      setLoaded(true);
+    });
+    return () => { alive = false; };
+  }, []);
+
+  if (!loaded) return null;
+  if (!data || !data.logSize) {
+    return h('div', { className: 'card', style: { marginBottom: '20px' } },
+      h('h3', null, '🧠 Spaced Repetition'),
+      h('p', { className: 'small', style: { color: '#6c757d' } },
+        'No reviews logged yet. Answers in Flashcards, your decks and the SM-2 drills build the retention, forgetting-curve and workload charts here.')
+    );
+  }
+
+  return h('div', { className: 'srs-insights' },
+    h('div', { className: 'small', style: { color: '#6c757d', marginBottom: '8px' } },
+      `Spaced repetition • ${data.logSize} reviews logged since ${new Date(data.since).toLocaleDateString()} • scheduler ${data.scheduler.toUpperCase()}`),
+    h(RetentionCard, { data }),
+    data.curves.length > 0 && h(CurvesCard, { curves: data.curves }),
+    h(WorkloadCard, { workload: data.workload }),
+    h(EaseCard, { ease: data.ease })
+  );
+}
@@ -3,6 +3,8 @@
 // SCALES LAB v3.0 (Drop-in, Hardened)
 // Unified Harmony Explorer + ML-Adaptive Trainer + Interactive Quiz
 // Production-ready with fallback safety + deep analytics integration
+// MIDI input: play a scale note to explore it or answer the degree quiz
+// Exports: WAV play-along, MIDI (scale or arpeggio) and ABC
 // ======================================
 
 const { createElement: h, useState, useEffect, useCallback, useMemo, useRef } = React;
@@ -11,12 +13,19 @@ const { createElement: h, useState, useEffect, useCallback, useMemo, useRef } =
 import * as ConstantsMod from '../config/constants.js';
 import * as HelpersMod from '../utils/helpers.js';
 import * as AudioMod from '../engines/audioEngine.js';
+import * as ExportMod from '../engines/audioExport.js';
+import * as MidiExportMod from '../engines/midiExport.js';
+import * as DroneMod from '../engines/droneEngine.js';
+import * as MidiMod from '../engines/midiInput.js';
 import * as SRSMod from '../engines/spacedRepetition.js';
 import * as GameMod from '../engines/gamification.js';
 import * as AnalyticsMod from '../engines/analytics.js';
 import * as DifficultyMod from '../engines/difficultyAdapter.js';
 import * as SessionMod from '../engines/sessionTracker.js';
 import * as KeyboardMod from '../utils/keyboard.js';
+import { spellScale, keySignatureCount } from '../utils/notation.js';
+import { toABC, abcFilename, ABC_MIME } from '../utils/abc.js';
+import StaffNotation from './StaffNotation.js';
 
 // ---------------------------------------------------------------------------
 // SAFE ACCESSORS / FALLBACKS
@@ -80,6 +89,24 @@ const audioEngineImported =
   (AudioMod.default && (AudioMod.default.audioEngine || AudioMod.default)) ||
   null;
 
+// WAV export (optional)
+const renderToWav = ExportMod.renderToWav || (ExportMod.default && ExportMod.default.renderToWav) || null;
+const downloadBlob = ExportMod.downloadBlob || (ExportMod.default && ExportMod.default.downloadBlob) || null;
+const wavFilename = ExportMod.wavFilename || (ExportMod.default && ExportMod.default.wavFilename) || ((...p) => `vmq-${p.join('-')}.wav`);
+
+// MIDI file export (optional)
+const sequenceToMidi = MidiExportMod.sequenceToMidi || (MidiExportMod.default && MidiExportMod.default.sequenceToMidi) || null;
+const arpeggioFromScale = MidiExportMod.arpeggioFromScale || (MidiExportMod.default && MidiExportMod.default.arpeggioFromScale) || ((n) => n);
+const keySignatureFor = MidiExportMod.keySignatureFor || (MidiExportMod.default && MidiExportMod.default.keySignatureFor) || null;
+const downloadMidi = MidiExportMod.downloadMidi || (MidiExportMod.default && MidiExportMod.default.downloadMidi) || null;
+const midiFilename = MidiExportMod.midiFilename || (MidiExportMod.default && MidiExportMod.default.midiFilename) || ((...p) => `vmq-${p.join('-')}.mid`);
+
+// Key drones (optional)
+const droneEngine = DroneMod.droneEngine || DroneMod.default || null;
+const DRONE_VOICINGS = DroneMod.DRONE_VOICINGS || { fifth: { id: 'fifth', label: 'Tonic + 5th' } };
+
+const midiInput = MidiMod.midiInput || MidiMod.default || null;
+
 // SRS
 const updateItem = SRSMod.updateItem || (SRSMod.default && SRSMod.default.updateItem) || (async () => {});
 const getDueItems = SRSMod.getDueItems || (SRSMod.default && SRSMod.default.getDueItems) || (() => []);
@@ -196,6 +223,34 @@ function weightedPick(items, weightKey = 'weight') {
   return items[items.length - 1];
 }
 
+// Note order for a play mode (up | down | updown)
+function buildPlaySequence(notes, playDir) {
+  if (playDir === 'down') return notes.slice().reverse();
+  if (playDir === 'updown') return [...notes, ...notes.slice(0, -1).reverse()];
+  return notes.slice();
+}
+
+// Drone key for a scale: minor forms get a minor triad, everything else major
+function scaleDroneKey(rootMidi, scaleId) {
+  return { tonic: ((rootMidi % 12) + 12) % 12, mode: String(scaleId).startsWith('minor') ? 'minor' : 'major' };
+}
+
+// Honor the selected tuning system (degrees tuned against the tonic)
+function scaleNoteFreq(engine, midi, tonicMidi) {
+  return (engine && typeof engine.tunedMidiToFreq === 'function')
+    ? engine.tunedMidiToFreq(midi, tonicMidi)
+    : midiToFreq(midi);
+}
+
+// Played MIDI note -> scale index by pitch class, so any octave answers.
+// The tonic appears twice; prefer the index being asked for.
+function scaleIndexForMidi(scaleNotes, midi, preferIdx = -1) {
+  const pc = ((midi % 12) + 12) % 12;
+  const same = (m) => ((m % 12) + 12) % 12 === pc;
+  if (preferIdx >= 0 && scaleNotes[preferIdx] != null && same(scaleNotes[preferIdx])) return preferIdx;
+  return scaleNotes.findIndex(same);
+}
+
 function safeToast(showToast, msg, type = 'info') {
   if (typeof showToast === 'function') return showToast(msg, type);
   if (window.VMQToast && typeof window.VMQToast.show === 'function') return window.VMQToast.show(msg, type);
@@ -220,6 +275,8 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
   const [tempo, setTempo] = useState(LOCAL.DEFAULT_TEMPO);
   const [playMode, setPlayMode] = useState('updown'); // up | down | updown
   const [isPlaying, setIsPlaying] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [droneState, setDroneState] = useState(() => droneEngine?.getState?.() || { playing: false });
   const [highlightedNote, setHighlightedNote] = useState(-1);
 
   // ML / analytics
@@ -272,6 +329,22 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     return notes;
   }, [root, currentScaleData]);
 
+  // Spelled one letter per degree (F# not Gb in D major); names only while exploring
+  const spelledNotes = useMemo(() => spellScale(scaleNotes, rootName), [scaleNotes, rootName]);
+  const staffNotes = spelledNotes.map((note, i) => {
+    const isActive = i === highlightedNote;
+    let color = 'var(--primary)';
+    if (mode !== 'explore') color = getMasteryHSL(scaleMastery[`${scaleType}-${root}-note-${i}`] ?? 0.5);
+    return {
+      note,
+      duration: 'whole',
+      color: isActive ? currentScaleData.color : color,
+      label: mode === 'explore' ? note.replace(/-?\d+$/, '') : '',
+      className: 'scale-note',
+      ariaLabel: `Degree ${i + 1}: ${note}`
+    };
+  });
+
   // -------------------------------------------------------------------------
   // INIT: load config + mastery + confusion
   // -------------------------------------------------------------------------
@@ -328,11 +401,112 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     playSeqRef.current.token++;
     setIsPlaying(false);
     setHighlightedNote(-1);
-    try { engine?.stopAll?.(); } catch {}
+    // Leave a key drone sounding under the next run of the scale
+    try {
+      if (typeof engine?.stopNotes === 'function') engine.stopNotes();
+      else engine?.stopAll?.();
+    } catch {}
   }, [engine]);
 
   useEffect(() => () => stopPlayback(), [stopPlayback]);
 
+  // -------------------------------------------------------------------------
+  // EXPORT: Standard MIDI File of the scale (or its 1-3-5-8 arpeggio), one
+  // pass at the current tempo and direction, for notation software / DAWs
+  // -------------------------------------------------------------------------
+  const exportScaleMidi = useCallback((kind = 'scale') => {
+    if (!sequenceToMidi || !downloadMidi) {
+      safeToast(showToast, 'MIDI export is not available', 'error');
+      return;
+    }
+    const notes = kind === 'arpeggio' ? arpeggioFromScale(scaleNotes) : scaleNotes;
+    if (!notes.length) return;
+
+    // Key signature only where the scale implies one (modes/chromatic stay in C)
+    const key = scaleDroneKey(root, scaleType);
+    const hasKey = scaleType === 'major' || String(scaleType).startsWith('minor');
+    const label = `${rootName} ${currentScaleData.name}${kind === 'arpeggio' ? ' arpeggio' : ''}`;
+
+    try {
+      const bytes = sequenceToMidi(buildPlaySequence(notes, playMode), {
+        bpm: clamp(tempo, LOCAL.TEMPO_MIN, LOCAL.TEMPO_MAX),
+        keySignature: hasKey && keySignatureFor ? keySignatureFor(key.tonic, key.mode) : null,
+        title: label
+      });
+      downloadMidi(bytes, midiFilename(rootName, currentScaleData.name, kind === 'arpeggio' ? 'arpeggio' : '', playMode, `${tempo}bpm`));
+      sessionTracker.trackActivity?.('scaleslab', 'export_midi', { root: rootName, scaleType, tempo, playMode, kind });
+      safeToast(showToast, `${label} downloaded as MIDI`, 'success');
+    } catch (e) {
+      console.warn('[ScalesLab] MIDI export failed:', e);
+      safeToast(showToast, 'Export failed', 'error');
+    }
+  }, [scaleNotes, playMode, tempo, root, rootName, scaleType, currentScaleData.name, showToast]);
+
+  // -------------------------------------------------------------------------
+  // EXPORT: the same pass as ABC text in quarter notes, keeping the scale's
+  // spelling; keys past seven sharps (D# major) are written in C with accidentals
+  // -------------------------------------------------------------------------
+  const exportScaleAbc = useCallback(() => {
+    if (!downloadBlob) {
+      safeToast(showToast, 'ABC export is not available', 'error');
+      return;
+    }
+    if (!spelledNotes.length) return;
+
+    const minor = scaleDroneKey(root, scaleType).mode === 'minor';
+    const hasKey = scaleType === 'major' || String(scaleType).startsWith('minor');
+    const keyId = hasKey ? `${rootName}${minor ? 'm' : ''}` : null;
+    const key = keyId && (keySignatureCount(keyId) !== 0 || keyId === 'C' || keyId === 'Am') ? keyId : null;
+    const label = `${rootName} ${currentScaleData.name}`;
+
+    try {
+      const text = toABC({
+        title: label,
+        key,
+        timeSignature: '4/4',
+        tempo: clamp(tempo, LOCAL.TEMPO_MIN, LOCAL.TEMPO_MAX),
+        notes: buildPlaySequence(spelledNotes, playMode).map((note) => ({ note, beats: 1 }))
+      }, { unit: '1/4' });
+      downloadBlob(new Blob([text], { type: ABC_MIME }), abcFilename(rootName, currentScaleData.name, playMode));
+      sessionTracker.trackActivity?.('scaleslab', 'export_abc', { root: rootName, scaleType, playMode });
+      safeToast(showToast, `${label} downloaded as ABC`, 'success');
+    } catch (e) {
+      console.warn('[ScalesLab] ABC export failed:', e);
+      safeToast(showToast, 'Export failed', 'error');
+    }
+  }, [spelledNotes, playMode, tempo, root, rootName, scaleType, currentScaleData.name, showToast]);
+
+  // -------------------------------------------------------------------------
+  // DRONE: sustained tonic / fifth / triad in the current key
+  // -------------------------------------------------------------------------
+  const droneOn = !!(droneState.playing && droneState.source === 'scaleslab');
+
+  useEffect(() => {
+    if (!droneEngine?.subscribe) return undefined;
+    const unsubscribe = droneEngine.subscribe(setDroneState);
+    return () => {
+      unsubscribe();
+      if (droneEngine.getState().source === 'scaleslab') droneEngine.stop();
+    };
+  }, []);
+
+  const toggleDrone = useCallback(async () => {
+    if (!droneEngine) return;
+    if (droneOn) {
+      droneEngine.stop();
+      return;
+    }
+    const ok = await droneEngine.startInKey(scaleDroneKey(root, scaleType), { source: 'scaleslab' });
+    if (!ok) safeToast(showToast, 'Audio not available (check mute)', 'error');
+    else sessionTracker.trackActivity?.('scaleslab', 'drone_start', { root: rootName, scaleType, voicing: droneEngine.getState().voicing });
+  }, [droneOn, root, scaleType, rootName, showToast]);
+
+  // Follow the key: crossfade when the root or major/minor changes
+  useEffect(() => {
+    if (droneOn) droneEngine.startInKey(scaleDroneKey(root, scaleType), { source: 'scaleslab' });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [root, scaleType]);
+
   // -------------------------------------------------------------------------
   // PLAYBACK (safe, cancels properly)
   // -------------------------------------------------------------------------
@@ -347,9 +521,7 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     if (!notes.length) return;
 
     const playDir = opts.playMode || playMode;
-    let seq = notes.slice();
-    if (playDir === 'down') seq = seq.slice().reverse();
-    if (playDir === 'updown') seq = [...notes, ...notes.slice(0, -1).reverse()];
+    const seq = buildPlaySequence(notes, playDir);
 
     const intervalMs = Math.round(60000 / clamp(tempo, LOCAL.TEMPO_MIN, LOCAL.TEMPO_MAX));
     const token = ++playSeqRef.current.token;
@@ -402,7 +574,7 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
       }
 
       const midi = seq[i];
-      const freq = midiToFreq(midi);
+      const freq = scaleNoteFreq(engine, midi, notes[0]);
 
       try {
         // Prefer violin note if present; else generic tone
@@ -426,6 +598,55 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     step();
   }, [engine, isPlaying, scaleNotes, tempo, playMode, rootName, root, scaleType, currentScaleData.difficulty, mode, showToast]);
 
+  // -------------------------------------------------------------------------
+  // EXPORT: same scale + tempo + direction as ▶️ Play, rendered to WAV
+  // -------------------------------------------------------------------------
+  const exportScaleWav = useCallback(async (reps = 4) => {
+    if (isExporting) return;
+    if (!engine || typeof engine.renderOffline !== 'function' || !renderToWav || !downloadBlob) {
+      safeToast(showToast, 'Audio export is not supported in this browser', 'error');
+      return;
+    }
+
+    const notes = scaleNotes;
+    if (!notes.length) return;
+
+    const seq = buildPlaySequence(notes, playMode);
+    const beat = 60 / clamp(tempo, LOCAL.TEMPO_MIN, LOCAL.TEMPO_MAX);
+    const passLen = seq.length * beat + beat; // one beat of rest between repetitions
+
+    setIsExporting(true);
+    try {
+      const { blob } = await renderToWav(passLen * reps, (eng) => {
+        for (let r = 0; r < reps; r++) {
+          seq.forEach((midi, i) => {
+            eng.playTone(scaleNoteFreq(eng, midi, notes[0]), 0.65, { when: r * passLen + i * beat });
+          });
+        }
+      }, { fadeOut: 0.3 });
+
+      downloadBlob(blob, wavFilename(rootName, currentScaleData.name, playMode, `${tempo}bpm`));
+      sessionTracker.trackActivity?.('scaleslab', 'export_wav', { root: rootName, scaleType, tempo, playMode, reps });
+      safeToast(showToast, 'Play-along downloaded', 'success');
+    } catch (e) {
+      console.warn('[ScalesLab] WAV export failed:', e);
+      safeToast(showToast, 'Export failed', 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  }, [engine, isExporting, scaleNotes, playMode, tempo, rootName, scaleType, currentScaleData.name, showToast]);
+
+  // -------------------------------------------------------------------------
+  // MIDI INPUT: handler is reassigned every render (see below the quiz state)
+  // -------------------------------------------------------------------------
+  const midiHandlerRef = useRef(null);
+  const midiAnsweredRef = useRef(null);
+
+  useEffect(() => {
+    if (!midiInput?.onNote) return undefined;
+    return midiInput.onNote((event) => midiHandlerRef.current?.(event));
+  }, []);
+
   // -------------------------------------------------------------------------
   // EXPLORE: click note to hear and label
   // -------------------------------------------------------------------------
@@ -433,7 +654,8 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     if (!engine) return;
 
     try {
-      engine.playTone?.(midiToFreq(midi), 0.7, 'sine');
+      const freq = scaleNoteFreq(engine, midi, scaleNotes.length ? scaleNotes[0] : midi);
+      engine.playTone?.(freq, 0.7, 'sine');
     } catch {}
 
     setHighlightedNote(index);
@@ -444,7 +666,7 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
     } catch {}
 
     safeToast(showToast, midiNoteName(midi), 'success');
-  }, [engine, root, scaleType, showToast]);
+  }, [engine, root, scaleType, scaleNotes, showToast]);
 
   // -------------------------------------------------------------------------
   // TRAINER: build weighted pool (mastery + due items + confusion)
@@ -786,6 +1008,20 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
 
   const quizDone = quizProgress.current >= quizProgress.maxScore;
 
+  midiHandlerRef.current = (event) => {
+    if (mode === 'explore') {
+      const idx = scaleIndexForMidi(scaleNotes, event.midi);
+      if (idx >= 0) handleExploreClick(scaleNotes[idx], idx);
+      return;
+    }
+    if (mode !== 'quiz' || quizKind !== 'degree' || !quizTargetDegree || quizDone) return;
+    if (midiAnsweredRef.current === quizTargetDegree) return; // one answer per question
+    midiAnsweredRef.current = quizTargetDegree;
+
+    const idx = scaleIndexForMidi(scaleNotes, event.midi, quizTargetDegree.degreeIdx);
+    handleDegreeAnswer(idx >= 0 ? scaleNotes[idx] : event.midi, idx);
+  };
+
   // -------------------------------------------------------------------------
   // RENDER
   // -------------------------------------------------------------------------
@@ -939,6 +1175,47 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
 
         h('button', { className: 'btn btn-outline', onClick: stopPlayback, disabled: !isPlaying }, '⏹ Stop'),
 
+        mode !== 'quiz' && h('button', {
+          className: 'btn btn-outline',
+          onClick: () => exportScaleWav(),
+          disabled: isExporting,
+          title: 'Download this scale (4 times through) as a WAV play-along'
+        }, isExporting ? '⏳ Rendering…' : '⬇️ WAV'),
+
+        mode !== 'quiz' && sequenceToMidi && h('button', {
+          className: 'btn btn-outline',
+          onClick: () => exportScaleMidi('scale'),
+          title: 'Download this scale as a MIDI file (notation software / DAW)'
+        }, '⬇️ MIDI'),
+
+        mode !== 'quiz' && sequenceToMidi && h('button', {
+          className: 'btn btn-outline',
+          onClick: () => exportScaleMidi('arpeggio'),
+          title: 'Download the 1-3-5-8 arpeggio of this scale as a MIDI file'
+        }, '⬇️ Arpeggio MIDI'),
+
+        mode !== 'quiz' && downloadBlob && h('button', {
+          className: 'btn btn-outline',
+          onClick: exportScaleAbc,
+          title: 'Download this scale as ABC notation (plain text, easy to share)'
+        }, '⬇️ ABC'),
+
+        droneEngine && h('button', {
+          className: `btn ${droneOn ? 'btn-primary' : 'btn-outline'}`,
+          onClick: toggleDrone,
+          'aria-pressed': droneOn,
+          title: `Drone in ${rootName} ${scaleDroneKey(root, scaleType).mode}`
+        }, droneOn ? '🔇 Drone' : '🎵 Drone'),
+
+        droneEngine && h('select', {
+          className: 'btn-sm',
+          value: droneState.voicing || 'fifth',
+          onChange: (e) => droneEngine.update({ voicing: e.target.value }),
+          'aria-label': 'Drone voicing'
+        },
+          Object.values(DRONE_VOICINGS).map(v => h('option', { key: v.id, value: v.id }, v.label))
+        ),
+
         h('div', { className: 'play-mode-toggle' },
           ['up', 'down', 'updown'].map(pm =>
             h('button', {
@@ -992,82 +1269,23 @@ export default function ScalesLab({ onBack, showToast, refreshStats, audioEngine
           )
     ),
 
-    // Scale visualization (staff-like SVG)
+    // Scale visualization (staff notation)
     h('section', { className: 'scale-visualizer' },
       h('div', { className: 'scale-staff' },
-        h('svg', {
-          width: '100%',
-          height: 200,
-          viewBox: '0 0 1000 200',
+        h(StaffNotation, {
+          clef: 'treble',
+          notes: staffNotes,
+          noteSpacing: 1.6,
+          scale: 2,
+          activeIndex: highlightedNote,
           className: 'scale-svg',
-          role: 'img',
-          'aria-label': `${rootName} ${currentScaleData.name} scale - mastery ${masteryPct}%`
-        },
-
-          // Staff lines
-          [0, 1, 2, 3, 4].map(i =>
-            h('line', {
-              key: `staff-${i}`,
-              x1: 50, y1: 60 + i * 25,
-              x2: 950, y2: 60 + i * 25,
-              stroke: 'var(--ink)',
-              strokeWidth: 2
-            })
-          ),
-
-          // Treble clef (best effort glyph)
-          h('text', { x: 80, y: 140, fontSize: 50, fill: 'var(--ink)', fontFamily: 'serif' }, '𝄞'),
-
-          // Notes
-          scaleNotes.map((midi, i) => {
-            const x = 200 + i * 110;
-
-            // NOTE: This y-mapping is "visual learner friendly" not true engraving.
-            const y = 140 - ((midi - root) * 3.2);
-
-            // Color: explore uses primary; trainer/quiz uses mastery-ish
-            let fill = 'var(--primary)';
-            if (mode !== 'explore') {
-              const noteKey = `${scaleType}-${root}-note-${i}`;
-              fill = getMasteryHSL(scaleMastery[noteKey] ?? 0.5);
-            }
-
-            const isActive = i === highlightedNote;
-
-            return h('g', { key: `note-${i}` },
-              h('circle', {
-                cx: x,
-                cy: y,
-                r: isActive ? 16 : 12,
-                fill: isActive ? currentScaleData.color : fill,
-                stroke: 'var(--ink)',
-                strokeWidth: 2,
-                className: `scale-note ${isActive ? 'active' : ''}`,
-                role: 'button',
-                tabIndex: 0,
-                onClick: () => {
-                  if (mode === 'explore') handleExploreClick(midi, i);
-                  else if (mode === 'quiz' && quizKind === 'degree' && quizTargetDegree && !quizDone) handleDegreeAnswer(midi, i);
-                },
-                onKeyDown: (e) => {
-                  if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    if (mode === 'explore') handleExploreClick(midi, i);
-                    else if (mode === 'quiz' && quizKind === 'degree' && quizTargetDegree && !quizDone) handleDegreeAnswer(midi, i);
-                  }
-                }
-              }),
-              h('text', {
-                x,
-                y: y + 5,
-                textAnchor: 'middle',
-                fontSize: 14,
-                fill: isActive ? 'white' : 'currentColor',
-                fontWeight: 'bold'
-              }, (SHARPS[midi % 12] || NATURAL_NOTES[midi % 12] || '?'))
-            );
-          })
-        )
+          ariaLabel: `${rootName} ${currentScaleData.name} scale - mastery ${masteryPct}%`,
+          onNoteClick: (i) => {
+            const midi = scaleNotes[i];
+            if (mode === 'explore') handleExploreClick(midi, i);
+            else if (mode === 'quiz' && quizKind === 'degree' && quizTargetDegree && !quizDone) handleDegreeAnswer(midi, i);
+          }
+        })
       ),
 
       // Info bar
@@ -6,6 +6,10 @@
 // ✅ No undefined identifiers (KEY_GAMIFICATION, KEY(), etc. removed)
 // ✅ Export + Reset use storage engine when available
 // ✅ Safe in private-mode / blocked storage
+// ✅ MIDI input: device + transpose for answering drills from a controller
+// ✅ Instrument: violin / viola / cello / double bass profile for the whole app
+// ✅ Scordatura: preset or per-string custom tuning for this session
+// ✅ Spaced repetition: SM-2 or FSRS scheduler, target recall, fit FSRS to reviews
 // ========================================================
 
 import {
@@ -18,7 +22,25 @@ import {
 } from '../config/storage.js';
 
 import { setDifficulty, DIFFICULTY_SETTINGS } from '../engines/difficultyAdapter.js';
-import { PROFILE_TYPES } from '../config/constants.js';
+import { PROFILE_TYPES, TUNING_SYSTEMS, A4_MIN_HZ, A4_MAX_HZ, SCORDATURA_MAX_SHIFT } from '../config/constants.js';
+import { audioEngine as sharedAudioEngine } from '../engines/audioEngine.js';
+import { midiInput, MIDI_DEFAULTS } from '../engines/midiInput.js';
+import {
+  instrumentProfile,
+  setInstrument,
+  setTuning,
+  scordaturaPresets,
+  tuningLabel
+} from '../engines/instrumentProfile.js';
+import spacedRepetition, {
+  getSchedulerSettings,
+  setScheduler,
+  setDesiredRetention,
+  fitScheduler,
+  resetSchedulerParams
+} from '../engines/spacedRepetition.js';
+import { FSRS_RETENTION, FSRS_FIT } from '../engines/fsrs.js';
+import { MUSIC } from '../utils/helpers.js';
 
 // React (global in index.html)
 const { createElement: h, useState, useEffect, useMemo } = React;
@@ -164,6 +186,9 @@ function loadStatsSafe() {
 }
 
 export function Settings({ navigate, audioEngine, showToast }) {
+  // App does not pass the engine down; tuning prefs live on the shared singleton
+  const tuningEngine = audioEngine || sharedAudioEngine;
+
   const storageAvailable = (typeof isStorageAvailable === 'function')
     ? isStorageAvailable()
     : true;
@@ -183,6 +208,16 @@ export function Settings({ navigate, audioEngine, showToast }) {
     return (d && typeof d === 'object') ? d : {};
   });
 
+  // Typed value is committed on blur/Enter so partial input isn't clamped mid-edit
+  const [a4Draft, setA4Draft] = useState(() => String(tuningEngine?.getA4?.() || 440));
+
+  const [instrument, setInstrumentState] = useState(() => instrumentProfile.get());
+  const [midiState, setMidiState] = useState(() => midiInput.getState());
+  const [transposeDraft, setTransposeDraft] = useState(() => String(midiInput.getSettings().transpose));
+
+  const [srs, setSrs] = useState(() => getSchedulerSettings());
+  const [srsFitting, setSrsFitting] = useState(false);
+
   const [learningSummary, setLearningSummary] = useState(null);
   const [recommendedDifficulty, setRecommendedDifficulty] = useState(null);
 
@@ -220,6 +255,21 @@ export function Settings({ navigate, audioEngine, showToast }) {
     } catch {}
   }, [difficulties]);
 
+  // Review history loads with the SRS engine
+  useEffect(() => {
+    spacedRepetition.init().then(() => setSrs(getSchedulerSettings())).catch(() => {});
+  }, []);
+
+  // MIDI: device hot-plug, settings changes and a live last-note monitor
+  useEffect(() => {
+    const sync = () => setMidiState(midiInput.getState());
+    const off = midiInput.subscribe((event) => {
+      if (event.type !== 'noteoff') sync();
+    });
+    midiInput.ensureStarted().then(sync);
+    return off;
+  }, []);
+
   // Load learning summary once for smart difficulty
   useEffect(() => {
     try {
@@ -300,6 +350,106 @@ export function Settings({ navigate, audioEngine, showToast }) {
     showToast?.(next ? 'Compact layout enabled' : 'Normal layout restored', 'info');
   }
 
+  function handleTuningChange(system) {
+    const applied = tuningEngine?.setTuningSystem?.(system) || system;
+    // Keep our copy of settings.audio in sync so the save effect doesn't clobber it
+    setSettings((prev) => ({ ...prev, audio: { ...(prev.audio || {}), tuningSystem: applied } }));
+    showToast?.(`Tuning: ${TUNING_SYSTEMS[applied]?.name || applied}`, 'info');
+  }
+
+  function handleA4Change(hz) {
+    const n = Number(hz);
+    if (!Number.isFinite(n) || n <= 0) {
+      setA4Draft(String(tuningEngine?.getA4?.() || 440));
+      return;
+    }
+    const applied = tuningEngine?.setA4?.(n) ?? n;
+    setA4Draft(String(applied));
+    setSettings((prev) => ({ ...prev, audio: { ...(prev.audio || {}), a4: applied } }));
+    showToast?.(`A4 = ${applied} Hz`, 'info');
+  }
+
+  function handleInstrumentChange(id) {
+    const next = setInstrument(id);
+    setInstrumentState(next);
+    showToast?.(`${next.icon} Instrument: ${next.name}`, 'info');
+  }
+
+  function handleScordaturaPreset(id) {
+    const next = setTuning(id === 'standard' ? null : id);
+    setInstrumentState(next);
+    showToast?.(next.scordatura ? `🔧 Scordatura: ${next.scordatura.name}` : 'Standard tuning restored', 'info');
+  }
+
+  function handleStringTuning(stringIdx, midi) {
+    const openMidi = instrument.strings.map((st, i) => (i === stringIdx ? Number(midi) : st.openMidi));
+    const next = setTuning({ name: 'Custom tuning', openMidi });
+    setInstrumentState(next);
+  }
+
+  async function handleSchedulerChange(id) {
+    const res = await setScheduler(id);
+    if (!res) return;
+    setSrs(getSchedulerSettings());
+    showToast?.(res.algorithm === 'fsrs'
+      ? `🧠 FSRS scheduling on${res.migrated ? ` • ${res.migrated} reviewed cards carried over from SM-2` : ''}`
+      : '🧠 SM-2 scheduling on', 'info');
+  }
+
+  function handleRetentionChange(percent) {
+    setDesiredRetention(Number(percent) / 100);
+    setSrs(getSchedulerSettings());
+  }
+
+  async function handleFitScheduler() {
+    setSrsFitting(true);
+    try {
+      const res = await fitScheduler();
+      if (!res.ok) {
+        showToast?.(`Fitting needs ${res.needed} spaced reviews; you have ${res.reviews} so far.`, 'info');
+      } else if (res.kept) {
+        showToast?.(`🧠 FSRS fitted to ${res.reviews} reviews (log loss ${res.loss.toFixed(3)} vs ${res.defaultLoss.toFixed(3)} with defaults)`, 'success');
+      } else {
+        showToast?.('The default FSRS parameters still fit your reviews best', 'info');
+      }
+    } catch (e) {
+      console.warn('[Settings] FSRS fit failed:', e);
+      showToast?.('Could not fit FSRS parameters', 'error');
+    } finally {
+      setSrs(getSchedulerSettings());
+      setSrsFitting(false);
+    }
+  }
+
+  function handleResetSchedulerParams() {
+    resetSchedulerParams();
+    setSrs(getSchedulerSettings());
+    showToast?.('FSRS parameters reset to defaults', 'info');
+  }
+
+  async function toggleMidi() {
+    const next = await midiInput.updateSettings({ enabled: !midiState.enabled });
+    if (next.enabled && !midiInput.isConnected()) {
+      await midiInput.updateSettings({ enabled: false });
+      showToast?.('MIDI access was blocked or is unavailable', 'error');
+      return;
+    }
+    showToast?.(next.enabled ? '🎹 MIDI input enabled' : 'MIDI input disabled', 'info');
+  }
+
+  function handleMidiDevice(deviceId) {
+    midiInput.updateSettings({ deviceId });
+  }
+
+  function handleTransposeChange(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) {
+      setTransposeDraft(String(midiInput.getSettings().transpose));
+      return;
+    }
+    midiInput.updateSettings({ transpose: n }).then((next) => setTransposeDraft(String(next.transpose)));
+  }
+
   function handleProfileChange(newProfileId) {
     const next = { ...profile, level: newProfileId };
     setProfile(next);
@@ -397,6 +547,9 @@ export function Settings({ navigate, audioEngine, showToast }) {
     setTimeout(() => window.location.reload(), 800);
   }
 
+  const currentTuning = tuningEngine?.getTuningSystem?.() || settings.audio?.tuningSystem || 'equal';
+  const currentA4 = tuningEngine?.getA4?.() || settings.audio?.a4 || 440;
+
   const difficultySummaryText = useMemo(() => {
     return learningSummary && learningSummary.accuracy != null
       ? `Overall accuracy ${learningSummary.accuracy}% over ${learningSummary.total} questions`
@@ -482,6 +635,78 @@ export function Settings({ navigate, audioEngine, showToast }) {
         )
       ),
 
+      // Instrument profile
+      h(
+        'section',
+        { className: 'settings-section' },
+        h('h3', null, '🎻 Instrument'),
+        h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)', marginBottom: 'var(--space-sm)' }
+        }, 'Sets the strings, range, positions and clefs used by Fingerboard, Flashcards, drones and fingering suggestions.'),
+
+        h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-instrument' }, 'Instrument'),
+          h('select', {
+            id: 'vmq-instrument',
+            value: instrument.id,
+            onChange: (e) => handleInstrumentChange(e.target.value)
+          },
+            instrumentProfile.list().map((p) =>
+              h('option', { key: p.id, value: p.id }, `${p.icon} ${p.name}`)
+            )
+          )
+        ),
+
+        h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)' },
+          'aria-live': 'polite'
+        },
+          `Strings ${instrument.strings.map((st) => MUSIC.midiToNote(st.openMidi)).join(' · ')}` +
+          ` • range ${MUSIC.midiToNote(instrument.rangeLow)}–${MUSIC.midiToNote(instrument.rangeHigh)}` +
+          ` • ${instrument.clefs.map((c) => `${c} clef`).join(', ')}` +
+          (instrument.writtenOffset ? ' • written an octave above sounding pitch' : '')
+        ),
+
+        // Scordatura: lasts for this browser session; parts stay written in standard tuning
+        h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-scordatura' }, 'Scordatura (this session)'),
+          h('select', {
+            id: 'vmq-scordatura',
+            value: instrument.scordatura?.id || 'standard',
+            onChange: (e) => handleScordaturaPreset(e.target.value)
+          },
+            h('option', { value: 'standard' }, 'Standard tuning'),
+            scordaturaPresets(instrument.id).map((p) =>
+              h('option', { key: p.id, value: p.id }, `${p.name} — ${p.source}`)
+            ),
+            instrument.scordatura?.id === 'custom' && h('option', { value: 'custom' }, 'Custom tuning')
+          )
+        ),
+
+        h('div', { className: 'setting-item', role: 'group', 'aria-label': 'Open string tuning' },
+          h('span', null, 'Strings'),
+          h('div', { style: { display: 'flex', gap: 'var(--space-xs)', flexWrap: 'wrap' } },
+            instrument.strings.map((st, i) => {
+              const standard = st.standardMidi ?? st.openMidi;
+              const choices = [];
+              for (let m = standard - SCORDATURA_MAX_SHIFT; m <= standard + SCORDATURA_MAX_SHIFT; m++) choices.push(m);
+              return h('select', {
+                key: st.id,
+                value: String(st.openMidi),
+                onChange: (e) => handleStringTuning(i, e.target.value),
+                'aria-label': `${st.id} string tuning`
+              }, choices.map((m) =>
+                h('option', { key: m, value: String(m) }, `${MUSIC.midiToNote(m)}${m === standard ? ' (std)' : ''}`)
+              ));
+            })
+          )
+        ),
+
+        instrument.scordatura && h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)' }
+        }, `Sounding ${tuningLabel(instrument)}. Music stays written as if in standard tuning: Fingerboard marks the written note next to the sounding one on retuned strings, and the Tuner drones play the new open strings.`)
+      ),
+
       // Appearance
       h(
         'section',
@@ -524,6 +749,172 @@ export function Settings({ navigate, audioEngine, showToast }) {
         h('label', { className: 'setting-item' },
           h('span', null, 'Mute all sounds'),
           h('input', { type: 'checkbox', checked: !!settings.muted, onChange: toggleMute, 'aria-label': 'Toggle sound mute' })
+        ),
+        h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-tuning-system' }, 'Tuning system'),
+          h('select', {
+            id: 'vmq-tuning-system',
+            value: currentTuning,
+            onChange: (e) => handleTuningChange(e.target.value),
+            'aria-label': 'Tuning system for intervals, double stops, drones and scales'
+          },
+            Object.values(TUNING_SYSTEMS).map((t) =>
+              h('option', { key: t.id, value: t.id }, t.name)
+            )
+          )
+        ),
+        h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)' }
+        }, TUNING_SYSTEMS[currentTuning]?.description || ''),
+        h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-a4' }, `Reference pitch (A4 = ${currentA4} Hz)`),
+          h('input', {
+            id: 'vmq-a4',
+            type: 'number',
+            min: A4_MIN_HZ,
+            max: A4_MAX_HZ,
+            step: 1,
+            inputMode: 'decimal',
+            value: a4Draft,
+            onChange: (e) => setA4Draft(e.target.value),
+            onBlur: () => handleA4Change(a4Draft),
+            onKeyDown: (e) => { if (e.key === 'Enter') handleA4Change(a4Draft); },
+            'aria-label': 'Reference pitch for A4 in hertz',
+            style: { width: '6rem' }
+          })
+        ),
+        h('div', { style: { display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap' } },
+          [415, 430, 440, 442, 443].map((hz) =>
+            h('button', {
+              key: hz,
+              type: 'button',
+              className: `btn ${currentA4 === hz ? 'btn-primary' : 'btn-secondary'}`,
+              onClick: () => handleA4Change(hz)
+            }, `${hz}`)
+          )
+        )
+      ),
+
+      // MIDI input
+      h(
+        'section',
+        { className: 'settings-section' },
+        h('h3', null, '🎹 MIDI Input'),
+        h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)', marginBottom: 'var(--space-sm)' }
+        }, midiState.supported
+          ? 'Answer Intervals, Scales Lab, Flashcards and Fingerboard drills from a MIDI keyboard or electric violin controller.'
+          : 'Web MIDI is not available in this browser (try Chrome or Edge on desktop/Android).'),
+
+        h('label', { className: 'setting-item' },
+          h('span', null, 'Use MIDI input'),
+          h('input', {
+            type: 'checkbox',
+            checked: !!midiState.enabled,
+            disabled: !midiState.supported,
+            onChange: toggleMidi,
+            'aria-label': 'Toggle MIDI input'
+          })
+        ),
+
+        midiState.enabled && h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-midi-device' }, 'Device'),
+          h('select', {
+            id: 'vmq-midi-device',
+            value: midiState.deviceId,
+            onChange: (e) => handleMidiDevice(e.target.value)
+          },
+            h('option', { value: 'all' }, midiState.devices.length ? 'All devices' : 'No devices found'),
+            midiState.devices.map((d) =>
+              h('option', { key: d.id, value: d.id }, d.manufacturer ? `${d.name} (${d.manufacturer})` : d.name)
+            ),
+            // Remembered device that isn't plugged in right now
+            (midiState.deviceId !== 'all' && !midiState.devices.some((d) => d.id === midiState.deviceId)) &&
+              h('option', { value: midiState.deviceId }, 'Saved device (disconnected)')
+          )
+        ),
+
+        midiState.enabled && h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-midi-transpose' }, 'Transpose (semitones)'),
+          h('input', {
+            id: 'vmq-midi-transpose',
+            type: 'number',
+            min: MIDI_DEFAULTS.MIN_TRANSPOSE,
+            max: MIDI_DEFAULTS.MAX_TRANSPOSE,
+            step: 1,
+            value: transposeDraft,
+            onChange: (e) => setTransposeDraft(e.target.value),
+            onBlur: () => handleTransposeChange(transposeDraft),
+            onKeyDown: (e) => { if (e.key === 'Enter') handleTransposeChange(transposeDraft); },
+            'aria-label': 'Transpose incoming MIDI notes in semitones',
+            style: { width: '6rem' }
+          })
+        ),
+
+        midiState.enabled && h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)' },
+          'aria-live': 'polite'
+        }, midiState.lastNote
+          ? `Last note: ${midiState.lastNote.note}` +
+            (midiState.lastNote.rawMidi !== midiState.lastNote.midi ? ` (sent ${midiState.lastNote.rawMidi})` : '') +
+            ` • velocity ${midiState.lastNote.velocity}`
+          : 'Play a note to test the connection.')
+      ),
+
+      // Spaced repetition scheduler
+      h(
+        'section',
+        { className: 'settings-section' },
+        h('h3', null, '🧠 Spaced Repetition'),
+        h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)', marginBottom: 'var(--space-sm)' }
+        }, 'SM-2 grows each card\'s interval by its ease. FSRS models how fast you forget each card and schedules it for when recall drops to your target. Switching keeps every card\'s history and due date.'),
+
+        h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-srs-scheduler' }, 'Scheduler'),
+          h('select', {
+            id: 'vmq-srs-scheduler',
+            value: srs.algorithm,
+            onChange: (e) => handleSchedulerChange(e.target.value)
+          },
+            srs.schedulers.map((sch) => h('option', { key: sch.id, value: sch.id }, sch.label))
+          )
+        ),
+
+        srs.algorithm === 'fsrs' && h('div', { className: 'setting-item' },
+          h('label', { htmlFor: 'vmq-srs-retention' }, `Target recall: ${Math.round(srs.fsrs.retention * 100)}%`),
+          h('input', {
+            id: 'vmq-srs-retention',
+            type: 'range',
+            min: Math.round(FSRS_RETENTION.min * 100),
+            max: Math.round(FSRS_RETENTION.max * 100),
+            step: 1,
+            value: Math.round(srs.fsrs.retention * 100),
+            onChange: (e) => handleRetentionChange(e.target.value),
+            'aria-label': 'Target recall percentage'
+          })
+        ),
+
+        srs.algorithm === 'fsrs' && h('p', {
+          style: { fontSize: 'var(--font-size-sm)', color: 'var(--ink-light)' },
+          'aria-live': 'polite'
+        },
+          (srs.fsrs.custom
+            ? `Parameters fitted to ${srs.fsrs.fitReviews} reviews on ${new Date(srs.fsrs.fittedAt).toLocaleDateString()} (log loss ${srs.fsrs.fitLoss} vs ${srs.fsrs.defaultLoss} default).`
+            : 'Using the default FSRS parameters.') +
+          ` ${srs.reviewsLogged} reviews recorded on this device (the log keeps the last ${srs.reviewLogMax}); fitting uses all of them and needs at least ${FSRS_FIT.minReviews} spaced ones.`
+        ),
+
+        srs.algorithm === 'fsrs' && h('div', { style: { display: 'flex', gap: 'var(--space-md)', flexWrap: 'wrap' } },
+          h('button', {
+            className: 'btn btn-secondary',
+            onClick: handleFitScheduler,
+            disabled: srsFitting
+          }, srsFitting ? 'Fitting…' : 'Fit to my reviews'),
+          srs.fsrs.custom && h('button', {
+            className: 'btn btn-secondary',
+            onClick: handleResetSchedulerParams
+          }, 'Reset parameters')
         )
       ),
 
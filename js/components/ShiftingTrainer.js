@@ -0,0 +1,373 @@
+// js/components/ShiftingTrainer.js
+// ===================================
+// VMQ Shifting Trainer — v1.0
+// Same-string shifts drawn on a fingerboard (origin, guide finger slide,
+// target), heard as one sliding voice (audioEngine.playGlide), then quizzed:
+// target position, target finger or interval distance.
+// Each (from, to) position pair is an SM-2 item (ITEM_TYPES.SHIFT).
+// No JSX. React.createElement style.
+// Level / string / quiz choice is stored in STORAGE_KEYS.SHIFTING.
+// Strings and positions follow the active instrument profile.
+// ===================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { BIELER_TAXONOMY, getInstrumentProfile } from '../config/constants.js';
+import { audioEngine, midiToFreq } from '../engines/audioEngine.js';
+import {
+  SHIFT_LEVELS,
+  QUIZ_KINDS,
+  nextShift,
+  buildQuiz,
+  recordShift,
+  loadShiftMastery,
+  pairsForLevel,
+  shiftPositions,
+  positionName
+} from '../engines/shiftingEngine.js';
+import { addXP, recordAnswer } from '../engines/gamification.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+
+const { createElement: h, useCallback, useEffect, useMemo, useRef, useState } = React;
+
+const DEFAULTS = {
+  level: 1,
+  stringIdx: 'any',
+  quiz: 'mixed',
+  slow: false
+};
+
+const STRING_COLORS = ['#f39c12', '#2ecc71', '#3498db', '#e74c3c'];
+
+// SVG geometry: semitones above the open string map linearly onto the neck
+const BOARD = { W: 900, H: 250, nut: 60, end: 870, top: 60, bottom: 200 };
+
+function loadSetup() {
+  const raw = loadJSON(STORAGE_KEYS.SHIFTING, {});
+  return { ...DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+}
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function pairState(m, now) {
+  if (!m) return { label: 'new', color: 'var(--border, #ddd)' };
+  if (m.lapses > 0 && m.due <= now) return { label: 'missed', color: 'var(--danger, #e74c3c)' };
+  if (m.due <= now) return { label: 'due', color: 'var(--warning, #f39c12)' };
+  return { label: `EF ${m.efactor.toFixed(1)}`, color: m.efactor >= 2.5 ? 'var(--success, #2ecc71)' : 'var(--primary, #3498db)' };
+}
+
+export default function ShiftingTrainer(props = {}) {
+  const { onBack, onNavigate } = props;
+  const profile = getInstrumentProfile();
+
+  const [setup, setSetup] = useState(() => loadSetup());
+  const [shift, setShift] = useState(null);
+  const [quiz, setQuiz] = useState(null);
+  const [answer, setAnswer] = useState(null);       // { value, correct }
+  const [mastery, setMastery] = useState({});
+  const [stats, setStats] = useState({ correct: 0, total: 0, streak: 0 });
+  const questionStartRef = useRef(Date.now());
+
+  const set = (patch) => setSetup((prev) => ({ ...prev, ...patch }));
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEYS.SHIFTING, setup);
+  }, [setup]);
+
+  const refreshMastery = useCallback(async () => {
+    setMastery(await loadShiftMastery());
+  }, []);
+
+  const newQuestion = useCallback((m = mastery) => {
+    const s = nextShift({
+      level: setup.level,
+      stringIdx: setup.stringIdx === 'any' ? null : Number(setup.stringIdx),
+      mastery: m,
+      profile
+    });
+    const kinds = Object.keys(QUIZ_KINDS);
+    const kind = setup.quiz === 'mixed' ? kinds[Math.floor(Math.random() * kinds.length)] : setup.quiz;
+    setShift(s);
+    setQuiz(buildQuiz(s, kind, Math.random, profile));
+    setAnswer(null);
+    questionStartRef.current = Date.now();
+    return s;
+  }, [mastery, setup.level, setup.stringIdx, setup.quiz, profile]);
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      const m = await loadShiftMastery();
+      if (!alive) return;
+      setMastery(m);
+      newQuestion(m);
+    })();
+    try { sessionTracker.trackActivity?.('shifting', 'open', {}); } catch {}
+    return () => { alive = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [setup.level, setup.stringIdx, setup.quiz]);
+
+  const playShift = useCallback(async (s = shift) => {
+    if (!s) return;
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      const played = audioEngine.playGlide(midiToFreq(s.origin.midi), midiToFreq(s.target.midi), {
+        guideFreq: s.sameFinger ? null : midiToFreq(s.guide.midi),
+        hold: 0.7,
+        slide: setup.slow ? 0.7 : 0.3,
+        arrive: 1.0
+      });
+      if (!played) emitToast('Audio unavailable — check mute and tap again', 'error');
+    } catch (e) {
+      console.warn('[Shifting] playback failed:', e);
+    }
+  }, [shift, setup.slow]);
+
+  const submit = useCallback(async (value) => {
+    if (!shift || !quiz || answer) return;
+    const correct = value === quiz.answer;
+    const responseMs = Date.now() - questionStartRef.current;
+    setAnswer({ value, correct });
+    setStats((prev) => ({
+      correct: prev.correct + (correct ? 1 : 0),
+      total: prev.total + 1,
+      streak: correct ? prev.streak + 1 : 0
+    }));
+
+    await recordShift(shift, { correct, responseMs, kind: quiz.kind });
+    try { recordAnswer('shifting', correct, responseMs); } catch {}
+    if (correct) {
+      try { addXP(8 + shift.positionDistance * 2, 'shifting', { source: 'shifting', metadata: { pair: shift.id } }); } catch {}
+    }
+    try {
+      sessionTracker.trackActivity?.('shifting', 'answer', {
+        pair: shift.id,
+        string: shift.string,
+        quiz: quiz.kind,
+        correct,
+        responseMs
+      });
+    } catch {}
+    refreshMastery();
+  }, [shift, quiz, answer, refreshMastery]);
+
+  const next = useCallback(() => {
+    const s = newQuestion();
+    playShift(s);
+  }, [newQuestion, playShift]);
+
+  // 1–4 answer, Space hears the shift, Enter/N moves on
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) return;
+      if (/^[1-4]$/.test(e.key) && quiz && !answer) {
+        const choice = quiz.choices[Number(e.key) - 1];
+        if (choice) submit(choice.value);
+      } else if (e.key === ' ') {
+        e.preventDefault();
+        playShift();
+      } else if ((e.key === 'Enter' || e.key === 'n' || e.key === 'N') && answer) {
+        next();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [quiz, answer, submit, playShift, next]);
+
+  // -----------------------------
+  // Fingerboard
+  // -----------------------------
+  const maxPosition = (SHIFT_LEVELS.find((l) => l.level === setup.level) || SHIFT_LEVELS[0]).maxPosition;
+  const positionOffsets = shiftPositions(profile);
+  const topPosition = Math.max(...Object.keys(positionOffsets).map(Number).filter((p) => p <= maxPosition));
+  const span = (positionOffsets[topPosition] ?? 12) + 7;
+  const xOf = (semis) => BOARD.nut + (semis / span) * (BOARD.end - BOARD.nut);
+  const yOf = (sIdx) => BOARD.top + sIdx * ((BOARD.bottom - BOARD.top) / 3);
+
+  const board = useMemo(() => {
+    if (!shift) return null;
+    const open = profile.strings[shift.stringIdx].openMidi;
+    const y = yOf(shift.stringIdx);
+    const at = (stop) => xOf(stop.midi - open);
+    const revealed = !!answer;
+
+    const marker = (stop, fill, label, key) => h('g', { key },
+      h('circle', { cx: at(stop), cy: y, r: 16, fill, stroke: '#fff', strokeWidth: 2 }),
+      h('text', { x: at(stop), y: y + 6, fontSize: 16, fontWeight: 'bold', fill: '#fff', textAnchor: 'middle' }, String(stop.finger)),
+      h('text', { x: at(stop), y: y - 24, fontSize: 13, fill: 'currentColor', textAnchor: 'middle' }, label)
+    );
+
+    return h('svg', {
+      viewBox: `0 0 ${BOARD.W} ${BOARD.H}`,
+      width: '100%',
+      role: 'img',
+      'aria-label': revealed
+        ? `Shift on the ${shift.string} string: finger ${shift.guide.finger} slides from ${shift.origin.name} to ${shift.guide.name}, finger ${shift.target.finger} lands on ${shift.target.name} in ${positionName(shift.target.position)} position`
+        : `Shift on the ${shift.string} string from ${shift.origin.name}, ${positionName(shift.origin.position)} position, finger ${shift.origin.finger}`
+    },
+      h('rect', { x: BOARD.nut - 10, y: BOARD.top - 30, width: BOARD.end - BOARD.nut + 20, height: BOARD.bottom - BOARD.top + 60, rx: 14, fill: 'var(--wood-light, #A0522D)' }),
+      h('rect', { x: BOARD.nut - 6, y: BOARD.top - 24, width: 6, height: BOARD.bottom - BOARD.top + 48, fill: '#eee' }),
+
+      // Position guides: 1st-finger place of each position in range
+      Object.entries(positionOffsets)
+        .filter(([pos]) => Number(pos) <= maxPosition)
+        .map(([pos, semis]) => h('g', { key: `pos-${pos}` },
+          h('line', { x1: xOf(semis), y1: BOARD.top - 20, x2: xOf(semis), y2: BOARD.bottom + 20, stroke: 'rgba(255,255,255,0.25)', strokeDasharray: '4 4' }),
+          h('text', { x: xOf(semis), y: BOARD.bottom + 38, fontSize: 13, fill: 'currentColor', textAnchor: 'middle' }, positionName(pos))
+        )),
+
+      profile.strings.map(({ id }, sIdx) => h('g', { key: `str-${sIdx}` },
+        h('line', {
+          x1: BOARD.nut, y1: yOf(sIdx), x2: BOARD.end, y2: yOf(sIdx),
+          stroke: sIdx === shift.stringIdx ? STRING_COLORS[sIdx] : 'rgba(255,255,255,0.5)',
+          strokeWidth: sIdx === shift.stringIdx ? 5 : 2
+        }),
+        h('text', { x: BOARD.nut - 18, y: yOf(sIdx) + 5, fontSize: 15, fontWeight: 'bold', fill: 'currentColor', textAnchor: 'end' }, id)
+      )),
+
+      // Guide-finger slide, then the drop onto the target
+      revealed && h('line', {
+        x1: at(shift.origin), y1: y, x2: at(shift.guide), y2: y,
+        stroke: '#FFD700', strokeWidth: 6, strokeLinecap: 'round', opacity: 0.8
+      }),
+      revealed && !shift.sameFinger && h('g', { key: 'guide' },
+        h('circle', { cx: at(shift.guide), cy: y, r: 14, fill: 'none', stroke: '#FFD700', strokeWidth: 3, strokeDasharray: '4 3' }),
+        h('text', { x: at(shift.guide), y: y + 34, fontSize: 12, fill: 'currentColor', textAnchor: 'middle' }, `guide ${shift.guide.name}`)
+      ),
+      marker(shift.origin, 'var(--primary, #3498db)', shift.origin.name, 'origin'),
+      revealed && marker(shift.target, 'var(--success, #2ecc71)', shift.target.name, 'target')
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shift, answer, maxPosition, profile]);
+
+  // -----------------------------
+  // Render
+  // -----------------------------
+  const principles = BIELER_TAXONOMY?.leftHand?.shifting?.keyPrinciples || [];
+  const pairs = pairsForLevel(setup.level, profile);
+  const positions = [...new Set(pairs.map((p) => p.from))];
+  const now = Date.now();
+
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '🎢 Shifting')
+    ),
+    h('div', { className: 'text-muted' }, `${stats.correct}/${stats.total}${stats.streak > 2 ? ` • 🔥 ${stats.streak}` : ''}`)
+  );
+
+  const controls = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body', style: { display: 'grid', gap: '10px', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))' } },
+      h('label', null,
+        h('div', { className: 'label' }, 'Range'),
+        h('select', { className: 'input', value: String(setup.level), onChange: (e) => set({ level: Number(e.target.value) }) },
+          SHIFT_LEVELS.map((l) => h('option', { key: l.level, value: String(l.level) }, l.label)))
+      ),
+      h('label', null,
+        h('div', { className: 'label' }, 'String'),
+        h('select', { className: 'input', value: String(setup.stringIdx), onChange: (e) => set({ stringIdx: e.target.value }) },
+          h('option', { value: 'any' }, 'Any string'),
+          profile.strings.map(({ id }, i) => h('option', { key: i, value: String(i) }, `${id} string`)))
+      ),
+      h('label', null,
+        h('div', { className: 'label' }, 'Quiz'),
+        h('select', { className: 'input', value: setup.quiz, onChange: (e) => set({ quiz: e.target.value }) },
+          h('option', { value: 'mixed' }, 'Mixed'),
+          Object.entries(QUIZ_KINDS).map(([id, label]) => h('option', { key: id, value: id }, label)))
+      ),
+      h('label', { style: { display: 'flex', alignItems: 'center', gap: '8px' } },
+        h('input', { type: 'checkbox', checked: !!setup.slow, onChange: (e) => set({ slow: e.target.checked }) }),
+        'Slow slide'
+      )
+    )
+  );
+
+  const exercise = shift && quiz && h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('p', { style: { fontWeight: 600 } }, quiz.prompt),
+      h('p', { className: 'text-muted' },
+        shift.sameFinger
+          ? `Guide finger: ${shift.origin.finger} — same-finger shift, it slides all the way.`
+          : `Guide finger: ${shift.guide.finger} slides ${shift.direction}, then finger ${shift.target.finger} drops.`
+      ),
+      board,
+      h('div', { style: { display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '10px' } },
+        quiz.choices.map((c, i) => {
+          const chosen = answer && answer.value === c.value;
+          const right = answer && c.value === quiz.answer;
+          return h('button', {
+            key: String(c.value),
+            type: 'button',
+            className: `btn ${right ? 'btn-success' : chosen ? 'btn-danger' : 'btn-outline'}`,
+            disabled: !!answer,
+            onClick: () => submit(c.value)
+          }, `${i + 1}. ${c.label}`);
+        })
+      ),
+      answer && h('div', { role: 'status', 'aria-live': 'polite', style: { marginTop: '10px' } },
+        h('strong', null, answer.correct ? '✅ Correct. ' : '❌ Not quite. '),
+        shift.sameFinger
+          ? `Finger ${shift.origin.finger} slides ${shift.origin.name} → ${shift.target.name} (${positionName(shift.origin.position)} → ${positionName(shift.target.position)} position). `
+          : `Finger ${shift.guide.finger} slides ${shift.origin.name} → ${shift.guide.name} (${positionName(shift.target.position)} position), finger ${shift.target.finger} drops on ${shift.target.name}. `,
+        `Distance: ${shift.interval} (${Math.abs(shift.semitones)} semitones).`
+      ),
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px' } },
+        h('button', { type: 'button', className: 'btn btn-secondary', onClick: () => playShift() }, '▶ Hear shift'),
+        h('button', { type: 'button', className: 'btn btn-primary', onClick: next, disabled: !answer }, 'Next →')
+      ),
+      h('small', { className: 'text-muted' }, 'Keys: 1–4 answer • Space hear • Enter next')
+    )
+  );
+
+  const masteryGrid = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Shift pairs'),
+      h('div', { style: { overflowX: 'auto' } },
+        h('table', { className: 'table', style: { borderCollapse: 'collapse', fontSize: '0.85rem' } },
+          h('thead', null,
+            h('tr', null,
+              h('th', null, 'from \\ to'),
+              positions.map((p) => h('th', { key: p }, positionName(p)))
+            )
+          ),
+          h('tbody', null,
+            positions.map((from) => h('tr', { key: from },
+              h('th', null, positionName(from)),
+              positions.map((to) => {
+                if (from === to) return h('td', { key: to }, '—');
+                const st = pairState(mastery[`${from}-${to}`], now);
+                return h('td', {
+                  key: to,
+                  title: `${positionName(from)} → ${positionName(to)}: ${st.label}`,
+                  style: { background: st.color, textAlign: 'center', padding: '4px 6px', color: '#000', opacity: 0.9 }
+                }, st.label);
+              })
+            ))
+          )
+        )
+      )
+    )
+  );
+
+  const bieler = principles.length > 0 && h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Bieler: shifting'),
+      h('ul', null, principles.map((p) => h('li', { key: p }, p)))
+    )
+  );
+
+  return h('div', { className: 'module-container shifting-trainer' },
+    header,
+    controls,
+    exercise,
+    masteryGrid,
+    bieler
+  );
+}
@@ -0,0 +1,495 @@
+// js/components/SightReading.js
+// ===================================
+// VMQ Sight Reading — v1.0
+// Generated phrases in a chosen key, position and rhythm vocabulary, read at
+// tempo after a metronome count-in. With the mic on, each note is scored on
+// pitch (pitchTracker); without it, the student taps the notes they missed.
+// Level follows difficultyAdapter ('sightreading'); results go to analytics.
+// Phrases export as ABC (utils/abc.js) for sharing with teachers.
+// No JSX. React.createElement style.
+// ===================================
+
+import StaffNotation from './StaffNotation.js';
+import { KEY_SIGNATURES } from '../config/constants.js';
+import { audioEngine, midiToFreq } from '../engines/audioEngine.js';
+import { metronome } from '../engines/metronome.js';
+import { pitchTracker } from '../engines/pitchTracker.js';
+import { getInstrument } from '../engines/instrumentProfile.js';
+import { getDifficultyConfig, recordPerformance } from '../engines/difficultyAdapter.js';
+import { recordSightReading, getSightReadingHistory } from '../engines/analytics.js';
+import { addXP, recordAnswer } from '../engines/gamification.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+import { downloadBlob } from '../engines/audioExport.js';
+import { toABC, abcFilename, ABC_MIME } from '../utils/abc.js';
+import {
+  SIGHT_READING_LEVELS,
+  rhythmCells,
+  generatePhrase,
+  clickPlan,
+  noteAtBeat,
+  scoreReadings,
+  scoreSelfGrade,
+  loadSightReadingSettings,
+  saveSightReadingSettings
+} from '../engines/sightReading.js';
+
+const { createElement: h, useCallback, useEffect, useMemo, useRef, useState } = React;
+
+const METERS = ['2/4', '3/4', '4/4', '6/8'];
+const POSITIONS = [1, 2, 3, 4, 5];
+const STATUS_COLORS = {
+  correct: 'var(--success, #2ecc71)',
+  wrong: 'var(--danger, #e74c3c)',
+  missed: 'var(--warning, #f39c12)'
+};
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function ordinal(n) {
+  return `${n}${['th', 'st', 'nd', 'rd'][n] || 'th'}`;
+}
+
+export default function SightReading(props = {}) {
+  const { onBack, onNavigate } = props;
+  const [profile] = useState(() => getInstrument());
+  const [settings, setSettings] = useState(() => loadSightReadingSettings());
+  const [adaptiveLevel, setAdaptiveLevel] = useState(1);
+  const level = settings.level || adaptiveLevel;
+
+  const [phrase, setPhrase] = useState(null);
+  const [tempo, setTempo] = useState(SIGHT_READING_LEVELS[1].tempo);
+  const [phase, setPhase] = useState('idle');   // idle | countin | playing | grading | done
+  const [countBeat, setCountBeat] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [marked, setMarked] = useState([]);     // self-grade: indexes the student missed
+  const [result, setResult] = useState(null);
+  const [listening, setListening] = useState(false);
+  const [history, setHistory] = useState(() => getSightReadingHistory(8));
+
+  const readingsRef = useRef([]);
+  const startMsRef = useRef(0);
+  const streakRef = useRef(0);
+  const runRef = useRef(null);                  // { phrase, plan, countIn } for the active play-through
+
+  const meterForCells = settings.timeSignature || phrase?.timeSignature || '4/4';
+  const cells = useMemo(() => rhythmCells(meterForCells), [meterForCells]);
+
+  const refreshLevel = useCallback(async () => {
+    try {
+      const d = await getDifficultyConfig('sightreading');
+      if (d?.level) setAdaptiveLevel(d.level);
+    } catch {}
+  }, []);
+
+  useEffect(() => {
+    refreshLevel();
+    try { sessionTracker.trackActivity?.('sightreading', 'open', {}); } catch {}
+    return () => {
+      metronome.stop();
+      pitchTracker.stop();
+    };
+  }, [refreshLevel]);
+
+  const updateSettings = useCallback((patch) => {
+    setSettings(saveSightReadingSettings(patch));
+  }, []);
+
+  const newPhrase = useCallback(() => {
+    metronome.stop();
+    const next = generatePhrase({
+      level,
+      keyId: settings.keyId,
+      position: settings.position,
+      span: settings.span,
+      timeSignature: settings.timeSignature,
+      rhythmIds: settings.rhythmIds,
+      profile
+    });
+    runRef.current = null;
+    setPhrase(next);
+    setTempo(next.tempo);
+    setPhase('idle');
+    setActiveIndex(-1);
+    setCountBeat(0);
+    setMarked([]);
+    setResult(null);
+  }, [level, settings, profile]);
+
+  // First phrase once the adaptive level is known
+  useEffect(() => {
+    if (!phrase) newPhrase();
+  }, [phrase, newPhrase]);
+
+  // -----------------------------
+  // Results
+  // -----------------------------
+  const commit = useCallback((res) => {
+    const run = runRef.current;
+    if (!run || !res) return;
+    const { phrase: p } = run;
+    const durationMs = run.plan.quarterMs * p.bars * run.plan.barBeats;
+    const passed = res.accuracy >= settings.passAccuracy;
+    streakRef.current = passed ? streakRef.current + 1 : 0;
+
+    setResult(res);
+    setPhase('done');
+
+    recordSightReading(res, {
+      level: p.level,
+      key: p.key.name || p.keyId,
+      timeSig: p.timeSignature,
+      position: p.position,
+      bpm: tempo,
+      durationMs,
+      passAccuracy: settings.passAccuracy
+    });
+    setHistory(getSightReadingHistory(8));
+
+    // Faster than the level's tempo counts as speed for the adapter
+    recordPerformance('sightreading', res.accuracy, tempo / (SIGHT_READING_LEVELS[p.level]?.tempo || tempo), streakRef.current, {
+      source: res.source,
+      key: p.keyId,
+      timeSig: p.timeSignature
+    }).then(refreshLevel).catch(() => {});
+
+    try { recordAnswer('sightreading', passed, durationMs); } catch {}
+    if (res.correct > 0) {
+      try { addXP(Math.max(1, Math.round(res.correct * p.level / 2)), 'sightreading', { source: 'sightreading', metadata: { key: p.keyId } }); } catch {}
+    }
+    try {
+      sessionTracker.trackActivity?.('sightreading', 'phrase', {
+        key: p.keyId,
+        timeSig: p.timeSignature,
+        level: p.level,
+        accuracy: res.accuracy,
+        source: res.source
+      });
+    } catch {}
+    if (passed && streakRef.current > 0 && streakRef.current % 5 === 0) {
+      emitToast(`🔥 ${streakRef.current} clean phrases in a row`, 'success');
+    }
+  }, [settings.passAccuracy, tempo, refreshLevel]);
+
+  const finishPlay = useCallback(() => {
+    const run = runRef.current;
+    setActiveIndex(-1);
+    if (!run) return;
+    if (listening) {
+      commit(scoreReadings(run.phrase, readingsRef.current, { startMs: startMsRef.current, quarterMs: run.plan.quarterMs }));
+    } else {
+      setPhase('grading');
+    }
+  }, [listening, commit]);
+
+  // -----------------------------
+  // Play-through
+  // -----------------------------
+  const start = useCallback(async () => {
+    if (!phrase) return;
+    const plan = clickPlan(phrase, tempo);
+    const countIn = Math.max(1, Number(settings.countInBars) || 1);
+    runRef.current = { phrase, plan, countIn };
+    readingsRef.current = [];
+    startMsRef.current = 0;
+    setResult(null);
+    setMarked([]);
+    setActiveIndex(-1);
+    setCountBeat(0);
+    setPhase('countin');
+
+    const ok = await metronome.start({
+      bpm: plan.bpm,
+      beatsPerBar: plan.beatsPerBar,
+      accents: plan.accents,
+      gap: settings.clickDuringPhrase ? null : { play: countIn, mute: phrase.bars },
+      stopAfterBars: countIn + phrase.bars,
+      onTick: (ev) => {
+        if (ev.bar < countIn) {
+          setCountBeat(ev.beat + 1);
+          return;
+        }
+        if (ev.bar === countIn && ev.beat === 0 && ev.sub === 0) {
+          startMsRef.current = Date.now();
+          setPhase('playing');
+        }
+        const beat = (ev.bar - countIn) * plan.barBeats + ev.beat * plan.unitBeats;
+        setActiveIndex(noteAtBeat(phrase, beat));
+      },
+      onComplete: finishPlay
+    });
+    if (!ok) {
+      runRef.current = null;
+      setPhase('idle');
+      emitToast('Audio unavailable — tap the screen and try again', 'error');
+    }
+  }, [phrase, tempo, settings.countInBars, settings.clickDuringPhrase, finishPlay]);
+
+  const stop = useCallback(() => {
+    metronome.stop();
+    runRef.current = null;
+    setActiveIndex(-1);
+    setPhase('idle');
+  }, []);
+
+  // Mic readings are kept with their time; scoring matches them to notes afterwards
+  useEffect(() => {
+    if (!listening) return undefined;
+    return pitchTracker.subscribe((r) => {
+      if (!runRef.current || r.silent) return;
+      readingsRef.current.push({ timestamp: r.timestamp, midi: r.midi, cents: r.cents, silent: false });
+    });
+  }, [listening]);
+
+  const toggleMic = useCallback(async () => {
+    if (listening) {
+      pitchTracker.stop();
+      setListening(false);
+      return;
+    }
+    if (!pitchTracker.isSupported()) {
+      emitToast('Microphone not supported in this browser — grade yourself instead', 'error');
+      return;
+    }
+    const ok = await pitchTracker.start();
+    if (!ok) {
+      emitToast('Microphone unavailable — check browser permissions', 'error');
+      return;
+    }
+    setListening(true);
+  }, [listening]);
+
+  const hearPhrase = useCallback(async () => {
+    if (!phrase) return;
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      const ctx = audioEngine.audioContext;
+      const t0 = (ctx?.currentTime || 0) + 0.1;
+      const quarter = 60 / tempo;
+      phrase.notes.forEach((n) => {
+        if (n.rest) return;
+        audioEngine.playTone(midiToFreq(n.midi), Math.max(0.1, n.beats * quarter * 0.9), { volume: 0.3, when: t0 + n.start * quarter });
+      });
+    } catch (e) {
+      console.warn('[SightReading] playback failed:', e);
+    }
+  }, [phrase, tempo]);
+
+  const exportABC = useCallback(() => {
+    if (!phrase) return;
+    try {
+      const text = toABC({
+        title: `Sight reading — ${phrase.key.name}, ${ordinal(phrase.position)} position`,
+        key: phrase.key,
+        timeSignature: phrase.timeSignature,
+        tempo,
+        clef: phrase.clef,
+        notes: phrase.notes
+      });
+      downloadBlob(new Blob([text], { type: ABC_MIME }), abcFilename('sight-reading', phrase.key.name, phrase.timeSignature));
+      emitToast('ABC downloaded', 'success');
+    } catch (e) {
+      console.warn('[SightReading] ABC export failed:', e);
+      emitToast('ABC export failed', 'error');
+    }
+  }, [phrase, tempo]);
+
+  const toggleMark = useCallback((index) => {
+    if (phase !== 'grading' || phrase?.notes[index]?.rest) return;
+    setMarked((prev) => (prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]));
+  }, [phase, phrase]);
+
+  // Enter/Space start or move on; Esc stops; N new phrase
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) return;
+      if (e.key === 'Escape' && (phase === 'countin' || phase === 'playing')) stop();
+      else if ((e.key === 'Enter' || e.key === ' ') && phase === 'idle') { e.preventDefault(); start(); }
+      else if ((e.key === 'Enter' || e.key === ' ') && phase === 'grading') { e.preventDefault(); commit(scoreSelfGrade(runRef.current?.phrase, marked)); }
+      else if ((e.key === 'Enter' || e.key === ' ') && phase === 'done') { e.preventDefault(); newPhrase(); }
+      else if ((e.key === 'n' || e.key === 'N') && phase !== 'countin' && phase !== 'playing') newPhrase();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [phase, start, stop, commit, marked, newPhrase]);
+
+  // -----------------------------
+  // Render
+  // -----------------------------
+  const staffNotes = (phrase?.notes || []).map((n, i) => {
+    const row = result?.notes?.[i];
+    let color = null;
+    if (phase === 'done' && row && row.status !== 'rest') color = STATUS_COLORS[row.status];
+    else if (phase === 'grading' && marked.includes(i)) color = STATUS_COLORS.wrong;
+    return n.rest
+      ? { rest: true, duration: n.beats }
+      : {
+          note: n.note,
+          duration: n.beats,
+          color,
+          label: phase === 'done' && row?.status === 'wrong' && row.played != null ? '✗' : '',
+          ariaLabel: `Note ${i + 1}: ${n.note}`
+        };
+  });
+
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '📖 Sight Reading')
+    ),
+    h('div', { className: 'text-muted' }, `Level ${level}${settings.level ? ' (fixed)' : ' (adaptive)'} • ${profile.name}`)
+  );
+
+  const statusLine = (() => {
+    if (!phrase) return '';
+    if (phase === 'countin') return `Count-in: ${countBeat || '…'}`;
+    if (phase === 'playing') return 'Play!';
+    if (phase === 'grading') return 'Tap every note you missed, then submit.';
+    if (phase === 'done' && result) {
+      return `${result.accuracy}% — ${result.correct}/${result.total} notes` +
+        (result.meanAbsCents != null ? ` • ±${result.meanAbsCents}¢ on the notes you hit` : '');
+    }
+    return `${phrase.key.name} • ${phrase.timeSignature} • ${ordinal(phrase.position)} position • ♩ = ${tempo}`;
+  })();
+
+  const reader = h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('p', { role: 'status', 'aria-live': 'polite', style: { fontWeight: 600 } }, statusLine),
+      phrase && h(StaffNotation, {
+        clef: phrase.clef,
+        keySignature: phrase.key,
+        timeSignature: phrase.timeSignature,
+        notes: staffNotes,
+        activeIndex,
+        scale: 1.8,
+        onNoteClick: phase === 'grading' ? toggleMark : null,
+        ariaLabel: `Sight-reading phrase in ${phrase.key.name}, ${phrase.timeSignature}`
+      }),
+      phase === 'done' && result?.source === 'mic' && h('small', { className: 'text-muted' },
+        'Green: in tune on the right note • red: another note • orange: not heard'),
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap', alignItems: 'center' } },
+        (phase === 'countin' || phase === 'playing') && h('button', { type: 'button', className: 'btn btn-secondary', onClick: stop }, '■ Stop'),
+        phase === 'idle' && h('button', { type: 'button', className: 'btn btn-primary', onClick: start }, '▶ Count in & play'),
+        phase === 'grading' && h('button', {
+          type: 'button',
+          className: 'btn btn-primary',
+          onClick: () => commit(scoreSelfGrade(runRef.current?.phrase, marked))
+        }, marked.length ? `Submit (${marked.length} missed)` : 'Submit — all clean'),
+        phase === 'done' && h('button', { type: 'button', className: 'btn btn-outline', onClick: start }, '↻ Again'),
+        phase !== 'countin' && phase !== 'playing' && h('button', {
+          type: 'button',
+          className: phase === 'done' ? 'btn btn-primary' : 'btn btn-outline',
+          onClick: newPhrase
+        }, 'New phrase →'),
+        phase !== 'countin' && phase !== 'playing' && h('button', { type: 'button', className: 'btn btn-outline', onClick: hearPhrase }, '🔊 Hear it'),
+        phase !== 'countin' && phase !== 'playing' && h('button', {
+          type: 'button',
+          className: 'btn btn-outline',
+          onClick: exportABC,
+          disabled: !phrase,
+          title: 'Download this phrase as ABC notation'
+        }, '⬇️ ABC'),
+        h('button', {
+          type: 'button',
+          className: `btn ${listening ? 'btn-primary' : 'btn-outline'}`,
+          'aria-pressed': listening,
+          onClick: toggleMic,
+          disabled: phase === 'countin' || phase === 'playing'
+        }, listening ? '🎤 Mic scoring on' : '🎤 Score with mic'),
+        h('label', { style: { display: 'flex', alignItems: 'center', gap: '6px' } },
+          '♩ =',
+          h('input', {
+            type: 'range',
+            min: 40,
+            max: 160,
+            step: 2,
+            value: tempo,
+            disabled: phase === 'countin' || phase === 'playing',
+            onChange: (e) => setTempo(Number(e.target.value)),
+            'aria-label': 'Tempo'
+          }),
+          h('span', null, tempo)
+        )
+      ),
+      h('small', { className: 'text-muted' }, 'Keys: Enter play / submit / next • Esc stop • N new phrase')
+    )
+  );
+
+  const select = (label, value, options, onChange) => h('label', { style: { display: 'flex', flexDirection: 'column', gap: '4px' } },
+    h('span', { className: 'text-muted' }, label),
+    h('select', { className: 'input', value: value == null ? '' : String(value), onChange: (e) => onChange(e.target.value || null) },
+      options.map(([v, text]) => h('option', { key: v, value: v }, text)))
+  );
+
+  const selectedRhythms = settings.rhythmIds || [];
+  const setup = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Phrase settings'),
+      h('div', { style: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '8px' } },
+        select('Level', settings.level, [['', `Adaptive (${adaptiveLevel})`], ...[1, 2, 3, 4, 5].map((n) => [String(n), `Level ${n}`])],
+          (v) => updateSettings({ level: v ? Number(v) : null })),
+        select('Key', settings.keyId, [['', 'Any for the level'], ...KEY_SIGNATURES.map((k) => [k.id, k.name])],
+          (v) => updateSettings({ keyId: v })),
+        select('Position', settings.position,
+          [['', 'Any for the level'], ...POSITIONS.map((p) => [String(p), `${ordinal(p)} position`])],
+          (v) => updateSettings({ position: v ? Number(v) : null })),
+        select('Range', settings.span, [['', 'Level default'], ['octave', 'One octave'], ['position', 'Whole position']],
+          (v) => updateSettings({ span: v })),
+        select('Time', settings.timeSignature, [['', 'Any for the level'], ...METERS.map((m) => [m, m])],
+          (v) => updateSettings({ timeSignature: v, rhythmIds: null })),
+        select('Count-in', settings.countInBars, [['1', '1 bar'], ['2', '2 bars']],
+          (v) => updateSettings({ countInBars: Number(v) || 1 }))
+      ),
+      h('label', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px' } },
+        h('input', {
+          type: 'checkbox',
+          checked: !!settings.clickDuringPhrase,
+          onChange: (e) => updateSettings({ clickDuringPhrase: e.target.checked })
+        }),
+        'Metronome keeps clicking through the phrase'
+      ),
+      h('div', { style: { marginTop: '8px' } },
+        h('span', { className: 'text-muted' }, `Rhythm vocabulary (${meterForCells})${selectedRhythms.length ? '' : ' — level default'}: `),
+        h('div', { style: { display: 'flex', gap: '6px', flexWrap: 'wrap', marginTop: '4px' } },
+          cells.map((c) => {
+            const on = selectedRhythms.includes(c.id);
+            return h('button', {
+              key: c.id,
+              type: 'button',
+              className: `btn btn-sm ${on ? 'btn-primary' : 'btn-outline'}`,
+              'aria-pressed': on,
+              onClick: () => updateSettings({
+                rhythmIds: on ? selectedRhythms.filter((id) => id !== c.id) : [...selectedRhythms, c.id]
+              })
+            }, c.name);
+          })
+        )
+      ),
+      h('small', { className: 'text-muted' }, 'Changes apply to the next phrase.')
+    )
+  );
+
+  const recent = history.length > 0 && h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Recent phrases'),
+      h('ul', null, history.map((e) => h('li', { key: e.timestamp },
+        `${e.passed ? '✓' : '✗'} ${e.accuracy}% • ${e.key || ''} ${e.timeSig || ''} • level ${e.level ?? '–'}`,
+        e.source === 'mic' ? ' • 🎤' : ''
+      )))
+    )
+  );
+
+  return h('div', { className: 'module-container sight-reading' },
+    header,
+    reader,
+    setup,
+    recent
+  );
+}
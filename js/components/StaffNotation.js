@@ -0,0 +1,190 @@
+// js/components/StaffNotation.js
+// ===================================
+// VMQ Staff Notation — v1.0
+// Shared SVG staff: clef, key and time signature, notes with accidentals,
+// ledger lines, stems, flags, beams and dots, or a one-line rhythm staff.
+// Layout is computed by utils/notation.js; this component only draws it.
+// Used by Flashcards, KeySignatures, Rhythm and Scales Lab.
+// No JSX. React.createElement style.
+// ===================================
+
+import { layoutStaff, STAFF_GEOMETRY } from '../utils/notation.js';
+
+const { createElement: h, useMemo } = React;
+
+const GLYPH_FONT = "'Bravura Text', 'Noto Music', 'Segoe UI Symbol', 'Apple Symbols', serif";
+
+function beamPoints(b) {
+  // Beams are parallelograms hanging from the stem tips toward the noteheads
+  const t = b.up ? b.thickness : -b.thickness;
+  return `${b.x1},${b.y1} ${b.x2},${b.y2} ${b.x2},${b.y2 + t} ${b.x1},${b.y1 + t}`;
+}
+
+function flagPath(f) {
+  return f.up
+    ? `M ${f.x} ${f.y} q 1 7 8 10 q 3 3 1 10`
+    : `M ${f.x} ${f.y} q 1 -7 8 -10 q 3 -3 1 -10`;
+}
+
+/**
+ * @param {object} props
+ *   clef, keySignature, timeSignature, notes, rhythm, showClef, noteSpacing, minWidth
+ *     → passed to layoutStaff() (see utils/notation.js)
+ *   scale: px per layout unit at full width (default 1.6)
+ *   onNoteClick(index, note): makes notes focusable buttons
+ *   activeIndex: note drawn enlarged (current scale degree, playback cursor)
+ *   ariaLabel, className, style
+ */
+export default function StaffNotation(props = {}) {
+  const {
+    clef = 'treble',
+    keySignature = 0,
+    timeSignature = null,
+    notes = [],
+    rhythm = false,
+    showClef = true,
+    noteSpacing = 1,
+    minWidth = 0,
+    scale = 1.6,
+    onNoteClick = null,
+    activeIndex = -1,
+    ariaLabel = 'Music notation',
+    className = '',
+    style = null
+  } = props;
+
+  const model = useMemo(
+    () => layoutStaff({ clef, keySignature, timeSignature, notes, rhythm, showClef, noteSpacing, minWidth }),
+    [clef, keySignature, timeSignature, notes, rhythm, showClef, noteSpacing, minWidth]
+  );
+  const g = STAFF_GEOMETRY;
+
+  const staff = model.lines.map((y, i) =>
+    h('line', { key: `line-${i}`, x1: model.staffLeft, y1: y, x2: model.staffRight, y2: y, stroke: 'currentColor', strokeWidth: 1 })
+  );
+
+  let clefEl = null;
+  if (model.clef?.kind === 'percussion') {
+    clefEl = h('g', { key: 'clef' },
+      h('rect', { x: model.clef.x, y: model.clef.y1, width: 3, height: model.clef.y2 - model.clef.y1, fill: 'currentColor' }),
+      h('rect', { x: model.clef.x + 6, y: model.clef.y1, width: 3, height: model.clef.y2 - model.clef.y1, fill: 'currentColor' })
+    );
+  } else if (model.clef) {
+    clefEl = h('text', {
+      key: 'clef', x: model.clef.x, y: model.clef.y, fontSize: model.clef.size, fill: 'currentColor', fontFamily: GLYPH_FONT
+    }, model.clef.glyph);
+  }
+
+  const keySig = model.keySig.map((k, i) =>
+    h('text', {
+      key: `ks-${i}`, x: k.x, y: k.y + g.space * 0.45, fontSize: g.space * 2, fill: 'currentColor', fontFamily: GLYPH_FONT
+    }, k.glyph)
+  );
+
+  const timeSig = model.timeSig && h('g', { key: 'ts', fontSize: model.timeSig.size, fontWeight: 'bold', fontFamily: 'serif', textAnchor: 'middle', fill: 'currentColor' },
+    h('text', { x: model.timeSig.x, y: model.timeSig.upperY }, model.timeSig.top),
+    h('text', { x: model.timeSig.x, y: model.timeSig.lowerY }, model.timeSig.bottom)
+  );
+
+  const staffTop = model.lines[0] - (model.rhythm ? g.space : 0);
+  const staffBottom = model.lines[model.lines.length - 1] + (model.rhythm ? g.space : 0);
+  const bars = model.bars.map((b, i) =>
+    b.final
+      ? h('g', { key: `bar-${i}` },
+          h('line', { x1: b.x - 4, y1: staffTop, x2: b.x - 4, y2: staffBottom, stroke: 'currentColor', strokeWidth: 1 }),
+          h('rect', { x: b.x - 1, y: staffTop, width: 3, height: staffBottom - staffTop, fill: 'currentColor' })
+        )
+      : h('line', { key: `bar-${i}`, x1: b.x, y1: staffTop, x2: b.x, y2: staffBottom, stroke: 'currentColor', strokeWidth: 1 })
+  );
+
+  const noteEls = model.notes.map((el) => {
+    const color = el.color || 'currentColor';
+    const active = el.index === activeIndex;
+    const clickable = typeof onNoteClick === 'function';
+    const pick = () => onNoteClick(el.index, el.source);
+    const rx = g.headRx * (active ? 1.3 : 1);
+    const ry = g.headRy * (active ? 1.3 : 1);
+
+    const parts = [];
+    el.ledger.forEach((y, i) => parts.push(
+      h('line', { key: `ledger-${i}`, x1: el.x - 10, y1: y, x2: el.x + 10, y2: y, stroke: 'currentColor', strokeWidth: 1 })
+    ));
+    if (el.accidental) {
+      parts.push(h('text', {
+        key: 'acc', x: el.accidental.x, y: el.accidental.y + g.space * 0.45, fontSize: g.space * 2, fill: color, textAnchor: 'middle', fontFamily: GLYPH_FONT
+      }, el.accidental.glyph));
+    }
+
+    if (el.rest) {
+      if (el.restBlock) parts.push(h('rect', { key: 'rest', x: el.restBlock.x, y: el.restBlock.y, width: el.restBlock.w, height: el.restBlock.h, fill: color }));
+      else parts.push(h('text', { key: 'rest', x: el.x, y: el.y + g.space * 0.9, fontSize: g.space * 3, fill: color, textAnchor: 'middle', fontFamily: GLYPH_FONT }, el.restGlyph));
+    } else {
+      if (el.halo) {
+        parts.push(h('circle', { key: 'halo', cx: el.x, cy: el.y, r: g.space * 1.3, fill: 'none', stroke: color, strokeWidth: 1.5, strokeDasharray: '4,3', opacity: 0.8 }));
+      }
+      parts.push(h('ellipse', {
+        key: 'head',
+        cx: el.x,
+        cy: el.y,
+        rx,
+        ry,
+        transform: `rotate(-20 ${el.x} ${el.y})`,
+        fill: el.filled ? color : 'none',
+        stroke: color,
+        strokeWidth: el.filled ? 1 : 1.8,
+        className: 'staff-notehead'
+      }));
+      if (el.stem) {
+        parts.push(h('line', { key: 'stem', x1: el.stemX, y1: el.y, x2: el.stemX, y2: el.stemTip, stroke: color, strokeWidth: 1.2 }));
+      }
+    }
+    (el.dotPoints || []).forEach((d, i) => parts.push(h('circle', { key: `dot-${i}`, cx: d.x, cy: d.y, r: 1.6, fill: color })));
+    if (model.labelsY != null && el.label != null && el.label !== '') {
+      parts.push(h('text', { key: 'label', x: el.x, y: model.labelsY, fontSize: 10, textAnchor: 'middle', fill: 'currentColor' }, String(el.label)));
+    }
+
+    return h('g', {
+      key: `note-${el.index}`,
+      className: `staff-note ${active ? 'active' : ''} ${el.className}`.trim(),
+      ...(clickable ? {
+        role: 'button',
+        tabIndex: 0,
+        style: { cursor: 'pointer' },
+        'aria-label': el.source?.ariaLabel || (el.rest ? 'rest' : (el.pitch ? String(el.source?.note ?? '') : 'note')),
+        onClick: pick,
+        onKeyDown: (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            pick();
+          }
+        }
+      } : {})
+    }, parts);
+  });
+
+  const beams = model.beams.map((b, i) => h('polygon', { key: `beam-${i}`, points: beamPoints(b), fill: 'currentColor' }));
+  const flags = model.flags.map((f, i) => h('path', { key: `flag-${i}`, d: flagPath(f), fill: 'none', stroke: 'currentColor', strokeWidth: 1.6 }));
+  const tuplets = model.tuplets.map((t, i) =>
+    h('text', { key: `tup-${i}`, x: t.x, y: t.y, fontSize: 11, fontStyle: 'italic', fontWeight: 'bold', textAnchor: 'middle', fill: 'currentColor' }, t.text)
+  );
+
+  return h('svg', {
+    className: `staff-notation ${className}`.trim(),
+    viewBox: `0 ${model.top} ${model.width} ${model.height}`,
+    width: '100%',
+    preserveAspectRatio: 'xMinYMid meet',
+    style: { maxWidth: `${Math.round(model.width * scale)}px`, height: 'auto', overflow: 'visible', ...(style || {}) },
+    role: typeof onNoteClick === 'function' ? 'group' : 'img',
+    'aria-label': ariaLabel
+  },
+    staff,
+    clefEl,
+    keySig,
+    timeSig,
+    bars,
+    noteEls,
+    beams,
+    flags,
+    tuplets
+  );
+}
@@ -1,7 +1,7 @@
 // js/components/Testers.js
 // ======================================
 // VMQ TESTERS v2.4.2 - Unified Adaptive Testing Framework (Drop-in)
-// Powers: Key Signatures, Tempo, Time Signatures, Arpeggios/Chords, Scales
+// Powers: Key Signatures, Tempo, Time Signatures, Arpeggios/Chords, Scales, Pure Intervals
 // Integrations: Gamification + SessionTracker + DifficultyAdapter + Spaced Repetition + Keyboard/A11y
 // Notes:
 // - React UMD (no JSX)
@@ -13,9 +13,11 @@ const { createElement: h, useState, useEffect, useCallback, useRef, useMemo } =
 
 import * as C from '../config/constants.js';
 import * as Audio from '../engines/audioEngine.js';
+import * as Metro from '../engines/metronome.js';
 import * as G from '../engines/gamification.js';
 import * as H from '../utils/helpers.js';
-import { keyboard, a11y } from '../utils/keyboard.js';
+import { keyboard } from '../utils/keyboard.js';
+import { a11y } from '../utils/accessibility.js';
 import { sessionTracker } from '../engines/sessionTracker.js';
 import * as D from '../engines/difficultyAdapter.js';
 import * as SRS from '../engines/spacedRepetition.js';
@@ -169,6 +171,8 @@ function safeGetNextReviewItems(type, n) {
 }
 
 function midiToFreq(midi) {
+  // constants.midiToFreq follows the user's A4 reference (Settings → Audio)
+  if (typeof C?.midiToFreq === 'function') return C.midiToFreq(midi);
   return 440 * Math.pow(2, (midi - 69) / 12);
 }
 
@@ -960,6 +964,26 @@ export const KeyTester = createTester({
   enableHints: true
 });
 
+// Click drills run on the lookahead metronome; done() fires after the last click sounds.
+function playClicks(options, done) {
+  const scheduler = Metro?.metronome;
+  if (!scheduler?.start) {
+    done?.();
+    return null;
+  }
+  scheduler.start({ ...options, onComplete: done })
+    .then((ok) => { if (!ok) done?.(); })
+    .catch(() => done?.());
+  return null;
+}
+
+// Accent weights ([1, 0, 0.7, 0, ...]) -> grouping string ('2+2+3')
+function accentGroups(pattern) {
+  const starts = (pattern || []).map((w, i) => (Number(w) > 0 ? i : -1)).filter((i) => i >= 0);
+  if (!starts.length || starts[0] !== 0) return null;
+  return starts.map((st, k) => (starts[k + 1] ?? pattern.length) - st).join('+');
+}
+
 // --- Tempo Tester ---
 export const TempoTester = createTester({
   type: 'tempo',
@@ -976,12 +1000,11 @@ export const TempoTester = createTester({
   ]),
   audioPlay: (item, done) => {
     const bpm = Number(item?.bpm || 0);
-    const engine = Audio?.audioEngine;
-    try {
-      if (engine?.playMetronome) return engine.playMetronome(bpm, 8, done);
-    } catch { /* noop */ }
-    done?.();
-    return null;
+    if (!bpm) {
+      done?.();
+      return null;
+    }
+    return playClicks({ bpm, beatsPerBar: 4, stopAfterBeats: 8 }, done);
   },
   questionTypes: [{ q: 'What tempo is this?', a: (item) => item?.name }],
   enableSRS: true,
@@ -1003,12 +1026,18 @@ export const TimeSigTester = createTester({
     { name: '9/8 (Compound triple)', sig: '9/8', pattern: [1, 0, 0, 0.7, 0, 0, 0.7, 0, 0] }
   ]),
   audioPlay: (item, done) => {
-    const engine = Audio?.audioEngine;
-    try {
-      if (engine?.playRhythmPattern) return engine.playRhythmPattern(item?.pattern || [], 120, done);
-    } catch { /* noop */ }
-    done?.();
-    return null;
+    const pattern = item?.pattern || [];
+    if (!pattern.length) {
+      done?.();
+      return null;
+    }
+    const eighthPulse = String(item?.sig || '').endsWith('/8');
+    return playClicks({
+      bpm: eighthPulse ? 240 : 120,
+      beatsPerBar: pattern.length,
+      accents: accentGroups(pattern),
+      stopAfterBars: 2
+    }, done);
   },
   questionTypes: [{ q: 'What time signature is this pattern?', a: (item) => item?.name }],
   enableSRS: true,
@@ -1082,6 +1111,174 @@ export const ScaleTester = createTester({
   enableHints: true
 });
 
+// --- Pure Interval Tester (just vs equal temperament) ---
+// Custom component: always exactly two choices, so it bypasses the option factory.
+const PURE_INTERVAL_POOLS = {
+  beginner: ['M3', 'm3'],
+  intermediate: ['M3', 'm3', 'M6', 'm6'],
+  advanced: ['M3', 'm3', 'M6', 'm6', 'P5', 'P4']
+};
+const PURE_RATIO_LABELS = { m3: '6:5', M3: '5:4', P4: '4:3', P5: '3:2', m6: '8:5', M6: '5:3' };
+const PURE_PLAY_SEC = 2.0;
+const PURE_GAP_MS = 400;
+
+export function PureIntervalTester(props) {
+  const { onBack, navigate, showToast } = props || {};
+
+  const goBack = useCallback(() => {
+    if (typeof onBack === 'function') return onBack();
+    if (typeof navigate === 'function') return navigate('testers');
+    try { window.location.hash = '#testers'; } catch { /* noop */ }
+  }, [onBack, navigate]);
+
+  const [difficulty, setDifficulty] = useState('beginner');
+  const [question, setQuestion] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [stats, setStats] = useState({ correct: 0, total: 0, streak: 0 });
+  const timersRef = useRef([]);
+  const startRef = useRef(0);
+
+  const clearTimers = useCallback(() => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+  }, []);
+
+  useEffect(() => {
+    safeStartSession('Pure Intervals');
+    return () => clearTimers();
+  }, [clearTimers]);
+
+  const play = useCallback((q = question) => {
+    const engine = Audio?.audioEngine;
+    if (!q || !engine?.playDoubleStop) return;
+    clearTimers();
+
+    const f1 = midiToFreq(q.baseMidi);
+    const f2 = midiToFreq(q.baseMidi + q.interval.semitones);
+    const order = q.pureFirst ? ['just', 'equal'] : ['equal', 'just'];
+
+    setIsPlaying(true);
+    engine.playDoubleStop(f1, f2, PURE_PLAY_SEC, { tuning: order[0], vibrato: false });
+    timersRef.current.push(setTimeout(() => {
+      engine.playDoubleStop(f1, f2, PURE_PLAY_SEC, { tuning: order[1], vibrato: false });
+    }, PURE_PLAY_SEC * 1000 + PURE_GAP_MS));
+    timersRef.current.push(setTimeout(() => setIsPlaying(false), PURE_PLAY_SEC * 2000 + PURE_GAP_MS));
+  }, [question, clearTimers]);
+
+  const nextQuestion = useCallback(() => {
+    const ids = PURE_INTERVAL_POOLS[difficulty] || PURE_INTERVAL_POOLS.beginner;
+    const intervals = Array.isArray(C?.INTERVALS) ? C.INTERVALS : [];
+    const interval = intervals.find(i => i.id === getRandom(ids));
+    if (!interval) return;
+
+    // G3..A4 keeps both notes in a comfortable double-stop register
+    const baseMidi = 55 + Math.floor(Math.random() * 15);
+    const q = { interval, baseMidi, pureFirst: Math.random() < 0.5 };
+
+    setQuestion(q);
+    setSelected(null);
+    startRef.current = Date.now();
+    setTimeout(() => play(q), 250);
+  }, [difficulty, play]);
+
+  useEffect(() => {
+    nextQuestion();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [difficulty]);
+
+  const answer = useCallback((choice) => {
+    if (!question || selected) return;
+    const correct = (choice === 'A') === question.pureFirst;
+    const responseTime = Date.now() - (startRef.current || Date.now());
+    const id = question.interval.id;
+
+    setSelected(choice);
+    setStats(prev => ({
+      correct: prev.correct + (correct ? 1 : 0),
+      total: prev.total + 1,
+      streak: correct ? prev.streak + 1 : 0
+    }));
+
+    safeRecordAnswer('tuning', correct, responseTime, { interval: id, difficulty });
+    safeAddXP(correct ? (difficulty === 'advanced' ? 12 : 8) : 2, 'tuning', { interval: id });
+    try {
+      SRS?.updateItem?.(`tuning_${id}`, correct ? 4 : 2, responseTime, {
+        type: SRS?.ITEM_TYPES?.INTERVAL || 'interval',
+        interval: id,
+        mode: 'tuning'
+      });
+    } catch { /* noop */ }
+    try { sessionTracker?.trackActivity?.('tuning', 'answer', { interval: id, correct, responseTime }); } catch { /* noop */ }
+
+    safeAnnounce(correct ? 'Correct' : 'Incorrect');
+  }, [question, selected, difficulty]);
+
+  const accuracy = stats.total ? Math.round((stats.correct / stats.total) * 100) : 0;
+  const pureLabel = question ? (question.pureFirst ? 'A' : 'B') : '';
+  const offset = question ? (C?.tuningOffsetCents?.(question.interval.semitones, 'just') || 0) : 0;
+
+  return h('div', { className: 'container tester', 'data-module': 'tester:tuning', role: 'main' },
+    h('div', { className: 'card', style: { marginBottom: '16px' } },
+      h('div', { style: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px' } },
+        h('button', { className: 'btn-outline', onClick: goBack, type: 'button' }, '← Back'),
+        h('h2', { style: { margin: 0 } }, '🎚️ Pure or Tempered?'),
+        h('div', { className: 'small', style: { color: 'var(--muted, #6c757d)' } }, `${stats.correct}/${stats.total} • ${accuracy}%`)
+      ),
+      h('div', { style: { marginTop: '12px', display: 'flex', gap: '8px', flexWrap: 'wrap' } },
+        ...Object.keys(PURE_INTERVAL_POOLS).map(level =>
+          h('button', {
+            key: level,
+            type: 'button',
+            className: (difficulty === level) ? 'btn-primary' : 'btn-outline',
+            onClick: () => setDifficulty(level)
+          }, level)
+        )
+      )
+    ),
+
+    h('div', { className: 'card', 'aria-live': 'polite' },
+      h('h3', { style: { marginTop: 0 } },
+        question ? `Two ${question.interval.name}s — which one is pure?` : 'Loading…'
+      ),
+      h('div', { className: 'small', style: { color: 'var(--muted, #6c757d)' } },
+        'Listen for beating: the pure interval sounds still, the tempered one wavers.'
+      ),
+      h('button', {
+        type: 'button',
+        className: 'btn-secondary',
+        onClick: () => play(),
+        disabled: isPlaying || !question,
+        style: { marginTop: '8px' }
+      }, isPlaying ? '🔊 Playing…' : '▶️ Play A then B'),
+
+      h('div', { style: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginTop: '12px' } },
+        ...['A', 'B'].map(choice => {
+          const isPure = selected && choice === pureLabel;
+          const isWrongPick = selected === choice && choice !== pureLabel;
+          return h('button', {
+            key: choice,
+            type: 'button',
+            className: isPure ? 'btn-success' : isWrongPick ? 'btn-danger' : 'btn-outline',
+            onClick: () => answer(choice),
+            disabled: !!selected || !question
+          }, `${choice} is pure`);
+        })
+      ),
+
+      selected && question && h('div', { className: 'small', style: { marginTop: '10px', color: 'var(--muted, #6c757d)' } },
+        `${pureLabel} was just (${PURE_RATIO_LABELS[question.interval.id] || 'pure'}); ` +
+        `the other was equal-tempered, ${Math.abs(offset).toFixed(1)}¢ ${offset < 0 ? 'higher' : 'lower'} on top.`
+      ),
+
+      h('div', { style: { marginTop: '12px', display: 'flex', gap: '10px', flexWrap: 'wrap' } },
+        h('button', { type: 'button', className: 'btn-secondary', onClick: nextQuestion }, 'Next'),
+        h('button', { type: 'button', className: 'btn-outline', onClick: goBack }, 'Exit')
+      )
+    )
+  );
+}
+
 // --------------------------------------
 // DEFAULT HUB COMPONENT (Route: "testers")
 // --------------------------------------
@@ -1093,7 +1290,8 @@ export default function Testers({ navigate, showToast }) {
     { id: 'tempo', title: 'Tempo', icon: '⏱️', component: TempoTester, desc: 'Metronome tempo recognition.' },
     { id: 'timesig', title: 'Time Signatures', icon: '🎼', component: TimeSigTester, desc: 'Pattern-based meter recognition.' },
     { id: 'arpeggio', title: 'Chords', icon: '🎵', component: ArpeggioTester, desc: 'Chord-quality ear training.' },
-    { id: 'scales', title: 'Scales', icon: '🎹', component: ScaleTester, desc: 'Scale-type recognition.' }
+    { id: 'scales', title: 'Scales', icon: '🎹', component: ScaleTester, desc: 'Scale-type recognition.' },
+    { id: 'tuning', title: 'Pure Intervals', icon: '🎚️', component: PureIntervalTester, desc: 'Hear just vs equal temperament; pick the pure one.' }
   ]), []);
 
   const go = useCallback((route) => {
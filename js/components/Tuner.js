@@ -0,0 +1,264 @@
+// js/components/Tuner.js
+// ===================================
+// VMQ Tuner — v1.0 (drop-in)
+// Live intonation check: note name, cents needle, frequency, open-string drones
+// (the active instrument's strings, retuned when a scordatura is set).
+// No JSX. React.createElement style.
+// Pitch data comes from engines/pitchTracker.js (shared with other modules).
+// ===================================
+
+import { audioEngine } from '../engines/audioEngine.js';
+import { renderDroneWav, downloadBlob, wavFilename } from '../engines/audioExport.js';
+import { pitchTracker, PITCH_DEFAULTS } from '../engines/pitchTracker.js';
+import { sessionTracker } from '../engines/sessionTracker.js';
+import { MUSIC } from '../utils/helpers.js';
+import { getInstrument, tuningLabel } from '../engines/instrumentProfile.js';
+
+const { createElement: h, useEffect, useMemo, useRef, useState } = React;
+
+const HISTORY_SIZE = 60;   // ~3s of readings at the default 50ms rate
+const NEEDLE_RANGE = 50;   // cents shown on each side of the meter
+const DRONE_EXPORT_MINUTES = [1, 3, 5];
+
+function emitToast(message, type = 'info') {
+  try {
+    window.dispatchEvent(new CustomEvent('vmq-show-toast', { detail: { message, type } }));
+  } catch {}
+}
+
+function centsColor(cents) {
+  const c = Math.abs(Number(cents) || 0);
+  if (c <= PITCH_DEFAULTS.inTuneCents) return 'var(--success)';
+  if (c <= 15) return 'var(--warning)';
+  return 'var(--danger)';
+}
+
+/**
+ * Compact cents meter. Reusable by any module that subscribes to pitchTracker.
+ * @param {{reading: object|null, targetNote?: string}} props
+ */
+export function TunerMeter({ reading, targetNote = null }) {
+  const silent = !reading || reading.silent;
+  const cents = silent ? 0 : Math.max(-NEEDLE_RANGE, Math.min(NEEDLE_RANGE, reading.cents || 0));
+  const left = `${50 + (cents / NEEDLE_RANGE) * 50}%`;
+
+  return h('div', { className: 'tuner-meter', 'aria-live': 'polite' },
+    h('div', {
+      style: { fontSize: 'clamp(3rem, 14vw, 5rem)', fontWeight: 700, textAlign: 'center', lineHeight: 1.1 }
+    }, silent ? '–' : reading.note),
+    targetNote && h('div', { className: 'text-muted', style: { textAlign: 'center' } }, `Target: ${targetNote}`),
+    h('div', {
+      style: {
+        position: 'relative',
+        height: '14px',
+        margin: 'var(--space-md) 0',
+        borderRadius: 'var(--radius)',
+        background: 'var(--border)'
+      }
+    },
+      h('div', {
+        style: { position: 'absolute', left: '50%', top: '-4px', bottom: '-4px', width: '2px', background: 'var(--ink-light)' }
+      }),
+      h('div', {
+        style: {
+          position: 'absolute',
+          left,
+          top: '-6px',
+          width: '6px',
+          height: '26px',
+          marginLeft: '-3px',
+          borderRadius: '3px',
+          background: silent ? 'var(--ink-lighter)' : centsColor(reading.cents),
+          transition: 'left 80ms linear'
+        }
+      })
+    ),
+    h('div', { style: { display: 'flex', justifyContent: 'space-between' }, className: 'text-muted' },
+      h('small', null, `-${NEEDLE_RANGE}¢ flat`),
+      h('strong', { style: { color: silent ? 'inherit' : centsColor(reading.cents) } },
+        silent ? 'Play a note…' : `${reading.cents > 0 ? '+' : ''}${reading.cents}¢`
+      ),
+      h('small', null, `sharp +${NEEDLE_RANGE}¢`)
+    ),
+    h('div', { className: 'text-muted', style: { textAlign: 'center', marginTop: 'var(--space-sm)' } },
+      silent ? '' : `${reading.frequency.toFixed(1)} Hz`
+    )
+  );
+}
+
+export default function Tuner(props = {}) {
+  const { onBack, onNavigate } = props;
+
+  const [instrument] = useState(() => getInstrument());
+  const [listening, setListening] = useState(pitchTracker.isRunning());
+  const [reading, setReading] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [droneString, setDroneString] = useState(null);
+  const [exportMinutes, setExportMinutes] = useState(3);
+  const [exporting, setExporting] = useState(false);
+  const droneRef = useRef(null);
+
+  // Subscribe for the lifetime of the screen; stop mic + drone on unmount.
+  useEffect(() => {
+    const unsubscribe = pitchTracker.subscribe((r) => {
+      setReading(r);
+      if (!r.silent) setHistory((prev) => [...prev, r.cents].slice(-HISTORY_SIZE));
+    });
+    try { sessionTracker.trackActivity?.('tuner', 'open', {}); } catch {}
+
+    return () => {
+      unsubscribe();
+      pitchTracker.stop();
+      try { droneRef.current?.stop?.(0.3); } catch {}
+      droneRef.current = null;
+    };
+  }, []);
+
+  async function toggleListening() {
+    if (listening) {
+      pitchTracker.stop();
+      setListening(false);
+      setReading(null);
+      return;
+    }
+    if (!pitchTracker.isSupported()) {
+      emitToast('Microphone not supported in this browser', 'error');
+      return;
+    }
+    const ok = await pitchTracker.start();
+    if (!ok) {
+      emitToast('Microphone unavailable — check browser permissions', 'error');
+      return;
+    }
+    setListening(true);
+    setHistory([]);
+    try { sessionTracker.trackActivity?.('tuner', 'listen_start', {}); } catch {}
+  }
+
+  async function toggleDrone(stringName) {
+    try { droneRef.current?.stop?.(0.5); } catch {}
+    droneRef.current = null;
+
+    if (droneString === stringName) {
+      setDroneString(null);
+      return;
+    }
+    if (!audioEngine.initialized) {
+      try { await audioEngine.init(); } catch {}
+    }
+    droneRef.current = audioEngine.playOpenStringDrone(stringName, 0.08, { fadeIn: 0.5 });
+    setDroneString(droneRef.current ? stringName : null);
+  }
+
+  async function downloadDrone() {
+    if (exporting) return;
+    const stringName = droneString || 'A';
+    setExporting(true);
+    try {
+      const { blob } = await renderDroneWav(stringName, exportMinutes * 60);
+      downloadBlob(blob, wavFilename('drone', `${stringName} string`, `a${audioEngine.getA4?.() ?? 440}`, `${exportMinutes}min`));
+      try { sessionTracker.trackActivity?.('tuner', 'export_drone', { string: stringName, minutes: exportMinutes }); } catch {}
+      emitToast(`${stringName} drone downloaded`, 'success');
+    } catch (e) {
+      console.warn('[Tuner] drone export failed:', e);
+      emitToast('Drone export is not supported in this browser', 'error');
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  const summary = useMemo(() => {
+    if (!history.length) return null;
+    const avg = history.reduce((a, b) => a + b, 0) / history.length;
+    const inTune = history.filter((c) => Math.abs(c) <= PITCH_DEFAULTS.inTuneCents).length;
+    return {
+      avg: Math.round(avg),
+      inTunePct: Math.round((inTune / history.length) * 100)
+    };
+  }, [history]);
+
+  const header = h('div', { className: 'module-header' },
+    h('div', { className: 'module-header-left' },
+      h('button', {
+        className: 'btn btn-secondary',
+        type: 'button',
+        onClick: () => (typeof onBack === 'function' ? onBack() : onNavigate?.('menu'))
+      }, '← Back'),
+      h('h2', { className: 'module-title', style: { marginLeft: '12px' } }, '🎯 Tuner')
+    )
+  );
+
+  const meter = h('div', { className: 'card elevated', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h(TunerMeter, { reading: listening ? reading : null }),
+      h('button', {
+        className: `btn ${listening ? 'btn-danger' : 'btn-primary'} btn-lg`,
+        type: 'button',
+        onClick: toggleListening,
+        style: { width: '100%', marginTop: 'var(--space-lg)' }
+      }, listening ? '⏹ Stop listening' : '🎤 Start listening'),
+      h('div', { className: 'text-muted', style: { textAlign: 'center', marginTop: 'var(--space-sm)' } },
+        h('small', null, `A4 = ${audioEngine.getA4?.() ?? 440} Hz (change in Settings)`)
+      )
+    )
+  );
+
+  const stats = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Last few seconds'),
+      summary
+        ? h('div', { className: 'grid-2' },
+            h('div', { className: 'module-stat' },
+              h('div', { className: 'stat-medium', style: { color: centsColor(summary.avg) } },
+                `${summary.avg > 0 ? '+' : ''}${summary.avg}¢`),
+              h('p', { className: 'text-muted' }, summary.avg > 0 ? 'Average (sharp)' : summary.avg < 0 ? 'Average (flat)' : 'Average')
+            ),
+            h('div', { className: 'module-stat' },
+              h('div', { className: 'stat-medium' }, `${summary.inTunePct}%`),
+              h('p', { className: 'text-muted' }, `Within ±${PITCH_DEFAULTS.inTuneCents}¢`)
+            )
+          )
+        : h('div', { className: 'muted' }, 'Sustain a note to see your intonation trend.')
+    )
+  );
+
+  const drones = h('div', { className: 'card', style: { marginTop: '12px' } },
+    h('div', { className: 'card-body' },
+      h('h3', null, 'Reference drones'),
+      h('p', { className: 'text-muted' }, 'Tune against a sounding open string, then check yourself with the meter.'),
+      instrument.scordatura && h('p', { className: 'text-muted' },
+        `🔧 Scordatura: ${instrument.scordatura.name} — drones sound ${tuningLabel(instrument)}.`
+      ),
+      h('div', { className: 'grid-2' },
+        instrument.strings.map(({ id: s, openMidi, standardMidi }) =>
+          h('button', {
+            key: s,
+            type: 'button',
+            className: `btn ${droneString === s ? 'btn-primary' : 'btn-outline'}`,
+            onClick: () => toggleDrone(s),
+            'aria-pressed': droneString === s
+          }, `${droneString === s ? '🔊' : '🎻'} ${s} string`,
+            standardMidi != null && standardMidi !== openMidi ? ` → ${MUSIC.midiToNote(openMidi)}` : '')
+        )
+      ),
+      h('div', { style: { display: 'flex', gap: '8px', marginTop: 'var(--space-md)', alignItems: 'center' } },
+        h('select', {
+          className: 'input',
+          value: String(exportMinutes),
+          onChange: (e) => setExportMinutes(Number(e.target.value)),
+          'aria-label': 'Drone track length',
+          style: { flex: '0 0 auto', width: 'auto' }
+        }, DRONE_EXPORT_MINUTES.map((m) => h('option', { key: m, value: String(m) }, `${m} min`))),
+        h('button', {
+          type: 'button',
+          className: 'btn btn-secondary',
+          onClick: downloadDrone,
+          disabled: exporting,
+          style: { flex: 1 }
+        }, exporting ? '⏳ Rendering…' : `⬇️ Download ${droneString || 'A'} drone (WAV)`)
+      )
+    )
+  );
+
+  return h('div', { className: 'module-container' }, header, meter, stats, drones);
+}
@@ -41,8 +41,25 @@ const buildIndexBy = (arr, key) =>
 // MUSIC THEORY / AUDIO BASICS
 // --------------------------------------
 
-// Standard pitch reference.
+// Standard pitch reference (default). The live reference is user-configurable
+// (Settings → Audio) and read through getReferencePitch().
 export const A4_HZ = 440;
+export const A4_MIN_HZ = 392; // low Baroque (A = 392)
+export const A4_MAX_HZ = 466; // high Baroque / Chorton
+
+let referenceA4 = A4_HZ;
+
+export function getReferencePitch() {
+  return referenceA4;
+}
+
+// Set by audioEngine when it hydrates/saves audio prefs; clamped + rounded to 0.1 Hz.
+export function setReferencePitch(hz) {
+  const n = Number(hz);
+  if (!Number.isFinite(n)) return referenceA4;
+  referenceA4 = Math.round(Math.min(A4_MAX_HZ, Math.max(A4_MIN_HZ, n)) * 10) / 10;
+  return referenceA4;
+}
 
 // Common note-name sets.
 export const NOTE_NAMES_SHARP = devFreeze(['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']);
@@ -67,13 +84,13 @@ export const NOTE_TO_SEMITONE = devFreeze({
 });
 
 // MIDI ↔ frequency helpers (used by audio engines / trainers).
-export function midiToFreq(midi, a4 = A4_HZ) {
+export function midiToFreq(midi, a4 = referenceA4) {
   const m = Number(midi);
   if (!Number.isFinite(m)) return NaN;
   return a4 * Math.pow(2, (m - 69) / 12);
 }
 
-export function freqToMidi(freq, a4 = A4_HZ) {
+export function freqToMidi(freq, a4 = referenceA4) {
   const f = Number(freq);
   if (!Number.isFinite(f) || f <= 0) return NaN;
   return 69 + 12 * Math.log2(f / a4);
@@ -95,6 +112,268 @@ export const VIOLIN_RANGE_HIGH = 103;
 export const VIOLIN_RANGE_LOW_MIDI  = VIOLIN_RANGE_LOW;
 export const VIOLIN_RANGE_HIGH_MIDI = VIOLIN_RANGE_HIGH;
 
+// --------------------------------------
+// CLEFS & INSTRUMENT PROFILES
+// --------------------------------------
+
+// middleLine = the note on the staff's 3rd line.
+export const CLEFS = devFreeze({
+  treble: devFreeze({ id: 'treble', name: 'Treble', glyph: '𝄞', middleLine: 'B4' }),
+  alto:   devFreeze({ id: 'alto',   name: 'Alto',   glyph: '𝄡', middleLine: 'C4' }),
+  tenor:  devFreeze({ id: 'tenor',  name: 'Tenor',  glyph: '𝄡', middleLine: 'A3' }),
+  bass:   devFreeze({ id: 'bass',   name: 'Bass',   glyph: '𝄢', middleLine: 'D3' }),
+});
+
+// One profile per bowed string instrument the studio teaches.
+// - strings: low → high, sounding MIDI
+// - rangeLow/High: sounding MIDI
+// - clefs: reading order (first = home clef, later ones for higher registers)
+// - positionOffsets: position → semitones from the open string to the 1st finger
+// - fingerFrames: Fingerboard hand frames (finger id → semitones above the 1st finger);
+//   a finger missing from a frame is not used on that instrument (bass: no 3rd finger)
+// - fingerReach: fingering optimizer reach per finger ({ semis, ext })
+// - flashcardPositions: positions Flashcards builds reading ranges from
+// - writtenOffset: written = sounding + offset (the double bass reads an octave up)
+// - droneOctave: key-drone octave that sits under the instrument
+const VIOLIN_POSITION_OFFSETS = devFreeze({
+  0.5: 1, 1: 2, 2: 4, 3: 5, 4: 7, 5: 9, 6: 10, 7: 12, 8: 14, 9: 16, 10: 17, 11: 19, 12: 21,
+});
+
+const VIOLIN_FINGER_FRAMES = devFreeze({
+  high2: devFreeze({ '1b': -1, '1': 0, '2': 2, '3': 4, '4': 5, '4x': 6, '1x': 7 }),
+  low2:  devFreeze({ '1b': -1, '1': 0, '2': 1, '3': 3, '4': 5, '4x': 6, '1x': 7 }),
+});
+
+const VIOLIN_FINGER_REACH = devFreeze({
+  1: devFreeze([{ semis: 0 }, { semis: -1, ext: true }]),
+  2: devFreeze([{ semis: 1 }, { semis: 2 }]),
+  3: devFreeze([{ semis: 3 }, { semis: 4 }]),
+  4: devFreeze([{ semis: 5 }, { semis: 6, ext: true }]),
+});
+
+export const INSTRUMENT_PROFILES = devFreeze({
+  violin: devFreeze({
+    id: 'violin',
+    name: 'Violin',
+    icon: '🎻',
+    strings: devFreeze([
+      { id: 'G', openMidi: 55 }, { id: 'D', openMidi: 62 }, { id: 'A', openMidi: 69 }, { id: 'E', openMidi: 76 },
+    ]),
+    rangeLow: VIOLIN_RANGE_LOW,
+    rangeHigh: VIOLIN_RANGE_HIGH,
+    clefs: devFreeze(['treble']),
+    positionOffsets: VIOLIN_POSITION_OFFSETS,
+    fingerFrames: VIOLIN_FINGER_FRAMES,
+    frameLabels: devFreeze({ high2: 'High 2', low2: 'Low 2' }),
+    fingerReach: VIOLIN_FINGER_REACH,
+    flashcardPositions: devFreeze([1, 3, 5]),
+    writtenOffset: 0,
+    droneOctave: 3,
+  }),
+
+  viola: devFreeze({
+    id: 'viola',
+    name: 'Viola',
+    icon: '🎻',
+    strings: devFreeze([
+      { id: 'C', openMidi: 48 }, { id: 'G', openMidi: 55 }, { id: 'D', openMidi: 62 }, { id: 'A', openMidi: 69 },
+    ]),
+    rangeLow: 48,  // C3
+    rangeHigh: 91, // G6
+    clefs: devFreeze(['alto', 'treble']),
+    positionOffsets: VIOLIN_POSITION_OFFSETS,
+    fingerFrames: VIOLIN_FINGER_FRAMES,
+    frameLabels: devFreeze({ high2: 'High 2', low2: 'Low 2' }),
+    fingerReach: VIOLIN_FINGER_REACH,
+    flashcardPositions: devFreeze([1, 3, 5]),
+    writtenOffset: 0,
+    droneOctave: 2,
+  }),
+
+  // Cello: the hand spans a minor 3rd (closed) or a major 3rd (extended).
+  // Positions follow the common half/1st/2nd/3rd/4th naming, then neck and thumb.
+  cello: devFreeze({
+    id: 'cello',
+    name: 'Cello',
+    icon: '🎻',
+    strings: devFreeze([
+      { id: 'C', openMidi: 36 }, { id: 'G', openMidi: 43 }, { id: 'D', openMidi: 50 }, { id: 'A', openMidi: 57 },
+    ]),
+    rangeLow: 36,  // C2
+    rangeHigh: 81, // A5
+    clefs: devFreeze(['bass', 'tenor', 'treble']),
+    positionOffsets: devFreeze({ 0.5: 1, 1: 2, 2: 3, 3: 5, 4: 7, 5: 8, 6: 10, 7: 12 }),
+    fingerFrames: devFreeze({
+      high2: devFreeze({ '1b': -1, '1': 0, '2': 2, '3': 3, '4': 4, '4x': 5, '1x': 6 }),
+      low2:  devFreeze({ '1b': -1, '1': 0, '2': 1, '3': 2, '4': 3, '4x': 4, '1x': 5 }),
+    }),
+    frameLabels: devFreeze({ high2: 'Extended', low2: 'Closed' }),
+    fingerReach: devFreeze({
+      1: devFreeze([{ semis: 0 }, { semis: -1, ext: true }]),
+      2: devFreeze([{ semis: 1 }, { semis: 2, ext: true }]),
+      3: devFreeze([{ semis: 2 }, { semis: 3, ext: true }]),
+      4: devFreeze([{ semis: 3 }, { semis: 4, ext: true }]),
+    }),
+    flashcardPositions: devFreeze([1, 4, 7]),
+    writtenOffset: 0,
+    droneOctave: 2,
+  }),
+
+  // Double bass: tuned in 4ths, Simandl 1-2-4 fingering (the 3rd finger backs up the 4th).
+  bass: devFreeze({
+    id: 'bass',
+    name: 'Double bass',
+    icon: '🎻',
+    strings: devFreeze([
+      { id: 'E', openMidi: 28 }, { id: 'A', openMidi: 33 }, { id: 'D', openMidi: 38 }, { id: 'G', openMidi: 43 },
+    ]),
+    rangeLow: 28,  // E1
+    rangeHigh: 67, // G4
+    clefs: devFreeze(['bass', 'tenor', 'treble']),
+    positionOffsets: devFreeze({ 0.5: 1, 1: 2, 2: 3, 3: 5, 4: 7, 5: 9, 6: 10, 7: 12 }),
+    fingerFrames: devFreeze({
+      high2: devFreeze({ '1b': -1, '1': 0, '2': 1, '4': 2, '4x': 3, '1x': 4 }),
+    }),
+    frameLabels: devFreeze({ high2: 'Simandl 1-2-4' }),
+    fingerReach: devFreeze({
+      1: devFreeze([{ semis: 0 }, { semis: -1, ext: true }]),
+      2: devFreeze([{ semis: 1 }]),
+      4: devFreeze([{ semis: 2 }, { semis: 3, ext: true }]),
+    }),
+    flashcardPositions: devFreeze([1, 4, 7]),
+    writtenOffset: 12,
+    droneOctave: 2,
+  }),
+});
+
+export const DEFAULT_INSTRUMENT = 'violin';
+
+// --------------------------------------
+// SCORDATURA (retuned strings)
+// --------------------------------------
+// openMidi: open strings low → high, in the profile's string order.
+// Scordatura parts are written as if the strings were in standard tuning
+// (the notes show where the fingers go), so a retuned string has a written
+// and a sounding pitch for every stop.
+export const SCORDATURA_MAX_SHIFT = 7; // semitones a string may be moved either way
+
+export const SCORDATURA_PRESETS = devFreeze([
+  { id: 'fiddle-aeae', instrument: 'violin', name: 'AEAE cross tuning', openMidi: devFreeze([57, 64, 69, 76]), source: 'Old-time fiddle; Biber, Rosary Sonata II' },
+  { id: 'fiddle-gdgd', instrument: 'violin', name: 'GDGD cross tuning', openMidi: devFreeze([55, 62, 67, 74]), source: 'Old-time fiddle tunes in G' },
+  { id: 'fiddle-adae', instrument: 'violin', name: 'ADAE "high bass"', openMidi: devFreeze([57, 62, 69, 76]), source: 'Fiddle tunes in D and A' },
+  { id: 'danse-macabre', instrument: 'violin', name: 'E string to E♭', openMidi: devFreeze([55, 62, 69, 75]), source: 'Saint-Saëns, Danse macabre (solo violin)' },
+  { id: 'biber-6', instrument: 'violin', name: 'A♭ E♭ G D', openMidi: devFreeze([56, 63, 67, 74]), source: 'Biber, Rosary Sonata VI (Agony in the Garden)' },
+  { id: 'biber-10', instrument: 'violin', name: 'G D A D', openMidi: devFreeze([55, 62, 69, 74]), source: 'Biber, Rosary Sonata X (Crucifixion)' },
+  { id: 'biber-11', instrument: 'violin', name: 'G G D D (crossed middle strings)', openMidi: devFreeze([55, 67, 62, 74]), source: 'Biber, Rosary Sonata XI (Resurrection)' },
+  { id: 'biber-12', instrument: 'violin', name: 'C E G C', openMidi: devFreeze([60, 64, 67, 72]), source: 'Biber, Rosary Sonata XII (Ascension)' },
+  { id: 'mozart-k364', instrument: 'viola', name: 'Up a semitone (D♭ A♭ E♭ B♭)', openMidi: devFreeze([49, 56, 63, 70]), source: 'Mozart, Sinfonia concertante K. 364 (solo viola)' },
+  { id: 'bach-suite-5', instrument: 'cello', name: 'A string to G', openMidi: devFreeze([36, 43, 50, 55]), source: 'Bach, Cello Suite No. 5' },
+  { id: 'kodaly-op8', instrument: 'cello', name: 'B F♯ D A', openMidi: devFreeze([35, 42, 50, 57]), source: 'Kodály, Sonata for solo cello op. 8' },
+  { id: 'bass-solo', instrument: 'bass', name: 'Solo tuning (F♯ B E A)', openMidi: devFreeze([30, 35, 40, 45]), source: 'Solo repertoire with solo strings' },
+].map(devFreeze));
+
+let activeInstrument = DEFAULT_INSTRUMENT;
+let activeTuning = null;   // { id, name, openMidi } or null for standard tuning
+let activeProfile = INSTRUMENT_PROFILES[DEFAULT_INSTRUMENT];
+
+// The base profile with its strings retuned; each string keeps its standard
+// pitch as standardMidi so written (standard) and sounding pitch can both be shown.
+function retunedProfile(base, tuning) {
+  if (!tuning) return base;
+  const strings = base.strings.map((s, i) => devFreeze({ ...s, openMidi: tuning.openMidi[i], standardMidi: s.openMidi }));
+  const lowest = Math.min(...strings.map((s) => s.openMidi));
+  const topShift = strings[strings.length - 1].openMidi - base.strings[base.strings.length - 1].openMidi;
+  return devFreeze({
+    ...base,
+    strings: devFreeze(strings),
+    rangeLow: Math.min(base.rangeLow, lowest),
+    rangeHigh: base.rangeHigh + Math.max(0, topShift),
+    scordatura: devFreeze({ id: tuning.id, name: tuning.name, openMidi: devFreeze([...tuning.openMidi]) }),
+  });
+}
+
+export function getInstrumentProfile() {
+  return activeProfile;
+}
+
+// Set by the instrumentProfile engine when it hydrates/saves; unknown ids are ignored.
+// Changing instrument drops any scordatura (tunings are per instrument).
+export function setInstrumentProfile(id) {
+  if (INSTRUMENT_PROFILES[id] && id !== activeInstrument) {
+    activeInstrument = id;
+    activeTuning = null;
+  }
+  activeProfile = retunedProfile(INSTRUMENT_PROFILES[activeInstrument] || INSTRUMENT_PROFILES[DEFAULT_INSTRUMENT], activeTuning);
+  return activeProfile;
+}
+
+/**
+ * Retune the active instrument's strings; null (or standard pitches) restores
+ * standard tuning. Invalid tunings (wrong string count, a string moved more than
+ * SCORDATURA_MAX_SHIFT) are ignored.
+ * @param {{ id?, name?, openMidi: number[] }|null} tuning
+ */
+export function setInstrumentTuning(tuning) {
+  const base = INSTRUMENT_PROFILES[activeInstrument] || INSTRUMENT_PROFILES[DEFAULT_INSTRUMENT];
+  if (!tuning) {
+    activeTuning = null;
+  } else {
+    const openMidi = Array.isArray(tuning.openMidi) ? tuning.openMidi.map((m) => Math.round(Number(m))) : [];
+    const valid = openMidi.length === base.strings.length &&
+      openMidi.every((m, i) => Number.isFinite(m) && Math.abs(m - base.strings[i].openMidi) <= SCORDATURA_MAX_SHIFT);
+    if (!valid) return activeProfile;
+    const standard = openMidi.every((m, i) => m === base.strings[i].openMidi);
+    activeTuning = standard ? null : { id: tuning.id || 'custom', name: tuning.name || 'Custom tuning', openMidi };
+  }
+  activeProfile = retunedProfile(base, activeTuning);
+  return activeProfile;
+}
+
+// --------------------------------------
+// TUNING SYSTEMS
+// --------------------------------------
+// Frequency ratios above a reference note, indexed by semitones 0..12.
+// 'equal' matches midiToFreq; 'just' is 5-limit (pure 3:2 fifths, 5:4 thirds);
+// 'pythagorean' stacks pure fifths only (wide thirds, as when tuning open strings).
+export const TUNING_SYSTEMS = devFreeze({
+  equal: devFreeze({
+    id: 'equal',
+    name: 'Equal temperament',
+    description: 'Piano tuning: every semitone the same size.',
+    ratios: devFreeze(Array.from({ length: 13 }, (_, i) => Math.pow(2, i / 12))),
+  }),
+  just: devFreeze({
+    id: 'just',
+    name: 'Just intonation',
+    description: 'Beatless intervals against a drone: pure fifths and low major thirds.',
+    ratios: devFreeze([1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8, 2]),
+  }),
+  pythagorean: devFreeze({
+    id: 'pythagorean',
+    name: 'Pythagorean',
+    description: 'Built from pure fifths: high leading tones and wide major thirds.',
+    ratios: devFreeze([1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128, 2]),
+  }),
+});
+
+export const DEFAULT_TUNING_SYSTEM = 'equal';
+
+// Ratio for any (possibly negative or compound) interval in semitones.
+export function tuningRatio(semitones, system = DEFAULT_TUNING_SYSTEM) {
+  const n = Math.round(Number(semitones));
+  if (!Number.isFinite(n)) return 1;
+  const table = (TUNING_SYSTEMS[system] || TUNING_SYSTEMS[DEFAULT_TUNING_SYSTEM]).ratios;
+  const octaves = Math.floor(n / 12);
+  return Math.pow(2, octaves) * table[n - octaves * 12];
+}
+
+// Distance from equal temperament in cents (e.g. just M3 ≈ -13.7).
+export function tuningOffsetCents(semitones, system = DEFAULT_TUNING_SYSTEM) {
+  const n = Math.round(Number(semitones));
+  if (!Number.isFinite(n)) return 0;
+  return 1200 * Math.log2(tuningRatio(n, system)) - 100 * n;
+}
+
 // --------------------------------------
 // GAMIFICATION / XP
 // --------------------------------------
@@ -117,9 +117,12 @@ export const ROUTE_TO_COMPONENT_FILE = Object.freeze({
   // Not currently a separate module file in this repo; route resolves to Bieler.
   bielerlab: 'Bieler.js',
   fingerboard: 'Fingerboard.js',
-  // Not currently a separate module file in this repo; route resolves to Fingerboard.
-  notelocator: 'Fingerboard.js',
+  notelocator: 'NoteLocator.js',
   scales: 'ScalesLab.js',
+  tuner: 'Tuner.js',
+  metronome: 'Metronome.js',
+  recordings: 'RecordingLibrary.js',
+  shifting: 'ShiftingTrainer.js',
 
   // ✅ Required routes per your prompt:
   coach: 'CoachPanel.js',
@@ -127,6 +130,8 @@ export const ROUTE_TO_COMPONENT_FILE = Object.freeze({
 
   journal: 'PracticeJournal.js',
   flashcards: 'Flashcards.js',
+  sightreading: 'SightReading.js',
+  decks: 'DeckEditor.js',
 
   practiceplanner: 'PracticePlanner.js',
   achievements: 'Achievements.js',
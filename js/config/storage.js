@@ -40,7 +40,18 @@ export const STORAGE_KEYS = {
   LEARNING_VELOCITY: 'vmq.learningVelocity',
 
   JOURNAL: 'vmq.journal',
-  COACH_DATA: 'vmq.coachData'
+  COACH_DATA: 'vmq.coachData',
+
+  METRONOME: 'vmq.metronome',
+  DRONE: 'vmq.drone',
+  MIDI: 'vmq.midi',
+  SHIFTING: 'vmq.shifting',
+  NOTE_LOCATOR: 'vmq.noteLocator',
+  INSTRUMENT: 'vmq.instrument',
+  SIGHT_READING: 'vmq.sightReading',
+  FLASHCARD_DECKS: 'vmq.flashcardDecks',
+  SRS_SCHEDULER: 'vmq.srsScheduler',
+  SRS_REVIEW_LOG: 'vmq.srsReviewLog'
 };
 
 // NOTE: Keys already include "vmq.*", so on disk we get "vmq-vmq.*".
@@ -18,7 +18,7 @@ export const FEATURES = {
   coreTheory: { enabled: true, minLevel: 1, modules: 4 },           // Intervals, Keys, Rhythm, Bieler
   earTraining: { enabled: true, minLevel: 1, modules: 3 },          // IntervalEarTester, KeyTester, etc.
   sm2Flashcards: { enabled: true, minLevel: 1 },                    // Spaced repetition SM-2 enhanced
-  interactiveFingerboard: { enabled: true, minLevel: 2 },           // Click-to-play positions
+  interactiveFingerboard: { enabled: true, minLevel: 2, positions: 'half-12', extensions: true, harmonics: ['natural', 'artificial'] }, // Click-to-play positions
   scalesArpeggios: { enabled: true, minLevel: 2, modules: 2 },      // ScalesLab, PositionCharts
   
   // 🎯 8 ENGINES (ML Production)
@@ -42,7 +42,26 @@ export const FEATURES = {
   rhythmDrills: { enabled: true, syncopation: true },
   speedDrill: { enabled: true, tempoAdaptive: true },
   tempoTrainer: { enabled: true },
-  noteLocator: { enabled: true, positionAware: true },
+  noteLocator: { enabled: true, positionAware: true, timed: true, maxPosition: 3, bestTimes: true },
+  tuner: { enabled: true, algorithm: 'yin' },
+  metronome: { enabled: true, lookahead: true, subdivisions: true, tempoRamps: true },
+  audioExport: { enabled: true, format: 'wav-pcm16' },
+  midiExport: { enabled: true, formats: [0, 1], meta: ['tempo', 'timeSignature', 'keySignature', 'markers'] },
+  recordings: { enabled: true, storage: 'indexeddb', journalLinks: true },
+  keyDrones: { enabled: true, voicings: ['tonic', 'fifth', 'triad'], crossfade: true },
+  rhythmTiming: { enabled: true, onsetDetection: true, sources: ['live', 'take'] },
+  midiInput: { enabled: true, transpose: true, modules: ['intervals', 'scaleslab', 'flashcards', 'fingerboard'] },
+  fingeringOptimizer: { enabled: true, alternatives: 3, costs: ['shift', 'crossing', 'extension', 'fourthFinger'] },
+  shiftingTrainer: { enabled: true, quizzes: ['position', 'finger', 'interval'], glide: true },
+  instrumentProfiles: { enabled: true, instruments: ['violin', 'viola', 'cello', 'bass'], clefs: ['treble', 'alto', 'tenor', 'bass'] },
+  scordatura: { enabled: true, presets: true, custom: true, scope: 'session', writtenVsSounding: true },
+  staffNotation: { enabled: true, clefs: ['treble', 'alto', 'tenor', 'bass', 'percussion'], beaming: true, modules: ['flashcards', 'keySignatures', 'rhythm', 'scalesLab'] },
+  sightReading: { enabled: true, countIn: true, metronome: true, grading: ['self', 'mic'], adaptive: true, meters: ['2/4', '3/4', '4/4', '6/8'] },
+  musicXmlImport: { enabled: true, formats: ['musicxml', 'xml'], compressed: false, shareTarget: true, drills: ['intervals', 'rhythm', 'fingering'] },
+  abcNotation: { enabled: true, import: ['paste', 'file', 'shareTarget'], export: ['sightReading', 'scalesLab'], drills: ['intervals', 'rhythm', 'fingering'] },
+  flashcardDecks: { enabled: true, editor: true, staffPrompt: true, audioPrompt: ['melodic', 'harmonic'], tags: true, scheduler: 'sm2', perDeckStats: true, import: ['csv', 'tsv', 'ankiText'], export: ['csv', 'ankiTsv'], carrySchedule: true },
+  srsSchedulers: { enabled: true, schedulers: ['sm2', 'fsrs'], fsrsModel: '4.5', localFitting: true, targetRetention: [0.7, 0.97], migration: 'sm2ToFsrs' },
+  srsAnalytics: { enabled: true, reviewLog: true, retentionVsTarget: true, forgettingCurves: true, workload: true, easeDistribution: true },
   customDrill: { enabled: true },
   
   // 🎯 ENTERPRISE GAMIFICATION
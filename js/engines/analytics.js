@@ -11,6 +11,7 @@
 // ✅ Backward-compatible default export includes all public functions
 // ✅ Uses STORAGE_KEYS.ANALYTICS (no ad-hoc keys)
 // ✅ Safe fallbacks for session logs if STORAGE_KEYS.JOURNAL is renamed
+// ✅ Played-rhythm timing history (recordRhythmAssessment / getRhythmTimingHistory)
 // ======================================
 
 import { loadJSON, saveJSON, STORAGE_KEYS } from '../config/storage.js';
@@ -1106,6 +1107,96 @@ export function updateStats(module, isCorrect, responseTime = 0, sessionData = {
   return stats;
 }
 
+// --------------------------------------
+// Public: played-rhythm timing (rhythmAnalyzer.assessTiming results)
+// Only the summary is kept; per-beat rows stay with the screen that showed them.
+// --------------------------------------
+const RHYTHM_TIMING_LIMIT = 100;
+
+export function recordRhythmAssessment(assessment, context = {}) {
+  if (!assessment || !assessment.total) return null;
+
+  const stats = loadJSON(STORAGE_KEYS.ANALYTICS, initializeStats());
+  const entry = {
+    timestamp: assessment.createdAt || Date.now(),
+    source: assessment.source || 'live',
+    bpm: assessment.bpm ?? null,
+    timeSig: context.timeSig || null,
+    takeId: context.takeId || null,
+    beats: assessment.total,
+    hits: assessment.hits,
+    missed: assessment.missed,
+    extras: assessment.extras || 0,
+    meanMs: assessment.meanMs,
+    meanAbsMs: assessment.meanAbsMs,
+    stdDevMs: assessment.stdDevMs,
+    consistency: assessment.consistency,
+    tendency: assessment.tendency
+  };
+
+  if (!Array.isArray(stats.rhythmTiming)) stats.rhythmTiming = [];
+  stats.rhythmTiming.push(entry);
+  if (stats.rhythmTiming.length > RHYTHM_TIMING_LIMIT) {
+    stats.rhythmTiming.splice(0, stats.rhythmTiming.length - RHYTHM_TIMING_LIMIT);
+  }
+  saveJSON(STORAGE_KEYS.ANALYTICS, stats);
+
+  safeTrack('rhythm', 'timing-assessment', entry);
+  return entry;
+}
+
+export function getRhythmTimingHistory(limit = 20) {
+  const stats = loadJSON(STORAGE_KEYS.ANALYTICS, initializeStats());
+  const list = Array.isArray(stats.rhythmTiming) ? stats.rhythmTiming : [];
+  return list.slice(-Math.max(1, Number(limit) || 20)).reverse();
+}
+
+// --------------------------------------
+// Public: sight-reading phrases (sightReading engine scores)
+// Each phrase counts as one 'sightreading' answer (passed = accuracy at or
+// above the pass mark) so the module shows up beside the others.
+// --------------------------------------
+const SIGHT_READING_LIMIT = 100;
+
+export function recordSightReading(result, context = {}) {
+  if (!result || !result.total) return null;
+
+  const stats = loadJSON(STORAGE_KEYS.ANALYTICS, initializeStats());
+  const passAccuracy = Number(context.passAccuracy) || 80;
+  const entry = {
+    timestamp: Date.now(),
+    source: result.source || 'self',
+    level: context.level ?? null,
+    key: context.key || null,
+    timeSig: context.timeSig || null,
+    position: context.position ?? null,
+    bpm: context.bpm ?? null,
+    notes: result.total,
+    correct: result.correct,
+    wrong: result.wrong || 0,
+    missed: result.missed || 0,
+    accuracy: result.accuracy,
+    meanAbsCents: result.meanAbsCents ?? null,
+    passed: result.accuracy >= passAccuracy
+  };
+
+  if (!Array.isArray(stats.sightReading)) stats.sightReading = [];
+  stats.sightReading.push(entry);
+  if (stats.sightReading.length > SIGHT_READING_LIMIT) {
+    stats.sightReading.splice(0, stats.sightReading.length - SIGHT_READING_LIMIT);
+  }
+  saveJSON(STORAGE_KEYS.ANALYTICS, stats);
+
+  updateStats('sightreading', entry.passed, Number(context.durationMs) || 0, { ...entry });
+  return entry;
+}
+
+export function getSightReadingHistory(limit = 20) {
+  const stats = loadJSON(STORAGE_KEYS.ANALYTICS, initializeStats());
+  const list = Array.isArray(stats.sightReading) ? stats.sightReading : [];
+  return list.slice(-Math.max(1, Number(limit) || 20)).reverse();
+}
+
 export function getQuickStat(type) {
   const stats = loadJSON(STORAGE_KEYS.ANALYTICS, initializeStats());
 
@@ -1468,7 +1559,7 @@ function calculateRecoveryRate(sessions) {
 function classifyModuleType(module) {
   const m = String(module || '').toLowerCase();
   if (m.includes('ear') || m.includes('interval')) return 'auditory';
-  if (m.includes('fingerboard') || m.includes('note')) return 'visual';
+  if (m.includes('fingerboard') || m.includes('note') || m.includes('sight')) return 'visual';
   if (m.includes('bieler') || m.includes('rhythm')) return 'kinesthetic';
   return 'balanced';
 }
@@ -1490,7 +1581,8 @@ function getAlternativePracticeMethod(moduleKey) {
     rhythm: 'clap + count with metronome subdivisions',
     fingerboard: 'position mapping drills + guided shifting',
     bieler: 'slow-motion reps + mirror feedback',
-    keys: 'circle-of-fifths quick recall + tonic/dominant mapping'
+    keys: 'circle-of-fifths quick recall + tonic/dominant mapping',
+    sightreading: 'clap the rhythm first, then read one bar ahead at a slower tempo'
   };
   return alternatives[key] || 'vary tempo, context, and spacing';
 }
@@ -1840,5 +1932,9 @@ analyzePerformance,
   generateMLRecommendations,
   generateSmartRecommendations,
   generateAdvancedAIInsights,
-  getAllModuleStats,  getProgressSummary,  getStrengthsWeaknesses
+  getAllModuleStats,  getProgressSummary,  getStrengthsWeaknesses,
+  recordRhythmAssessment,
+  getRhythmTimingHistory,
+  recordSightReading,
+  getSightReadingHistory
 };
\ No newline at end of file
@@ -9,11 +9,27 @@
 // ✅ iOS/Safari safe init/resume; single shared AudioContext (no per-sound contexts)
 // ✅ Robust cleanup for oscillators/drones/metronome; avoids leaks
 // ✅ Microphone recording implemented + safe feature gating (doesn't break if unsupported)
+// ✅ Mic stream released (tracks stopped) once no analyser or recording uses it
 // ✅ Defensive checks for AudioContext state + gesture requirements
 // ✅ Keep exports: audioEngine singleton + midiToFreq/noteToFreq/midiToNote
+// ✅ Tuning systems (equal/just/Pythagorean) for intervals, double stops, drones, scales
+// ✅ Configurable A4 reference (392–466 Hz) shared with constants/helpers + pitch detection
+// ✅ Metronome ticks accept an AudioContext start time (sample-accurate lookahead scheduling)
+// ✅ renderOffline(): same voices through an OfflineAudioContext (WAV export in audioExport.js)
+// ✅ playDroneTone(): drone voice at any pitch (key drones live in droneEngine.js); stopNotes() spares drones
+// ✅ playGlide(): one bowed voice that slides between pitches (audible shifts, guide-note arrival)
+// ✅ Open-string drones follow the active instrument profile (viola C, cello C/G, bass E…)
 // ======================================
 
 import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import {
+  TUNING_SYSTEMS,
+  DEFAULT_TUNING_SYSTEM,
+  tuningRatio,
+  getReferencePitch,
+  setReferencePitch,
+  getInstrumentProfile
+} from '../config/constants.js';
 
 const AUDIO_STORAGE_KEY = STORAGE_KEYS?.SETTINGS || 'vmq.settings'; // reuse settings bucket
 const AUDIO_SETTINGS_PATH = 'audio'; // stored under vmq.settings.audio
@@ -28,12 +44,15 @@ function safeNow(ctx) {
   try { return ctx?.currentTime ?? 0; } catch { return 0; }
 }
 
-function supportsMediaRecorder() {
+function supportsMicrophone() {
   return typeof window !== 'undefined' &&
     typeof navigator !== 'undefined' &&
-    navigator.mediaDevices &&
-    typeof navigator.mediaDevices.getUserMedia === 'function' &&
-    typeof window.MediaRecorder !== 'undefined';
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getUserMedia === 'function';
+}
+
+function supportsMediaRecorder() {
+  return supportsMicrophone() && typeof window.MediaRecorder !== 'undefined';
 }
 
 // best-effort, no-throw wrapper around saveJSON
@@ -60,7 +79,7 @@ function loadAudioSettings() {
 /**
  * AudioEngine - Complete Web Audio implementation for VMQ
  * Handles: notes, intervals, feedback, metronome, drones
- * Includes optional microphone recording (if supported)
+ * Includes optional microphone recording + live analysis (if supported)
  */
 class AudioEngine {
   constructor() {
@@ -78,10 +97,13 @@ class AudioEngine {
     this.activeOscillators = new Map(); // id -> { oscillator, gainNode, vibratoOsc, vibratoGain }
     this.activeDrones = new Map();      // id -> { oscillator, gainNode, filter, harmonics[] }
     this.activeMetronome = null;
+    this.rendering = false;             // true while renderOffline() has swapped the graph
 
     // Optional mic recording
     this.micInitialized = false;
     this.micStream = null;
+    this.micUsers = 0;                  // open mic analysers (pitch tracker, onset detector)
+    this._micRequest = null;
     this.mediaRecorder = null;
     this.recordedChunks = [];
     this.recordingStartTime = 0;
@@ -93,7 +115,8 @@ class AudioEngine {
       masterVolume: 0.5,
       vibratoDepth: 3,      // ±Hz
       vibratoSpeed: 5,      // Hz
-      useHarmonics: true
+      useHarmonics: true,
+      tuningSystem: DEFAULT_TUNING_SYSTEM
     };
 
     // Performance stats
@@ -131,6 +154,11 @@ class AudioEngine {
 
     if (saved.vibratoSpeed != null) this.settings.vibratoSpeed = clamp(saved.vibratoSpeed, 3, 8);
     if (saved.vibratoDepth != null) this.settings.vibratoDepth = clamp(saved.vibratoDepth, 1, 6);
+
+    if (TUNING_SYSTEMS[saved.tuningSystem]) this.settings.tuningSystem = saved.tuningSystem;
+
+    // reference pitch lives in constants.js so helpers/pitch detection see the same A4
+    if (saved.a4 != null) setReferencePitch(saved.a4);
   }
 
   _persistAudioPrefs() {
@@ -141,6 +169,8 @@ class AudioEngine {
       useHarmonics: !!this.settings.useHarmonics,
       vibratoSpeed: clamp(this.settings.vibratoSpeed, 3, 8),
       vibratoDepth: clamp(this.settings.vibratoDepth, 1, 6),
+      tuningSystem: this.settings.tuningSystem,
+      a4: getReferencePitch(),
       // keep future-compatible fields
       reverbEnabled: !!this.settings.reverbEnabled
     });
@@ -163,21 +193,9 @@ class AudioEngine {
     try {
       this.audioContext = new AudioContext();
 
-      // Master gain
-      this.masterGain = this.audioContext.createGain();
-      this.masterGain.gain.value = clamp(this.volume, 0, 1);
-
-      // Compressor
-      this.compressor = this.audioContext.createDynamicsCompressor();
-      this.compressor.threshold.value = -20;
-      this.compressor.knee.value = 10;
-      this.compressor.ratio.value = 12;
-      this.compressor.attack.value = 0.003;
-      this.compressor.release.value = 0.25;
-
-      // Connect graph: compressor -> masterGain -> destination
-      this.compressor.connect(this.masterGain);
-      this.masterGain.connect(this.audioContext.destination);
+      const chain = this._createOutputChain(this.audioContext);
+      this.masterGain = chain.masterGain;
+      this.compressor = chain.compressor;
 
       this.initialized = true;
 
@@ -194,10 +212,31 @@ class AudioEngine {
     }
   }
 
+  /**
+   * Output chain shared by the live context and offline renders:
+   * compressor -> masterGain -> destination
+   */
+  _createOutputChain(ctx) {
+    const masterGain = ctx.createGain();
+    masterGain.gain.value = clamp(this.volume, 0, 1);
+
+    const compressor = ctx.createDynamicsCompressor();
+    compressor.threshold.value = -20;
+    compressor.knee.value = 10;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+
+    compressor.connect(masterGain);
+    masterGain.connect(ctx.destination);
+    return { compressor, masterGain };
+  }
+
   /**
    * Resume audio context (iOS Safari may suspend until gesture)
    */
   resume() {
+    if (this.rendering) return; // offline contexts start via startRendering()
     try {
       if (this.audioContext && this.audioContext.state === 'suspended') {
         this.audioContext.resume().catch((err) => {
@@ -211,22 +250,33 @@ class AudioEngine {
   // MICROPHONE / RECORDING (optional)
   // ============================================================
 
-  async initMicrophone() {
-    if (this.micInitialized) return true;
-    if (!supportsMediaRecorder()) {
-      console.warn('[AudioEngine] Microphone/MediaRecorder not supported');
-      return false;
-    }
-    try {
-      this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      this.micInitialized = true;
-      return true;
-    } catch (e) {
-      console.warn('[AudioEngine] Microphone init failed:', e);
-      this.micInitialized = false;
-      this.micStream = null;
-      return false;
+  initMicrophone() {
+    if (this.micInitialized && this.micStream) return Promise.resolve(true);
+    if (!supportsMicrophone()) {
+      console.warn('[AudioEngine] Microphone not supported');
+      return Promise.resolve(false);
     }
+    // One permission prompt / stream for concurrent callers
+    if (this._micRequest) return this._micRequest;
+
+    this._micRequest = (async () => {
+      try {
+        // Pitch analysis needs the raw signal: ask browsers not to "clean up" the violin.
+        this.micStream = await navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.micInitialized = true;
+        return true;
+      } catch (e) {
+        console.warn('[AudioEngine] Microphone init failed:', e);
+        this.micInitialized = false;
+        this.micStream = null;
+        return false;
+      } finally {
+        this._micRequest = null;
+      }
+    })();
+    return this._micRequest;
   }
 
   /**
@@ -234,6 +284,7 @@ class AudioEngine {
    * @returns {Promise<void>}
    */
   async startRecording() {
+    if (!supportsMediaRecorder()) throw new Error('Recording not supported');
     const ok = await this.initMicrophone();
     if (!ok) throw new Error('Microphone not available');
 
@@ -283,6 +334,7 @@ class AudioEngine {
           const duration = Date.now() - (this.recordingStartTime || Date.now());
           const url = URL.createObjectURL(blob);
           console.log(`[AudioEngine] Recording stopped (${duration}ms, ${blob.size} bytes)`);
+          this.releaseMicrophone();
           resolve({ blob, duration, url });
         } catch (e) {
           reject(e);
@@ -293,6 +345,115 @@ class AudioEngine {
     });
   }
 
+  /**
+   * Stop the mic stream's tracks (the browser's mic indicator goes off) unless
+   * an analyser or a recording still uses it. The next initMicrophone() asks again.
+   * @returns {boolean} true if the stream was released
+   */
+  releaseMicrophone() {
+    if (this.micUsers > 0) return false;
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') return false;
+    if (!this.micStream) return false;
+
+    try { this.micStream.getTracks().forEach((t) => t.stop()); } catch {}
+    this.micStream = null;
+    this.micInitialized = false;
+    console.log('[AudioEngine] Microphone released');
+    return true;
+  }
+
+  /**
+   * Tap the microphone stream with an AnalyserNode for live analysis
+   * (pitch tracking, onset detection). The analyser is NOT routed to the
+   * speakers, so there is no feedback loop. disconnect() releases the mic
+   * when it was the last user.
+   * @param {object} options { fftSize }
+   * @returns {Promise<{analyser:AnalyserNode, sampleRate:number, disconnect:Function}|null>}
+   */
+  async createMicAnalyser(options = {}) {
+    const { fftSize = 2048 } = options || {};
+
+    if (!this.initialized || !this.audioContext) await this.init();
+    this.resume();
+
+    const ok = await this.initMicrophone();
+    if (!ok || !this.micStream) return null;
+
+    const source = this.audioContext.createMediaStreamSource(this.micStream);
+    const analyser = this.audioContext.createAnalyser();
+    // fftSize must be a power of two in [32, 32768]
+    analyser.fftSize = Math.pow(2, Math.round(Math.log2(clamp(fftSize, 32, 32768))));
+    analyser.smoothingTimeConstant = 0;
+    source.connect(analyser);
+    this.micUsers++;
+
+    let connected = true;
+    return {
+      analyser,
+      sampleRate: this.audioContext.sampleRate,
+      disconnect: () => {
+        if (!connected) return;
+        connected = false;
+        try { source.disconnect(); } catch {}
+        try { analyser.disconnect(); } catch {}
+        this.micUsers = Math.max(0, this.micUsers - 1);
+        this.releaseMicrophone();
+      }
+    };
+  }
+
+  // ============================================================
+  // TUNING SYSTEMS
+  // ============================================================
+
+  setTuningSystem(system) {
+    if (!TUNING_SYSTEMS[system]) return this.settings.tuningSystem;
+    this.settings.tuningSystem = system;
+    this._persistAudioPrefs();
+    return system;
+  }
+
+  getTuningSystem() {
+    return this.settings.tuningSystem;
+  }
+
+  /**
+   * Concert pitch for A4 (e.g. 415 Baroque, 442 orchestra). Clamped to 392–466 Hz.
+   * @returns {number} the applied value
+   */
+  setA4(hz) {
+    const applied = setReferencePitch(hz);
+    this._persistAudioPrefs();
+    return applied;
+  }
+
+  getA4() {
+    return getReferencePitch();
+  }
+
+  /**
+   * Retune `freq2` against `freq1` using the interval's ratio in the given system.
+   * The semitone distance is taken from the 12-TET input, so callers keep passing
+   * midiToFreq() values and the engine applies pure ratios on top.
+   */
+  tuneInterval(freq1, freq2, system = this.settings.tuningSystem) {
+    const f1 = Number(freq1);
+    const f2 = Number(freq2);
+    if (!TUNING_SYSTEMS[system] || system === 'equal') return f2;
+    if (!Number.isFinite(f1) || !Number.isFinite(f2) || f1 <= 0 || f2 <= 0) return f2;
+
+    const semitones = Math.round(12 * Math.log2(f2 / f1));
+    return f1 * tuningRatio(semitones, system);
+  }
+
+  /**
+   * MIDI -> Hz relative to a tonic (scales, drones in a key). The tonic itself stays 12-TET.
+   */
+  tunedMidiToFreq(midi, tonicMidi = midi, system = this.settings.tuningSystem) {
+    const tonic = Number.isFinite(Number(tonicMidi)) ? Number(tonicMidi) : Number(midi);
+    return midiToFreq(tonic) * tuningRatio(Number(midi) - tonic, system);
+  }
+
   // ============================================================
   // CORE TONE GENERATION
   // ============================================================
@@ -320,10 +481,12 @@ class AudioEngine {
       decay = 0.1,
       sustain = 0.7,
       release = 0.1,
-      vibrato = this.settings.violinTimbre
+      vibrato = this.settings.violinTimbre,
+      when = null
     } = options || {};
 
-    const now = safeNow(this.audioContext);
+    // `when` (AudioContext seconds) lets sequences book notes ahead instead of using timers
+    const now = Math.max(safeNow(this.audioContext), Number(when) || 0);
 
     // Oscillator
     const oscillator = this.audioContext.createOscillator();
@@ -407,17 +570,19 @@ class AudioEngine {
     if (!this.initialized || this.muted) return;
     this.resume();
 
-    const { volume = 0.25 } = options || {};
+    const { volume = 0.25, tuning = this.settings.tuningSystem, when = null } = options || {};
+    const f2 = this.tuneInterval(freq1, freq2, tuning);
+    const t0 = Math.max(safeNow(this.audioContext), Number(when) || 0);
 
     if (harmonic) {
-      this.playTone(freq1, duration, { volume, waveform: 'sawtooth', vibrato: true });
-      this.playTone(freq2, duration, { volume, waveform: 'sawtooth', vibrato: true });
+      this.playTone(freq1, duration, { volume, waveform: 'sawtooth', vibrato: true, when: t0 });
+      this.playTone(f2, duration, { volume, waveform: 'sawtooth', vibrato: true, when: t0 });
       return;
     }
 
     const noteDuration = clamp(duration * 0.5, 0.05, 10);
-    this.playTone(freq1, noteDuration, { volume, vibrato: true });
-    setTimeout(() => this.playTone(freq2, noteDuration, { volume, vibrato: true }), noteDuration * 1000);
+    this.playTone(freq1, noteDuration, { volume, vibrato: true, when: t0 });
+    this.playTone(f2, noteDuration, { volume, vibrato: true, when: t0 + noteDuration });
   }
 
   /**
@@ -430,20 +595,20 @@ class AudioEngine {
     const freqs = Array.isArray(frequencies) ? frequencies : [];
     if (!freqs.length) return;
 
-    const { volume = 0.3 } = options || {};
+    const { volume = 0.3, when = null } = options || {};
     const volumePerNote = Math.min(0.25, clamp(volume, 0, 1) / freqs.length);
+    const t0 = Math.max(safeNow(this.audioContext), Number(when) || 0);
 
+    // slight strum (15ms) so the chord doesn't sound like a single synth stab
     freqs.forEach((freq, index) => {
-      setTimeout(() => {
-        this.playTone(freq, duration, { volume: volumePerNote, vibrato: true });
-      }, index * 15);
+      this.playTone(freq, duration, { volume: volumePerNote, vibrato: true, when: t0 + index * 0.015 });
     });
   }
 
   /**
    * Play arpeggio (notes in sequence)
    */
-  playArpeggio(frequencies, noteGap = 0.25, ascending = true) {
+  playArpeggio(frequencies, noteGap = 0.25, ascending = true, options = {}) {
     if (!this.initialized || this.muted) return;
     this.resume();
 
@@ -453,11 +618,10 @@ class AudioEngine {
     const notes = ascending ? freqs : [...freqs].reverse();
     const gap = clamp(noteGap, 0.05, 2);
     const noteDuration = clamp(gap * 1.1, 0.05, 10);
+    const t0 = Math.max(safeNow(this.audioContext), Number(options?.when) || 0);
 
     notes.forEach((freq, index) => {
-      setTimeout(() => {
-        this.playTone(freq, noteDuration, { volume: 0.3, vibrato: false });
-      }, index * gap * 1000);
+      this.playTone(freq, noteDuration, { volume: 0.3, vibrato: false, when: t0 + index * gap });
     });
   }
 
@@ -471,9 +635,11 @@ class AudioEngine {
     const freqs = Array.isArray(frequencies) ? frequencies : [];
     if (!freqs.length) return;
 
-    const { volume = 0.25, withDrone = false } = options || {};
+    const { volume = 0.25, withDrone = false, tuning = this.settings.tuningSystem, when = null } = options || {};
 
-    const notes = ascending ? freqs : [...freqs].reverse();
+    // Scale degrees are tuned against the first note (the tonic)
+    const tuned = freqs.map((f) => this.tuneInterval(freqs[0], f, tuning));
+    const notes = ascending ? tuned : [...tuned].reverse();
     const notesPerSecond = clamp(tempo, 0.5, 12);
     const noteGap = 1 / notesPerSecond;
     const noteDuration = clamp(noteGap * 0.9, 0.05, 10);
@@ -484,14 +650,14 @@ class AudioEngine {
       droneController = this.playOpenStringDrone('A', 0.1);
     }
 
+    const t0 = Math.max(safeNow(this.audioContext), Number(when) || 0);
     notes.forEach((freq, index) => {
-      setTimeout(() => {
-        this.playTone(freq, noteDuration, {
-          volume: clamp(volume, 0, 1),
-          waveform: 'sawtooth',
-          vibrato: index > 0
-        });
-      }, index * noteGap * 1000);
+      this.playTone(freq, noteDuration, {
+        volume: clamp(volume, 0, 1),
+        waveform: 'sawtooth',
+        vibrato: index > 0,
+        when: t0 + index * noteGap
+      });
     });
 
     return droneController;
@@ -501,36 +667,47 @@ class AudioEngine {
   // METRONOME & RHYTHM
   // ============================================================
 
+  /**
+   * One metronome click.
+   * options.when schedules on the AudioContext clock (lookahead scheduler in metronome.js);
+   * options.kind ('downbeat' | 'accent' | 'beat' | 'sub') overrides isDownbeat for accent maps.
+   */
   playMetronomeTick(isDownbeat = false, volume = 0.4, options = {}) {
     if (!this.initialized || this.muted) return;
     this.resume();
 
-    const { tonality = 'neutral' } = options || {};
-    const now = safeNow(this.audioContext);
+    const { tonality = 'neutral', when = null, kind = null } = options || {};
+    const now = Math.max(safeNow(this.audioContext), Number(when) || 0);
 
     const oscillator = this.audioContext.createOscillator();
     const gainNode = this.audioContext.createGain();
 
     const toneMap = {
-      neutral: { downbeat: 1200, upbeat: 800 },
-      musical: { downbeat: 523.25, upbeat: 392 },
-      gentle: { downbeat: 440, upbeat: 330 }
+      neutral: { downbeat: 1200, accent: 1000, upbeat: 800, sub: 1600 },
+      musical: { downbeat: 523.25, accent: 440, upbeat: 392, sub: 659.25 },
+      gentle: { downbeat: 440, accent: 392, upbeat: 330, sub: 523.25 }
     };
     const tones = toneMap[tonality] || toneMap.neutral;
+    const tick = kind || (isDownbeat ? 'downbeat' : 'beat');
+    const freq = tick === 'downbeat' ? tones.downbeat
+      : tick === 'accent' ? tones.accent
+        : tick === 'sub' ? tones.sub
+          : tones.upbeat;
 
-    oscillator.type = isDownbeat ? 'square' : 'sine';
-    oscillator.frequency.setValueAtTime(isDownbeat ? tones.downbeat : tones.upbeat, now);
+    oscillator.type = tick === 'downbeat' ? 'square' : 'sine';
+    oscillator.frequency.setValueAtTime(freq, now);
 
     const vol = clamp(volume, 0, 1);
+    const decay = tick === 'sub' ? 0.04 : 0.08;
     gainNode.gain.setValueAtTime(0.0001, now);
     gainNode.gain.linearRampToValueAtTime(vol, now + 0.005);
-    gainNode.gain.exponentialRampToValueAtTime(0.0001, now + 0.08);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, now + decay);
 
     oscillator.connect(gainNode);
     gainNode.connect(this.compressor);
 
     oscillator.start(now);
-    oscillator.stop(now + 0.1);
+    oscillator.stop(now + decay + 0.02);
 
     oscillator.onended = () => {
       try { oscillator.disconnect(); } catch {}
@@ -597,19 +774,40 @@ class AudioEngine {
     if (!this.initialized || this.muted) return null;
     this.resume();
 
-    const { fadeIn = 2, withHarmonics = this.settings.useHarmonics } = options || {};
+    const {
+      fadeIn = 2,
+      withHarmonics = this.settings.useHarmonics,
+      tuning = this.settings.tuningSystem
+    } = options || {};
 
-    const openStrings = {
-      G: 196.0,
-      D: 293.66,
-      A: 440.0,
-      E: 659.25
-    };
+    const openStrings = openStringFrequencies(getInstrumentProfile(), tuning);
 
     const s = String(string || 'A').toUpperCase();
     const frequency = openStrings[s];
     if (!frequency) return null;
 
+    return this.playDroneTone(frequency, volume, { fadeIn, withHarmonics, label: s });
+  }
+
+  /**
+   * Sustained bowed-string drone voice at any frequency (open strings, key drones).
+   * Runs until the returned controller's stop(fadeTime) is called.
+   * @param {number} frequency Hz
+   * @param {number} volume 0..1
+   * @param {object} options { fadeIn (s), withHarmonics, label }
+   * @returns {{stop:Function, setVolume:Function, frequency:number}|null}
+   */
+  playDroneTone(frequency, volume = 0.08, options = {}) {
+    if (!this.initialized || this.muted) return null;
+    this.resume();
+
+    const {
+      fadeIn = 2,
+      withHarmonics = this.settings.useHarmonics,
+      label = 'tone'
+    } = options || {};
+
+    if (!Number.isFinite(Number(frequency)) || frequency <= 0) return null;
     const now = safeNow(this.audioContext);
 
     const oscillator = this.audioContext.createOscillator();
@@ -652,14 +850,22 @@ class AudioEngine {
       });
     }
 
-    const id = `${s}_drone_${Date.now()}`;
+    const id = `${label}_drone_${Date.now()}_${Math.random().toString(16).slice(2, 6)}`;
     this.activeDrones.set(id, { oscillator, gainNode, filter, harmonics });
 
     return {
+      frequency,
+      isActive: () => this.activeDrones.has(id),
       stop: (fadeTime = 1.5) => {
         const ft = clamp(fadeTime, 0, 10);
         const t0 = safeNow(this.audioContext);
-        try { gainNode.gain.linearRampToValueAtTime(0.0001, t0 + ft); } catch {}
+        // Hold the current level first so a fade-out during the fade-in starts from where it is
+        try {
+          const g = gainNode.gain;
+          g.cancelScheduledValues(t0);
+          g.setValueAtTime(Math.max(0.0001, g.value), t0);
+          g.linearRampToValueAtTime(0.0001, t0 + ft);
+        } catch {}
 
         setTimeout(() => {
           const pack = this.activeDrones.get(id);
@@ -690,15 +896,173 @@ class AudioEngine {
     if (!this.initialized || this.muted) return;
     this.resume();
 
-    const { volume = 0.25, bowType = 'legato' } = options || {};
+    const {
+      volume = 0.25,
+      bowType = 'legato',
+      vibrato = true,
+      tuning = this.settings.tuningSystem,
+      when = null
+    } = options || {};
+    const f2 = this.tuneInterval(freq1, freq2, tuning);
     const attackMap = { legato: 0.03, spiccato: 0.01, martelé: 0.005, martele: 0.005 };
     const releaseMap = { legato: 0.15, spiccato: 0.05, martelé: 0.1, martele: 0.1 };
 
     const attack = attackMap[bowType] ?? 0.03;
     const release = releaseMap[bowType] ?? 0.15;
 
-    this.playTone(freq1, duration, { volume, waveform: 'sawtooth', attack, release, vibrato: true });
-    this.playTone(freq2, duration, { volume, waveform: 'sawtooth', attack, release, vibrato: true });
+    this.playTone(freq1, duration, { volume, waveform: 'sawtooth', attack, release, vibrato, when });
+    this.playTone(f2, duration, { volume, waveform: 'sawtooth', attack, release, vibrato, when });
+  }
+
+  /**
+   * One continuous voice that holds a note, slides, then holds the arrival:
+   * an audible shift. With guideFreq the slide ends on the guide note (old
+   * finger in the new position) and the new finger drops onto toFreq.
+   * @param {number} fromFreq
+   * @param {number} toFreq
+   * @param {object} options { guideFreq, hold=0.6, slide=0.3, arrive=0.9, volume=0.28, dip=0.6, when }
+   *   dip = gain during the slide (lighter bow/finger), relative to the held level
+   * @returns {{oscillator, gainNode, endTime}|null}
+   */
+  playGlide(fromFreq, toFreq, options = {}) {
+    if (!this.initialized || !this.audioContext || this.muted) return null;
+    this.resume();
+
+    const f0 = Number(fromFreq);
+    const f1 = Number(toFreq);
+    if (!(f0 > 0) || !(f1 > 0)) return null;
+
+    const {
+      guideFreq = null,
+      hold = 0.6,
+      slide = 0.3,
+      arrive = 0.9,
+      volume = 0.28,
+      dip = 0.6,
+      when = null
+    } = options || {};
+
+    const guide = Number(guideFreq) > 0 ? Number(guideFreq) : null;
+    const tHold = clamp(hold, 0.05, 5);
+    const tSlide = clamp(slide, 0.03, 3);
+    const tArrive = clamp(arrive, 0.1, 5);
+    const drop = (guide && Math.abs(guide - f1) > 0.01) ? 0.06 : 0; // new finger lands after the guide
+
+    const now = Math.max(safeNow(this.audioContext), Number(when) || 0);
+    const slideStart = now + tHold;
+    const slideEnd = slideStart + tSlide;
+    const endTime = slideEnd + drop + tArrive;
+
+    const oscillator = this.audioContext.createOscillator();
+    oscillator.type = this.settings.violinTimbre ? 'sawtooth' : 'sine';
+    oscillator.frequency.setValueAtTime(f0, now);
+    oscillator.frequency.setValueAtTime(f0, slideStart);
+    oscillator.frequency.exponentialRampToValueAtTime(guide || f1, slideEnd);
+    if (drop) oscillator.frequency.setValueAtTime(f1, slideEnd + drop);
+
+    const gainNode = this.audioContext.createGain();
+    const peak = clamp(volume, 0, 1);
+    const low = peak * clamp(dip, 0, 1);
+    gainNode.gain.setValueAtTime(0.0001, now);
+    gainNode.gain.linearRampToValueAtTime(peak, now + 0.03);
+    gainNode.gain.setValueAtTime(peak, Math.max(now + 0.03, slideStart - 0.02));
+    gainNode.gain.linearRampToValueAtTime(low, slideStart + tSlide * 0.5);
+    gainNode.gain.linearRampToValueAtTime(peak, slideEnd + drop);
+    gainNode.gain.setValueAtTime(peak, Math.max(slideEnd + drop, endTime - 0.12));
+    gainNode.gain.linearRampToValueAtTime(0.0001, endTime);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.compressor);
+    oscillator.start(now);
+    oscillator.stop(endTime + 0.03);
+
+    const id = `glide-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    this.activeOscillators.set(id, { oscillator, gainNode, vibratoOsc: null, vibratoGain: null });
+    this.stats.totalNotesPlayed++;
+    this.stats.activeVoices = this.activeOscillators.size;
+
+    oscillator.onended = () => {
+      try { oscillator.disconnect(); } catch {}
+      try { gainNode.disconnect(); } catch {}
+      this.activeOscillators.delete(id);
+      this.stats.activeVoices = this.activeOscillators.size;
+    };
+
+    return { oscillator, gainNode, endTime };
+  }
+
+  // ============================================================
+  // OFFLINE RENDER
+  // ============================================================
+
+  /**
+   * Render engine output to an AudioBuffer instead of the speakers.
+   * `build(engine)` runs synchronously while the engine's output chain lives on an
+   * OfflineAudioContext, so playTone/playScale/drones/metronome ticks produce exactly
+   * the live sound (envelopes, vibrato, harmonics, tuning, A4). Schedule with
+   * options.when in seconds from 0. Mute is ignored; the master volume is kept.
+   * @param {number} duration seconds (0.1–600)
+   * @param {Function} build (engine) => void
+   * @param {object} options { sampleRate=44100, channels=1, fadeOut=0.5 }
+   * @returns {Promise<AudioBuffer>}
+   */
+  async renderOffline(duration, build, options = {}) {
+    const { sampleRate = 44100, channels = 1, fadeOut = 0.5 } = options || {};
+    const Offline = typeof window !== 'undefined' && (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    if (!Offline) throw new Error('Offline rendering not supported');
+    if (this.rendering) throw new Error('A render is already in progress');
+
+    const seconds = clamp(duration, 0.1, 600);
+    const rate = clamp(sampleRate, 8000, 96000);
+    const ctx = new Offline(clamp(channels, 1, 2), Math.ceil(seconds * rate), rate);
+    const chain = this._createOutputChain(ctx);
+
+    const saved = {
+      audioContext: this.audioContext,
+      compressor: this.compressor,
+      masterGain: this.masterGain,
+      initialized: this.initialized,
+      muted: this.muted,
+      activeOscillators: this.activeOscillators,
+      activeDrones: this.activeDrones,
+      stats: { ...this.stats },
+      lastPlayedNote: this.lastPlayedNote
+    };
+
+    this.rendering = true;
+    this.audioContext = ctx;
+    this.compressor = chain.compressor;
+    this.masterGain = chain.masterGain;
+    this.initialized = true;
+    this.muted = false;
+    this.activeOscillators = new Map();
+    this.activeDrones = new Map();
+
+    try {
+      build(this);
+    } finally {
+      Object.assign(this, saved);
+      this.rendering = false;
+    }
+
+    // Fade the whole mix so sustained drones don't end in a click
+    const fade = clamp(fadeOut, 0, seconds / 2);
+    if (fade > 0) {
+      const level = clamp(this.volume, 0, 1);
+      chain.masterGain.gain.setValueAtTime(level, seconds - fade);
+      chain.masterGain.gain.linearRampToValueAtTime(0.0001, seconds);
+    }
+
+    // Old WebKit: startRendering() returns undefined and fires oncomplete
+    return new Promise((resolve, reject) => {
+      ctx.oncomplete = (e) => resolve(e.renderedBuffer);
+      try {
+        const p = ctx.startRendering();
+        if (p && typeof p.then === 'function') p.then(resolve, reject);
+      } catch (e) {
+        reject(e);
+      }
+    });
   }
 
   // ============================================================
@@ -846,8 +1210,11 @@ class AudioEngine {
     return this.settings.useHarmonics;
   }
 
-  stopAll() {
-    // Oscillators
+  /**
+   * Silence played/scheduled notes but leave drones and the metronome running
+   * (e.g. stopping a scale while a key drone keeps sounding).
+   */
+  stopNotes() {
     this.activeOscillators.forEach(({ oscillator, gainNode, vibratoOsc, vibratoGain }) => {
       try {
         const t0 = safeNow(this.audioContext);
@@ -860,6 +1227,10 @@ class AudioEngine {
       try { vibratoOsc && vibratoOsc.disconnect(); } catch {}
     });
     this.activeOscillators.clear();
+  }
+
+  stopAll() {
+    this.stopNotes();
 
     // Drones
     this.activeDrones.forEach(({ oscillator, gainNode, filter, harmonics }) => {
@@ -910,6 +1281,7 @@ class AudioEngine {
     } catch {}
     this.micStream = null;
     this.micInitialized = false;
+    this.micUsers = 0;
     this.mediaRecorder = null;
 
     // Close audio context
@@ -961,8 +1333,36 @@ if (typeof window !== 'undefined' && typeof document !== 'undefined') {
 // UTILITY: Convert MIDI to Frequency
 // ======================================
 
+/**
+ * Open-string frequencies for an instrument profile, keyed by string name.
+ * Outside equal temperament the strings are tuned pure from the A string
+ * (3:2 fifths, 4:3 fourths for the bass), as players do.
+ */
+function openStringFrequencies(profile, tuning) {
+  const strings = profile?.strings || [];
+  const out = {};
+  if (!(TUNING_SYSTEMS[tuning] && tuning !== 'equal')) {
+    strings.forEach((st) => { out[st.id] = midiToFreq(st.openMidi); });
+    return out;
+  }
+
+  const pure = (semis) => (semis === 7 ? 3 / 2 : semis === 5 ? 4 / 3 : Math.pow(2, semis / 12));
+  let aIdx = strings.findIndex((st) => st.id === 'A');
+  if (aIdx < 0) aIdx = strings.length - 1;
+  const freqs = [];
+  freqs[aIdx] = midiToFreq(strings[aIdx].openMidi);
+  for (let i = aIdx + 1; i < strings.length; i++) {
+    freqs[i] = freqs[i - 1] * pure(strings[i].openMidi - strings[i - 1].openMidi);
+  }
+  for (let i = aIdx - 1; i >= 0; i--) {
+    freqs[i] = freqs[i + 1] / pure(strings[i + 1].openMidi - strings[i].openMidi);
+  }
+  strings.forEach((st, i) => { out[st.id] = freqs[i]; });
+  return out;
+}
+
 export function midiToFreq(midiNote) {
-  return 440 * Math.pow(2, (Number(midiNote) - 69) / 12);
+  return getReferencePitch() * Math.pow(2, (Number(midiNote) - 69) / 12);
 }
 
 export function noteToFreq(noteName) {
@@ -973,14 +1373,14 @@ export function noteToFreq(noteName) {
   };
 
   const match = String(noteName || '').trim().match(/^([A-G][#b]?)(-?\d+)$/);
-  if (!match) return 440;
+  if (!match) return getReferencePitch();
 
   const [, note, octaveStr] = match;
   const semitone = noteMap[note];
-  if (semitone == null) return 440;
+  if (semitone == null) return getReferencePitch();
 
   const octave = parseInt(octaveStr, 10);
-  if (!Number.isFinite(octave)) return 440;
+  if (!Number.isFinite(octave)) return getReferencePitch();
 
   const midi = (octave + 1) * 12 + semitone;
   return midiToFreq(midi);
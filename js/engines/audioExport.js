@@ -0,0 +1,184 @@
+// js/engines/audioExport.js
+// ======================================
+// VMQ AUDIO EXPORT v1.0.0 - Downloadable practice tracks
+// Renders audioEngine voices offline and encodes 16-bit PCM WAV, so drone
+// tracks, scale play-alongs and interval listening sets sound exactly like
+// the in-app playback.
+//
+// ✅ encodeWav(): AudioBuffer -> RIFF/WAVE Blob (16-bit PCM, interleaved)
+// ✅ renderToWav(): audioEngine.renderOffline() + encode in one call
+// ✅ Builders for the shared cases: open-string drones, interval listening sets
+// ✅ downloadBlob(): same anchor-click pattern as the journal/data exports
+// ======================================
+
+import { audioEngine } from './audioEngine.js';
+import { renderClickTrack } from './metronome.js';
+import { slugFilename } from '../utils/helpers.js';
+
+export const EXPORT_LIMITS = Object.freeze({
+  MAX_SECONDS: 600,      // 10 min mono @44.1k ≈ 53 MB — plenty for a drone track
+  SAMPLE_RATE: 44100,
+  TAIL_SEC: 0.75         // room for the last release/decay before the file ends
+});
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+}
+
+/**
+ * Encode an AudioBuffer (or { numberOfChannels, sampleRate, length, getChannelData })
+ * as 16-bit PCM WAV.
+ * @returns {Blob} audio/wav
+ */
+export function encodeWav(buffer) {
+  const channels = Math.max(1, buffer.numberOfChannels || 1);
+  const sampleRate = buffer.sampleRate || EXPORT_LIMITS.SAMPLE_RATE;
+  const frames = buffer.length || 0;
+  const bytesPerSample = 2;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+
+  const out = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(out);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk (PCM)
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const s = Math.max(-1, Math.min(1, data[c][i] || 0));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Blob([out], { type: 'audio/wav' });
+}
+
+/**
+ * Render with audioEngine.renderOffline() and encode as WAV.
+ * @param {number} duration seconds
+ * @param {Function} build (engine) => void — schedule with options.when
+ * @param {object} options passed to renderOffline ({ sampleRate, channels, fadeOut })
+ * @returns {Promise<{blob:Blob, duration:number, sampleRate:number, size:number}>}
+ */
+export async function renderToWav(duration, build, options = {}) {
+  const seconds = clamp(duration, 0.1, EXPORT_LIMITS.MAX_SECONDS);
+  const buffer = await audioEngine.renderOffline(seconds, build, {
+    sampleRate: EXPORT_LIMITS.SAMPLE_RATE,
+    channels: 1,
+    ...options
+  });
+  const blob = encodeWav(buffer);
+  return { blob, duration: seconds, sampleRate: buffer.sampleRate, size: blob.size };
+}
+
+/**
+ * Trigger a browser download for a Blob.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 'A major', 80 -> 'vmq-a-major-80.wav'
+ */
+export function wavFilename(...parts) {
+  return slugFilename(parts, 'wav', 'audio');
+}
+
+// ======================================
+// BUILDERS
+// ======================================
+
+/**
+ * Open-string drone track (same voice as the Tuner's reference drones).
+ * @param {string} string open-string name of the active instrument ('G' | 'D' | 'A' | 'E' on violin)
+ * @param {number} seconds
+ * @param {object} options { volume, click: metronome options to add a click track }
+ */
+export function renderDroneWav(string = 'A', seconds = 120, options = {}) {
+  const { volume = 0.08, click = null } = options || {};
+  return renderToWav(seconds, (engine) => {
+    engine.playOpenStringDrone(string, volume, { fadeIn: 1.0 });
+    if (click) renderClickTrack(click, seconds);
+  }, { fadeOut: 2.0 });
+}
+
+/**
+ * Interval listening set: each item is played, then a silent gap to write the answer.
+ * items = [{ f1, f2, label }]
+ * @param {object} options { harmonic=false, noteSec=1.5, gapSec=3, repeat=1 }
+ * @returns {Promise<{blob, duration, sampleRate, size, answerKey:string}>}
+ */
+export async function renderIntervalSetWav(items, options = {}) {
+  const list = Array.isArray(items) ? items.filter((it) => it && it.f1 > 0 && it.f2 > 0) : [];
+  if (!list.length) throw new Error('No intervals to render');
+
+  const harmonic = !!options.harmonic;
+  const noteSec = clamp(options.noteSec ?? 1.5, 0.4, 6);
+  const gapSec = clamp(options.gapSec ?? 3, 0.5, 15);
+  const repeat = clamp(Math.round(options.repeat ?? 1), 1, 3);
+  const slot = repeat * (noteSec + 0.5) + gapSec;
+
+  const result = await renderToWav(list.length * slot + EXPORT_LIMITS.TAIL_SEC, (engine) => {
+    list.forEach((it, i) => {
+      for (let r = 0; r < repeat; r++) {
+        engine.playInterval(it.f1, it.f2, harmonic, noteSec, { when: i * slot + r * (noteSec + 0.5) });
+      }
+    });
+  }, { fadeOut: 0.2 });
+
+  const answerKey = list
+    .map((it, i) => `${String(i + 1).padStart(2, ' ')}. ${formatTime(i * slot)}  ${it.label || ''}`.trimEnd())
+    .join('\n');
+
+  return { ...result, answerKey };
+}
+
+function formatTime(sec) {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export default {
+  encodeWav,
+  renderToWav,
+  downloadBlob,
+  wavFilename,
+  renderDroneWav,
+  renderIntervalSetWav
+};
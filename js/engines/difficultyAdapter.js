@@ -34,7 +34,7 @@ const DIFFICULTY_LEVELS = {
  */
 const MODULE_CATEGORIES = {
   EAR_TRAINING: ['intervalear', 'keytester', 'tempotester', 'arpeggiotester'],
-  NOTE_READING: ['flashcards', 'snapshot', 'notelocator'],
+  NOTE_READING: ['flashcards', 'snapshot', 'notelocator', 'sightreading'],
   THEORY:       ['intervals', 'keys', 'rhythm', 'scaleslab'],
   TECHNIQUE:    ['bieler', 'bielerlab', 'fingerboard'],
   RHYTHM:       ['rhythmdrills', 'timesigtester']
@@ -0,0 +1,351 @@
+// js/engines/droneEngine.js
+// ======================================
+// VMQ DRONE ENGINE v1.0.0 - Harmonic drones in any key
+// One sustained reference chord for intonation practice: tonic, tonic + fifth
+// or a full triad on any pitch class, in the octave you choose.
+//
+// ✅ Any pitch class, major or minor: 'D', 'Bb minor', 'F#m', KEY_SIGNATURES entries
+// ✅ Voicings: tonic | fifth (tonic + 5th) | triad; octave 2–5
+// ✅ Key changes crossfade; tones shared by both chords keep sounding
+// ✅ Chord tones tuned against the tonic in the selected tuning system (pure in just)
+// ✅ startInKey(): one call for ScalesLab, KeySignatures and the planner
+// ✅ Voicing / octave / volume remembered across sessions (STORAGE_KEYS.DRONE)
+// ======================================
+
+import { audioEngine } from './audioEngine.js';
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { getInstrumentProfile } from '../config/constants.js';
+
+const PITCH_CLASSES = {
+  C: 0, 'C#': 1, Db: 1, D: 2, 'D#': 3, Eb: 3, E: 4, Fb: 4, 'E#': 5,
+  F: 5, 'F#': 6, Gb: 6, G: 7, 'G#': 8, Ab: 8, A: 9, 'A#': 10, Bb: 10,
+  B: 11, Cb: 11, 'B#': 0
+};
+
+const NAMES_SHARP = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+export const DRONE_VOICINGS = Object.freeze({
+  tonic: { id: 'tonic', label: 'Tonic', intervals: { major: [0], minor: [0] } },
+  fifth: { id: 'fifth', label: 'Tonic + 5th', intervals: { major: [0, 7], minor: [0, 7] } },
+  triad: { id: 'triad', label: 'Triad', intervals: { major: [0, 4, 7], minor: [0, 3, 7] } }
+});
+
+export const DRONE_DEFAULTS = Object.freeze({
+  voicing: 'fifth',
+  octave: 3,           // D3 / G3 sit under the violin's range; other instruments use profile.droneOctave
+  volume: 0.08,
+  crossfade: 1.2,      // seconds
+  fadeIn: 1.5,
+  fadeOut: 1.5,
+  MIN_OCTAVE: 2,
+  MAX_OCTAVE: 5
+});
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function normalizeAccidentals(text) {
+  return String(text || '').replace(/♯/g, '#').replace(/♭/g, 'b');
+}
+
+/**
+ * Parse a key into { tonic: 0..11, mode: 'major'|'minor', name }.
+ * Accepts 'D', 'D major', 'Bb minor', 'F#m', 'c#', a pitch class number,
+ * or objects shaped like KEY_SIGNATURES entries ({ id: 'Gm' }, { name: 'D Major' },
+ * { tonic: 'A', relativeMajor }) / { tonic, mode }.
+ * @returns {object|null}
+ */
+export function parseKey(key, fallbackMode = 'major') {
+  if (key == null || key === '') return null;
+
+  if (typeof key === 'number') {
+    const tonic = ((Math.round(key) % 12) + 12) % 12;
+    return describeKey(tonic, fallbackMode);
+  }
+
+  if (typeof key === 'object') {
+    if (typeof key.tonic === 'number') return describeKey(key.tonic, key.mode || fallbackMode);
+    const mode = key.mode || (key.relativeMajor ? 'minor' : null);
+    for (const candidate of [key.id, key.name, key.major, key.tonic]) {
+      const parsed = parseKey(candidate, mode || fallbackMode);
+      if (parsed) return mode ? describeKey(parsed.tonic, mode) : parsed;
+    }
+    return null;
+  }
+
+  const text = normalizeAccidentals(key).trim();
+  const m = text.match(/^([A-Ga-g])([#b]?)\s*(major|minor|maj|min|m|M)?$/i);
+  if (!m) return null;
+
+  const letter = m[1].toUpperCase();
+  const tonic = PITCH_CLASSES[`${letter}${m[2] || ''}`];
+  if (tonic == null) return null;
+
+  let mode = fallbackMode;
+  const suffix = m[3] || '';
+  if (/^(minor|min)$/i.test(suffix) || suffix === 'm') mode = 'minor';
+  else if (/^(major|maj)$/i.test(suffix) || suffix === 'M') mode = 'major';
+  else if (!suffix && m[1] === m[1].toLowerCase() && m[1] !== m[1].toUpperCase()) mode = 'minor'; // 'c#' -> C# minor
+
+  return describeKey(tonic, mode, `${letter}${m[2] || ''}`);
+}
+
+function describeKey(tonic, mode = 'major', spelled = null) {
+  const pc = ((Math.round(Number(tonic)) % 12) + 12) % 12;
+  const md = mode === 'minor' ? 'minor' : 'major';
+  const flatKeys = md === 'major' ? [5, 10, 3, 8, 1] : [10, 3];   // F Bb Eb Ab Db major; Bb Eb minor
+  const preferFlats = spelled ? spelled.includes('b') : flatKeys.includes(pc);
+  const name = spelled || (preferFlats ? NAMES_FLAT[pc] : NAMES_SHARP[pc]);
+  return { tonic: pc, mode: md, name: `${name} ${md}` };
+}
+
+/**
+ * First "<note> major|minor" mentioned in free text
+ * ("Bach Concerto in A minor", "Kreutzer 2 (C major)").
+ * @returns {object|null} parseKey() result
+ */
+export function keyFromText(text) {
+  const m = normalizeAccidentals(text).match(/\b([A-G])([#b]?)[\s-]*(major|minor|maj|min)\b/i);
+  return m ? parseKey(`${m[1].toUpperCase()}${m[2] || ''} ${m[3]}`) : null;
+}
+
+/**
+ * MIDI notes for a drone chord.
+ * @param {object} key parseKey() result
+ * @param {object} options { voicing, octave }
+ * @returns {number[]}
+ */
+export function droneMidiNotes(key, options = {}) {
+  const k = parseKey(key);
+  if (!k) return [];
+  const voicing = DRONE_VOICINGS[options.voicing] || DRONE_VOICINGS[DRONE_DEFAULTS.voicing];
+  const octave = Math.round(clamp(options.octave ?? DRONE_DEFAULTS.octave, DRONE_DEFAULTS.MIN_OCTAVE, DRONE_DEFAULTS.MAX_OCTAVE));
+  const root = (octave + 1) * 12 + k.tonic;
+  return voicing.intervals[k.mode].map((iv) => root + iv);
+}
+
+/**
+ * DroneEngine - one drone chord at a time.
+ * State shape (listeners / getState): { playing, key, voicing, octave, volume, notes, source }
+ */
+class DroneEngine {
+  constructor() {
+    this.listeners = new Set();
+    this.voices = new Map();   // freq key -> controller
+    this.key = null;
+    this.source = null;
+    this.prefs = {
+      voicing: DRONE_DEFAULTS.voicing,
+      octave: getInstrumentProfile()?.droneOctave ?? DRONE_DEFAULTS.octave,
+      volume: DRONE_DEFAULTS.volume,
+      ...this._loadPrefs()
+    };
+
+    // Switching instrument moves the drone to an octave that sits under it
+    try {
+      window.addEventListener('vmq-instrument-changed', () => {
+        const octave = getInstrumentProfile()?.droneOctave;
+        if (!Number.isFinite(octave) || octave === this.prefs.octave) return;
+        this.prefs.octave = octave;
+        this._savePrefs();
+        this._emit();
+      });
+    } catch {}
+  }
+
+  _loadPrefs() {
+    const saved = loadJSON(STORAGE_KEYS.DRONE, {}) || {};
+    const out = {};
+    if (DRONE_VOICINGS[saved.voicing]) out.voicing = saved.voicing;
+    if (Number.isFinite(Number(saved.octave))) {
+      out.octave = Math.round(clamp(saved.octave, DRONE_DEFAULTS.MIN_OCTAVE, DRONE_DEFAULTS.MAX_OCTAVE));
+    }
+    if (Number.isFinite(Number(saved.volume))) out.volume = clamp(saved.volume, 0, 0.5);
+    return out;
+  }
+
+  _savePrefs() {
+    saveJSON(STORAGE_KEYS.DRONE, { ...this.prefs });
+  }
+
+  isPlaying() {
+    // audioEngine.stopAll() tears voices down behind our back
+    this.voices.forEach((ctl, id) => {
+      if (typeof ctl.isActive === 'function' && !ctl.isActive()) this.voices.delete(id);
+    });
+    return this.voices.size > 0;
+  }
+
+  getState() {
+    return {
+      playing: this.isPlaying(),
+      key: this.key,
+      voicing: this.prefs.voicing,
+      octave: this.prefs.octave,
+      volume: this.prefs.volume,
+      notes: this.key ? droneMidiNotes(this.key, this.prefs) : [],
+      source: this.source
+    };
+  }
+
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit() {
+    const state = this.getState();
+    this.listeners.forEach((fn) => {
+      try { fn(state); } catch (e) { console.warn('[Drone] listener failed:', e); }
+    });
+  }
+
+  /**
+   * Start, or crossfade to, a drone.
+   * @param {object} options { key, voicing, octave, volume, crossfade, source }
+   *   source labels who started it ('scaleslab', 'keysignatures', 'planner', ...)
+   * @returns {Promise<boolean>} false if the key can't be parsed or audio is unavailable
+   */
+  async start(options = {}) {
+    const key = parseKey(options.key ?? this.key);
+    if (!key) return false;
+
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      audioEngine.resume();
+    } catch (e) {
+      console.warn('[Drone] audio init failed:', e);
+    }
+    if (!audioEngine.audioContext) return false;
+
+    let prefsChanged = false;
+    if (options.voicing && DRONE_VOICINGS[options.voicing] && options.voicing !== this.prefs.voicing) {
+      this.prefs.voicing = options.voicing;
+      prefsChanged = true;
+    }
+    if (options.octave != null) {
+      const oct = Math.round(clamp(options.octave, DRONE_DEFAULTS.MIN_OCTAVE, DRONE_DEFAULTS.MAX_OCTAVE));
+      if (oct !== this.prefs.octave) { this.prefs.octave = oct; prefsChanged = true; }
+    }
+    if (options.volume != null) {
+      const vol = clamp(options.volume, 0, 0.5);
+      if (vol !== this.prefs.volume) { this.prefs.volume = vol; prefsChanged = true; }
+    }
+    if (prefsChanged) this._savePrefs();
+
+    const wasPlaying = this.isPlaying();
+    const fade = clamp(options.crossfade ?? (wasPlaying ? DRONE_DEFAULTS.crossfade : DRONE_DEFAULTS.fadeIn), 0.05, 10);
+
+    this.key = key;
+    if (options.source !== undefined) this.source = options.source;
+
+    const ok = this._voice(fade);
+    this._emit();
+    return ok;
+  }
+
+  /**
+   * One call from any screen: "drone in the current key".
+   * Crossfades if a drone is already sounding.
+   */
+  startInKey(key, options = {}) {
+    return this.start({ ...options, key });
+  }
+
+  /** Same key, different voicing / octave / volume (crossfades). */
+  update(patch = {}) {
+    if (!this.isPlaying()) {
+      // Remember the choice for the next start()
+      let changed = false;
+      if (patch.voicing && DRONE_VOICINGS[patch.voicing]) { this.prefs.voicing = patch.voicing; changed = true; }
+      if (patch.octave != null) {
+        this.prefs.octave = Math.round(clamp(patch.octave, DRONE_DEFAULTS.MIN_OCTAVE, DRONE_DEFAULTS.MAX_OCTAVE));
+        changed = true;
+      }
+      if (patch.volume != null) { this.prefs.volume = clamp(patch.volume, 0, 0.5); changed = true; }
+      if (changed) { this._savePrefs(); this._emit(); }
+      return Promise.resolve(false);
+    }
+    return this.start({ ...patch, key: patch.key ?? this.key });
+  }
+
+  setVolume(volume) {
+    this.prefs.volume = clamp(volume, 0, 0.5);
+    this._savePrefs();
+    const per = this._perVoice(this.voices.size);
+    this.voices.forEach((ctl) => { try { ctl.setVolume(per); } catch {} });
+    this._emit();
+  }
+
+  /**
+   * Start/stop toggle for a key: same key while playing stops; anything else (re)starts.
+   */
+  toggle(key, options = {}) {
+    const k = parseKey(key);
+    if (this.isPlaying() && (!k || (this.key && k.tonic === this.key.tonic && k.mode === this.key.mode))) {
+      this.stop();
+      return Promise.resolve(false);
+    }
+    return this.start({ ...options, key: k || this.key });
+  }
+
+  stop(fadeTime = DRONE_DEFAULTS.fadeOut) {
+    if (!this.isPlaying()) return;
+    this.voices.forEach((ctl) => { try { ctl.stop(fadeTime); } catch {} });
+    this.voices.clear();
+    this._emit();
+  }
+
+  // Equal loudness whether one note or three
+  _perVoice(count) {
+    return this.prefs.volume / Math.sqrt(Math.max(1, count));
+  }
+
+  _voice(fade) {
+    const notes = droneMidiNotes(this.key, this.prefs);
+    const tonicMidi = notes[0];
+    const per = this._perVoice(notes.length);
+
+    const wanted = new Map();
+    notes.forEach((midi) => {
+      const freq = typeof audioEngine.tunedMidiToFreq === 'function'
+        ? audioEngine.tunedMidiToFreq(midi, tonicMidi)
+        : 440 * Math.pow(2, (midi - 69) / 12);
+      wanted.set(freq.toFixed(2), freq);
+    });
+
+    // Common tones keep sounding (at the new per-voice level); the rest crossfade
+    this.voices.forEach((ctl, id) => {
+      if (wanted.has(id)) {
+        try { ctl.setVolume(per); } catch {}
+        wanted.delete(id);
+      } else {
+        try { ctl.stop(fade); } catch {}
+        this.voices.delete(id);
+      }
+    });
+
+    wanted.forEach((freq, id) => {
+      const ctl = audioEngine.playDroneTone(freq, per, { fadeIn: fade, label: 'key' });
+      if (ctl) this.voices.set(id, ctl);
+    });
+
+    return this.voices.size > 0;
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const droneEngine = new DroneEngine();
+
+export const startDroneInKey = droneEngine.startInKey.bind(droneEngine);
+export const stopDrone = droneEngine.stop.bind(droneEngine);
+export const subscribeDrone = droneEngine.subscribe.bind(droneEngine);
+
+export default droneEngine;
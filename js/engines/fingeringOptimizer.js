@@ -0,0 +1,393 @@
+// js/engines/fingeringOptimizer.js
+// ======================================
+// VMQ FINGERING OPTIMIZER v1.0.0 - Passage-level string/position/finger choice
+// Takes a note sequence (a run from repertoire, a scale, an étude bar) and
+// picks a (string, position, finger) for every note by minimising a cost model
+// over the whole passage, not note by note.
+//
+// ✅ Candidates: every stop on every string in the allowed positions, open strings,
+//    backward 1st-finger and forward 4th-finger extensions
+// ✅ Cost model: shifts (size-weighted, cheaper across an open string), string
+//    crossings (skips cost more), extensions, 4th finger + 4th-finger stretches,
+//    same-finger slides, high positions
+// ✅ k-best Viterbi: ranked, de-duplicated alternatives with a cost breakdown and
+//    plain-language reasons
+// ✅ Instrument-agnostic: strings / position table / finger reach / costs are
+//    options; profileFingeringOptions() builds them from an instrument profile
+// ======================================
+
+import { MUSIC } from '../utils/helpers.js';
+import { getInstrumentProfile } from '../config/constants.js';
+
+// Open strings, low -> high
+export const DEFAULT_STRINGS = Object.freeze([
+  { id: 'G', openMidi: 55 },
+  { id: 'D', openMidi: 62 },
+  { id: 'A', openMidi: 69 },
+  { id: 'E', openMidi: 76 }
+]);
+
+// Position -> semitones from the open string to the 1st finger
+export const DEFAULT_POSITION_OFFSETS = Object.freeze({ 1: 2, 2: 4, 3: 5, 4: 7, 5: 9, 6: 10, 7: 12 });
+
+// Finger -> semitones above the 1st finger; `ext` marks an extension (violin/viola hand)
+export const FINGER_REACH = Object.freeze({
+  1: [{ semis: 0 }, { semis: -1, ext: true }],
+  2: [{ semis: 1 }, { semis: 2 }],
+  3: [{ semis: 3 }, { semis: 4 }],
+  4: [{ semis: 5 }, { semis: 6, ext: true }]
+});
+
+export const FINGERING_COSTS = Object.freeze({
+  shift: 2.0,            // any change of hand position
+  shiftPerSemitone: 0.35,
+  shiftOnOpen: 0.4,      // multiplier: the hand moves freely while an open string sounds
+  crossing: 0.6,         // per string crossed
+  stringSkip: 1.0,       // extra when skipping over a string
+  extension: 1.5,
+  fourthFinger: 0.6,
+  fourthStretch: 1.5,    // 4th finger extended (on top of extension)
+  open: 0.3,
+  highPosition: 0.25,    // per position above 3rd
+  sameFingerSlide: 1.5,  // same finger, new pitch, same string, no shift
+  sameFingerCross: 0.8   // same finger moved to another string for a new pitch
+});
+
+export const OPTIMIZER_DEFAULTS = Object.freeze({
+  alternatives: 3,
+  maxNotes: 64,
+  beam: 12               // partial paths kept per candidate stop
+});
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function noteName(midi) {
+  try { return MUSIC.midiToNote(midi) || `MIDI ${midi}`; } catch { return `MIDI ${midi}`; }
+}
+
+// 3 -> '3rd'; 0.5 -> 'half'
+export function positionName(n) {
+  if (Number(n) === 0.5) return 'half';
+  const v = Math.abs(Math.round(Number(n)));
+  if (v % 100 >= 11 && v % 100 <= 13) return `${v}th`;
+  return `${v}${['th', 'st', 'nd', 'rd'][v % 10] || 'th'}`;
+}
+
+// ======================================
+// INPUT
+// ======================================
+
+/**
+ * 'A4 B4 C#5 d5, 74 B♭4' -> { midis, errors }
+ * Accepts note names (any case, #/b/♯/♭) and MIDI numbers, separated by spaces, commas or dashes.
+ */
+export function parsePassage(text) {
+  const midis = [];
+  const errors = [];
+  String(text || '')
+    .split(/[\s,;|]+|(?<=\d)-(?=[A-Ga-g])/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .forEach((token) => {
+      if (/^\d{1,3}$/.test(token)) {
+        const m = Number(token);
+        if (m >= 0 && m <= 127) midis.push(m);
+        else errors.push(token);
+        return;
+      }
+      const norm = token
+        .replace(/♯/g, '#')
+        .replace(/♭/g, 'b')
+        .replace(/^([a-g])/, (c) => c.toUpperCase());
+      const m = MUSIC.noteToMidi(norm);
+      if (Number.isFinite(m)) midis.push(m);
+      else errors.push(token);
+    });
+  return { midis, errors };
+}
+
+// ======================================
+// CANDIDATES
+// ======================================
+
+/**
+ * Every way to play one pitch.
+ * @param {number} midi
+ * @param {object} options { strings, positions (position -> 1st-finger offset), reach (FINGER_REACH shape) }
+ * @returns {Array<{midi, stringIdx, string, position, finger, offset, open, extension}>}
+ *   Open strings appear once per position, so the DP knows where the hand is.
+ */
+export function candidatesForMidi(midi, options = {}) {
+  const strings = options.strings || DEFAULT_STRINGS;
+  const positions = options.positions || DEFAULT_POSITION_OFFSETS;
+  const reach = options.reach || FINGER_REACH;
+  const posList = Object.keys(positions).map(Number).sort((a, b) => a - b);
+  const out = [];
+
+  strings.forEach((s, stringIdx) => {
+    const rel = midi - s.openMidi;
+    if (rel < 0) return;
+
+    posList.forEach((position) => {
+      const base = num(positions[position]);
+      if (rel === 0) {
+        out.push({ midi, stringIdx, string: s.id, position, finger: 0, offset: base, open: true, extension: false });
+        return;
+      }
+      Object.entries(reach).forEach(([finger, reaches]) => {
+        reaches.forEach((r) => {
+          if (base + r.semis !== rel) return;
+          out.push({
+            midi,
+            stringIdx,
+            string: s.id,
+            position,
+            finger: Number(finger),
+            offset: base,
+            open: false,
+            extension: !!r.ext
+          });
+        });
+      });
+    });
+  });
+
+  return out;
+}
+
+/**
+ * strings / positions / reach for optimizeFingering() from an instrument profile
+ * (constants.INSTRUMENT_PROFILES; defaults to the active one).
+ * @param {object} profile
+ * @param {object} options { maxPosition = 7, halfPosition = true }
+ */
+export function profileFingeringOptions(profile = getInstrumentProfile(), { maxPosition = 7, halfPosition = true } = {}) {
+  const positions = {};
+  Object.entries(profile?.positionOffsets || DEFAULT_POSITION_OFFSETS).forEach(([pos, base]) => {
+    const p = Number(pos);
+    if (p > maxPosition || (p < 1 && !halfPosition)) return;
+    positions[p] = base;
+  });
+  return {
+    strings: (profile?.strings || DEFAULT_STRINGS).map((s) => ({ id: s.id, openMidi: s.openMidi })),
+    positions,
+    reach: profile?.fingerReach || FINGER_REACH
+  };
+}
+
+// ======================================
+// COST MODEL
+// ======================================
+
+function stopCost(c, costs, lowPositionMax) {
+  const parts = {};
+  if (c.open) parts.open = costs.open;
+  if (c.extension) parts.extension = costs.extension;
+  if (c.finger === 4) {
+    parts.fourthFinger = costs.fourthFinger;
+    if (c.extension) parts.fourthStretch = costs.fourthStretch;
+  }
+  if (c.position > lowPositionMax) parts.highPosition = (c.position - lowPositionMax) * costs.highPosition;
+  return parts;
+}
+
+function transitionCost(a, b, costs) {
+  const parts = {};
+
+  if (a.position !== b.position) {
+    const dist = Math.abs(b.offset - a.offset);
+    let shift = costs.shift + dist * costs.shiftPerSemitone;
+    if (a.open || b.open) shift *= costs.shiftOnOpen;
+    parts.shift = shift;
+  }
+
+  const crossed = Math.abs(b.stringIdx - a.stringIdx);
+  if (crossed > 0) {
+    parts.crossing = crossed * costs.crossing + (crossed > 1 ? costs.stringSkip : 0);
+  }
+
+  if (!a.open && !b.open && a.finger === b.finger && a.midi !== b.midi && a.position === b.position) {
+    parts[a.stringIdx === b.stringIdx ? 'sameFingerSlide' : 'sameFingerCross'] =
+      a.stringIdx === b.stringIdx ? costs.sameFingerSlide : costs.sameFingerCross;
+  }
+
+  return parts;
+}
+
+function sumParts(parts) {
+  return Object.values(parts).reduce((s, v) => s + v, 0);
+}
+
+function addParts(into, parts) {
+  const out = { ...into };
+  Object.entries(parts).forEach(([k, v]) => { out[k] = (out[k] || 0) + v; });
+  return out;
+}
+
+// Fingering as a student reads it: open strings don't pin a position
+function signature(path) {
+  return path.map((c) => (c.open ? `${c.stringIdx}:0` : `${c.stringIdx}:${c.position}:${c.finger}`)).join('|');
+}
+
+// ======================================
+// SEARCH
+// ======================================
+
+/**
+ * Ranked fingerings for a passage.
+ * @param {number[]|string} passage MIDI numbers or text for parsePassage()
+ * @param {object} options {
+ *   strings, positions, costs (partial override of FINGERING_COSTS),
+ *   alternatives=3, lowPositionMax=3, startPosition (bias the first note toward a position)
+ * }
+ * @returns {{ notes:number[], errors:string[], unplayable:number[], alternatives:Array<object> }}
+ *   alternatives[i] = { rank, cost, steps, breakdown, summary, reasons }
+ */
+export function optimizeFingering(passage, options = {}) {
+  const parsed = typeof passage === 'string'
+    ? parsePassage(passage)
+    : { midis: (passage || []).map(Number).filter(Number.isFinite), errors: [] };
+
+  const notes = parsed.midis.slice(0, OPTIMIZER_DEFAULTS.maxNotes);
+  const costs = { ...FINGERING_COSTS, ...(options.costs || {}) };
+  const K = Math.max(1, Math.min(10, Math.round(num(options.alternatives, OPTIMIZER_DEFAULTS.alternatives))));
+  const beam = Math.max(K * 3, OPTIMIZER_DEFAULTS.beam);
+  const lowPositionMax = num(options.lowPositionMax, 3);
+
+  const result = { notes, errors: parsed.errors, unplayable: [], alternatives: [] };
+  if (!notes.length) return result;
+
+  const layers = notes.map((m) => candidatesForMidi(m, options));
+  layers.forEach((layer, i) => { if (!layer.length) result.unplayable.push(i); });
+  if (result.unplayable.length) return result;
+
+  // Each candidate keeps its best `beam` partial paths: { cost, parts, prev: [layer, cand, k] }
+  let prevLayer = layers[0].map((c) => {
+    const parts = stopCost(c, costs, lowPositionMax);
+    if (options.startPosition != null && !c.open && c.position !== Number(options.startPosition)) {
+      parts.shift = (parts.shift || 0) + costs.shift;
+    }
+    return [{ cost: sumParts(parts), parts, path: [c] }];
+  });
+
+  for (let i = 1; i < layers.length; i++) {
+    const layer = layers[i];
+    prevLayer = layer.map((cand) => {
+      const own = stopCost(cand, costs, lowPositionMax);
+      const options2 = [];
+      layers[i - 1].forEach((prevCand, pIdx) => {
+        const trans = transitionCost(prevCand, cand, costs);
+        const step = addParts(own, trans);
+        const stepCost = sumParts(step);
+        prevLayer[pIdx].forEach((partial) => {
+          options2.push({ cost: partial.cost + stepCost, parts: addParts(partial.parts, step), path: partial.path, cand });
+        });
+      });
+      options2.sort((a, b) => a.cost - b.cost);
+      return options2.slice(0, beam).map((o) => ({ cost: o.cost, parts: o.parts, path: [...o.path, o.cand] }));
+    });
+  }
+
+  const finals = prevLayer.flat().sort((a, b) => a.cost - b.cost);
+  const seen = new Set();
+  for (const f of finals) {
+    const sig = signature(f.path);
+    if (seen.has(sig)) continue;
+    seen.add(sig);
+    result.alternatives.push(describe(f, result.alternatives.length + 1));
+    if (result.alternatives.length >= K) break;
+  }
+
+  const best = result.alternatives[0];
+  result.alternatives.forEach((alt) => {
+    alt.deltaFromBest = best ? Math.round((alt.cost - best.cost) * 100) / 100 : 0;
+  });
+
+  return result;
+}
+
+function describe(found, rank) {
+  const steps = found.path.map((c, i) => {
+    const prev = found.path[i - 1];
+    const shifted = !!prev && prev.position !== c.position;
+    return {
+      index: i,
+      midi: c.midi,
+      note: noteName(c.midi),
+      stringIdx: c.stringIdx,
+      string: c.string,
+      position: c.position,
+      finger: c.finger,
+      open: c.open,
+      extension: c.extension,
+      shiftFrom: shifted ? prev.position : null,
+      crossing: !!prev && prev.stringIdx !== c.stringIdx
+    };
+  });
+
+  const shifts = steps.filter((s) => s.shiftFrom != null);
+  const summary = {
+    shifts: shifts.length,
+    crossings: steps.filter((s) => s.crossing).length,
+    extensions: steps.filter((s) => s.extension).length,
+    fourthFingers: steps.filter((s) => s.finger === 4).length,
+    openStrings: steps.filter((s) => s.open).length,
+    strings: [...new Set(steps.map((s) => s.string))],
+    positions: [...new Set(steps.filter((s) => !s.open).map((s) => s.position))]
+  };
+
+  const breakdown = {};
+  Object.entries(found.parts).forEach(([k, v]) => { breakdown[k] = Math.round(v * 100) / 100; });
+
+  return {
+    rank,
+    cost: Math.round(found.cost * 100) / 100,
+    steps,
+    summary,
+    breakdown,
+    reasons: explain(steps, summary)
+  };
+}
+
+function explain(steps, summary) {
+  const reasons = [];
+
+  if (!summary.shifts) {
+    reasons.push(summary.positions.length
+      ? `No shifts — the whole passage sits in ${positionName(summary.positions[0])} position`
+      : 'No shifts — open strings only');
+  } else {
+    steps.filter((s) => s.shiftFrom != null).forEach((s) => {
+      const prev = steps[s.index - 1];
+      const onOpen = s.open || prev?.open;
+      reasons.push(
+        `Shift ${positionName(s.shiftFrom)} → ${positionName(s.position)} into note ${s.index + 1} (${s.note})` +
+        (onOpen ? ', hidden behind an open string' : '')
+      );
+    });
+  }
+
+  if (summary.strings.length === 1) reasons.push(`Stays on the ${summary.strings[0]} string (one tone colour)`);
+  else reasons.push(`${summary.crossings} string crossing${summary.crossings === 1 ? '' : 's'} across ${summary.strings.join('–')}`);
+
+  if (summary.openStrings) reasons.push(`${summary.openStrings} open string${summary.openStrings === 1 ? '' : 's'}`);
+  if (summary.extensions) reasons.push(`${summary.extensions} extension${summary.extensions === 1 ? '' : 's'}`);
+  if (summary.fourthFingers) reasons.push(`4th finger ×${summary.fourthFingers}`);
+
+  return reasons;
+}
+
+export default {
+  parsePassage,
+  candidatesForMidi,
+  optimizeFingering,
+  DEFAULT_STRINGS,
+  DEFAULT_POSITION_OFFSETS,
+  FINGER_REACH,
+  profileFingeringOptions,
+  positionName,
+  FINGERING_COSTS
+};
@@ -0,0 +1,509 @@
+// js/engines/flashcardDecks.js
+// ======================================
+// VMQ FLASHCARD DECKS v1.0.0 - Teacher-authored flashcard decks
+// Decks of front/back cards with tags, an optional staff note or interval and
+// an optional audio prompt, stored in STORAGE_KEYS.FLASHCARD_DECKS. Every card
+// is scheduled by spacedRepetition.js as an ITEM_TYPES.FLASHCARD item.
+//
+// ✅ Deck + card normalization (ids, trimmed text, tags, pitch, clef, audio)
+// ✅ SM-2 sync: new cards seeded, edits merged without touching scheduling,
+//    deleted cards reset; id deck_<deckId>_<cardId>
+// ✅ Disabled decks: their items are marked suspended (never due)
+// ✅ Study queue across enabled decks: lapsed and due cards first, then new
+// ✅ Per-deck stats from the SM-2 items (new, due, mature, lapsed, ease)
+// ✅ Interval spelling by letter (A4 + m3 up = C5, not B#4)
+// ✅ CSV / TSV import and export (utils/deckText.js), Anki-compatible; review
+//    state (due, interval, ease) carried over or reset on import
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { INTERVALS } from '../config/constants.js';
+import { parsePitch } from '../utils/notation.js';
+import { parseDeckText, rowsToCards, toDeckText, deckTextFilename, deckTextMime } from '../utils/deckText.js';
+import spacedRepetition, { updateItem, addBulkItems, resetItem, importDeck, ITEM_TYPES, SM2_PARAMS } from './spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Letter steps per INTERVALS id (the tritone is spelled as an augmented 4th)
+const INTERVAL_STEPS = {
+  unison: 0, m2: 1, M2: 1, m3: 2, M3: 2, P4: 3, tritone: 3, P5: 4, m6: 5, M6: 5, m7: 6, M7: 6, P8: 7
+};
+
+export const DECK_LIMITS = Object.freeze({
+  maxDecks: 50,
+  maxCards: 500,    // per deck
+  maxText: 500,     // characters per side
+  maxTags: 12
+});
+
+export const CARD_CLEFS = Object.freeze(['treble', 'alto', 'tenor', 'bass']);
+
+// Audio prompt played with the front of the card
+export const CARD_AUDIO = Object.freeze({
+  none: 'No sound',
+  melodic: 'Play the note(s) one after another',
+  harmonic: 'Play an interval as a double stop'
+});
+
+// Ratings offered while studying → SM-2 quality (below 3 is a lapse)
+export const DECK_RATINGS = Object.freeze([
+  { id: 'again', label: 'Again', quality: 1 },
+  { id: 'hard', label: 'Hard', quality: 3 },
+  { id: 'good', label: 'Good', quality: 4 },
+  { id: 'easy', label: 'Easy', quality: 5 }
+]);
+
+function newId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function cleanText(v, max = DECK_LIMITS.maxText) {
+  return String(v ?? '').replace(/\r\n?/g, '\n').trim().slice(0, max);
+}
+
+/** 'Scales, 3rd position , scales' → ['scales', '3rd position'] */
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  const seen = new Set();
+  return list
+    .map((t) => String(t ?? '').trim().toLowerCase().slice(0, 40))
+    .filter((t) => t && !seen.has(t) && seen.add(t))
+    .slice(0, DECK_LIMITS.maxTags);
+}
+
+// ======================================
+// PITCH
+// ======================================
+
+/**
+ * Note an interval away from `note`, spelled by letter.
+ * @returns {string|null} 'C5' for ('A4', 'm3', 'up'); null for unknown input
+ */
+export function intervalNote(note, intervalId, direction = 'up') {
+  const base = parsePitch(note);
+  const iv = INTERVALS.find((i) => i.id === intervalId);
+  const steps = INTERVAL_STEPS[intervalId];
+  if (!base || !iv || steps == null) return null;
+
+  const sign = direction === 'down' ? -1 : 1;
+  const targetMidi = base.midi + sign * iv.semitones;
+  const step = base.step + sign * steps;
+  const letter = LETTERS[((step % 7) + 7) % 7];
+  const octave = Math.floor(step / 7);
+  const alter = targetMidi - ((octave + 1) * 12 + LETTER_PC[letter]);
+  if (Math.abs(alter) > 2) return null;
+  return `${letter}${alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter)}${octave}`;
+}
+
+/** The card's written notes: [] | [note] | [note, intervalNote] with midi. */
+export function cardNotes(card) {
+  const music = card?.music;
+  const base = parsePitch(music?.note);
+  if (!base) return [];
+  const out = [{ note: music.note, midi: base.midi }];
+  if (music.interval) {
+    const other = intervalNote(music.note, music.interval, music.direction);
+    const p = parsePitch(other);
+    if (p) out.push({ note: other, midi: p.midi });
+  }
+  return out;
+}
+
+// ======================================
+// NORMALIZATION
+// ======================================
+
+function normalizeMusic(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const note = String(raw.note ?? '').trim().replace(/♯/g, '#').replace(/♭/g, 'b');
+  const p = parsePitch(note);
+  if (!p) return null;
+  const interval = raw.interval && INTERVAL_STEPS[raw.interval] != null ? raw.interval : null;
+  return {
+    note: `${p.letter}${note.slice(1).replace(/-?\d+$/, '')}${p.octave}`,
+    interval,
+    direction: raw.direction === 'down' ? 'down' : 'up',
+    clef: CARD_CLEFS.includes(raw.clef) ? raw.clef : 'treble'
+  };
+}
+
+/** A card with every field present; unknown fields dropped. */
+export function normalizeCard(raw = {}) {
+  const music = normalizeMusic(raw.music);
+  const audio = music && CARD_AUDIO[raw.audio] ? raw.audio : 'none';
+  return {
+    id: String(raw.id || newId('c')),
+    front: cleanText(raw.front),
+    back: cleanText(raw.back),
+    tags: parseTags(raw.tags),
+    music,
+    staff: !!music && raw.staff !== false,
+    audio: audio === 'harmonic' && !music?.interval ? 'melodic' : audio,
+    createdAt: Number(raw.createdAt) || Date.now(),
+    updatedAt: Number(raw.updatedAt) || Date.now()
+  };
+}
+
+/** True when the card has something to ask (text, staff or sound) and an answer. */
+export function isCardComplete(card) {
+  const hasPrompt = !!card?.front || (!!card?.music && (card.staff || card.audio !== 'none'));
+  return hasPrompt && !!card?.back;
+}
+
+export function normalizeDeck(raw = {}) {
+  const cards = (Array.isArray(raw.cards) ? raw.cards : [])
+    .map(normalizeCard)
+    .filter(isCardComplete)
+    .slice(0, DECK_LIMITS.maxCards);
+  return {
+    id: String(raw.id || newId('dk')),
+    name: cleanText(raw.name, 80) || 'Untitled deck',
+    description: cleanText(raw.description, 300),
+    enabled: raw.enabled !== false,
+    cards,
+    createdAt: Number(raw.createdAt) || Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+// ======================================
+// STORAGE
+// ======================================
+
+export function getDecks() {
+  const raw = loadJSON(STORAGE_KEYS.FLASHCARD_DECKS, {});
+  return Array.isArray(raw?.decks) ? raw.decks : [];
+}
+
+export function getDeck(id) {
+  return getDecks().find((d) => d.id === id) || null;
+}
+
+function writeDecks(decks) {
+  saveJSON(STORAGE_KEYS.FLASHCARD_DECKS, { decks });
+}
+
+export function cardItemId(deckId, cardId) {
+  return `deck_${deckId}_${cardId}`;
+}
+
+function itemMetadata(deck, card) {
+  return {
+    type: ITEM_TYPES.FLASHCARD,
+    deckId: deck.id,
+    cardId: card.id,
+    prompt: card.front,
+    answer: card.back,
+    tags: card.tags,
+    suspended: !deck.enabled
+  };
+}
+
+/**
+ * Bring the SM-2 items in line with the deck: seed new cards, merge edits and
+ * the suspended flag (scheduling kept), reset items of deleted cards.
+ */
+export async function syncDeck(deck, previous = null) {
+  try {
+    await addBulkItems(deck.cards.map((card) => ({ id: cardItemId(deck.id, card.id), ...itemMetadata(deck, card) })));
+    const keep = new Set(deck.cards.map((c) => c.id));
+    const gone = (previous?.cards || []).filter((c) => !keep.has(c.id));
+    for (const card of gone) await resetItem(cardItemId(deck.id, card.id));
+    return true;
+  } catch (e) {
+    console.warn('[Decks] SM-2 sync failed:', e);
+    return false;
+  }
+}
+
+/**
+ * Create or replace a deck (normalized) and sync its cards to SM-2.
+ * @returns {Promise<object|null>} the stored deck
+ */
+export async function saveDeck(raw) {
+  const decks = getDecks();
+  const previous = decks.find((d) => d.id === raw?.id) || null;
+  if (!previous && decks.length >= DECK_LIMITS.maxDecks) {
+    throw new Error(`You can keep up to ${DECK_LIMITS.maxDecks} decks.`);
+  }
+  const deck = normalizeDeck({ ...raw, createdAt: previous?.createdAt ?? raw?.createdAt });
+  writeDecks(previous ? decks.map((d) => (d.id === deck.id ? deck : d)) : [deck, ...decks]);
+  await syncDeck(deck, previous);
+  return deck;
+}
+
+export async function setDeckEnabled(id, enabled) {
+  const deck = getDeck(id);
+  if (!deck) return null;
+  return saveDeck({ ...deck, enabled: !!enabled });
+}
+
+export async function removeDeck(id) {
+  const deck = getDeck(id);
+  writeDecks(getDecks().filter((d) => d.id !== id));
+  if (deck) {
+    for (const card of deck.cards) await resetItem(cardItemId(deck.id, card.id));
+  }
+  return getDecks();
+}
+
+// ======================================
+// STATS & STUDY
+// ======================================
+
+async function deckItems() {
+  await spacedRepetition.init();
+  const out = new Map();
+  spacedRepetition.deck.forEach((item, id) => {
+    if (item?.type === ITEM_TYPES.FLASHCARD && item.deckId) out.set(id, item);
+  });
+  return out;
+}
+
+function isNew(item) {
+  return !item || (!item.lastReview && !(Number(item.reps) > 0) && !(Number(item.lapses) > 0));
+}
+
+/**
+ * Per-deck SM-2 summary.
+ * @returns {Promise<Object<string, {total, new, due, learning, mature, lapsed, avgEF, retention, nextDue, lastReview}>>}
+ */
+export async function getDeckStats(decks = getDecks()) {
+  const items = await deckItems();
+  const now = Date.now();
+  const out = {};
+
+  decks.forEach((deck) => {
+    const s = { total: deck.cards.length, new: 0, due: 0, learning: 0, mature: 0, lapsed: 0, avgEF: 0, retention: 0, nextDue: null, lastReview: null };
+    let efSum = 0;
+    let reviewed = 0;
+    let graded = 0;
+    let retained = 0;
+
+    deck.cards.forEach((card) => {
+      const item = items.get(cardItemId(deck.id, card.id));
+      if (isNew(item)) {
+        s.new++;
+        return;
+      }
+      reviewed++;
+      efSum += Number(item.efactor) || 2.5;
+      if ((item.lapses || 0) > 0) s.lapsed++;
+      if ((item.reps || 0) >= 3 && (item.interval || 0) > 21) s.mature++;
+      else s.learning++;
+      if (Number(item.due) <= now) s.due++;
+      else if (s.nextDue == null || item.due < s.nextDue) s.nextDue = item.due;
+      if (item.lastReview && (s.lastReview == null || item.lastReview > s.lastReview)) s.lastReview = item.lastReview;
+      const last = Array.isArray(item.qualityHistory) ? item.qualityHistory[item.qualityHistory.length - 1] : null;
+      if (last != null) graded++;
+      if (last != null && last >= 3) retained++;
+    });
+
+    s.avgEF = reviewed ? Math.round((efSum / reviewed) * 100) / 100 : 0;
+    s.retention = graded ? Math.round((retained / graded) * 100) : 0;
+    out[deck.id] = s;
+  });
+
+  return out;
+}
+
+/**
+ * Cards to study now: lapsed and due cards of the chosen (enabled) decks,
+ * oldest due first, then up to `newLimit` new cards in deck order.
+ * @param {object} options { deckIds (default: every enabled deck), limit, newLimit, tag }
+ * @returns {Promise<Array<{deck, card, item, isNew}>>}
+ */
+export async function getStudyQueue({ deckIds = null, limit = 20, newLimit = 10, tag = '' } = {}) {
+  const items = await deckItems();
+  const now = Date.now();
+  const decks = getDecks().filter((d) => d.enabled && (!deckIds || deckIds.includes(d.id)));
+  const due = [];
+  const fresh = [];
+
+  decks.forEach((deck) => {
+    deck.cards.forEach((card) => {
+      if (tag && !card.tags.includes(tag)) return;
+      const item = items.get(cardItemId(deck.id, card.id)) || null;
+      if (isNew(item)) fresh.push({ deck, card, item, isNew: true });
+      else if (Number(item.due) <= now) due.push({ deck, card, item, isNew: false });
+    });
+  });
+
+  due.sort((a, b) =>
+    ((b.item.lapses > 0) - (a.item.lapses > 0)) || (a.item.due - b.item.due) || ((a.item.efactor || 2.5) - (b.item.efactor || 2.5)));
+
+  return [...due, ...fresh.slice(0, Math.max(0, newLimit))].slice(0, Math.max(1, limit));
+}
+
+/**
+ * Schedule one answer.
+ * @param {object} deck
+ * @param {object} card
+ * @param {number} quality SM-2 quality (see DECK_RATINGS)
+ * @returns {Promise<object>} updateItem() result
+ */
+export async function recordCardReview(deck, card, quality, responseMs = 0) {
+  try {
+    return await updateItem(cardItemId(deck.id, card.id), quality, responseMs, itemMetadata(deck, card));
+  } catch (e) {
+    console.warn('[Decks] SM-2 update failed:', e);
+    return { success: false };
+  }
+}
+
+// ======================================
+// CSV / TSV INTERCHANGE
+// ======================================
+
+function musicLabel(card) {
+  return cardNotes(card).map((n) => n.note).join(' – ');
+}
+
+/**
+ * SM-2 item for an imported card that already has a review history.
+ * Reps are inferred from the interval (1 → 1 rep, 6+ → 2, 16+ → 3) so the
+ * next good answer continues the SM-2 progression instead of restarting it.
+ */
+function importedItem(deck, card, schedule, now) {
+  const interval = Math.min(
+    Math.max(1, Math.round(schedule.interval ?? (schedule.due ? (schedule.due - now) / DAY_MS : 1))),
+    SM2_PARAMS.MAX_INTERVAL
+  );
+  const due = schedule.due ?? now + interval * DAY_MS;
+  const efactor = Math.min(Math.max(schedule.ease ?? SM2_PARAMS.INIT_EFACTOR, SM2_PARAMS.MIN_EF), SM2_PARAMS.MAX_EF);
+  const [, second, third] = SM2_PARAMS.INTERVALS;
+  return {
+    id: cardItemId(deck.id, card.id),
+    reps: interval >= third ? 3 : interval >= second ? 2 : 1,
+    interval,
+    efactor,
+    due,
+    lapses: 0,
+    firstReview: now,
+    createdAt: now,
+    lastReview: Math.min(now, due - interval * DAY_MS),
+    qualityHistory: [],
+    ...itemMetadata(deck, card)
+  };
+}
+
+/**
+ * Create a deck from CSV / TSV / Anki plain-text notes.
+ * @param {string} text
+ * @param {object} options
+ *   name, delimiter ('auto'), header ('auto'), mapping (one field per column,
+ *   default: guessed), schedule: 'carry' (keep due / interval / ease) | 'reset'
+ * @returns {Promise<{deck, imported, skipped, scheduled, warnings}>}
+ */
+export async function importDeckText(text, { name = '', delimiter = 'auto', header = 'auto', mapping = null, schedule = 'carry' } = {}) {
+  const parsed = parseDeckText(text, { delimiter, header });
+  const { cards, skipped } = rowsToCards(parsed, mapping || parsed.mapping);
+  const warnings = [...parsed.warnings];
+
+  let rows = cards
+    .map((raw) => {
+      const card = normalizeCard(raw);
+      // Our own exports write the notes as the front of staff-only cards
+      if (card.music && card.front === musicLabel(card)) card.front = '';
+      return { card, schedule: raw.schedule };
+    })
+    .filter(({ card }) => isCardComplete(card));
+  if (!rows.length) {
+    throw new Error('No cards found. Map one column to Front (or VMQ note) and one to Back.');
+  }
+  if (rows.length > DECK_LIMITS.maxCards) {
+    warnings.push(`Only the first ${DECK_LIMITS.maxCards} of ${rows.length} cards were imported (deck limit).`);
+    rows = rows.slice(0, DECK_LIMITS.maxCards);
+  }
+
+  const deck = normalizeDeck({
+    name: name || parsed.deckName || 'Imported deck',
+    cards: rows.map((r) => r.card)
+  });
+
+  // Scheduled items go in before saveDeck() seeds the rest: the seed only
+  // merges metadata into items that already exist.
+  let scheduled = 0;
+  if (schedule === 'carry') {
+    const now = Date.now();
+    const items = {};
+    rows.forEach(({ card, schedule: s }) => {
+      if (!s) return;
+      const item = importedItem(deck, card, s, now);
+      items[item.id] = item;
+      scheduled++;
+    });
+    if (scheduled) await importDeck(items);
+  }
+
+  const saved = await saveDeck(deck);
+  return { deck: saved, imported: saved.cards.length, skipped: skipped + (cards.length - rows.length), scheduled, warnings };
+}
+
+/**
+ * Deck as Anki-importable text.
+ * @param {object|string} deckOrId
+ * @param {object} options { delimiter: 'tab'|'comma', schedule (include due / interval / ease), anki (header lines + HTML) }
+ * @returns {Promise<{text, filename, mime, count}|null>}
+ */
+export async function exportDeckText(deckOrId, { delimiter = 'tab', schedule = true, anki = true } = {}) {
+  const deck = typeof deckOrId === 'string' ? getDeck(deckOrId) : deckOrId;
+  if (!deck) return null;
+  const items = schedule ? await deckItems() : new Map();
+
+  const cards = deck.cards.map((card) => {
+    const item = items.get(cardItemId(deck.id, card.id));
+    return {
+      ...card,
+      // Anki skips notes whose first field is empty
+      front: card.front || musicLabel(card),
+      schedule: item && !isNew(item) ? { due: item.due, interval: item.interval, ease: item.efactor } : null
+    };
+  });
+  const columns = ['front', 'back', 'tags'];
+  if (deck.cards.some((c) => c.music)) columns.push('music');
+  if (schedule) columns.push('due', 'interval', 'ease');
+
+  return {
+    text: toDeckText(cards, { delimiter, columns, anki, deckName: deck.name }),
+    filename: deckTextFilename(deck.name, delimiter),
+    mime: deckTextMime(delimiter),
+    count: cards.length
+  };
+}
+
+/** '3d', '5h', 'now' until an item is next due. */
+export function formatDue(due, now = Date.now()) {
+  const ms = Number(due) - now;
+  if (!Number.isFinite(ms) || ms <= 0) return 'now';
+  if (ms < DAY_MS) return `${Math.max(1, Math.round(ms / 3600000))}h`;
+  return `${Math.round(ms / DAY_MS)}d`;
+}
+
+export default {
+  DECK_LIMITS,
+  CARD_CLEFS,
+  CARD_AUDIO,
+  DECK_RATINGS,
+  parseTags,
+  intervalNote,
+  cardNotes,
+  normalizeCard,
+  normalizeDeck,
+  isCardComplete,
+  getDecks,
+  getDeck,
+  cardItemId,
+  syncDeck,
+  saveDeck,
+  setDeckEnabled,
+  removeDeck,
+  getDeckStats,
+  getStudyQueue,
+  recordCardReview,
+  importDeckText,
+  exportDeckText,
+  formatDue
+};
@@ -0,0 +1,303 @@
+// js/engines/fsrs.js
+// ======================================
+// VMQ FSRS v1.0.0 - Free Spaced Repetition Scheduler (FSRS-4.5 model)
+// Memory model used by spacedRepetition.js when FSRS is the chosen scheduler:
+// every item keeps a stability (days until recall drops to 90%) and a
+// difficulty (1-10); the next interval is the day recall is predicted to hit
+// the desired retention. Pure math, no storage: the engine passes parameters in.
+//
+// ✅ FSRS-4.5 forgetting curve, stability and difficulty updates (17 weights)
+// ✅ SM-2 quality 0-5 → FSRS grade 1-4 (Again / Hard / Good / Easy)
+// ✅ State seeded from SM-2 items (interval + ease) so switching keeps decks
+// ✅ Local parameter fitting: replays review history and minimizes log loss
+//    by coordinate descent, regularized toward the defaults for small logs
+// ✅ Scheduler object for spacedRepetition.js's scheduler interface
+// ======================================
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;           // R(S, S) = 0.9
+const SAME_DAY = 0.5;             // reviews closer than this (days) don't score the model
+
+export const FSRS_DEFAULT_PARAMS = Object.freeze([
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+]);
+
+// Clamp range per weight while fitting
+export const FSRS_PARAM_BOUNDS = Object.freeze([
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.8], [0, 6], [0.1, 0.8], [0.01, 5],
+  [0.2, 6], [0.01, 0.4], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6]
+]);
+
+export const FSRS_RETENTION = Object.freeze({ min: 0.7, max: 0.97, default: 0.9 });
+
+export const FSRS_FIT = Object.freeze({
+  minReviews: 100,   // scored reviews (not same-day, not an item's first) needed to fit
+  passes: 5
+});
+
+export const FSRS_GRADES = Object.freeze({ AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 });
+
+const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
+
+/** SM-2 quality (0-5) → FSRS grade: below 3 Again, 3 Hard, 4 Good, 5 Easy. */
+export function qualityToGrade(q) {
+  const n = Math.round(Number(q));
+  if (!Number.isFinite(n) || n < 3) return FSRS_GRADES.AGAIN;
+  if (n === 3) return FSRS_GRADES.HARD;
+  if (n === 4) return FSRS_GRADES.GOOD;
+  return FSRS_GRADES.EASY;
+}
+
+export function validParams(params) {
+  return Array.isArray(params) && params.length === FSRS_DEFAULT_PARAMS.length && params.every(Number.isFinite)
+    ? params
+    : FSRS_DEFAULT_PARAMS;
+}
+
+// ======================================
+// MODEL
+// ======================================
+
+/** Probability of recall after `elapsedDays` for a memory of stability `stability`. */
+export function retrievability(elapsedDays, stability) {
+  const t = Math.max(0, Number(elapsedDays) || 0);
+  const s = Math.max(0.01, Number(stability) || 0.01);
+  return Math.pow(1 + FACTOR * (t / s), DECAY);
+}
+
+/** Days until recall falls to `retention` (fractional; the engine rounds). */
+export function intervalFor(stability, retention = FSRS_RETENTION.default) {
+  const r = clamp(Number(retention) || FSRS_RETENTION.default, FSRS_RETENTION.min, FSRS_RETENTION.max);
+  return (Math.max(0.01, stability) / FACTOR) * (Math.pow(r, 1 / DECAY) - 1);
+}
+
+function initDifficulty(grade, w) {
+  return clamp(w[4] - (grade - 3) * w[5], 1, 10);
+}
+
+/** State after an item's first review. */
+export function initState(grade, params = FSRS_DEFAULT_PARAMS) {
+  const w = validParams(params);
+  return { stability: Math.max(0.1, w[grade - 1]), difficulty: initDifficulty(grade, w) };
+}
+
+/** State after a review `elapsedDays` after the previous one. */
+export function nextState(state, grade, elapsedDays, params = FSRS_DEFAULT_PARAMS) {
+  const w = validParams(params);
+  const { stability: s, difficulty: d } = state;
+  const r = retrievability(elapsedDays, s);
+
+  // Difficulty moves with the grade, then reverts a little toward Good's start value
+  const dNext = d - w[6] * (grade - 3);
+  const difficulty = clamp(w[7] * initDifficulty(FSRS_GRADES.GOOD, w) + (1 - w[7]) * dNext, 1, 10);
+
+  let stability;
+  if (grade === FSRS_GRADES.AGAIN) {
+    stability = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+    stability = Math.min(stability, s);
+  } else {
+    const hard = grade === FSRS_GRADES.HARD ? w[15] : 1;
+    const easy = grade === FSRS_GRADES.EASY ? w[16] : 1;
+    stability = s * (Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hard * easy + 1);
+  }
+
+  return { stability: clamp(stability, 0.1, 36500), difficulty };
+}
+
+/**
+ * FSRS state for an SM-2 item: stability = its interval (SM-2 intervals sit
+ * near 90% recall), difficulty solved from the ease so a Good answer grows
+ * the interval by about the same factor SM-2 would have used.
+ */
+export function stateFromSM2(interval, efactor, params = FSRS_DEFAULT_PARAMS) {
+  const w = validParams(params);
+  const stability = Math.max(0.1, Number(interval) || 1);
+  const ease = Number(efactor) || 2.5;
+  const growth = Math.exp(w[8]) * Math.pow(stability, -w[9]) * (Math.exp(w[10] * (1 - FSRS_RETENTION.default)) - 1);
+  const difficulty = growth > 0 ? clamp(11 - (ease - 1) / growth, 1, 10) : initDifficulty(FSRS_GRADES.GOOD, w);
+  return { stability, difficulty };
+}
+
+// ======================================
+// SCHEDULER (spacedRepetition.js interface)
+// ======================================
+
+function freshState(item, lastReview) {
+  const f = item?.fsrs;
+  return f && Number.isFinite(f.stability) && Number(f.updatedAt || 0) >= Number(lastReview || 0) ? f : null;
+}
+
+/**
+ * ctx: { now, lastReview, elapsedDays, previous: {reps, interval, efactor}, params, retention, maxInterval }
+ */
+export const fsrsScheduler = Object.freeze({
+  id: 'fsrs',
+  label: 'FSRS (adaptive)',
+
+  schedule(item, quality, ctx) {
+    const w = validParams(ctx.params);
+    const grade = qualityToGrade(quality);
+    const reviewed = !!ctx.lastReview;
+    const before = freshState(item, ctx.lastReview) ||
+      (reviewed ? stateFromSM2(ctx.previous?.interval, ctx.previous?.efactor, w) : null);
+
+    const state = before ? nextState(before, grade, ctx.elapsedDays, w) : initState(grade, w);
+    const interval = clamp(Math.round(intervalFor(state.stability, ctx.retention)), 1, ctx.maxInterval || 36500);
+
+    return {
+      interval,
+      retrievability: before ? retrievability(ctx.elapsedDays, before.stability) : null,
+      fields: {
+        fsrs: {
+          stability: Math.round(state.stability * 1000) / 1000,
+          difficulty: Math.round(state.difficulty * 1000) / 1000,
+          updatedAt: ctx.now
+        }
+      }
+    };
+  },
+
+  /** Seed FSRS state for an item last reviewed under SM-2 (null when not needed). */
+  migrate(item, ctx) {
+    if (!item?.lastReview || freshState(item, item.lastReview)) return null;
+    const state = stateFromSM2(item.interval, item.efactor, ctx.params);
+    return {
+      fsrs: {
+        stability: Math.round(state.stability * 1000) / 1000,
+        difficulty: Math.round(state.difficulty * 1000) / 1000,
+        updatedAt: ctx.now,
+        seededFrom: 'sm2'
+      }
+    };
+  }
+});
+
+// ======================================
+// PARAMETER FITTING
+// ======================================
+
+/**
+ * Review history → per-item review sequences in time order.
+ * Entries: { ts, id, q, dt (days since the previous review, null for the first), pivl, pef }
+ */
+function sequencesFromLog(log) {
+  const byItem = new Map();
+  (Array.isArray(log) ? log : []).forEach((e) => {
+    if (!e || !e.id || !Number.isFinite(Number(e.ts))) return;
+    if (!byItem.has(e.id)) byItem.set(e.id, []);
+    byItem.get(e.id).push(e);
+  });
+  const out = [];
+  byItem.forEach((list) => out.push(list.sort((a, b) => a.ts - b.ts)));
+  return out;
+}
+
+function replay(sequences, w) {
+  let loss = 0;
+  let n = 0;
+  sequences.forEach((seq) => {
+    let state = null;
+    seq.forEach((e) => {
+      const grade = qualityToGrade(e.q);
+      const dt = e.dt == null ? null : Math.max(0, Number(e.dt));
+      // History from before the log started: start from the SM-2 state it recorded
+      if (!state && dt != null) state = stateFromSM2(e.pivl, e.pef, w);
+      if (state && dt != null && dt >= SAME_DAY) {
+        const p = clamp(retrievability(dt, state.stability), 1e-4, 1 - 1e-4);
+        loss -= grade > FSRS_GRADES.AGAIN ? Math.log(p) : Math.log(1 - p);
+        n++;
+      }
+      state = state ? nextState(state, grade, dt ?? 0, w) : initState(grade, w);
+    });
+  });
+  return { loss, n };
+}
+
+function penalty(w, n) {
+  // Pull toward the defaults; fades as the log grows
+  let sum = 0;
+  w.forEach((v, i) => {
+    const [lo, hi] = FSRS_PARAM_BOUNDS[i];
+    sum += ((v - FSRS_DEFAULT_PARAMS[i]) / (hi - lo)) ** 2;
+  });
+  return (sum * 20) / Math.max(1, n);
+}
+
+function ordered(w) {
+  return w[0] <= w[1] && w[1] <= w[2] && w[2] <= w[3];
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Fit FSRS weights to review history.
+ * @param {Array} log review entries (see sequencesFromLog)
+ * @param {object} options { initial: starting weights, passes }
+ * @returns {Promise<{ok, reason?, params, reviews, loss, defaultLoss}>}
+ *   loss values are mean log loss per scored review (lower is better)
+ */
+export async function fitFSRSParameters(log, { initial = FSRS_DEFAULT_PARAMS, passes = FSRS_FIT.passes } = {}) {
+  const sequences = sequencesFromLog(log);
+  const base = replay(sequences, FSRS_DEFAULT_PARAMS);
+  if (base.n < FSRS_FIT.minReviews) {
+    return { ok: false, reason: 'not_enough_reviews', reviews: base.n, needed: FSRS_FIT.minReviews, params: validParams(initial).slice() };
+  }
+
+  const objective = (w) => {
+    const { loss, n } = replay(sequences, w);
+    return loss / n + penalty(w, n);
+  };
+
+  let w = validParams(initial).slice();
+  let best = objective(w);
+  let scale = 0.3;
+
+  for (let pass = 0; pass < passes; pass++) {
+    for (let i = 0; i < w.length; i++) {
+      const [lo, hi] = FSRS_PARAM_BOUNDS[i];
+      const step = scale * Math.max(Math.abs(w[i]), 0.05 * (hi - lo));
+      for (const dir of [1, -1]) {
+        // Keep walking while it helps
+        for (let k = 0; k < 4; k++) {
+          const cand = w.slice();
+          cand[i] = clamp(w[i] + dir * step, lo, hi);
+          if (cand[i] === w[i] || !ordered(cand)) break;
+          const value = objective(cand);
+          if (value >= best) break;
+          w = cand;
+          best = value;
+        }
+      }
+    }
+    scale /= 2;
+    await nextTick();   // keep the UI responsive between passes
+  }
+
+  const fitted = replay(sequences, w);
+  return {
+    ok: true,
+    params: w.map((v) => Math.round(v * 10000) / 10000),
+    reviews: fitted.n,
+    loss: fitted.loss / fitted.n,
+    defaultLoss: base.loss / base.n
+  };
+}
+
+export default {
+  FSRS_DEFAULT_PARAMS,
+  FSRS_PARAM_BOUNDS,
+  FSRS_RETENTION,
+  FSRS_FIT,
+  FSRS_GRADES,
+  qualityToGrade,
+  validParams,
+  retrievability,
+  intervalFor,
+  initState,
+  nextState,
+  stateFromSM2,
+  fsrsScheduler,
+  fitFSRSParameters
+};
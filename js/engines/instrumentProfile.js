@@ -0,0 +1,244 @@
+// js/engines/instrumentProfile.js
+// ======================================
+// VMQ INSTRUMENT PROFILE v1.0.0 - Violin, viola, cello or double bass
+// The active INSTRUMENT_PROFILES entry (constants.js) that Fingerboard,
+// Flashcards, the Tuner/key drones and the fingering helpers read.
+//
+// ✅ Selection remembered across sessions (STORAGE_KEYS.INSTRUMENT)
+// ✅ Live value mirrored into constants.getInstrumentProfile() so helpers see it
+// ✅ subscribe() + 'vmq-instrument-changed' window event on change
+// ✅ Pure helpers: position note ranges, clef choice, written ↔ sounding pitch
+// ✅ Scordatura: preset or custom string tunings for this session (sessionStorage);
+//    stops on a retuned string sound one pitch and are written as another
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import {
+  INSTRUMENT_PROFILES,
+  DEFAULT_INSTRUMENT,
+  CLEFS,
+  SCORDATURA_PRESETS,
+  getInstrumentProfile,
+  setInstrumentProfile,
+  setInstrumentTuning
+} from '../config/constants.js';
+import { MUSIC } from '../utils/helpers.js';
+
+const LETTER_STEPS = { C: 0, D: 1, E: 2, F: 3, G: 4, A: 5, B: 6 };
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Scordatura lasts for the browser session, not across visits
+const SCORDATURA_SESSION_KEY = 'vmq-scordatura';
+
+// ======================================
+// PURE HELPERS
+// ======================================
+
+/**
+ * 'C4' -> diatonic step number (C0 = 0). Accidentals don't move a note on the staff.
+ */
+export function staffStep(note) {
+  const m = String(note || '').match(/^([A-Ga-g])[#b♯♭x𝄪𝄫]*(-?\d+)$/u);
+  if (!m) return null;
+  return Number(m[2]) * 7 + LETTER_STEPS[m[1].toUpperCase()];
+}
+
+/**
+ * Staff steps above (+) or below (−) the clef's middle line.
+ */
+export function stepsFromMiddle(note, clefId = 'treble') {
+  const clef = CLEFS[clefId] || CLEFS.treble;
+  const s = staffStep(note);
+  return s == null ? null : s - staffStep(clef.middleLine);
+}
+
+/**
+ * The profile clef that needs the fewest ledger lines for a note; the home
+ * clef wins ties so a cello stays in bass clef as long as it comfortably can.
+ */
+export function clefForNote(note, profile = getInstrumentProfile()) {
+  const clefs = profile?.clefs?.length ? profile.clefs : ['treble'];
+  let best = clefs[0];
+  let bestLedger = Infinity;
+  clefs.forEach((id) => {
+    const steps = stepsFromMiddle(note, id);
+    if (steps == null) return;
+    const ledger = Math.max(0, Math.ceil((Math.abs(steps) - 4) / 2));
+    if (ledger < bestLedger) { best = id; bestLedger = ledger; }
+  });
+  return best;
+}
+
+/** Written pitch for a sounding MIDI note (double bass reads an octave up). */
+export function writtenMidi(midi, profile = getInstrumentProfile()) {
+  return Number(midi) + (Number(profile?.writtenOffset) || 0);
+}
+
+/** Sounding pitch for a written MIDI note. */
+export function soundingMidi(midi, profile = getInstrumentProfile()) {
+  return Number(midi) - (Number(profile?.writtenOffset) || 0);
+}
+
+/**
+ * Sounding MIDI range a position covers across all strings:
+ * lowest string at the 1st finger (open strings in 1st position and below)
+ * up to the highest string's 4th finger.
+ * @returns {{ low, high }}
+ */
+export function positionRange(position, profile = getInstrumentProfile()) {
+  const strings = profile.strings;
+  const offset = Number(profile.positionOffsets?.[position]);
+  const base = Number.isFinite(offset) ? offset : 2;
+  const frame = Object.values(profile.fingerFrames || {})[0] || {};
+  const top = Number.isFinite(Number(frame['4'])) ? Number(frame['4']) : 5;
+  return {
+    low: strings[0].openMidi + (position <= 1 ? 0 : base),
+    high: strings[strings.length - 1].openMidi + base + top
+  };
+}
+
+/**
+ * Natural note names ('C4', 'D4', …) between two MIDI notes inclusive.
+ */
+export function naturalNotesBetween(lowMidi, highMidi) {
+  const out = [];
+  for (let m = Math.round(lowMidi); m <= Math.round(highMidi); m++) {
+    const pc = ((m % 12) + 12) % 12;
+    const letter = Object.keys(LETTER_PC).find((k) => LETTER_PC[k] === pc);
+    if (letter) out.push(`${letter}${Math.floor(m / 12) - 1}`);
+  }
+  return out;
+}
+
+// ======================================
+// SCORDATURA HELPERS
+// ======================================
+
+/** True when any string of the profile is away from standard tuning. */
+export function isRetuned(profile = getInstrumentProfile()) {
+  return !!profile?.scordatura;
+}
+
+/**
+ * Written pitch of a stop on a (possibly retuned) string: scordatura is notated
+ * as if the string were in standard tuning. Same as the sounding pitch on
+ * untouched strings. (The double bass's octave transposition is writtenMidi()'s job.)
+ */
+export function scordaturaWrittenMidi(stringIdx, midi, profile = getInstrumentProfile()) {
+  const s = profile?.strings?.[stringIdx];
+  if (!s || !Number.isFinite(Number(s.standardMidi))) return Number(midi);
+  return Number(midi) - s.openMidi + s.standardMidi;
+}
+
+/** 'G3 G4 D4 D5' for the profile's current open strings. */
+export function tuningLabel(profile = getInstrumentProfile()) {
+  return (profile?.strings || []).map((s) => MUSIC.midiToNote(s.openMidi)).join(' ');
+}
+
+/** Built-in scordatura presets for an instrument. */
+export function scordaturaPresets(instrumentId = getInstrumentProfile().id) {
+  return SCORDATURA_PRESETS.filter((p) => p.instrument === instrumentId);
+}
+
+function loadSessionTuning() {
+  try {
+    const raw = sessionStorage.getItem(SCORDATURA_SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch { return null; }
+}
+
+function saveSessionTuning(value) {
+  try {
+    if (value) sessionStorage.setItem(SCORDATURA_SESSION_KEY, JSON.stringify(value));
+    else sessionStorage.removeItem(SCORDATURA_SESSION_KEY);
+  } catch {}
+}
+
+// ======================================
+// ACTIVE PROFILE
+// ======================================
+
+class InstrumentProfileStore {
+  constructor() {
+    this.listeners = new Set();
+    const saved = loadJSON(STORAGE_KEYS.INSTRUMENT, null);
+    const profile = setInstrumentProfile(INSTRUMENT_PROFILES[saved?.id] ? saved.id : DEFAULT_INSTRUMENT);
+
+    const tuning = loadSessionTuning();
+    if (tuning?.instrument === profile.id) setInstrumentTuning(tuning);
+  }
+
+  _notify(next) {
+    this.listeners.forEach((fn) => {
+      try { fn(next); } catch (e) { console.warn('[Instrument] listener failed:', e); }
+    });
+    try {
+      window.dispatchEvent(new CustomEvent('vmq-instrument-changed', {
+        detail: { instrument: next.id, scordatura: next.scordatura || null }
+      }));
+    } catch {}
+  }
+
+  get() {
+    return getInstrumentProfile();
+  }
+
+  list() {
+    return Object.values(INSTRUMENT_PROFILES);
+  }
+
+  /**
+   * @param {string} id 'violin' | 'viola' | 'cello' | 'bass'
+   * @returns {object} the active profile (unchanged for unknown ids)
+   */
+  set(id) {
+    const prev = getInstrumentProfile();
+    const next = setInstrumentProfile(id);
+    if (next.id === prev.id) return next;
+
+    saveJSON(STORAGE_KEYS.INSTRUMENT, { id: next.id });
+    saveSessionTuning(null);
+    this._notify(next);
+    return next;
+  }
+
+  /**
+   * Retune the strings for this session.
+   * @param {string|object|null} tuning preset id, { name, openMidi: [low → high] }, or null for standard
+   * @returns {object} the active profile (unchanged if the tuning was rejected)
+   */
+  setTuning(tuning) {
+    const prev = getInstrumentProfile();
+    const preset = typeof tuning === 'string'
+      ? SCORDATURA_PRESETS.find((p) => p.id === tuning && p.instrument === prev.id)
+      : null;
+    if (typeof tuning === 'string' && !preset) {
+      console.warn('[Instrument] unknown scordatura preset:', tuning);
+      return prev;
+    }
+
+    const next = setInstrumentTuning(preset || tuning);
+    if (next === prev) return next;
+
+    saveSessionTuning(next.scordatura ? { instrument: next.id, ...next.scordatura } : null);
+    this._notify(next);
+    return next;
+  }
+
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const instrumentProfile = new InstrumentProfileStore();
+
+export const getInstrument = instrumentProfile.get.bind(instrumentProfile);
+export const setInstrument = instrumentProfile.set.bind(instrumentProfile);
+export const setTuning = instrumentProfile.setTuning.bind(instrumentProfile);
+
+export default instrumentProfile;
@@ -0,0 +1,442 @@
+// js/engines/metronome.js
+// ======================================
+// VMQ METRONOME v1.0.0 - Lookahead scheduler on the AudioContext clock
+// "A tale of two clocks": a coarse JS timer wakes up every ~25ms and
+// books every click that falls inside the next ~100ms on the audio clock,
+// so ticks stay sample-accurate even when the main thread is busy.
+//
+// ✅ Subdivisions: quarters, eighths, triplets, sixteenths
+// ✅ Accent maps from groupings ("2+2+3" in 7/8, "3+3" in 6/8)
+// ✅ Gap bars: play N bars, mute M bars (internal-pulse training)
+// ✅ Tempo ramps: +/- N bpm every M bars up to a target
+// ✅ Optional auto-stop after N beats/bars (listening drills)
+// ✅ renderClickTrack(): same clicks booked into an offline render (WAV export)
+// ✅ Registers as audioEngine.activeMetronome so stopAll()/stopMetronome() silence it
+// ✅ Fail-soft: listener errors never stop the clock
+// ======================================
+
+import { audioEngine } from './audioEngine.js';
+
+export const METRONOME_LIMITS = Object.freeze({
+  MIN_BPM: 20,
+  MAX_BPM: 300,
+  LOOKAHEAD_MS: 25,         // how often the scheduler wakes up
+  SCHEDULE_AHEAD_SEC: 0.1,  // how far ahead clicks are booked
+  START_DELAY_SEC: 0.05     // small lead-in so the first click isn't clipped
+});
+
+export const SUBDIVISIONS = Object.freeze({
+  quarter: { id: 'quarter', label: 'Quarters', perBeat: 1 },
+  eighth: { id: 'eighth', label: 'Eighths', perBeat: 2 },
+  triplet: { id: 'triplet', label: 'Triplets', perBeat: 3 },
+  sixteenth: { id: 'sixteenth', label: 'Sixteenths', perBeat: 4 }
+});
+
+// Common groupings offered by the metronome screen (beats per bar -> accent strings)
+export const ACCENT_PRESETS = Object.freeze({
+  2: ['2'],
+  3: ['3'],
+  4: ['4', '2+2'],
+  5: ['3+2', '2+3'],
+  6: ['3+3', '2+2+2'],
+  7: ['2+2+3', '3+2+2', '2+3+2'],
+  9: ['3+3+3', '2+2+2+3'],
+  12: ['3+3+3+3']
+});
+
+// Click volumes per accent level
+const LEVEL_VOLUME = { downbeat: 1, accent: 0.8, beat: 0.55, sub: 0.3 };
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function toInt(v, fallback = 0) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function resolveSubdivision(sub) {
+  if (typeof sub === 'number') {
+    const found = Object.values(SUBDIVISIONS).find((s) => s.perBeat === sub);
+    return found || SUBDIVISIONS.quarter;
+  }
+  return SUBDIVISIONS[sub] || SUBDIVISIONS.quarter;
+}
+
+/**
+ * Parse an accent grouping into per-beat levels.
+ * '2+2+3' (or [2,2,3]) over 7 beats -> ['downbeat','beat','accent','beat','accent','beat','beat']
+ * Groups that don't add up to beatsPerBar are ignored (downbeat-only accents).
+ * @returns {string[]} one level per beat
+ */
+export function parseAccentPattern(pattern, beatsPerBar = 4) {
+  const beats = Math.max(1, toInt(beatsPerBar, 4));
+  const levels = new Array(beats).fill('beat');
+  levels[0] = 'downbeat';
+
+  const groups = Array.isArray(pattern)
+    ? pattern.map((g) => toInt(g, 0))
+    : String(pattern || '').split(/[+\s,]+/).filter(Boolean).map((g) => toInt(g, 0));
+
+  if (!groups.length || groups.some((g) => g <= 0)) return levels;
+  if (groups.reduce((a, b) => a + b, 0) !== beats) return levels;
+
+  let pos = 0;
+  groups.forEach((g, i) => {
+    if (i > 0) levels[pos] = 'accent';
+    pos += g;
+  });
+  return levels;
+}
+
+/**
+ * Tempo after `barIndex` completed bars of a ramp.
+ * ramp = { step: +2, everyBars: 4, target: 140 }
+ */
+export function rampTempo(startBpm, barIndex, ramp) {
+  const base = clamp(startBpm, METRONOME_LIMITS.MIN_BPM, METRONOME_LIMITS.MAX_BPM);
+  const step = Number(ramp?.step) || 0;
+  const every = Math.max(1, toInt(ramp?.everyBars, 4));
+  if (!step) return base;
+
+  let bpm = base + Math.floor(Math.max(0, barIndex) / every) * step;
+  const target = Number(ramp?.target);
+  if (Number.isFinite(target) && target > 0) {
+    bpm = step > 0 ? Math.min(bpm, target) : Math.max(bpm, target);
+  }
+  return clamp(bpm, METRONOME_LIMITS.MIN_BPM, METRONOME_LIMITS.MAX_BPM);
+}
+
+/**
+ * True if bar `barIndex` is a muted gap bar. gap = { play: 2, mute: 1 }
+ */
+export function isGapBar(barIndex, gap) {
+  const play = Math.max(0, toInt(gap?.play, 0));
+  const mute = Math.max(0, toInt(gap?.mute, 0));
+  if (!play || !mute) return false;
+  return (Math.max(0, barIndex) % (play + mute)) >= play;
+}
+
+/**
+ * MetronomeScheduler
+ * Tick event shape (delivered to listeners close to when the click sounds):
+ * { bar, beat, sub, level, silent, bpm, time, index }
+ *   bar/beat/sub are 0-based, level in 'downbeat'|'accent'|'beat'|'sub',
+ *   time is the AudioContext time the click was booked for.
+ */
+class MetronomeScheduler {
+  constructor() {
+    this.listeners = new Set();
+    this.running = false;
+    this.timerId = null;
+    this.visualTimers = new Set();
+    this.config = null;
+
+    this.nextTime = 0;
+    this.bar = 0;
+    this.beat = 0;
+    this.sub = 0;
+    this.beatCount = 0;
+    this.bpm = 100;
+    this.index = 0;
+    this.onComplete = null;
+    this.controller = null;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  getBPM() {
+    return this.bpm;
+  }
+
+  getConfig() {
+    return this.config ? { ...this.config, bpm: this.bpm } : null;
+  }
+
+  /**
+   * Register a tick listener; returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start (or restart) the click.
+   * @param {object} options
+   *   bpm, beatsPerBar, subdivision ('quarter'|'eighth'|'triplet'|'sixteenth' or 1..4),
+   *   accents ('2+2+3' | [2,2,3]), gap { play, mute }, ramp { step, everyBars, target },
+   *   volume (0..1), tonality ('neutral'|'musical'|'gentle'),
+   *   stopAfterBeats, stopAfterBars, onTick, onComplete
+   * @returns {Promise<boolean>} false if audio could not be started
+   */
+  async start(options = {}) {
+    this.stop();
+
+    try {
+      if (!audioEngine.initialized) await audioEngine.init();
+      audioEngine.resume();
+    } catch (e) {
+      console.warn('[Metronome] audio init failed:', e);
+    }
+    const ctx = audioEngine.audioContext;
+    if (!ctx) return false;
+
+    this._configure(options, ctx.currentTime + METRONOME_LIMITS.START_DELAY_SEC);
+    this.onComplete = typeof options.onComplete === 'function' ? options.onComplete : null;
+    this._unsubscribeOnTick = typeof options.onTick === 'function' ? this.subscribe(options.onTick) : null;
+
+    // Let audioEngine.stopAll()/stopMetronome() reach us
+    try { audioEngine.stopMetronome(); } catch {}
+    this.controller = {
+      stop: () => this.stop(),
+      adjust: (bpm) => this.setTempo(bpm),
+      getBPM: () => this.bpm
+    };
+    audioEngine.activeMetronome = this.controller;
+
+    this.running = true;
+    this._schedule();
+    this.timerId = setInterval(() => this._schedule(), METRONOME_LIMITS.LOOKAHEAD_MS);
+    return true;
+  }
+
+  _configure(options = {}, startTime = 0) {
+    const beatsPerBar = clamp(toInt(options.beatsPerBar, 4), 1, 16);
+    const subdivision = resolveSubdivision(options.subdivision);
+
+    this.config = {
+      startBpm: clamp(options.bpm ?? 100, METRONOME_LIMITS.MIN_BPM, METRONOME_LIMITS.MAX_BPM),
+      beatsPerBar,
+      subdivision: subdivision.id,
+      perBeat: subdivision.perBeat,
+      accents: options.accents || null,
+      levels: parseAccentPattern(options.accents, beatsPerBar),
+      gap: options.gap || null,
+      ramp: options.ramp || null,
+      volume: clamp(options.volume ?? 0.5, 0, 1),
+      tonality: options.tonality || 'neutral',
+      stopAfterBeats: Math.max(0, toInt(options.stopAfterBeats, 0)),
+      stopAfterBars: Math.max(0, toInt(options.stopAfterBars, 0))
+    };
+
+    this.bpm = this.config.startBpm;
+    this.bar = 0;
+    this.beat = 0;
+    this.sub = 0;
+    this.beatCount = 0;
+    this.index = 0;
+    this.nextTime = startTime;
+  }
+
+  stop() {
+    this._teardown();
+  }
+
+  // Clear timers and listeners; returns the pending onComplete (if any)
+  _teardown() {
+    this.running = false;
+
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = null;
+
+    this.visualTimers.forEach((id) => clearTimeout(id));
+    this.visualTimers.clear();
+
+    try { this._unsubscribeOnTick?.(); } catch {}
+    this._unsubscribeOnTick = null;
+
+    if (this.controller && audioEngine.activeMetronome === this.controller) audioEngine.activeMetronome = null;
+    this.controller = null;
+
+    const done = this.onComplete;
+    this.onComplete = null;
+    return done;
+  }
+
+  /**
+   * Change tempo on the fly. An active ramp continues from the new tempo.
+   */
+  setTempo(bpm) {
+    const next = clamp(bpm, METRONOME_LIMITS.MIN_BPM, METRONOME_LIMITS.MAX_BPM);
+    if (this.config) {
+      // re-anchor the ramp so the next step is relative to the new tempo
+      this.config.startBpm = next;
+      this.config.rampAnchorBar = this.bar;
+    }
+    this.bpm = next;
+    return next;
+  }
+
+  /**
+   * Update accents/subdivision/gap/ramp/volume without restarting the clock.
+   * Structural changes (beatsPerBar, subdivision) take effect at the next bar.
+   */
+  update(patch = {}) {
+    if (!this.config) return;
+    const next = { ...this.config };
+    if (patch.beatsPerBar != null) next.pendingBeatsPerBar = clamp(toInt(patch.beatsPerBar, 4), 1, 16);
+    if (patch.subdivision != null) next.pendingSubdivision = resolveSubdivision(patch.subdivision);
+    if ('accents' in patch) next.accents = patch.accents || null;
+    if ('gap' in patch) next.gap = patch.gap || null;
+    if ('ramp' in patch) {
+      next.ramp = patch.ramp || null;
+      next.startBpm = this.bpm;
+      next.rampAnchorBar = this.bar;
+    }
+    if (patch.volume != null) next.volume = clamp(patch.volume, 0, 1);
+    if (patch.tonality) next.tonality = patch.tonality;
+    // pending bar lengths are re-parsed at the bar line; keep the current bar's accents intact
+    if (!next.pendingBeatsPerBar) next.levels = parseAccentPattern(next.accents, next.beatsPerBar);
+    this.config = next;
+    if (patch.bpm != null) this.setTempo(patch.bpm);
+  }
+
+  _schedule() {
+    if (!this.running) return;
+    const ctx = audioEngine.audioContext;
+    if (!ctx) return;
+
+    const horizon = ctx.currentTime + METRONOME_LIMITS.SCHEDULE_AHEAD_SEC;
+    // If the tab was throttled, skip ahead instead of firing a burst of late clicks
+    if (this.nextTime < ctx.currentTime - 0.2) this.nextTime = ctx.currentTime + 0.01;
+
+    while (this.running && this.nextTime < horizon) {
+      this._bookTick(this.nextTime);
+      this._advance();
+    }
+  }
+
+  _bookTick(time) {
+    const cfg = this.config;
+    const level = this.sub > 0 ? 'sub' : (cfg.levels[this.beat] || 'beat');
+    const silent = isGapBar(this.bar, cfg.gap);
+
+    if (!silent) {
+      try {
+        audioEngine.playMetronomeTick(level === 'downbeat', cfg.volume * LEVEL_VOLUME[level], {
+          when: time,
+          kind: level,
+          tonality: cfg.tonality
+        });
+      } catch {}
+    }
+
+    const event = {
+      bar: this.bar,
+      beat: this.beat,
+      sub: this.sub,
+      level,
+      silent,
+      bpm: this.bpm,
+      time,
+      index: this.index++
+    };
+    this._emitAt(event, time);
+  }
+
+  _advance() {
+    const cfg = this.config;
+    this.nextTime += 60 / this.bpm / cfg.perBeat;
+
+    this.sub += 1;
+    if (this.sub < cfg.perBeat) return;
+    this.sub = 0;
+    this.beat += 1;
+    this.beatCount += 1;
+
+    if (cfg.stopAfterBeats && this.beatCount >= cfg.stopAfterBeats) {
+      this._finishAt(this.nextTime);
+      return;
+    }
+    if (this.beat < cfg.beatsPerBar) return;
+
+    // Bar line: apply pending structure, ramp, auto-stop
+    this.beat = 0;
+    this.bar += 1;
+
+    if (cfg.pendingBeatsPerBar) {
+      cfg.beatsPerBar = cfg.pendingBeatsPerBar;
+      delete cfg.pendingBeatsPerBar;
+    }
+    if (cfg.pendingSubdivision) {
+      cfg.subdivision = cfg.pendingSubdivision.id;
+      cfg.perBeat = cfg.pendingSubdivision.perBeat;
+      delete cfg.pendingSubdivision;
+    }
+    cfg.levels = parseAccentPattern(cfg.accents, cfg.beatsPerBar);
+
+    if (cfg.ramp) this.bpm = rampTempo(cfg.startBpm, this.bar - (cfg.rampAnchorBar || 0), cfg.ramp);
+
+    if (cfg.stopAfterBars && this.bar >= cfg.stopAfterBars) this._finishAt(this.nextTime);
+  }
+
+  // Stop booking now; run onComplete once the last booked click has sounded.
+  _finishAt(time) {
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = null;
+    this.running = false;
+
+    const ctx = audioEngine.audioContext;
+    const delay = Math.max(0, (time - (ctx?.currentTime || 0)) * 1000);
+    const id = setTimeout(() => {
+      this.visualTimers.delete(id);
+      const done = this._teardown();
+      try { done?.(); } catch (e) { console.warn('[Metronome] onComplete failed:', e); }
+    }, delay);
+    this.visualTimers.add(id);
+  }
+
+  // Deliver the event when the click is actually heard (keeps UI flashes in sync)
+  _emitAt(event, time) {
+    if (!this.listeners.size) return;
+    const ctx = audioEngine.audioContext;
+    const delay = Math.max(0, (time - (ctx?.currentTime || 0)) * 1000);
+    const id = setTimeout(() => {
+      this.visualTimers.delete(id);
+      this.listeners.forEach((fn) => {
+        try { fn(event); } catch (e) { console.warn('[Metronome] listener failed:', e); }
+      });
+    }, delay);
+    this.visualTimers.add(id);
+  }
+}
+
+/**
+ * Book a click track on audioEngine's current context from `startTime` for
+ * `seconds` — meant for audioEngine.renderOffline() builders (WAV export).
+ * Uses a throwaway scheduler so a live metronome is never disturbed.
+ * @returns {number} clicks booked
+ */
+export function renderClickTrack(options = {}, seconds = 30, startTime = 0) {
+  const track = new MetronomeScheduler();
+  track._configure({ ...options, stopAfterBeats: 0, stopAfterBars: 0 }, Math.max(0, Number(startTime) || 0));
+  track.running = true;
+
+  const end = track.nextTime + Math.max(0, Number(seconds) || 0);
+  let booked = 0;
+  while (track.nextTime < end) {
+    track._bookTick(track.nextTime);
+    track._advance();
+    booked++;
+  }
+  track.running = false;
+  return booked;
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const metronome = new MetronomeScheduler();
+
+export const startMetronome = metronome.start.bind(metronome);
+export const stopMetronome = metronome.stop.bind(metronome);
+export const subscribeMetronome = metronome.subscribe.bind(metronome);
+
+export default metronome;
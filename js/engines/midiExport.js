@@ -0,0 +1,443 @@
+// js/engines/midiExport.js
+// ======================================
+// VMQ MIDI EXPORT v1.0.0 - Standard MIDI Files for notation software / DAWs
+// Scales, arpeggios, rhythm pattern sets and interval sets leave the app as
+// .mid files a teacher can open in MuseScore, Sibelius, Dorico, Logic, etc.
+//
+// ✅ writeMidiFile(): SMF format 0 or 1, PPQ timing, running-status free
+// ✅ Meta events: tempo, time signature, key signature, track names, markers
+// ✅ Builders: scale/arpeggio passes, RHYTHM_PATTERNS sets (+ click track),
+//    interval sets (melodic or harmonic, one marker per item)
+// ✅ Rhythm glyphs ('♩ ♫ ♩', '♩. ♪', '⌣3⌣') and Rhythm.js beat lists both parse
+// ✅ downloadMidi(): same anchor-click download as the WAV export
+// ======================================
+
+import { downloadBlob } from './audioExport.js';
+import { slugFilename } from '../utils/helpers.js';
+
+export const MIDI_EXPORT_DEFAULTS = Object.freeze({
+  PPQ: 480,              // ticks per quarter note
+  VELOCITY: 80,
+  ACCENT_VELOCITY: 100,
+  PROGRAM_VIOLIN: 40,    // General MIDI 41 (0-based 40)
+  CHANNEL: 0,            // MIDI channel 1
+  CLICK_CHANNEL: 9,      // MIDI channel 10 (GM percussion)
+  CLICK_HIGH: 76,        // Hi Wood Block
+  CLICK_LOW: 77,         // Low Wood Block
+  RHYTHM_PITCH: 69,      // A4 — open A string
+  LEGATO: 0.9            // sounding fraction of each written value
+});
+
+const FIFTHS_BY_PC = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5]; // major keys, flats preferred for black keys
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function parseTimeSig(ts) {
+  const [n, d] = String(ts || '4/4').split('/').map((x) => parseInt(x, 10));
+  const beatsPerBar = Number.isFinite(n) && n > 0 ? n : 4;
+  const beatUnit = [1, 2, 4, 8, 16, 32].includes(d) ? d : 4;
+  return { beatsPerBar, beatUnit };
+}
+
+// ======================================
+// LOW-LEVEL ENCODING
+// ======================================
+
+/**
+ * Variable-length quantity (7 bits per byte, MSB = continue).
+ */
+export function encodeVarLen(value) {
+  let v = Math.max(0, Math.floor(Number(value) || 0));
+  const bytes = [v & 0x7f];
+  while ((v >>= 7) > 0) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+}
+
+function textBytes(str) {
+  const s = String(str || '');
+  if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(s));
+  return Array.from(s, (c) => c.charCodeAt(0) & 0x7f);
+}
+
+function metaEvent(type, data) {
+  return [0xff, type, ...encodeVarLen(data.length), ...data];
+}
+
+function tempoMeta(bpm) {
+  const usPerQuarter = Math.round(60000000 / clamp(bpm, 10, 400));
+  return metaEvent(0x51, [(usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff]);
+}
+
+function timeSigMeta(ts) {
+  const { beatsPerBar, beatUnit } = parseTimeSig(ts);
+  // Compound meters click on the dotted quarter (36 MIDI clocks)
+  const compound = beatUnit === 8 && beatsPerBar % 3 === 0 && beatsPerBar > 3;
+  const clocks = compound ? 36 : Math.round(24 * 4 / beatUnit);
+  return metaEvent(0x58, [beatsPerBar, Math.log2(beatUnit), clocks, 8]);
+}
+
+function keySigMeta({ fifths = 0, minor = false } = {}) {
+  return metaEvent(0x59, [clamp(Math.round(fifths), -7, 7) & 0xff, minor ? 1 : 0]);
+}
+
+/**
+ * Key signature for a tonic pitch class + mode, as sharps (+) / flats (−).
+ */
+export function keySignatureFor(tonicPc, mode = 'major') {
+  const pc = ((Math.round(Number(tonicPc) || 0) % 12) + 12) % 12;
+  const minor = mode === 'minor';
+  return { fifths: FIFTHS_BY_PC[minor ? (pc + 3) % 12 : pc], minor };
+}
+
+function encodeTrack(events) {
+  // events: [{ tick, order, bytes }] — note-offs (order 0) before note-ons (order 1) at the same tick
+  const sorted = events
+    .map((e, i) => ({ ...e, i }))
+    .sort((a, b) => (a.tick - b.tick) || ((a.order ?? 1) - (b.order ?? 1)) || (a.i - b.i));
+
+  const body = [];
+  let last = 0;
+  sorted.forEach((e) => {
+    const tick = Math.max(last, Math.round(e.tick));
+    body.push(...encodeVarLen(tick - last), ...e.bytes);
+    last = tick;
+  });
+  body.push(0x00, ...metaEvent(0x2f, []));
+
+  const len = body.length;
+  return [0x4d, 0x54, 0x72, 0x6b, (len >>> 24) & 0xff, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff, ...body];
+}
+
+function trackEvents(track, { includeName = true } = {}) {
+  const channel = clamp(Math.round(track.channel ?? MIDI_EXPORT_DEFAULTS.CHANNEL), 0, 15);
+  const events = [];
+  if (includeName && track.name) events.push({ tick: 0, order: -2, bytes: metaEvent(0x03, textBytes(track.name)) });
+  if (Number.isFinite(Number(track.program)) && channel !== MIDI_EXPORT_DEFAULTS.CLICK_CHANNEL) {
+    events.push({ tick: 0, order: -1, bytes: [0xc0 | channel, clamp(Math.round(track.program), 0, 127)] });
+  }
+  (track.markers || []).forEach((m) => {
+    events.push({ tick: m.tick, order: -1, bytes: metaEvent(0x06, textBytes(m.text)) });
+  });
+  (track.notes || []).forEach((n) => {
+    const midi = clamp(Math.round(n.midi), 0, 127);
+    const vel = clamp(Math.round(n.velocity ?? MIDI_EXPORT_DEFAULTS.VELOCITY), 1, 127);
+    const start = Math.max(0, Math.round(n.tick));
+    const end = start + Math.max(1, Math.round(n.duration));
+    events.push({ tick: start, order: 1, bytes: [0x90 | channel, midi, vel] });
+    events.push({ tick: end, order: 0, bytes: [0x80 | channel, midi, 0] });
+  });
+  return events;
+}
+
+/**
+ * Build a Standard MIDI File.
+ * @param {object} song {
+ *   format: 0|1, ppq, bpm, timeSig: '4/4', keySignature: { fifths, minor }, title,
+ *   tracks: [{ name, channel, program, notes: [{ tick, duration, midi, velocity }], markers: [{ tick, text }] }]
+ * }
+ * Format 0 merges every track into one; format 1 writes a conductor track
+ * (title, tempo, meter, key) followed by one track per part.
+ * @returns {Uint8Array}
+ */
+export function writeMidiFile(song = {}) {
+  const format = song.format === 0 ? 0 : 1;
+  const ppq = clamp(Math.round(song.ppq || MIDI_EXPORT_DEFAULTS.PPQ), 24, 0x7fff);
+  const tracks = Array.isArray(song.tracks) ? song.tracks : [];
+
+  const conductor = [
+    { tick: 0, order: -3, bytes: tempoMeta(song.bpm || 120) },
+    { tick: 0, order: -3, bytes: timeSigMeta(song.timeSig) }
+  ];
+  if (song.keySignature) conductor.push({ tick: 0, order: -3, bytes: keySigMeta(song.keySignature) });
+  if (song.title) conductor.unshift({ tick: 0, order: -4, bytes: metaEvent(0x03, textBytes(song.title)) });
+
+  const chunks = format === 0
+    ? [encodeTrack([...conductor, ...tracks.flatMap((t) => trackEvents(t, { includeName: false }))])]
+    : [encodeTrack(conductor), ...tracks.map((t) => encodeTrack(trackEvents(t)))];
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+    0, format,
+    (chunks.length >> 8) & 0xff, chunks.length & 0xff,
+    (ppq >> 8) & 0xff, ppq & 0xff
+  ];
+
+  const out = new Uint8Array(header.length + chunks.reduce((s, c) => s + c.length, 0));
+  out.set(header, 0);
+  let offset = header.length;
+  chunks.forEach((c) => { out.set(c, offset); offset += c.length; });
+  return out;
+}
+
+/**
+ * Uint8Array -> Blob (audio/midi)
+ */
+export function midiBlob(bytes) {
+  return new Blob([bytes], { type: 'audio/midi' });
+}
+
+/**
+ * 'A major', 80 -> 'vmq-a-major-80.mid'
+ */
+export function midiFilename(...parts) {
+  return slugFilename(parts, 'mid');
+}
+
+export function downloadMidi(bytes, filename) {
+  downloadBlob(midiBlob(bytes), filename || midiFilename());
+}
+
+// ======================================
+// RHYTHM PATTERNS
+// ======================================
+
+// Glyph -> note values in beats (quarter = 1). Arrays are beamed groups.
+const RHYTHM_GLYPHS = [
+  ['𝅘𝅥𝅰', [0.125]],
+  ['𝅘𝅥𝅯', [0.25]],
+  ['𝅝', [4]],
+  ['𝅗𝅥', [2]],
+  ['♩.', [1.5]],
+  ['♪.', [0.75]],
+  ['♩', [1]],
+  ['♫', [0.5, 0.5]],
+  ['♬', [0.25, 0.25]],
+  ['♪', [0.5]]
+];
+
+const RHYTHM_VALUE_BEATS = {
+  whole: 4, half: 2, 'dotted-half': 3, quarter: 1, 'dotted-quarter': 1.5,
+  eighth: 0.5, 'dotted-eighth': 0.75, sixteenth: 0.25, 'thirty-second': 0.125
+};
+
+/**
+ * Note values (in quarter-note beats) for a rhythm pattern.
+ * Accepts Rhythm.js shapes ({ beats: [{ value: 'eighth' }] }) and the glyph
+ * strings in RHYTHM_PATTERNS ('♩ ♫ ♩', '𝄽', '⌣3⌣'). Ornaments, trills and
+ * polyrhythms have no fixed notation, so they return null.
+ * @returns {Array<{beats:number, rest:boolean}>|null}
+ */
+export function rhythmPatternValues(pattern) {
+  if (!pattern) return null;
+
+  if (Array.isArray(pattern.beats)) {
+    const list = pattern.beats
+      .map((b) => {
+        const key = typeof b === 'string' ? b : b?.value;
+        const rest = /rest/.test(String(key)) || !!b?.rest;
+        const beats = RHYTHM_VALUE_BEATS[String(key).replace(/-?rest$/, '')] ?? (Number(b?.beats) || 0);
+        return beats > 0 ? { beats, rest } : null;
+      })
+      .filter(Boolean);
+    return list.length ? list : null;
+  }
+
+  let src = String(pattern.pattern || '').replace(/\([^)]*\)/g, '').replace(/[a-z]+/gi, '').trim();
+  if (!src) return null;
+
+  // Tuplets: n notes in one beat
+  const tuplet = /^⌣(\d)⌣$/.exec(src);
+  if (tuplet) {
+    const n = Number(tuplet[1]);
+    return Array.from({ length: n }, () => ({ beats: 1 / n, rest: false }));
+  }
+
+  const out = [];
+  while (src.length) {
+    if (/^\s/.test(src)) { src = src.slice(1); continue; }
+    if (src.startsWith('𝄽')) {
+      out.push({ beats: 1, rest: true });
+      src = src.slice('𝄽'.length);
+      continue;
+    }
+    const hit = RHYTHM_GLYPHS.find(([g]) => src.startsWith(g));
+    if (!hit) return null;
+    hit[1].forEach((beats) => out.push({ beats, rest: false }));
+    src = src.slice(hit[0].length);
+  }
+  return out.length ? out : null;
+}
+
+/**
+ * Rhythm pattern set: each pattern is written on one pitch, padded to whole
+ * bars and repeated, with a GM click track underneath (accent on beat 1).
+ * Patterns without a fixed notation are skipped and reported.
+ * @param {Array} patterns RHYTHM_PATTERNS entries (or Rhythm.js patterns)
+ * @param {object} options { bpm, timeSig, repeats=2, pitch, format=1, click=true }
+ * @returns {{ bytes:Uint8Array, included:string[], skipped:string[] }}
+ */
+export function rhythmSetToMidi(patterns, options = {}) {
+  const ppq = MIDI_EXPORT_DEFAULTS.PPQ;
+  const timeSig = options.timeSig || '4/4';
+  const { beatsPerBar, beatUnit } = parseTimeSig(timeSig);
+  const barTicks = Math.round(beatsPerBar * ppq * 4 / beatUnit);
+  const beatTicks = Math.round(ppq * 4 / beatUnit);
+  const repeats = clamp(Math.round(options.repeats ?? 2), 1, 8);
+  const pitch = clamp(Math.round(options.pitch ?? MIDI_EXPORT_DEFAULTS.RHYTHM_PITCH), 0, 127);
+
+  const notes = [];
+  const markers = [];
+  const included = [];
+  const skipped = [];
+  let tick = 0;
+
+  (patterns || []).forEach((p) => {
+    const values = rhythmPatternValues(p);
+    if (!values) {
+      skipped.push(p?.name || p?.id || '?');
+      return;
+    }
+    included.push(p.name || p.id);
+
+    const lenTicks = Math.round(values.reduce((s, v) => s + v.beats, 0) * ppq);
+    const bars = Math.max(1, Math.ceil(lenTicks / barTicks));
+    markers.push({ tick, text: p.name || p.id || 'Pattern' });
+
+    for (let r = 0; r < repeats; r++) {
+      let t = tick;
+      values.forEach((v, i) => {
+        const d = Math.round(v.beats * ppq);
+        if (!v.rest) {
+          notes.push({
+            tick: t,
+            duration: Math.max(1, Math.round(d * MIDI_EXPORT_DEFAULTS.LEGATO)),
+            midi: pitch,
+            velocity: i === 0 ? MIDI_EXPORT_DEFAULTS.ACCENT_VELOCITY : MIDI_EXPORT_DEFAULTS.VELOCITY
+          });
+        }
+        t += d;
+      });
+      tick += bars * barTicks;
+    }
+  });
+
+  const tracks = [{ name: 'Rhythm', program: MIDI_EXPORT_DEFAULTS.PROGRAM_VIOLIN, notes, markers }];
+
+  if (options.click !== false && tick > 0) {
+    const clicks = [];
+    for (let t = 0; t < tick; t += beatTicks) {
+      const down = t % barTicks === 0;
+      clicks.push({
+        tick: t,
+        duration: Math.round(beatTicks / 4),
+        midi: down ? MIDI_EXPORT_DEFAULTS.CLICK_HIGH : MIDI_EXPORT_DEFAULTS.CLICK_LOW,
+        velocity: down ? MIDI_EXPORT_DEFAULTS.ACCENT_VELOCITY : MIDI_EXPORT_DEFAULTS.VELOCITY
+      });
+    }
+    tracks.push({ name: 'Click', channel: MIDI_EXPORT_DEFAULTS.CLICK_CHANNEL, notes: clicks });
+  }
+
+  const bytes = writeMidiFile({
+    format: options.format,
+    bpm: options.bpm || 90,
+    timeSig,
+    title: options.title || 'VMQ rhythm set',
+    tracks
+  });
+  return { bytes, included, skipped };
+}
+
+// ======================================
+// SCALES / ARPEGGIOS / INTERVALS
+// ======================================
+
+/**
+ * Arpeggio (1–3–5–8) drawn from a one-octave scale's notes.
+ */
+export function arpeggioFromScale(scaleNotes) {
+  const notes = Array.isArray(scaleNotes) ? scaleNotes : [];
+  if (notes.length < 4) return notes.slice();
+  const top = notes[notes.length - 1];
+  return [0, 2, 4].map((i) => notes[i]).filter((m) => m < top).concat(top);
+}
+
+/**
+ * A note sequence (already in playing order) as one violin part.
+ * @param {number[]} midis
+ * @param {object} options { bpm, noteBeats=1, reps=1, timeSig, keySignature, title, format }
+ * @returns {Uint8Array}
+ */
+export function sequenceToMidi(midis, options = {}) {
+  const ppq = MIDI_EXPORT_DEFAULTS.PPQ;
+  const step = Math.round(clamp(options.noteBeats ?? 1, 0.125, 8) * ppq);
+  const reps = clamp(Math.round(options.reps ?? 1), 1, 16);
+  const seq = (midis || []).filter((m) => Number.isFinite(Number(m)));
+  // A beat of rest between repetitions, same as the WAV play-along
+  const passTicks = seq.length * step + ppq;
+
+  const notes = [];
+  for (let r = 0; r < reps; r++) {
+    seq.forEach((midi, i) => {
+      notes.push({
+        tick: r * passTicks + i * step,
+        duration: Math.round(step * MIDI_EXPORT_DEFAULTS.LEGATO),
+        midi,
+        velocity: i === 0 ? MIDI_EXPORT_DEFAULTS.ACCENT_VELOCITY : MIDI_EXPORT_DEFAULTS.VELOCITY
+      });
+    });
+  }
+
+  return writeMidiFile({
+    format: options.format,
+    bpm: options.bpm || 80,
+    timeSig: options.timeSig || '4/4',
+    keySignature: options.keySignature || null,
+    title: options.title || 'VMQ scale',
+    tracks: [{ name: options.trackName || 'Violin', program: MIDI_EXPORT_DEFAULTS.PROGRAM_VIOLIN, notes }]
+  });
+}
+
+/**
+ * Interval set: items = [{ midi1, midi2, label }], each followed by a gap.
+ * Every item gets a marker with its label, so the answer key travels with the file.
+ * @param {object} options { bpm=60, harmonic=false, noteBeats=2, gapBeats=4, format }
+ * @returns {Uint8Array}
+ */
+export function intervalSetToMidi(items, options = {}) {
+  const list = Array.isArray(items)
+    ? items.filter((it) => Number.isFinite(Number(it?.midi1)) && Number.isFinite(Number(it?.midi2)))
+    : [];
+  if (!list.length) throw new Error('No intervals to export');
+
+  const ppq = MIDI_EXPORT_DEFAULTS.PPQ;
+  const harmonic = !!options.harmonic;
+  const noteTicks = Math.round(clamp(options.noteBeats ?? 2, 0.25, 8) * ppq);
+  const gapTicks = Math.round(clamp(options.gapBeats ?? 4, 0, 16) * ppq);
+  const slot = (harmonic ? noteTicks : 2 * noteTicks) + gapTicks;
+
+  const notes = [];
+  const markers = [];
+  list.forEach((it, i) => {
+    const t = i * slot;
+    const d = Math.round(noteTicks * MIDI_EXPORT_DEFAULTS.LEGATO);
+    markers.push({ tick: t, text: `${i + 1}. ${it.label || ''}`.trim() });
+    notes.push({ tick: t, duration: d, midi: it.midi1 });
+    notes.push({ tick: harmonic ? t : t + noteTicks, duration: d, midi: it.midi2 });
+  });
+
+  return writeMidiFile({
+    format: options.format,
+    bpm: options.bpm || 60,
+    timeSig: options.timeSig || '4/4',
+    title: options.title || 'VMQ interval set',
+    tracks: [{ name: harmonic ? 'Harmonic intervals' : 'Melodic intervals', program: MIDI_EXPORT_DEFAULTS.PROGRAM_VIOLIN, notes, markers }]
+  });
+}
+
+export default {
+  writeMidiFile,
+  encodeVarLen,
+  keySignatureFor,
+  midiBlob,
+  midiFilename,
+  downloadMidi,
+  rhythmPatternValues,
+  rhythmSetToMidi,
+  arpeggioFromScale,
+  sequenceToMidi,
+  intervalSetToMidi
+};
@@ -0,0 +1,372 @@
+// js/engines/midiInput.js
+// ======================================
+// VMQ MIDI INPUT v1.0.0 - Answer drills from a MIDI keyboard or violin controller
+// Web MIDI note-on/note-off -> VMQ note events that drills map to answers:
+// name-the-note, play-the-interval, play-the-scale-degree.
+//
+// ✅ Any Web MIDI input (keyboard, electric violin pitch-to-MIDI, DAW loopback)
+// ✅ Device filter ('all' or one input id) + transpose (±24 semitones)
+// ✅ Hot-plug: device list refreshes on MIDIAccess statechange
+// ✅ Injectable MIDIAccess (start({ access })) so it runs against a stub in tests
+// ✅ Pure helpers: note-name matching, two-note interval collector
+// ✅ Settings remembered across sessions (STORAGE_KEYS.MIDI)
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+
+export const MIDI_DEFAULTS = Object.freeze({
+  enabled: false,
+  deviceId: 'all',
+  transpose: 0,
+  MIN_TRANSPOSE: -24,
+  MAX_TRANSPOSE: 24,
+  INTERVAL_WINDOW_MS: 2000   // second note of a melodic interval must follow within this
+});
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function nowMs() {
+  return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+}
+
+// ======================================
+// PURE HELPERS
+// ======================================
+
+/**
+ * 61 -> 'C#4'
+ */
+export function midiToName(midi) {
+  const m = Math.round(Number(midi));
+  if (!Number.isFinite(m)) return '';
+  return `${NOTE_NAMES[((m % 12) + 12) % 12]}${Math.floor(m / 12) - 1}`;
+}
+
+/**
+ * Parse 'Bb3', 'C♯5', 'f#', 'E' -> { pc, midi } (midi is null without an octave).
+ * @returns {{pc:number, midi:number|null}|null}
+ */
+export function parseNoteName(name) {
+  const m = /^\s*([A-Ga-g])\s*([#♯b♭x]*)\s*(-?\d+)?\s*$/.exec(String(name ?? ''));
+  if (!m) return null;
+  let pc = LETTER_PC[m[1].toUpperCase()];
+  for (const ch of m[2]) {
+    if (ch === '#' || ch === '♯') pc += 1;
+    else if (ch === 'x') pc += 2;
+    else pc -= 1;
+  }
+  // Octave follows the letter (B#3 sounds as C4), so normalise after computing midi
+  const midi = m[3] != null ? (Number(m[3]) + 1) * 12 + pc : null;
+  return { pc: ((pc % 12) + 12) % 12, midi };
+}
+
+/**
+ * Does a played MIDI note answer a note name? Octave-specific names ('G4')
+ * must match exactly; bare names ('G', 'F#') match any octave. Enharmonics count.
+ */
+export function midiMatchesName(midi, name, { ignoreOctave = false } = {}) {
+  const parsed = parseNoteName(name);
+  if (!parsed || !Number.isFinite(Number(midi))) return false;
+  if (parsed.midi != null && !ignoreOctave) return parsed.midi === Number(midi);
+  return parsed.pc === ((Number(midi) % 12) + 12) % 12;
+}
+
+/**
+ * Collects note-ons into two-note intervals. A chord (second note while the
+ * first is still held) is harmonic; a second note inside windowMs is melodic.
+ * push() returns { semitones, low, high, harmonic } once a pair is complete.
+ */
+export function createIntervalCollector({ windowMs = MIDI_DEFAULTS.INTERVAL_WINDOW_MS } = {}) {
+  let first = null;
+  const held = new Set();
+
+  return {
+    push(event) {
+      if (!event) return null;
+      if (event.type === 'noteoff') {
+        held.delete(event.midi);
+        return null;
+      }
+      if (event.type !== 'noteon') return null;
+
+      const t = Number(event.timestamp) || nowMs();
+      const harmonic = !!first && held.has(first.midi);
+      held.add(event.midi);
+
+      if (!first || (!harmonic && t - first.t > windowMs) || event.midi === first.midi) {
+        first = { midi: event.midi, t };
+        return null;
+      }
+
+      const a = first.midi;
+      first = null;
+      return {
+        semitones: Math.abs(event.midi - a),
+        low: Math.min(a, event.midi),
+        high: Math.max(a, event.midi),
+        harmonic
+      };
+    },
+    reset() {
+      first = null;
+      held.clear();
+    }
+  };
+}
+
+// ======================================
+// ENGINE
+// ======================================
+
+class MidiInput {
+  constructor() {
+    this.access = null;
+    this.inputs = new Map();      // id -> MIDIInput we attached to
+    this.listeners = new Set();
+    this.lastNote = null;
+    this._starting = null;
+    this.settings = { ...this._defaults(), ...this._loadSettings() };
+  }
+
+  _defaults() {
+    return {
+      enabled: MIDI_DEFAULTS.enabled,
+      deviceId: MIDI_DEFAULTS.deviceId,
+      transpose: MIDI_DEFAULTS.transpose
+    };
+  }
+
+  _loadSettings() {
+    const saved = loadJSON(STORAGE_KEYS.MIDI, {}) || {};
+    const out = {};
+    if (typeof saved.enabled === 'boolean') out.enabled = saved.enabled;
+    if (saved.deviceId) out.deviceId = String(saved.deviceId);
+    if (Number.isFinite(Number(saved.transpose))) {
+      out.transpose = Math.round(clamp(saved.transpose, MIDI_DEFAULTS.MIN_TRANSPOSE, MIDI_DEFAULTS.MAX_TRANSPOSE));
+    }
+    return out;
+  }
+
+  _saveSettings() {
+    saveJSON(STORAGE_KEYS.MIDI, { ...this.settings });
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  isConnected() {
+    return !!this.access;
+  }
+
+  /**
+   * Request MIDI access and attach to every input.
+   * @param {object} options { access } — an existing (or stubbed) MIDIAccess
+   * @returns {Promise<boolean>} false if unsupported or permission was denied
+   */
+  async start({ access = null } = {}) {
+    if (this.access && !access) return true;
+    if (this._starting && !access) return this._starting;
+
+    this._starting = (async () => {
+      try {
+        const midi = access || (this.isSupported() ? await navigator.requestMIDIAccess({ sysex: false }) : null);
+        if (!midi) return false;
+        this._detach();
+        this.access = midi;
+        this.access.onstatechange = () => {
+          this._attach();
+          this._emit({ type: 'devices', devices: this.listDevices() });
+        };
+        this._attach();
+        this._emit({ type: 'devices', devices: this.listDevices() });
+        return true;
+      } catch (e) {
+        console.warn('[MIDI] access failed:', e);
+        return false;
+      } finally {
+        this._starting = null;
+      }
+    })();
+
+    return this._starting;
+  }
+
+  /**
+   * Start only if the user has MIDI input switched on in Settings.
+   */
+  ensureStarted() {
+    if (!this.settings.enabled) return Promise.resolve(false);
+    return this.start();
+  }
+
+  stop() {
+    this._detach();
+    if (this.access) {
+      try { this.access.onstatechange = null; } catch {}
+    }
+    this.access = null;
+    this._emit({ type: 'devices', devices: [] });
+  }
+
+  _attach() {
+    if (!this.access?.inputs) return;
+    const seen = new Set();
+    this.access.inputs.forEach((input) => {
+      if (!input) return;
+      const id = String(input.id);
+      seen.add(id);
+      if (this.inputs.get(id) === input) return;
+      input.onmidimessage = (msg) => this.handleMessage(msg?.data, id, msg?.timeStamp);
+      this.inputs.set(id, input);
+    });
+    // Unplugged devices drop out of access.inputs
+    this.inputs.forEach((input, id) => {
+      if (!seen.has(id)) {
+        try { input.onmidimessage = null; } catch {}
+        this.inputs.delete(id);
+      }
+    });
+  }
+
+  _detach() {
+    this.inputs.forEach((input) => {
+      try { input.onmidimessage = null; } catch {}
+    });
+    this.inputs.clear();
+  }
+
+  /**
+   * @returns {Array<{id:string, name:string, manufacturer:string, state:string}>}
+   */
+  listDevices() {
+    const out = [];
+    this.access?.inputs?.forEach((input) => {
+      if (!input) return;
+      out.push({
+        id: String(input.id),
+        name: input.name || 'MIDI input',
+        manufacturer: input.manufacturer || '',
+        state: input.state || 'connected'
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Raw MIDI bytes -> note event. Public so tests (and loopback tools) can
+   * feed messages without a device.
+   * @returns {object|null} the emitted event, or null if ignored
+   */
+  handleMessage(data, deviceId = 'unknown', timestamp = null) {
+    if (!data || data.length < 3) return null;
+    const { deviceId: wanted, transpose } = this.settings;
+    if (wanted !== 'all' && String(deviceId) !== wanted) return null;
+
+    const status = data[0] & 0xf0;
+    const velocity = data[2] & 0x7f;
+    let type = null;
+    if (status === 0x90 && velocity > 0) type = 'noteon';
+    else if (status === 0x80 || (status === 0x90 && velocity === 0)) type = 'noteoff';
+    if (!type) return null;
+
+    const rawMidi = data[1] & 0x7f;
+    const midi = Math.round(clamp(rawMidi + (transpose || 0), 0, 127));
+    const event = {
+      type,
+      midi,
+      rawMidi,
+      note: midiToName(midi),
+      velocity,
+      channel: (data[0] & 0x0f) + 1,
+      deviceId: String(deviceId),
+      timestamp: Number.isFinite(Number(timestamp)) && timestamp > 0 ? Number(timestamp) : nowMs()
+    };
+
+    if (type === 'noteon') this.lastNote = event;
+    this._emit(event);
+    return event;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Patch { enabled, deviceId, transpose }. Enabling starts MIDI access;
+   * disabling releases it.
+   */
+  async updateSettings(patch = {}) {
+    const next = { ...this.settings };
+    if ('enabled' in patch) next.enabled = !!patch.enabled;
+    if ('deviceId' in patch) next.deviceId = patch.deviceId ? String(patch.deviceId) : 'all';
+    if ('transpose' in patch) {
+      next.transpose = Math.round(clamp(patch.transpose, MIDI_DEFAULTS.MIN_TRANSPOSE, MIDI_DEFAULTS.MAX_TRANSPOSE));
+    }
+    this.settings = next;
+    this._saveSettings();
+
+    if ('enabled' in patch) {
+      if (next.enabled && !this.access) await this.start();
+      else if (!next.enabled && this.access) this.stop();
+    }
+
+    this._emit({ type: 'settings', settings: this.getSettings() });
+    return this.getSettings();
+  }
+
+  getState() {
+    return {
+      supported: this.isSupported(),
+      connected: this.isConnected(),
+      devices: this.listDevices(),
+      lastNote: this.lastNote,
+      ...this.getSettings()
+    };
+  }
+
+  /**
+   * Listener receives every event: { type: 'noteon'|'noteoff'|'devices'|'settings', ... }
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Drill hook: note-on events only, and MIDI is started if Settings has it on.
+   * @returns {Function} unsubscribe
+   */
+  onNote(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.ensureStarted();
+    return this.subscribe((event) => {
+      if (event.type === 'noteon') listener(event);
+    });
+  }
+
+  _emit(event) {
+    this.listeners.forEach((fn) => {
+      try { fn(event); } catch (e) { console.warn('[MIDI] listener failed:', e); }
+    });
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const midiInput = new MidiInput();
+
+export const startMidiInput = midiInput.start.bind(midiInput);
+export const stopMidiInput = midiInput.stop.bind(midiInput);
+export const onMidiNote = midiInput.onNote.bind(midiInput);
+
+export default midiInput;
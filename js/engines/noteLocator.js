@@ -0,0 +1,240 @@
+// js/engines/noteLocator.js
+// ======================================
+// VMQ NOTE LOCATOR v1.0.0 - "Find every C#5" timed fingerboard game
+// A round names one pitch; the student taps every place it can be played
+// within the allowed positions before the clock runs out.
+//
+// ✅ Locations = distinct (string, semitone) spots reachable in positions 1..N
+//    (open strings, low 1 and extended 4 included), via fingeringOptimizer candidates
+// ✅ Target picker favours notes with several spots, recent misses and no best time
+// ✅ Score on completeness + speed, minus wrong taps
+// ✅ Per-instrument, per-note best time + capped history (STORAGE_KEYS.NOTE_LOCATOR)
+// ✅ Misses and wrong taps go to the 'fingerboard' confusion matrix
+// ✅ Strings, positions and reach follow the active instrument profile and scordatura
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON, trackConfusion, getConfusionData } from '../config/storage.js';
+import { candidatesForMidi, profileFingeringOptions } from './fingeringOptimizer.js';
+import { getInstrumentProfile } from '../config/constants.js';
+import { MUSIC } from '../utils/helpers.js';
+
+export const LOCATOR_DEFAULTS = Object.freeze({
+  maxPosition: 3,
+  timeLimitMs: 30000,
+  historyLimit: 20
+});
+
+function noteName(midi) {
+  try { return MUSIC.midiToNote(midi) || `MIDI ${midi}`; } catch { return `MIDI ${midi}`; }
+}
+
+/**
+ * The active instrument's neck in positions 1..maxPosition:
+ * { strings, positions (position → 1st-finger semitones), reach }.
+ */
+export function locatorNeck(maxPosition = LOCATOR_DEFAULTS.maxPosition, profile = getInstrumentProfile()) {
+  return profileFingeringOptions(profile, { maxPosition, halfPosition: false });
+}
+
+export function locationKey(stringIdx, semis) {
+  return `${stringIdx}:${semis}`;
+}
+
+/**
+ * Highest semitone above the open string that the game draws (extended 4th, top position).
+ */
+export function reachSpan(maxPosition = LOCATOR_DEFAULTS.maxPosition, profile = getInstrumentProfile()) {
+  const { positions, reach } = locatorNeck(maxPosition, profile);
+  const bases = Object.values(positions);
+  const top = Math.max(...Object.values(reach).flat().map((r) => r.semis));
+  return (bases.length ? Math.max(...bases) : 2) + top;
+}
+
+// ======================================
+// LOCATIONS
+// ======================================
+
+/**
+ * Every spot on the fingerboard where a pitch can be played in positions 1..maxPosition.
+ * @returns {Array<{key, stringIdx, string, semis, midi, open, fingerings: Array<{position, finger, extension}>}>}
+ */
+export function locationsForMidi(midi, { maxPosition = LOCATOR_DEFAULTS.maxPosition, profile = getInstrumentProfile() } = {}) {
+  const { strings, positions, reach } = locatorNeck(maxPosition, profile);
+  const byKey = new Map();
+  candidatesForMidi(midi, { strings, positions, reach })
+    .forEach((c) => {
+      const semis = midi - strings[c.stringIdx].openMidi;
+      const key = locationKey(c.stringIdx, semis);
+      if (!byKey.has(key)) {
+        byKey.set(key, { key, stringIdx: c.stringIdx, string: c.string, semis, midi, open: c.open, fingerings: [] });
+      }
+      const loc = byKey.get(key);
+      if (!c.open && !loc.fingerings.some((f) => f.position === c.position && f.finger === c.finger)) {
+        loc.fingerings.push({ position: c.position, finger: c.finger, extension: c.extension });
+      }
+    });
+  return [...byKey.values()].sort((a, b) => a.stringIdx - b.stringIdx);
+}
+
+/**
+ * Every pitch the game can ask for, with how many spots it has.
+ */
+export function locatorPool({ maxPosition = LOCATOR_DEFAULTS.maxPosition, profile = getInstrumentProfile() } = {}) {
+  const strings = profile.strings;
+  const lo = Math.min(...strings.map((s) => s.openMidi));
+  const hi = Math.max(...strings.map((s) => s.openMidi)) + reachSpan(maxPosition, profile);
+  const pool = [];
+  for (let midi = lo; midi <= hi; midi++) {
+    const count = locationsForMidi(midi, { maxPosition, profile }).length;
+    if (count > 0) pool.push({ midi, name: noteName(midi), count });
+  }
+  return pool;
+}
+
+/**
+ * Pick the next target. Notes with several spots are the point of the game;
+ * recent misses and notes never completed come back more often.
+ * @param {object} options { maxPosition, profile, stats (loadLocatorStats()), exclude (midi), rng }
+ */
+export function pickTarget({ maxPosition = LOCATOR_DEFAULTS.maxPosition, profile = getInstrumentProfile(), stats = null, exclude = null, rng = Math.random } = {}) {
+  const pool = locatorPool({ maxPosition, profile }).filter((p) => p.midi !== exclude);
+  if (!pool.length) return null;
+  const missed = getMissCounts();
+
+  const weighted = pool.map((p) => {
+    let w = p.count > 1 ? 1 + p.count : 0.6;
+    if (!stats?.best?.[locatorStatsKey(p.name, profile)]) w *= 1.5;
+    w *= 1 + Math.min(3, (missed[p.midi] || 0) * 0.5);
+    return { p, w };
+  });
+  const total = weighted.reduce((s, x) => s + x.w, 0);
+  let r = rng() * total;
+  for (const x of weighted) {
+    r -= x.w;
+    if (r <= 0) return x.p;
+  }
+  return weighted[weighted.length - 1].p;
+}
+
+// ======================================
+// SCORING
+// ======================================
+
+/**
+ * Completeness earns up to 700, a complete round adds up to 300 for speed,
+ * each wrong tap costs 50.
+ * @returns {{ score, completeness, speed, complete }}
+ */
+export function scoreRound({ found = 0, total = 0, wrong = 0, elapsedMs = 0, limitMs = LOCATOR_DEFAULTS.timeLimitMs } = {}) {
+  const completeness = total > 0 ? Math.min(1, found / total) : 0;
+  const complete = total > 0 && found >= total;
+  const speed = complete ? Math.max(0, Math.min(1, 1 - elapsedMs / Math.max(1, limitMs))) : 0;
+  const score = Math.max(0, Math.round(completeness * 700 + speed * 300 - wrong * 50));
+  return { score, completeness, speed, complete };
+}
+
+// ======================================
+// STATS + CONFUSION FEED
+// ======================================
+
+/**
+ * Stats key for a note on an instrument: 'cello:C#3'. The same name is a
+ * different set of spots (and a different time) on each instrument.
+ */
+export function locatorStatsKey(name, profile = getInstrumentProfile()) {
+  return `${profile?.id || 'violin'}:${name}`;
+}
+
+// Bare note-name keys were saved before instrument profiles existed: violin times
+function keyedByInstrument(map) {
+  const out = {};
+  Object.entries(map && typeof map === 'object' ? map : {}).forEach(([key, value]) => {
+    if (key.includes(':')) out[key] = value;
+    else if (!(`violin:${key}` in map)) out[`violin:${key}`] = value;
+  });
+  return out;
+}
+
+/**
+ * @returns {{ best: Object<string, {ms, score, date}>, history: Object<string, Array>, rounds }}
+ *   keyed by locatorStatsKey() ('violin:C#5')
+ */
+export function loadLocatorStats() {
+  const raw = loadJSON(STORAGE_KEYS.NOTE_LOCATOR, {});
+  return {
+    best: keyedByInstrument(raw?.best),
+    history: keyedByInstrument(raw?.history),
+    rounds: Number(raw?.rounds) || 0
+  };
+}
+
+/**
+ * Persist one finished round and feed its mistakes to the fingerboard confusion matrix.
+ * @param {object} round { midi, found, total, wrong, elapsedMs, limitMs, missed: [location], wrongTaps: [{stringIdx, semis, midi}] }
+ * @param {object} profile instrument the round was played on
+ * @returns {{ stats, result: scoreRound(), isBest, previousBest }}
+ */
+export function recordRound(round, profile = getInstrumentProfile()) {
+  const name = locatorStatsKey(noteName(round.midi), profile);
+  const result = scoreRound(round);
+  const stats = loadLocatorStats();
+  const previousBest = stats.best[name] || null;
+  const isBest = result.complete && (!previousBest || round.elapsedMs < previousBest.ms);
+
+  const entry = {
+    date: Date.now(),
+    ms: Math.round(round.elapsedMs),
+    found: round.found,
+    total: round.total,
+    wrong: round.wrong,
+    score: result.score,
+    complete: result.complete
+  };
+  stats.history[name] = [...(stats.history[name] || []), entry].slice(-LOCATOR_DEFAULTS.historyLimit);
+  if (isBest) stats.best[name] = { ms: entry.ms, score: entry.score, date: entry.date };
+  stats.rounds += 1;
+  saveJSON(STORAGE_KEYS.NOTE_LOCATOR, stats);
+
+  // Confusion feed: item = target midi; a missed spot or the midi tapped instead
+  (round.missed || []).forEach((loc) => {
+    trackConfusion('fingerboard', String(round.midi), `missed:${locationKey(loc.stringIdx, loc.semis)}`);
+  });
+  (round.wrongTaps || []).forEach((tap) => {
+    if (Number.isFinite(tap.midi) && tap.midi !== round.midi) {
+      trackConfusion('fingerboard', String(round.midi), String(tap.midi));
+    }
+  });
+
+  return { stats, result, isBest, previousBest };
+}
+
+/**
+ * Missed-spot counts per target midi from the fingerboard confusion matrix.
+ */
+export function getMissCounts() {
+  const out = {};
+  const data = getConfusionData('fingerboard');
+  Object.entries(data || {}).forEach(([target, guesses]) => {
+    const midi = Number(target);
+    if (!Number.isFinite(midi) || !guesses || typeof guesses !== 'object') return;
+    Object.entries(guesses).forEach(([guess, count]) => {
+      if (guess.startsWith('missed:')) out[midi] = (out[midi] || 0) + (Number(count) || 0);
+    });
+  });
+  return out;
+}
+
+export default {
+  LOCATOR_DEFAULTS,
+  locationKey,
+  locatorNeck,
+  reachSpan,
+  locationsForMidi,
+  locatorPool,
+  pickTarget,
+  locatorStatsKey,
+  scoreRound,
+  loadLocatorStats,
+  recordRound,
+  getMissCounts
+};
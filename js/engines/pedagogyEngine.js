@@ -14,12 +14,15 @@ import { loadJSON, saveJSON, STORAGE_KEYS } from '../config/storage.js';
 import { INTERVALS, BIELER_TAXONOMY } from '../config/constants.js';
 import { analyzePerformance as _analyzePerformance } from './analytics.js';
 import { getStats as sm2GetStats } from './spacedRepetition.js';
-import { getDifficultyInfo as _getDifficultyInfo } from './difficultyAdapter.js';
+import * as DifficultyMod from './difficultyAdapter.js';
 import { addXP, unlockAchievement } from './gamification.js';
 import sessionTracker from './sessionTracker.js';
 
 const DAY_MS = 24 * 60 * 60 * 1000;
 
+// Optional in difficultyAdapter: a named import of a missing export fails the whole module
+const _getDifficultyInfo = DifficultyMod.getDifficultyInfo || null;
+
 const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
 const safeArray = (v) => (Array.isArray(v) ? v : []);
 const safeNumber = (n, fallback = 0) => (Number.isFinite(Number(n)) ? Number(n) : fallback);
@@ -0,0 +1,419 @@
+// js/engines/pitchTracker.js
+// ======================================
+// VMQ PITCH TRACKER v1.0.0 - Live intonation analysis for violin practice
+// YIN pitch detection on the audioEngine microphone path
+//
+// ✅ Pure detector (detectPitch) usable on any Float32Array (tests, offline takes)
+// ✅ Singleton tracker with subscribe()/unsubscribe for any module (Tuner, drills, planner)
+// ✅ Reports frequency, nearest note and cents via MUSIC.getCentsDeviation (helpers.js)
+// ✅ Silence gate + median smoothing so the needle doesn't jitter between bow strokes
+// ✅ onStableNote(): one callback per sustained note (performance scoring in drills)
+// ✅ Fail-soft: never throws from the analysis loop; start() resolves false if mic unavailable
+// ✅ stop() (or the last listener unsubscribing) releases the mic; start() asks for it again
+// ✅ Low limit follows the instrument profile's lowest open string (scordatura
+//    included): viola/cello C, bass E1; the analyser grows to fit two periods
+// ======================================
+
+import { audioEngine } from './audioEngine.js';
+import { instrumentProfile } from './instrumentProfile.js';
+import { MUSIC } from '../utils/helpers.js';
+import { getInstrumentProfile } from '../config/constants.js';
+
+export const PITCH_DEFAULTS = Object.freeze({
+  fftSize: 2048,
+  intervalMs: 50,      // ~20 readings per second
+  threshold: 0.15,     // YIN absolute threshold (lower = stricter)
+  minFrequency: 150,   // violin floor (G3 = 196 Hz); lower instruments: profileMinFrequency()
+  maxFrequency: 3000,  // well above E7 fundamentals we care about
+  minRms: 0.01,        // below this the frame is treated as silence
+  smoothing: 3,        // median window (frames)
+  inTuneCents: 5       // |cents| <= this counts as "in tune"
+});
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function rmsOf(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / Math.max(1, buffer.length));
+}
+
+function median(values) {
+  const a = values.slice().sort((x, y) => x - y);
+  const mid = Math.floor(a.length / 2);
+  return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+}
+
+const LOW_MARGIN = 0.85;       // ~2.8 semitones under the lowest string (flat tuning, slides)
+const MAX_FFT_SIZE = 32768;    // AnalyserNode limit
+
+/**
+ * Lowest frequency worth listening for with an instrument profile: a little
+ * under its lowest open string (retuned strings included). Never above
+ * PITCH_DEFAULTS.minFrequency, so the violin keeps its usual floor.
+ * @param {object} profile defaults to the active profile
+ * @returns {number} Hz
+ */
+export function profileMinFrequency(profile = getInstrumentProfile()) {
+  const opens = (profile?.strings || []).map((s) => Number(s.openMidi)).filter(Number.isFinite);
+  if (!opens.length) return PITCH_DEFAULTS.minFrequency;
+  const lowest = MUSIC.midiToFreq(Math.min(...opens));
+  return Math.min(PITCH_DEFAULTS.minFrequency, lowest * LOW_MARGIN);
+}
+
+/**
+ * Smallest analyser size (power of two) holding two periods of `minFrequency`,
+ * which YIN needs to see the lowest pitch. Never below PITCH_DEFAULTS.fftSize.
+ */
+export function fftSizeFor(minFrequency, sampleRate, base = PITCH_DEFAULTS.fftSize) {
+  const sr = Number(sampleRate) > 0 ? Number(sampleRate) : 48000;
+  const needed = Math.ceil((2 * sr) / Math.max(1, Number(minFrequency) || PITCH_DEFAULTS.minFrequency)) + 2;
+  let size = Math.max(32, Number(base) || PITCH_DEFAULTS.fftSize);
+  while (size < needed && size < MAX_FFT_SIZE) size *= 2;
+  return Math.min(size, MAX_FFT_SIZE);
+}
+
+/**
+ * YIN fundamental-frequency estimate (de Cheveigné & Kawahara, 2002).
+ * @param {Float32Array|number[]} buffer time-domain samples (-1..1)
+ * @param {number} sampleRate
+ * @param {object} options { threshold, minFrequency (default: profileMinFrequency()), maxFrequency }
+ * @returns {{frequency:number, clarity:number}|null} null when no clear pitch
+ */
+export function detectPitch(buffer, sampleRate, options = {}) {
+  const {
+    threshold = PITCH_DEFAULTS.threshold,
+    minFrequency = profileMinFrequency(),
+    maxFrequency = PITCH_DEFAULTS.maxFrequency
+  } = options || {};
+
+  const sr = Number(sampleRate);
+  if (!buffer || !buffer.length || !Number.isFinite(sr) || sr <= 0) return null;
+
+  const minTau = Math.max(2, Math.floor(sr / Math.max(1, maxFrequency)));
+  const maxTau = Math.min(Math.floor(sr / Math.max(1, minFrequency)), Math.floor(buffer.length / 2));
+  if (maxTau <= minTau) return null;
+
+  const windowSize = buffer.length - maxTau;
+
+  // Step 2: difference function
+  const diff = new Float32Array(maxTau + 1);
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let sum = 0;
+    for (let j = 0; j < windowSize; j++) {
+      const d = buffer[j] - buffer[j + tau];
+      sum += d * d;
+    }
+    diff[tau] = sum;
+  }
+
+  // Step 3: cumulative mean normalized difference
+  const cmnd = new Float32Array(maxTau + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    running += diff[tau];
+    cmnd[tau] = running > 0 ? (diff[tau] * tau) / running : 1;
+  }
+
+  // Step 4: absolute threshold — first dip below threshold, then walk to its minimum
+  let tauEstimate = -1;
+  for (let tau = minTau; tau <= maxTau; tau++) {
+    if (cmnd[tau] < threshold) {
+      while (tau + 1 <= maxTau && cmnd[tau + 1] < cmnd[tau]) tau++;
+      tauEstimate = tau;
+      break;
+    }
+  }
+  if (tauEstimate === -1) return null;
+
+  // Step 5: parabolic interpolation for sub-sample accuracy
+  let betterTau = tauEstimate;
+  if (tauEstimate > 1 && tauEstimate < maxTau) {
+    const s0 = cmnd[tauEstimate - 1];
+    const s1 = cmnd[tauEstimate];
+    const s2 = cmnd[tauEstimate + 1];
+    const denom = 2 * (2 * s1 - s2 - s0);
+    if (denom !== 0) betterTau = tauEstimate + (s2 - s0) / denom;
+  }
+
+  const frequency = sr / betterTau;
+  if (!Number.isFinite(frequency) || frequency < minFrequency || frequency > maxFrequency) return null;
+
+  return { frequency, clarity: clamp(1 - cmnd[tauEstimate], 0, 1) };
+}
+
+/**
+ * Describe a frequency relative to the nearest (or a given) note.
+ * @param {number} frequency Hz
+ * @param {number|null} targetMidi optional target; defaults to nearest semitone
+ * @returns {{frequency:number, midi:number, note:string, cents:number, inTune:boolean}|null}
+ */
+export function analyzeFrequency(frequency, targetMidi = null) {
+  const f = Number(frequency);
+  if (!Number.isFinite(f) || f <= 0) return null;
+
+  const midi = targetMidi != null && Number.isFinite(Number(targetMidi))
+    ? Math.round(Number(targetMidi))
+    : MUSIC.freqToMidi(f);
+  if (midi == null) return null;
+
+  const cents = MUSIC.getCentsDeviation(f, midi);
+  return {
+    frequency: f,
+    midi,
+    note: MUSIC.midiToNote(midi),
+    cents,
+    inTune: Math.abs(cents) <= PITCH_DEFAULTS.inTuneCents
+  };
+}
+
+/**
+ * PitchTracker - polls a mic AnalyserNode and broadcasts readings.
+ * Reading shape:
+ * { timestamp, frequency, midi, note, cents, inTune, clarity, rms, silent }
+ * (frequency/midi/note/cents are null while silent)
+ */
+class PitchTracker {
+  constructor() {
+    this.listeners = new Set();
+    this.options = { ...PITCH_DEFAULTS };
+
+    this.running = false;
+    this.mic = null;          // { analyser, sampleRate, disconnect }
+    this.buffer = null;
+    this.timerId = null;
+    this.recent = [];         // recent raw frequencies for smoothing
+    this.latest = null;
+    this._startPromise = null;
+    this._startToken = 0;      // bumped by stop() so a pending start() gives the mic back
+    this._requested = {};      // options passed to start(); the rest follow the profile
+    this._offProfile = null;
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' &&
+      !!navigator.mediaDevices &&
+      typeof navigator.mediaDevices.getUserMedia === 'function';
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  getLatest() {
+    return this.latest;
+  }
+
+  /**
+   * Register a listener; returns an unsubscribe function.
+   * When the last listener unsubscribes the tracker stops and releases the mic;
+   * screens still call stop() when they stop listening or unmount.
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => {
+      if (!this.listeners.delete(listener)) return;
+      if (this.listeners.size === 0 && (this.running || this._startPromise)) this.stop();
+    };
+  }
+
+  /**
+   * Fire `callback(note)` once per sustained note: `minFrames` consecutive
+   * readings on the same semitone. Bow noise and slides between notes are ignored.
+   * note = { midi, note, frequency, cents, frames, timestamp } (cents = median of the run)
+   * @returns {Function} unsubscribe
+   */
+  onStableNote(callback, options = {}) {
+    if (typeof callback !== 'function') return () => {};
+    const minFrames = Math.max(1, Math.floor(Number(options?.minFrames) || 6));
+
+    let run = [];
+    let fired = false;
+
+    return this.subscribe((r) => {
+      if (r.silent || r.midi == null) {
+        run = [];
+        fired = false;
+        return;
+      }
+      if (run.length && run[run.length - 1].midi !== r.midi) {
+        run = [];
+        fired = false;
+      }
+      if (fired) return;
+      run.push(r);
+      if (run.length < minFrames) return;
+
+      fired = true;
+      try {
+        callback({
+          midi: r.midi,
+          note: r.note,
+          frequency: median(run.map((x) => x.frequency)),
+          cents: Math.round(median(run.map((x) => x.cents))),
+          frames: run.length,
+          timestamp: r.timestamp
+        });
+      } catch (e) {
+        console.warn('[PitchTracker] stable-note callback failed:', e);
+      }
+    });
+  }
+
+  /**
+   * Open the mic (via audioEngine) and begin emitting readings.
+   * minFrequency defaults to profileMinFrequency() and fftSize grows to fit it;
+   * both follow instrument/scordatura changes while running.
+   * @returns {Promise<boolean>} false if the mic is unavailable/denied
+   */
+  start(options = {}) {
+    if (this.running) return Promise.resolve(true);
+    if (this._startPromise) return this._startPromise;
+
+    this._requested = { ...(options || {}) };
+    this.options = this._resolveOptions(audioEngine.audioContext?.sampleRate);
+
+    const token = ++this._startToken;
+    const starting = (async () => {
+      try {
+        const mic = await audioEngine.createMicAnalyser({ fftSize: this.options.fftSize });
+        if (!mic) return false;
+        if (token !== this._startToken) {
+          mic.disconnect();
+          return false;
+        }
+
+        this.mic = mic;
+        this._applyRange();
+        this.recent = [];
+        this.running = true;
+        this._offProfile = instrumentProfile.subscribe(() => this._applyRange());
+
+        this.timerId = setInterval(() => this._tick(), clamp(this.options.intervalMs, 16, 500));
+        console.log('[PitchTracker] started');
+        return true;
+      } catch (e) {
+        console.warn('[PitchTracker] start failed:', e);
+        this.stop();
+        return false;
+      } finally {
+        if (this._startPromise === starting) this._startPromise = null;
+      }
+    })();
+
+    this._startPromise = starting;
+    return starting;
+  }
+
+  stop() {
+    this._startToken++;
+    this._startPromise = null;
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = null;
+    try { this._offProfile?.(); } catch {}
+    this._offProfile = null;
+
+    try { this.mic?.disconnect?.(); } catch {}
+    this.mic = null;
+    this.buffer = null;
+    this.recent = [];
+
+    if (this.running) console.log('[PitchTracker] stopped');
+    this.running = false;
+  }
+
+  _resolveOptions(sampleRate) {
+    const req = this._requested;
+    const options = { ...PITCH_DEFAULTS, ...req };
+    if (req.minFrequency == null) options.minFrequency = profileMinFrequency();
+    options.fftSize = fftSizeFor(options.minFrequency, sampleRate, req.fftSize ?? PITCH_DEFAULTS.fftSize);
+    return options;
+  }
+
+  // Re-derive the range for the active profile and size the analyser to match
+  _applyRange() {
+    if (!this.mic) return;
+    this.options = this._resolveOptions(this.mic.sampleRate);
+    try {
+      if (this.mic.analyser.fftSize !== this.options.fftSize) this.mic.analyser.fftSize = this.options.fftSize;
+    } catch (e) {
+      console.warn('[PitchTracker] analyser resize failed:', e);
+    }
+    if (this.buffer?.length !== this.mic.analyser.fftSize) {
+      this.buffer = new Float32Array(this.mic.analyser.fftSize);
+      this.recent = [];
+    }
+  }
+
+  _emit(reading) {
+    this.latest = reading;
+    this.listeners.forEach((fn) => {
+      try { fn(reading); } catch (e) { console.warn('[PitchTracker] listener failed:', e); }
+    });
+  }
+
+  _tick() {
+    if (!this.running || !this.mic || !this.buffer) return;
+
+    try {
+      this.mic.analyser.getFloatTimeDomainData(this.buffer);
+    } catch {
+      return;
+    }
+
+    const timestamp = Date.now();
+    const rms = rmsOf(this.buffer);
+    const silentReading = {
+      timestamp, frequency: null, midi: null, note: null, cents: null,
+      inTune: false, clarity: 0, rms, silent: true
+    };
+
+    if (rms < this.options.minRms) {
+      this.recent = [];
+      this._emit(silentReading);
+      return;
+    }
+
+    const detected = detectPitch(this.buffer, this.mic.sampleRate, this.options);
+    if (!detected) {
+      this._emit(silentReading);
+      return;
+    }
+
+    this.recent.push(detected.frequency);
+    const win = Math.max(1, Math.floor(this.options.smoothing));
+    if (this.recent.length > win) this.recent = this.recent.slice(-win);
+
+    const info = analyzeFrequency(median(this.recent));
+    if (!info) {
+      this._emit(silentReading);
+      return;
+    }
+
+    this._emit({
+      timestamp,
+      ...info,
+      inTune: Math.abs(info.cents) <= this.options.inTuneCents,
+      clarity: detected.clarity,
+      rms,
+      silent: false
+    });
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const pitchTracker = new PitchTracker();
+
+export const subscribePitch = pitchTracker.subscribe.bind(pitchTracker);
+export const startPitchTracking = pitchTracker.start.bind(pitchTracker);
+export const stopPitchTracking = pitchTracker.stop.bind(pitchTracker);
+
+export default pitchTracker;
@@ -0,0 +1,249 @@
+// js/engines/recordingLibrary.js
+// ======================================
+// VMQ RECORDING LIBRARY v1.0.0 - Practice takes that survive a reload
+// IndexedDB store for audioEngine.stopRecording() blobs + practice metadata
+//
+// ✅ One record per take: date, piece, tempo, tags, linked PracticeJournal entry
+// ✅ Metadata listing without touching audio (blobs load only on play/compare)
+// ✅ Rename / retag / relink / delete; per-piece history for week-over-week comparison
+// ✅ Usage accounting: library bytes + browser quota via getStorageEstimate()
+// ✅ Fail-soft: resolves empty results when IndexedDB is unavailable (private mode, old Safari)
+// ======================================
+
+import { getStorageEstimate } from '../config/storage.js';
+
+const DB_NAME = 'vmq-recordings';
+const DB_VERSION = 1;
+const STORE = 'recordings';
+
+function uid() {
+  return `rec-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Everything except the audio payload
+function toMeta(record) {
+  if (!record) return null;
+  const { blob, ...meta } = record;
+  return meta;
+}
+
+class RecordingLibrary {
+  constructor() {
+    this._dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined' && !!indexedDB;
+  }
+
+  _open() {
+    if (!this.isSupported()) return Promise.reject(new Error('IndexedDB not supported'));
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt');
+          store.createIndex('piece', 'piece');
+          store.createIndex('journalEntryId', 'journalEntryId');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => console.warn('[Recordings] database upgrade blocked by another tab');
+    }).catch((e) => {
+      this._dbPromise = null;
+      throw e;
+    });
+
+    return this._dbPromise;
+  }
+
+  async _tx(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const store = tx.objectStore(STORE);
+      let result;
+      Promise.resolve(fn(store)).then((r) => { result = r; }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Save a take.
+   * @param {Blob} blob audio from audioEngine.stopRecording()
+   * @param {object} meta { name, piece, tempo, tags, journalEntryId, duration(ms), date }
+   * @returns {Promise<object|null>} stored metadata (no blob) or null on failure
+   */
+  async save(blob, meta = {}) {
+    if (!blob) return null;
+    const createdAt = Date.now();
+    const piece = String(meta.piece || '').trim();
+    const record = {
+      id: uid(),
+      createdAt,
+      date: meta.date || todayISO(),
+      name: String(meta.name || '').trim() || `${piece || 'Take'} — ${new Date(createdAt).toLocaleString()}`,
+      piece,
+      tempo: Number.isFinite(Number(meta.tempo)) && Number(meta.tempo) > 0 ? Math.round(Number(meta.tempo)) : null,
+      tags: cleanTags(meta.tags),
+      journalEntryId: meta.journalEntryId || null,
+      duration: Math.max(0, Number(meta.duration) || 0),
+      mimeType: blob.type || 'audio/webm',
+      size: blob.size || 0,
+      blob
+    };
+
+    try {
+      await this._tx('readwrite', (store) => store.put(record));
+      return toMeta(record);
+    } catch (e) {
+      console.warn('[Recordings] save failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * List takes (newest first), metadata only.
+   * @param {object} filter { piece, tag, journalEntryId }
+   */
+  async list(filter = {}) {
+    try {
+      const all = await this._tx('readonly', (store) => requestToPromise(store.getAll()));
+      const { piece = null, tag = null, journalEntryId = null } = filter || {};
+      return (all || [])
+        .filter((r) => !piece || r.piece === piece)
+        .filter((r) => !tag || (r.tags || []).includes(tag))
+        .filter((r) => !journalEntryId || r.journalEntryId === journalEntryId)
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map(toMeta);
+    } catch (e) {
+      console.warn('[Recordings] list failed:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Full record including the audio blob.
+   */
+  async get(id) {
+    if (!id) return null;
+    try {
+      return (await this._tx('readonly', (store) => requestToPromise(store.get(id)))) || null;
+    } catch (e) {
+      console.warn('[Recordings] get failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Object URL for playback. Caller must URL.revokeObjectURL() when done.
+   */
+  async getObjectUrl(id) {
+    const record = await this.get(id);
+    if (!record?.blob) return null;
+    try { return URL.createObjectURL(record.blob); } catch { return null; }
+  }
+
+  /**
+   * Patch metadata (rename, retag, change piece/tempo, link/unlink a journal entry).
+   * @returns {Promise<object|null>} updated metadata
+   */
+  async update(id, patch = {}) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const next = { ...record };
+    if ('name' in patch) next.name = String(patch.name || '').trim() || record.name;
+    if ('piece' in patch) next.piece = String(patch.piece || '').trim();
+    if ('tempo' in patch) next.tempo = Number(patch.tempo) > 0 ? Math.round(Number(patch.tempo)) : null;
+    if ('tags' in patch) next.tags = cleanTags(patch.tags);
+    if ('journalEntryId' in patch) next.journalEntryId = patch.journalEntryId || null;
+    if ('date' in patch && patch.date) next.date = String(patch.date);
+    next.updatedAt = Date.now();
+
+    try {
+      await this._tx('readwrite', (store) => store.put(next));
+      return toMeta(next);
+    } catch (e) {
+      console.warn('[Recordings] update failed:', e);
+      return null;
+    }
+  }
+
+  rename(id, name) {
+    return this.update(id, { name });
+  }
+
+  async remove(id) {
+    try {
+      await this._tx('readwrite', (store) => store.delete(id));
+      return true;
+    } catch (e) {
+      console.warn('[Recordings] delete failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Distinct pieces with take counts, most recently practiced first.
+   * @returns {Promise<Array<{piece:string, count:number, lastAt:number}>>}
+   */
+  async getPieces() {
+    const takes = await this.list();
+    const map = new Map();
+    takes.forEach((t) => {
+      if (!t.piece) return;
+      const cur = map.get(t.piece) || { piece: t.piece, count: 0, lastAt: 0 };
+      cur.count += 1;
+      cur.lastAt = Math.max(cur.lastAt, t.createdAt || 0);
+      map.set(t.piece, cur);
+    });
+    return [...map.values()].sort((a, b) => b.lastAt - a.lastAt);
+  }
+
+  /**
+   * Library size plus the origin-wide quota picture.
+   * @returns {Promise<{count:number, bytes:number, estimate:object|null}>}
+   */
+  async getUsage() {
+    const takes = await this.list();
+    const bytes = takes.reduce((sum, t) => sum + (t.size || 0), 0);
+    let estimate = null;
+    try { estimate = await getStorageEstimate(); } catch {}
+    return { count: takes.length, bytes, estimate };
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const recordingLibrary = new RecordingLibrary();
+
+export const saveRecording = recordingLibrary.save.bind(recordingLibrary);
+export const listRecordings = recordingLibrary.list.bind(recordingLibrary);
+export const deleteRecording = recordingLibrary.remove.bind(recordingLibrary);
+
+export default recordingLibrary;
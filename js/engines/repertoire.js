@@ -0,0 +1,374 @@
+// js/engines/repertoire.js
+// ======================================
+// VMQ REPERTOIRE v1.0.0 - Imported passages as drill sources
+// A MusicXML (utils/musicxml.js) or ABC (utils/abc.js) passage becomes a
+// repertoire entry that the trainers read from STORAGE_KEYS.REPERTOIRE:
+// Intervals drills its melodic intervals, Rhythm its bars, Fingerboard
+// suggests a fingering for it.
+//
+// ✅ Interval drill: every melodic step between pitched notes, compound
+//    intervals folded into the octave, counted per INTERVALS id
+// ✅ Rhythm drill: one pattern per distinct bar that the Rhythm answer palette
+//    can spell (quarter, eighth, sixteenth, dotted quarter, half)
+// ✅ Fingering: note names for fingeringOptimizer, best path for the active
+//    instrument (sounding pitch, so the double bass octave is handled)
+// ✅ passageText: a plain-language summary that pedagogyEngine.analyzePassage()
+//    (or analyzeFeedback(entry)) reads for intervals, positions and rhythms
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { INTERVALS, getInstrumentProfile } from '../config/constants.js';
+import { MUSIC } from '../utils/helpers.js';
+import { parseTimeSignature } from '../utils/notation.js';
+import { parseMusicXML } from '../utils/musicxml.js';
+import { parseABC } from '../utils/abc.js';
+import { optimizeFingering, profileFingeringOptions, OPTIMIZER_DEFAULTS } from './fingeringOptimizer.js';
+import { soundingMidi } from './instrumentProfile.js';
+
+const EPS = 1e-6;
+const MAX_ENTRIES = 30;
+
+// Note values the Rhythm module's answer palette can spell (quarter-note beats)
+export const RHYTHM_DRILL_VALUES = Object.freeze({
+  2: 'half',
+  1.5: 'dotted-quarter',
+  1: 'quarter',
+  0.5: 'eighth',
+  0.25: 'sixteenth'
+});
+
+function valueForBeats(beats) {
+  const hit = Object.keys(RHYTHM_DRILL_VALUES).find((b) => Math.abs(Number(b) - beats) < EPS);
+  return hit ? RHYTHM_DRILL_VALUES[hit] : null;
+}
+
+function ordinal(n) {
+  if (n === 0.5) return 'half';
+  const v = Math.round(n);
+  if (v % 100 >= 11 && v % 100 <= 13) return `${v}th`;
+  return `${v}${['th', 'st', 'nd', 'rd'][v % 10] || 'th'}`;
+}
+
+const ID_PREFIX = { musicxml: 'xml', abc: 'abc' };
+
+function newId(format = 'musicxml') {
+  return `${ID_PREFIX[format] || 'xml'}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function noteLabel(midi) {
+  try { return MUSIC.midiToNote(midi) || String(midi); } catch { return String(midi); }
+}
+
+// ======================================
+// DRILLS
+// ======================================
+
+/**
+ * Melodic intervals between consecutive pitched notes (rests don't break the line).
+ * @returns {{ items: Array<{from, to, semitones, simple, direction, compound, intervalId, name, measure}>,
+ *   counts: Object<string, number>, intervalIds: string[] }}
+ *   intervalIds are sorted most frequent first.
+ */
+export function buildIntervalDrill(notes = []) {
+  const pitched = notes.filter((n) => !n.rest && Number.isFinite(n.midi));
+  const items = [];
+  const counts = {};
+
+  for (let i = 1; i < pitched.length; i++) {
+    const a = pitched[i - 1];
+    const b = pitched[i];
+    const semitones = Math.abs(b.midi - a.midi);
+    if (!semitones) continue;
+    const simple = semitones % 12 || 12;
+    const interval = INTERVALS.find((iv) => iv.semitones === simple);
+    if (!interval) continue;
+    counts[interval.id] = (counts[interval.id] || 0) + 1;
+    items.push({
+      from: a.midi,
+      to: b.midi,
+      semitones,
+      simple,
+      direction: b.midi > a.midi ? 'up' : 'down',
+      compound: semitones > 12,
+      intervalId: interval.id,
+      name: interval.name,
+      measure: b.measure
+    });
+  }
+
+  const intervalIds = Object.keys(counts).sort((x, y) => counts[y] - counts[x]);
+  return { items, counts, intervalIds };
+}
+
+/**
+ * One Rhythm-module pattern per distinct bar ({ beats: [{ value }] }, Rhythm.js shape).
+ * Bars with rests, tuplets, ties into odd values or anything else the answer
+ * palette can't spell are counted in `skipped` but still shape `features`.
+ * @returns {{ patterns, skipped, features: {sixteenths, dotted, triplets, syncopation, rests} }}
+ */
+export function buildRhythmDrill(notes = [], timeSignature = '4/4', { id = 'passage', title = '', source = 'musicxml' } = {}) {
+  const ts = parseTimeSignature(timeSignature) || parseTimeSignature('4/4');
+  const group = ts.groupBeats;
+  const features = { sixteenths: false, dotted: false, triplets: false, syncopation: false, rests: false };
+
+  const bars = [];
+  notes.forEach((n) => {
+    const last = bars[bars.length - 1];
+    if (last && last.measure === n.measure) last.notes.push(n);
+    else bars.push({ measure: n.measure, notes: [n] });
+  });
+
+  const bySignature = new Map();
+  let skipped = 0;
+
+  bars.forEach((bar) => {
+    const barStart = bar.notes[0].start;
+    let spellable = true;
+    let syncopated = false;
+
+    const values = bar.notes.map((n) => {
+      if (n.rest) features.rests = true;
+      if (n.tuplet) features.triplets = features.triplets || n.tuplet === 3;
+      if (n.beats < 0.5 - EPS) features.sixteenths = true;
+      const value = n.rest || n.tuplet ? null : valueForBeats(n.beats);
+      if (value === 'dotted-quarter' || Math.abs(n.beats - 0.75) < EPS || Math.abs(n.beats - 3) < EPS) features.dotted = true;
+
+      // Off the beat and sounding through the next one
+      const pos = n.start - barStart;
+      const offBeat = Math.abs(pos / group - Math.round(pos / group)) > EPS;
+      if (!n.rest && offBeat && Math.floor((pos + n.beats - EPS) / group) > Math.floor(pos / group)) syncopated = true;
+
+      if (!value) spellable = false;
+      return value;
+    });
+
+    if (syncopated) features.syncopation = true;
+    if (!spellable) {
+      skipped++;
+      return;
+    }
+
+    const signature = values.join(' ');
+    const existing = bySignature.get(signature);
+    if (existing) {
+      existing.measures.push(bar.measure);
+      return;
+    }
+
+    const hasSixteenths = values.includes('sixteenth');
+    const hasDotted = values.includes('dotted-quarter');
+    bySignature.set(signature, {
+      id: `${id}_r${bySignature.size + 1}`,
+      name: `${title || 'Passage'} · m. ${bar.measure}`,
+      timeSig: timeSignature,
+      difficulty: (hasSixteenths && hasDotted) || syncopated ? 'hard' : hasSixteenths || hasDotted ? 'medium' : 'easy',
+      syncopated,
+      beats: values.map((value) => ({ value })),
+      measures: [bar.measure],
+      source,
+      passageId: id
+    });
+  });
+
+  return { patterns: [...bySignature.values()], skipped, features };
+}
+
+/**
+ * Fingering input for the passage: the score's note names (sharp names where a
+ * spelling like E#/Cb won't parse, or the instrument transposes) plus the
+ * optimizer's best path for the active instrument.
+ * @returns {{ text, count, truncated, best: {cost, positions, shifts, crossings, strings, reasons}|null, unplayable }}
+ */
+export function buildFingeringPassage(notes = [], profile = getInstrumentProfile()) {
+  const pitched = notes.filter((n) => !n.rest && Number.isFinite(n.midi));
+  const used = pitched.slice(0, OPTIMIZER_DEFAULTS.maxNotes);
+  const sounding = used.map((n) => soundingMidi(n.midi, profile));
+  const text = used
+    .map((n, i) => (n.note && MUSIC.noteToMidi(n.note) === sounding[i] ? n.note : noteLabel(sounding[i])))
+    .join(' ');
+
+  let best = null;
+  let unplayable = 0;
+  try {
+    const result = optimizeFingering(sounding, { ...profileFingeringOptions(profile), alternatives: 1 });
+    unplayable = result.unplayable.length;
+    const alt = result.alternatives[0];
+    if (alt) {
+      best = {
+        cost: alt.cost,
+        positions: alt.summary.positions,
+        shifts: alt.summary.shifts,
+        crossings: alt.summary.crossings,
+        strings: alt.summary.strings,
+        reasons: alt.reasons
+      };
+    }
+  } catch (e) {
+    console.warn('[Repertoire] fingering failed:', e);
+  }
+
+  return { text, count: used.length, truncated: pitched.length > used.length, best, unplayable };
+}
+
+/**
+ * Summary text for pedagogyEngine.analyzePassage(): interval names, positions
+ * and shifts, and rhythm words (triplet, syncopation) in its vocabulary.
+ */
+export function describePassage({ title, composer, key, timeSignature, tempo, measures, notes = [], intervalDrill, rhythmDrill, fingering }) {
+  const pitched = notes.filter((n) => !n.rest);
+  const midis = pitched.map((n) => n.midi);
+  const lines = [];
+
+  lines.push(`${title || 'Untitled passage'}${composer ? ` — ${composer}` : ''}`);
+  const bars = measures?.from != null ? `, measures ${measures.from}–${measures.to}` : '';
+  lines.push(`${key?.name || 'C Major'}, ${timeSignature}${tempo ? `, quarter = ${tempo}` : ''}${bars}, ` +
+    `${pitched.length} notes (${noteLabel(Math.min(...midis))}–${noteLabel(Math.max(...midis))})`);
+
+  if (intervalDrill?.intervalIds?.length) {
+    const parts = intervalDrill.intervalIds.map((id) => {
+      const iv = INTERVALS.find((x) => x.id === id);
+      return `${iv?.name || id} ×${intervalDrill.counts[id]}`;
+    });
+    const leaps = intervalDrill.items.filter((it) => it.compound).length;
+    lines.push(`Melodic intervals: ${parts.join(', ')}${leaps ? `; ${leaps} leap${leaps === 1 ? '' : 's'} beyond the octave` : ''}`);
+  }
+
+  const f = rhythmDrill?.features || {};
+  const rhythm = [
+    f.sixteenths && 'sixteenth notes',
+    f.dotted && 'dotted rhythms',
+    f.triplets && 'triplet',
+    f.syncopation && 'syncopation',
+    f.rests && 'rests'
+  ].filter(Boolean);
+  lines.push(`Rhythm: ${rhythm.length ? rhythm.join(', ') : 'even note values'}`);
+
+  const best = fingering?.best;
+  if (best) {
+    const crossings = `${best.crossings} string crossing${best.crossings === 1 ? '' : 's'}`;
+    const home = best.positions[0];
+    if (best.shifts) {
+      lines.push(`Fingering: ${best.positions.map(ordinal).join(', ')} position, ` +
+        `${best.shifts} shift${best.shifts === 1 ? '' : 's'}, ${crossings}`);
+    } else if (home != null && home !== 1) {
+      // "position" only when the hand leaves 1st: analyzePassage reads it as a shifting cue
+      lines.push(`Fingering: ${ordinal(home)} position, ${crossings}`);
+    } else {
+      lines.push(`Fingering: home hand frame, ${crossings}`);
+    }
+  } else if (fingering?.unplayable) {
+    lines.push(`Fingering: ${fingering.unplayable} note${fingering.unplayable === 1 ? '' : 's'} out of reach up to 7th position`);
+  }
+
+  return lines.join('\n');
+}
+
+// ======================================
+// ENTRIES
+// ======================================
+
+/**
+ * Repertoire entry from a parseMusicXML() or parseABC() result.
+ * @param {object} parsed parser output (parsed.format 'abc'; MusicXML when absent)
+ * @param {object} meta { fileName, source: 'import' | 'share_target' | 'paste' }
+ */
+export function createRepertoireEntry(parsed, meta = {}) {
+  const format = parsed.format || 'musicxml';
+  const id = newId(format);
+  const title = parsed.title || String(meta.fileName || '').replace(/\.(musicxml|xml|abc)$/i, '') || 'Imported passage';
+  const notes = parsed.notes.map(({ midi, note, beats, start, rest, measure, tuplet }) =>
+    ({ midi, note, beats, start, rest, measure, tuplet }));
+
+  const intervalDrill = buildIntervalDrill(notes);
+  const rhythmDrill = buildRhythmDrill(notes, parsed.timeSignature, { id, title, source: format });
+  const fingering = buildFingeringPassage(notes);
+
+  const entry = {
+    id,
+    source: format,
+    importedVia: meta.source || 'import',
+    fileName: meta.fileName || '',
+    createdAt: new Date().toISOString(),
+    title,
+    composer: parsed.composer || '',
+    partName: parsed.partName || '',
+    key: parsed.key,
+    timeSignature: parsed.timeSignature,
+    clef: parsed.clef,
+    tempo: parsed.tempo,
+    measures: parsed.measures,
+    truncated: !!parsed.truncated,
+    warnings: parsed.warnings || [],
+    notes,
+    intervalDrill,
+    rhythmDrill,
+    fingering
+  };
+  entry.passageText = describePassage(entry);
+  return entry;
+}
+
+export function getRepertoireEntries() {
+  const raw = loadJSON(STORAGE_KEYS.REPERTOIRE, {});
+  return Array.isArray(raw?.entries) ? raw.entries : [];
+}
+
+export function getRepertoireEntry(id) {
+  return getRepertoireEntries().find((e) => e.id === id) || null;
+}
+
+export function saveRepertoireEntry(entry) {
+  if (!entry?.id) return null;
+  const entries = [entry, ...getRepertoireEntries().filter((e) => e.id !== entry.id)].slice(0, MAX_ENTRIES);
+  saveJSON(STORAGE_KEYS.REPERTOIRE, { entries });
+  return entry;
+}
+
+export function removeRepertoireEntry(id) {
+  const entries = getRepertoireEntries().filter((e) => e.id !== id);
+  saveJSON(STORAGE_KEYS.REPERTOIRE, { entries });
+  return entries;
+}
+
+/**
+ * Parse, build and (by default) store a MusicXML passage.
+ * @param {string} text file contents
+ * @param {object} options { fileName, source, partId, fromMeasure, toMeasure, save = true }
+ * @throws {Error} from parseMusicXML() when the file can't be read
+ */
+export function importMusicXML(text, options = {}) {
+  const { fileName, source, save = true, ...parseOptions } = options;
+  const parsed = parseMusicXML(text, parseOptions);
+  const entry = createRepertoireEntry(parsed, { fileName, source });
+  if (save) saveRepertoireEntry(entry);
+  return entry;
+}
+
+/**
+ * Parse, build and (by default) store an ABC tune.
+ * @param {string} text pasted, shared or .abc file text
+ * @param {object} options { fileName, source, tune, fromMeasure, toMeasure, save = true }
+ * @throws {Error} from parseABC() when the text can't be read
+ */
+export function importABC(text, options = {}) {
+  const { fileName, source, save = true, ...parseOptions } = options;
+  const parsed = parseABC(text, parseOptions);
+  const entry = createRepertoireEntry(parsed, { fileName, source });
+  if (save) saveRepertoireEntry(entry);
+  return entry;
+}
+
+export default {
+  RHYTHM_DRILL_VALUES,
+  buildIntervalDrill,
+  buildRhythmDrill,
+  buildFingeringPassage,
+  describePassage,
+  createRepertoireEntry,
+  getRepertoireEntries,
+  getRepertoireEntry,
+  saveRepertoireEntry,
+  removeRepertoireEntry,
+  importMusicXML,
+  importABC
+};
@@ -0,0 +1,461 @@
+// js/engines/rhythmAnalyzer.js
+// ======================================
+// VMQ RHYTHM ANALYZER v1.0.0 - How steady is the actual playing?
+// Note-onset detection on the mic (or a saved take) scored against the
+// metronome grid, so rhythm work covers real playing, not just reading.
+//
+// ✅ OnsetDetector: streaming level-rise detector (works on live chunks or whole takes)
+// ✅ assessTiming(): per-beat deviation in ms, rush/drag tendency, consistency
+// ✅ Live mode: listens while metronome.start() is running; grid = the clicks actually booked
+// ✅ Take mode: decodes a recording (RecordingLibrary blob) and builds the grid from its tempo
+// ✅ Fail-soft: start() resolves false without mic/metronome; never throws from the poll loop
+// ======================================
+
+import { audioEngine } from './audioEngine.js';
+import { metronome } from './metronome.js';
+
+export const ONSET_DEFAULTS = Object.freeze({
+  frameSize: 512,      // analysis window (samples)
+  hopSize: 128,        // ~2.9 ms at 44.1 kHz
+  riseDb: 9,           // level jump that counts as a new note
+  lookbackMs: 60,      // jump measured against the quietest frame in this window
+  minGapMs: 90,        // ignore re-triggers (bow noise, vibrato swells) inside this gap
+  floorDb: -45         // frames quieter than this are never onsets
+});
+
+export const TIMING_DEFAULTS = Object.freeze({
+  maxWindowMs: 250,    // an onset further than this from the beat is not "that beat"
+  steadyMs: 10,        // |mean| below max(steadyMs, 2% of beat) reads as steady
+  pollMs: 20           // live analyser poll (must stay below the analyser buffer length)
+});
+
+function clamp(v, lo, hi) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return lo;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const a = values.slice().sort((x, y) => x - y);
+  const mid = Math.floor(a.length / 2);
+  return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+}
+
+/**
+ * Streaming onset detector.
+ * Level = RMS (dBFS) of the first difference of the signal — the difference
+ * emphasises the bow "bite" over the sustained tone. An onset fires when the
+ * level rises `riseDb` above the quietest frame of the last `lookbackMs`; its
+ * time is the frame where the rise crossed half-way.
+ */
+export class OnsetDetector {
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = Number(sampleRate) || 44100;
+    this.options = { ...ONSET_DEFAULTS, ...(options || {}) };
+    this.frameSize = Math.max(64, Math.floor(this.options.frameSize));
+    this.hopSize = clamp(Math.floor(this.options.hopSize), 16, this.frameSize);
+    this.lookbackFrames = Math.max(2, Math.round((this.options.lookbackMs / 1000) * this.sampleRate / this.hopSize));
+    this.reset();
+  }
+
+  reset() {
+    this.carry = new Float32Array(0);
+    this.carryStart = null;   // time (s) of carry[0]
+    this.history = [];        // [{ time, db }] last lookbackFrames
+    this.lastOnset = -Infinity;
+    this.onsets = [];
+  }
+
+  /**
+   * Feed consecutive samples.
+   * @param {Float32Array|number[]} samples mono, -1..1
+   * @param {number} startTime time (s) of samples[0]; omit to continue the previous chunk.
+   *   A start time that doesn't follow on from the previous chunk drops the partial frame.
+   * @returns {number[]} onset times (s) found in this chunk
+   */
+  push(samples, startTime = null) {
+    const input = samples instanceof Float32Array ? samples : Float32Array.from(samples || []);
+    if (!input.length) return [];
+
+    if (startTime != null && Number.isFinite(Number(startTime))) {
+      const expected = this.carryStart == null ? null : this.carryStart + this.carry.length / this.sampleRate;
+      if (expected == null || Math.abs(expected - startTime) > this.hopSize / this.sampleRate) {
+        this.carry = new Float32Array(0);
+        this.carryStart = Number(startTime);
+      }
+    } else if (this.carryStart == null) {
+      this.carryStart = 0;
+    }
+
+    const buf = new Float32Array(this.carry.length + input.length);
+    buf.set(this.carry, 0);
+    buf.set(input, this.carry.length);
+
+    const found = [];
+    let offset = 0;
+    while (offset + this.frameSize <= buf.length) {
+      const time = this.carryStart + (offset + this.frameSize / 2) / this.sampleRate;
+      const hit = this._frame(buf, offset, time);
+      if (hit != null) found.push(hit);
+      offset += this.hopSize;
+    }
+
+    this.carry = buf.slice(offset);
+    this.carryStart += offset / this.sampleRate;
+    return found;
+  }
+
+  _frame(buf, offset, time) {
+    let sum = 0;
+    for (let i = offset + 1; i < offset + this.frameSize; i++) {
+      const d = buf[i] - buf[i - 1];
+      sum += d * d;
+    }
+    const rms = Math.sqrt(sum / (this.frameSize - 1));
+    const db = rms > 0 ? 20 * Math.log10(rms) : -120;
+
+    const { riseDb, minGapMs, floorDb } = this.options;
+    let onset = null;
+
+    if (this.history.length && db >= floorDb && (time - this.lastOnset) * 1000 >= minGapMs) {
+      let minIdx = 0;
+      for (let i = 1; i < this.history.length; i++) {
+        if (this.history[i].db < this.history[minIdx].db) minIdx = i;
+      }
+      const base = this.history[minIdx].db;
+
+      if (db - base >= riseDb) {
+        const half = base + (db - base) / 2;
+        onset = time;
+        for (let i = minIdx + 1; i < this.history.length; i++) {
+          if (this.history[i].db >= half) { onset = this.history[i].time; break; }
+        }
+        this.lastOnset = time;
+        this.onsets.push(onset);
+        // Restart the baseline so one attack isn't reported twice
+        this.history = [];
+      }
+    }
+
+    this.history.push({ time, db });
+    if (this.history.length > this.lookbackFrames) this.history.shift();
+    return onset;
+  }
+}
+
+/**
+ * Onsets of a whole buffer.
+ * @returns {number[]} times in seconds from the start of `samples`
+ */
+export function detectOnsets(samples, sampleRate, options = {}) {
+  const detector = new OnsetDetector(sampleRate, options);
+  detector.push(samples, 0);
+  return detector.onsets.slice();
+}
+
+/**
+ * Evenly spaced beat grid.
+ * @returns {Array<{time:number, bar:number, beat:number, silent:boolean, bpm:number}>}
+ */
+export function buildGrid(bpm, beatsPerBar = 4, startTime = 0, endTime = startTime + 30) {
+  const tempo = clamp(bpm, 20, 400);
+  const perBar = Math.max(1, Math.round(Number(beatsPerBar) || 4));
+  const beatSec = 60 / tempo;
+  const grid = [];
+  for (let i = 0, t = Number(startTime) || 0; t <= endTime + 1e-6; i++, t = startTime + i * beatSec) {
+    grid.push({ time: t, bar: Math.floor(i / perBar), beat: i % perBar, silent: false, bpm: tempo });
+  }
+  return grid;
+}
+
+/**
+ * Score onsets against a beat grid.
+ * Deviation is onset − beat: negative = early (rushing), positive = late (dragging).
+ * Consistency is 100 when every hit lands the same distance from the click and
+ * 0 when the spread (std-dev) reaches 10% of a beat.
+ * @param {number[]} onsets seconds
+ * @param {Array<{time:number, bar?:number, beat?:number, silent?:boolean}>} grid
+ * @param {object} options { latencyMs, maxWindowMs, source }
+ */
+export function assessTiming(onsets, grid, options = {}) {
+  const { latencyMs = 0, maxWindowMs = TIMING_DEFAULTS.maxWindowMs, source = 'live' } = options || {};
+  const beats = (Array.isArray(grid) ? grid : []).filter((g) => g && Number.isFinite(g.time))
+    .slice().sort((a, b) => a.time - b.time);
+  const shift = (Number(latencyMs) || 0) / 1000;
+  const times = (Array.isArray(onsets) ? onsets : [])
+    .map((t) => Number(t) - shift)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  const intervals = beats.slice(1).map((b, i) => b.time - beats[i].time).filter((d) => d > 0);
+  const beatSec = intervals.length ? median(intervals) : 0.75;
+  const windowSec = Math.min(maxWindowMs / 1000, beatSec / 2);
+
+  const used = new Set();
+  let cursor = 0;
+
+  const rows = beats.map((b) => {
+    while (cursor < times.length && times[cursor] < b.time - windowSec) cursor++;
+    let best = -1;
+    for (let i = cursor; i < times.length && times[i] <= b.time + windowSec; i++) {
+      if (used.has(i)) continue;
+      if (best === -1 || Math.abs(times[i] - b.time) < Math.abs(times[best] - b.time)) best = i;
+    }
+    if (best !== -1) used.add(best);
+    return {
+      bar: b.bar ?? 0,
+      beat: b.beat ?? 0,
+      time: b.time,
+      silent: !!b.silent,
+      onset: best === -1 ? null : times[best],
+      deviationMs: best === -1 ? null : Math.round((times[best] - b.time) * 1000)
+    };
+  });
+
+  const devs = rows.filter((r) => r.deviationMs != null).map((r) => r.deviationMs);
+  const n = devs.length;
+  const meanMs = n ? devs.reduce((a, b) => a + b, 0) / n : 0;
+  const meanAbsMs = n ? devs.reduce((a, b) => a + Math.abs(b), 0) / n : 0;
+  const stdDevMs = n > 1 ? Math.sqrt(devs.reduce((a, d) => a + (d - meanMs) ** 2, 0) / (n - 1)) : 0;
+
+  const beatMs = beatSec * 1000;
+  const steady = Math.max(TIMING_DEFAULTS.steadyMs, beatMs * 0.02);
+  const tendency = !n ? 'none' : meanMs < -steady ? 'rushing' : meanMs > steady ? 'dragging' : 'steady';
+  const consistency = n > 1 ? Math.round(100 * clamp(1 - stdDevMs / (beatMs * 0.1), 0, 1)) : 0;
+
+  // Onsets inside the graded span that matched no beat (extra notes, subdivisions, noise)
+  const first = beats.length ? beats[0].time - windowSec : 0;
+  const last = beats.length ? beats[beats.length - 1].time + windowSec : 0;
+  const extras = times.filter((t, i) => !used.has(i) && t >= first && t <= last).length;
+
+  return {
+    source,
+    createdAt: Date.now(),
+    bpm: beatSec > 0 ? Math.round(60 / beatSec) : null,
+    beats: rows,
+    total: rows.length,
+    hits: n,
+    missed: rows.length - n,
+    extras,
+    meanMs: Math.round(meanMs),
+    meanAbsMs: Math.round(meanAbsMs),
+    stdDevMs: Math.round(stdDevMs),
+    consistency,
+    tendency,
+    latencyMs: Math.round(Number(latencyMs) || 0)
+  };
+}
+
+function mixToMono(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels || 1;
+  if (channels === 1) return audioBuffer.getChannelData(0);
+  const out = new Float32Array(audioBuffer.length);
+  for (let c = 0; c < channels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < out.length; i++) out[i] += data[i] / channels;
+  }
+  return out;
+}
+
+/**
+ * RhythmAnalyzer - live timing assessment against the running metronome.
+ * Listeners receive the running assessment after every beat.
+ */
+class RhythmAnalyzer {
+  constructor() {
+    this.listeners = new Set();
+    this.running = false;
+    this.mic = null;
+    this.detector = null;
+    this.buffer = null;
+    this.timerId = null;
+    this.lastReadTime = null;
+    this.grid = [];
+    this.latencyMs = 0;
+    this._unsubscribeMetronome = null;
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' &&
+      !!navigator.mediaDevices &&
+      typeof navigator.mediaDevices.getUserMedia === 'function';
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Round-trip estimate: the click leaves the speakers outputLatency late and
+   * the mic hears the player late again — both read as "dragging" otherwise.
+   */
+  estimateLatencyMs() {
+    const ctx = audioEngine.audioContext;
+    if (!ctx) return 0;
+    const out = Number(ctx.outputLatency) || 0;
+    const base = Number(ctx.baseLatency) || 0;
+    return Math.round((out + base * 2) * 1000);
+  }
+
+  /**
+   * Start listening. The metronome must already be running (Rhythm / Metronome screens own it).
+   * @param {object} options { latencyMs (default estimateLatencyMs()), onset: ONSET_DEFAULTS overrides }
+   * @returns {Promise<boolean>} false without mic or running metronome
+   */
+  async start(options = {}) {
+    if (this.running) return true;
+    if (!metronome.isRunning()) {
+      console.warn('[RhythmAnalyzer] start the metronome first');
+      return false;
+    }
+
+    try {
+      const mic = await audioEngine.createMicAnalyser({ fftSize: 4096 });
+      if (!mic) return false;
+
+      this.mic = mic;
+      this.buffer = new Float32Array(mic.analyser.fftSize);
+      this.detector = new OnsetDetector(mic.sampleRate, options.onset);
+      this.grid = [];
+      this.lastReadTime = null;
+      this.latencyMs = options.latencyMs != null ? Number(options.latencyMs) || 0 : this.estimateLatencyMs();
+      this.running = true;
+
+      this._unsubscribeMetronome = metronome.subscribe((ev) => {
+        if (!this.running || ev.level === 'sub') return;
+        this.grid.push({ time: ev.time, bar: ev.bar, beat: ev.beat, silent: !!ev.silent, bpm: ev.bpm });
+        this._emit();
+      });
+
+      this.timerId = setInterval(() => this._poll(), TIMING_DEFAULTS.pollMs);
+      console.log('[RhythmAnalyzer] listening');
+      return true;
+    } catch (e) {
+      console.warn('[RhythmAnalyzer] start failed:', e);
+      this.stop();
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening (leaves the metronome alone).
+   * @returns {object|null} final assessment
+   */
+  stop() {
+    const result = this.running ? this.getAssessment() : null;
+
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = null;
+    try { this._unsubscribeMetronome?.(); } catch {}
+    this._unsubscribeMetronome = null;
+    try { this.mic?.disconnect?.(); } catch {}
+    this.mic = null;
+    this.buffer = null;
+
+    if (this.running) console.log('[RhythmAnalyzer] stopped');
+    this.running = false;
+    return result;
+  }
+
+  getAssessment() {
+    if (!this.detector) return null;
+    // The last beat may still be waiting for a late onset — only grade beats
+    // whose window has closed.
+    const ctx = audioEngine.audioContext;
+    const now = ctx ? ctx.currentTime : Infinity;
+    const grid = this.running
+      ? this.grid.filter((g) => g.time + TIMING_DEFAULTS.maxWindowMs / 1000 < now)
+      : this.grid;
+    return assessTiming(this.detector.onsets, grid, { latencyMs: this.latencyMs, source: 'live' });
+  }
+
+  // The analyser only exposes its latest fftSize samples; polling faster than
+  // that and keeping the unseen tail turns it into a continuous stream.
+  _poll() {
+    if (!this.running || !this.mic || !this.buffer) return;
+    const ctx = audioEngine.audioContext;
+    if (!ctx) return;
+
+    try {
+      this.mic.analyser.getFloatTimeDomainData(this.buffer);
+    } catch {
+      return;
+    }
+
+    const now = ctx.currentTime;
+    const sr = this.mic.sampleRate;
+    const fresh = this.lastReadTime == null
+      ? this.buffer.length
+      : Math.min(this.buffer.length, Math.round((now - this.lastReadTime) * sr));
+    this.lastReadTime = now;
+    if (fresh <= 0) return;
+
+    try {
+      // A throttled timer (background tab) leaves a gap; push() restarts framing there
+      this.detector.push(this.buffer.subarray(this.buffer.length - fresh), now - fresh / sr);
+    } catch (e) {
+      console.warn('[RhythmAnalyzer] poll failed:', e);
+    }
+  }
+
+  _emit() {
+    if (!this.listeners.size) return;
+    const snapshot = this.getAssessment();
+    this.listeners.forEach((fn) => {
+      try { fn(snapshot); } catch (e) { console.warn('[RhythmAnalyzer] listener failed:', e); }
+    });
+  }
+
+  /**
+   * Assess a recorded take (e.g. a RecordingLibrary blob) at a known tempo.
+   * Beat 1 is the first detected onset unless `firstBeatSec` is given.
+   * @param {Blob|ArrayBuffer|AudioBuffer} take
+   * @param {object} options { bpm (required), beatsPerBar, firstBeatSec, latencyMs, onset }
+   * @returns {Promise<object|null>} assessment, or null when nothing could be decoded/detected
+   */
+  async analyzeTake(take, options = {}) {
+    const bpm = Number(options.bpm);
+    if (!take || !Number.isFinite(bpm) || bpm <= 0) return null;
+
+    try {
+      let audioBuffer = take;
+      if (typeof take.getChannelData !== 'function') {
+        if (!audioEngine.initialized) await audioEngine.init();
+        const ctx = audioEngine.audioContext;
+        if (!ctx) return null;
+        const bytes = take instanceof ArrayBuffer ? take : await take.arrayBuffer();
+        audioBuffer = await ctx.decodeAudioData(bytes.slice(0));
+      }
+
+      const onsets = detectOnsets(mixToMono(audioBuffer), audioBuffer.sampleRate, options.onset);
+      if (!onsets.length) return null;
+
+      const start = options.firstBeatSec != null ? Number(options.firstBeatSec) : onsets[0];
+      const end = Math.max(start, onsets[onsets.length - 1]);
+      const grid = buildGrid(bpm, options.beatsPerBar || 4, start, end);
+
+      return assessTiming(onsets, grid, { latencyMs: options.latencyMs || 0, source: 'take' });
+    } catch (e) {
+      console.warn('[RhythmAnalyzer] take analysis failed:', e);
+      return null;
+    }
+  }
+}
+
+// ======================================
+// SINGLETON EXPORTS
+// ======================================
+export const rhythmAnalyzer = new RhythmAnalyzer();
+
+export const startTimingAnalysis = rhythmAnalyzer.start.bind(rhythmAnalyzer);
+export const stopTimingAnalysis = rhythmAnalyzer.stop.bind(rhythmAnalyzer);
+export const analyzeTake = rhythmAnalyzer.analyzeTake.bind(rhythmAnalyzer);
+
+export default rhythmAnalyzer;
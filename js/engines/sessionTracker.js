@@ -76,6 +76,10 @@ const MODULE_MAP = {
   fingerboard: 'Fingerboard Mastery',
   'note locator': 'Note Locator',
   notelocator: 'Note Locator',
+  'sight reading': 'Sight Reading',
+  sightreading: 'Sight Reading',
+  'flashcard decks': 'Flashcard Decks',
+  decks: 'Flashcard Decks',
   'scales lab': 'Scales Lab',
   scaleslab: 'Scales Lab',
 
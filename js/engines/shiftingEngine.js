@@ -0,0 +1,325 @@
+// js/engines/shiftingEngine.js
+// ======================================
+// VMQ SHIFTING v1.0.0 - Shift exercises, guide fingers and shift-pair mastery
+// Same-string shifts between two positions, modelled the way BIELER_TAXONOMY
+// .leftHand.shifting teaches them: the finger that is down (the guide finger)
+// slides to its place in the new position, then the new finger drops.
+//
+// ✅ Shift model: origin / guide-note / target (midi, name, position, finger),
+//    direction, position distance, interval distance
+// ✅ Levels widen the position range (1–3 → 1–5 → 1–7 → 1–10), capped by the
+//    positions the instrument profile defines
+// ✅ Strings, position table and hand frame come from the instrument profile
+// ✅ Quizzes: target position, target finger, interval distance
+// ✅ SM-2 per (from, to) position pair: ITEM_TYPES.SHIFT, id shift_<from>_<to>
+// ✅ Pair picker weighted toward due, lapsed and unseen pairs
+// ======================================
+
+import spacedRepetition, { updateItem, ITEM_TYPES } from './spacedRepetition.js';
+import { profileFingeringOptions, positionName } from './fingeringOptimizer.js';
+import { getInstrumentProfile } from '../config/constants.js';
+import { MUSIC } from '../utils/helpers.js';
+
+export { positionName };
+
+// Fallback hand frame: finger -> semitones above the 1st finger
+export const SHIFT_FRAME = Object.freeze({ 1: 0, 2: 1, 3: 3, 4: 5 });
+
+export const SHIFT_LEVELS = Object.freeze([
+  { level: 1, label: 'Positions 1–3', maxPosition: 3 },
+  { level: 2, label: 'Positions 1–5', maxPosition: 5 },
+  { level: 3, label: 'Positions 1–7', maxPosition: 7 },
+  { level: 4, label: 'Positions 1–10', maxPosition: 10 }
+]);
+
+export const QUIZ_KINDS = Object.freeze({
+  position: 'Target position',
+  finger: 'Target finger',
+  interval: 'Interval distance'
+});
+
+const INTERVAL_NAMES = ['unison', 'm2', 'M2', 'm3', 'M3', 'P4', 'tritone', 'P5', 'm6', 'M6', 'm7', 'M7'];
+
+function pick(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length) % arr.length];
+}
+
+function shuffle(arr, rng = Math.random) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function noteName(midi) {
+  try { return MUSIC.midiToNote(midi) || `MIDI ${midi}`; } catch { return `MIDI ${midi}`; }
+}
+
+/**
+ * Whole positions (no half position) -> 1st-finger offset, up to the highest level.
+ */
+export function shiftPositions(profile = getInstrumentProfile()) {
+  return profileFingeringOptions(profile, { maxPosition: SHIFT_LEVELS[SHIFT_LEVELS.length - 1].maxPosition, halfPosition: false }).positions;
+}
+
+/**
+ * The profile's closed hand frame (low 2 on violin/viola, Simandl on bass),
+ * whole fingers only: a finger the instrument doesn't use is left out.
+ */
+export function shiftFrame(profile = getInstrumentProfile()) {
+  const frames = profile?.fingerFrames || {};
+  const frame = frames.low2 || Object.values(frames)[0] || SHIFT_FRAME;
+  const out = {};
+  Object.entries(frame).forEach(([finger, semis]) => {
+    if (/^[1-4]$/.test(finger)) out[Number(finger)] = semis;
+  });
+  return out;
+}
+
+/**
+ * 7 -> 'P5'; 16 -> 'M3 + octave'
+ */
+export function intervalName(semitones) {
+  const s = Math.abs(Math.round(Number(semitones) || 0));
+  if (s === 12) return 'octave';
+  if (s === 24) return '2 octaves';
+  const base = INTERVAL_NAMES[s % 12];
+  if (s < 12) return base;
+  return `${base} + ${s >= 24 ? '2 octaves' : 'octave'}`;
+}
+
+export function shiftItemId(from, to) {
+  return `shift_${from}_${to}`;
+}
+
+function stopMidi(string, position, finger, positions, frame) {
+  return string.openMidi + (positions[position] ?? 2) + (frame[finger] ?? 0);
+}
+
+function stop(string, position, finger, positions, frame) {
+  const midi = stopMidi(string, position, finger, positions, frame);
+  return { position, finger, midi, name: noteName(midi) };
+}
+
+// ======================================
+// SHIFT MODEL
+// ======================================
+
+/**
+ * @param {object} spec { stringIdx, from, to, fromFinger, toFinger, profile }
+ * @returns {object} {
+ *   id, stringIdx, string, origin, target, guide, direction,
+ *   positionDistance, semitones, interval, sameFinger
+ * }
+ *   guide = the origin finger's stop in the target position (the note you
+ *   slide to before the new finger drops); equals target for same-finger shifts.
+ */
+export function buildShift({ stringIdx = 2, from = 1, to = 3, fromFinger = 1, toFinger = 1, profile = getInstrumentProfile() } = {}) {
+  const { strings } = profileFingeringOptions(profile);
+  const positions = shiftPositions(profile);
+  const frame = shiftFrame(profile);
+  const sIdx = Math.max(0, Math.min(strings.length - 1, Math.round(Number(stringIdx) || 0)));
+  const string = strings[sIdx];
+  const origin = stop(string, from, fromFinger, positions, frame);
+  const target = stop(string, to, toFinger, positions, frame);
+  const guide = stop(string, to, fromFinger, positions, frame);
+  const semitones = target.midi - origin.midi;
+
+  return {
+    id: `${from}-${to}`,
+    stringIdx: sIdx,
+    string: string.id,
+    origin,
+    target,
+    guide: { ...guide, finger: fromFinger },
+    direction: to > from ? 'up' : 'down',
+    positionDistance: Math.abs(to - from),
+    semitones,
+    interval: intervalName(semitones),
+    sameFinger: fromFinger === toFinger
+  };
+}
+
+/**
+ * Every ordered (from, to) pair within a level's range on the profile's neck.
+ */
+export function pairsForLevel(level = 1, profile = getInstrumentProfile()) {
+  const cfg = SHIFT_LEVELS.find((l) => l.level === Number(level)) || SHIFT_LEVELS[0];
+  const positions = Object.keys(shiftPositions(profile)).map(Number).filter((p) => p <= cfg.maxPosition);
+  const pairs = [];
+  positions.forEach((from) => positions.forEach((to) => {
+    if (from !== to) pairs.push({ from, to, id: `${from}-${to}` });
+  }));
+  return pairs;
+}
+
+/**
+ * Pick a pair, leaning on SM-2: lapsed > due > unseen > scheduled.
+ * @param {Array} pairs from pairsForLevel()
+ * @param {object} mastery from loadShiftMastery()
+ */
+export function pickPair(pairs, mastery = {}, rng = Math.random) {
+  if (!pairs.length) return null;
+  const now = Date.now();
+  const weighted = pairs.map((p) => {
+    const m = mastery[p.id];
+    let w = 1;
+    if (!m) w = 2;
+    else if (m.lapses > 0 && m.due <= now) w = 4;
+    else if (m.due <= now) w = 3;
+    else w = Math.max(0.3, 2.8 - (m.efactor || 2.5)); // harder pairs (lower EF) still come back
+    // Short shifts first: long leaps are rarer at every level
+    return { p, w: w / (1 + Math.abs(p.to - p.from) * 0.15) };
+  });
+  const total = weighted.reduce((s, x) => s + x.w, 0);
+  let r = rng() * total;
+  for (const x of weighted) {
+    r -= x.w;
+    if (r <= 0) return x.p;
+  }
+  return weighted[weighted.length - 1].p;
+}
+
+/**
+ * A full exercise for a level: pair from SM-2 weighting, random string and fingers.
+ * @param {object} options { level, stringIdx (null = any), mastery, rng, profile }
+ */
+export function nextShift({ level = 1, stringIdx = null, mastery = {}, rng = Math.random, profile = getInstrumentProfile() } = {}) {
+  const pair = pickPair(pairsForLevel(level, profile), mastery, rng) || { from: 1, to: 3 };
+  const sIdx = Number.isInteger(stringIdx) ? stringIdx : Math.floor(rng() * (profile?.strings?.length || 4));
+  const fingers = Object.keys(shiftFrame(profile)).map(Number);
+  const fromFinger = pick(fingers, rng);
+  // Same-finger shifts are the first ones students learn; keep them common
+  const toFinger = rng() < 0.35 ? fromFinger : pick(fingers, rng);
+  const spec = { stringIdx: sIdx, from: pair.from, to: pair.to, fromFinger, toFinger, profile };
+  const shift = buildShift(spec);
+  // The pitch must move the way the hand moves (no disguised substitutions)
+  return Math.sign(shift.semitones) === Math.sign(pair.to - pair.from)
+    ? shift
+    : buildShift({ ...spec, toFinger: fromFinger });
+}
+
+// ======================================
+// QUIZ
+// ======================================
+
+/**
+ * @param {object} shift from buildShift()
+ * @param {'position'|'finger'|'interval'} kind
+ * @returns {{ kind, prompt, choices: Array<{value, label}>, answer }}
+ */
+export function buildQuiz(shift, kind = 'position', rng = Math.random, profile = getInstrumentProfile()) {
+  const where = `on the ${shift.string} string`;
+  const from = `${shift.origin.name} (${positionName(shift.origin.position)} position, finger ${shift.origin.finger})`;
+
+  if (kind === 'finger') {
+    return {
+      kind,
+      prompt: `Shift ${where} from ${from} to ${shift.target.name} in ${positionName(shift.target.position)} position. Which finger lands on it?`,
+      choices: Object.keys(shiftFrame(profile)).map(Number).map((f) => ({ value: f, label: `Finger ${f}` })),
+      answer: shift.target.finger
+    };
+  }
+
+  if (kind === 'interval') {
+    const answer = Math.abs(shift.semitones);
+    const near = new Set([answer]);
+    const spread = shuffle([-3, -2, -1, 1, 2, 3, 4, 5], rng);
+    for (const d of spread) {
+      if (near.size >= 4) break;
+      if (answer + d > 0) near.add(answer + d);
+    }
+    return {
+      kind,
+      prompt: `Shift ${where} from ${shift.origin.name} to ${shift.target.name}. How far does the pitch travel?`,
+      choices: shuffle([...near], rng).map((s) => ({ value: s, label: `${intervalName(s)} (${s} semitone${s === 1 ? '' : 's'})` })),
+      answer
+    };
+  }
+
+  const answer = shift.target.position;
+  const options = new Set([answer]);
+  const candidates = shuffle(Object.keys(shiftPositions(profile)).map(Number).filter((p) => p !== answer && p !== shift.origin.position), rng)
+    .sort((a, b) => Math.abs(a - answer) - Math.abs(b - answer));
+  candidates.slice(0, 3).forEach((p) => options.add(p));
+  return {
+    kind: 'position',
+    prompt: `Shift ${where} from ${from} to ${shift.target.name} with finger ${shift.target.finger}. Which position do you land in?`,
+    choices: [...options].sort((a, b) => a - b).map((p) => ({ value: p, label: `${positionName(p)} position` })),
+    answer
+  };
+}
+
+// ======================================
+// SM-2 (per position pair)
+// ======================================
+
+/**
+ * Grade one shift answer into the (from, to) pair's SM-2 item.
+ * @returns {Promise<object>} updateItem() result
+ */
+export async function recordShift(shift, { correct = false, responseMs = 0, kind = null } = {}) {
+  const quality = correct ? (responseMs > 0 && responseMs < 4000 ? 5 : 4) : 2;
+  try {
+    return await updateItem(shiftItemId(shift.origin.position, shift.target.position), quality, responseMs, {
+      type: ITEM_TYPES.SHIFT,
+      from: shift.origin.position,
+      to: shift.target.position,
+      direction: shift.direction,
+      lastString: shift.string,
+      lastQuiz: kind
+    });
+  } catch (e) {
+    console.warn('[Shifting] SM-2 update failed:', e);
+    return { success: false };
+  }
+}
+
+/**
+ * SM-2 state for every shift pair that has been practised.
+ * @returns {Promise<Object<string, {from, to, efactor, reps, lapses, due, interval}>>} keyed 'from-to'
+ */
+export async function loadShiftMastery() {
+  const out = {};
+  try {
+    await spacedRepetition.init();
+    spacedRepetition.deck.forEach((item) => {
+      if (item?.type !== ITEM_TYPES.SHIFT) return;
+      const from = Number(item.from);
+      const to = Number(item.to);
+      if (!Number.isFinite(from) || !Number.isFinite(to)) return;
+      out[`${from}-${to}`] = {
+        from,
+        to,
+        efactor: Number(item.efactor) || 2.5,
+        reps: Number(item.reps) || 0,
+        lapses: Number(item.lapses) || 0,
+        due: Number(item.due) || 0,
+        interval: Number(item.interval) || 0
+      };
+    });
+  } catch (e) {
+    console.warn('[Shifting] mastery load failed:', e);
+  }
+  return out;
+}
+
+export default {
+  SHIFT_FRAME,
+  SHIFT_LEVELS,
+  QUIZ_KINDS,
+  buildShift,
+  pairsForLevel,
+  pickPair,
+  nextShift,
+  buildQuiz,
+  recordShift,
+  loadShiftMastery,
+  intervalName,
+  positionName,
+  shiftPositions,
+  shiftFrame,
+  shiftItemId
+};
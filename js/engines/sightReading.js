@@ -0,0 +1,451 @@
+// js/engines/sightReading.js
+// ======================================
+// VMQ SIGHT READING v1.0.0 - Generated melodic phrases for play-along reading
+// A phrase is a few bars in one key, inside one position's reach, built from
+// the student's rhythm vocabulary, then read at tempo after a count-in.
+//
+// ✅ Keys from KEY_SIGNATURES (major and minor), rhythm cells from RHYTHM_PATTERNS
+// ✅ Range = the active instrument's reach in a position (one octave or full reach)
+// ✅ Mostly stepwise melody with level-bound leaps, ending on the tonic
+// ✅ Level table keyed by difficultyAdapter levels 1–5 (keys, rhythms, meters, leaps, tempo)
+// ✅ Scoring from mic readings (pitchTracker) or from notes the student marks as missed
+// ✅ Last-used settings remembered (STORAGE_KEYS.SIGHT_READING)
+// ======================================
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from '../config/storage.js';
+import { KEY_SIGNATURES, RHYTHM_PATTERNS, getInstrumentProfile } from '../config/constants.js';
+import { positionRange, writtenMidi, clefForNote } from './instrumentProfile.js';
+import { rhythmPatternValues } from './midiExport.js';
+import { keyAccidentalMap, spellMidi, parseTimeSignature } from '../utils/notation.js';
+
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const EPS = 1e-6;
+
+// Cells written for 6/8; everything else is read in simple time
+const COMPOUND_PATTERNS = new Set(['six_eight_basic', 'six_eight_dotted', 'sicilienne']);
+
+/**
+ * Per difficultyAdapter level: keys up to `keyDifficulty` (KEY_SIGNATURES.difficulty),
+ * rhythm cells up to `rhythmDifficulty`, meters, phrase length, widest leap in
+ * scale steps, highest position and quarter-note tempo.
+ */
+export const SIGHT_READING_LEVELS = Object.freeze({
+  1: { keyDifficulty: 1, minor: false, rhythmDifficulty: 1, meters: ['4/4'], bars: 2, maxLeap: 2, maxPosition: 1, span: 'octave', tempo: 60 },
+  2: { keyDifficulty: 1, minor: true, rhythmDifficulty: 2, meters: ['4/4', '3/4'], bars: 4, maxLeap: 3, maxPosition: 1, span: 'octave', tempo: 66 },
+  3: { keyDifficulty: 2, minor: true, rhythmDifficulty: 2, meters: ['4/4', '3/4', '2/4', '6/8'], bars: 4, maxLeap: 4, maxPosition: 3, span: 'position', tempo: 72 },
+  4: { keyDifficulty: 3, minor: true, rhythmDifficulty: 3, meters: ['4/4', '3/4', '2/4', '6/8'], bars: 4, maxLeap: 5, maxPosition: 4, span: 'position', tempo: 80 },
+  5: { keyDifficulty: 4, minor: true, rhythmDifficulty: 4, meters: ['4/4', '3/4', '2/4', '6/8'], bars: 8, maxLeap: 7, maxPosition: 5, span: 'position', tempo: 92 }
+});
+
+export const SIGHT_READING_DEFAULTS = Object.freeze({
+  level: null,        // null = follow difficultyAdapter
+  keyId: null,        // null = random key for the level
+  position: null,     // null = random position up to the level's highest
+  span: null,         // 'octave' | 'position' | null (level default)
+  timeSignature: null,
+  rhythmIds: null,    // null = every cell up to the level's rhythm difficulty
+  countInBars: 1,
+  clickDuringPhrase: true,
+  passAccuracy: 80
+});
+
+// Readings in the first part of a note are the bow/finger still arriving
+const ATTACK_FRACTION = 0.2;
+const MIN_READINGS = 2;
+
+function levelConfig(level) {
+  const n = Math.max(1, Math.min(5, Math.round(Number(level) || 1)));
+  return { level: n, ...SIGHT_READING_LEVELS[n] };
+}
+
+function pick(list, random) {
+  return list.length ? list[Math.floor(random() * list.length) % list.length] : null;
+}
+
+function weightedPick(items, weights, random) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (!(total > 0)) return items[0];
+  let r = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r <= 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+function isMinorKey(entry) {
+  return !!entry?.tonic || /m$/.test(String(entry?.id || ''));
+}
+
+function tonicOf(entry) {
+  return entry?.tonic || String(entry?.id || 'C').replace(/m$/, '');
+}
+
+function pitchClassOf(name) {
+  const m = String(name || '').match(/^([A-G])([#b]?)/);
+  if (!m) return 0;
+  return (LETTER_PC[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + 12) % 12;
+}
+
+// ======================================
+// CHOICES
+// ======================================
+
+/** KEY_SIGNATURES entries a level may use. */
+export function keysForLevel(level) {
+  const cfg = levelConfig(level);
+  return KEY_SIGNATURES.filter((k) =>
+    (Number(k.difficulty) || 1) <= cfg.keyDifficulty && (cfg.minor || !isMinorKey(k))
+  );
+}
+
+/** Meter a rhythm cell belongs to: 'compound' (6/8) or 'simple'. */
+export function patternMeter(pattern) {
+  return COMPOUND_PATTERNS.has(pattern?.id) ? 'compound' : 'simple';
+}
+
+/**
+ * RHYTHM_PATTERNS usable as cells in a time signature: [{ id, name, difficulty, values }]
+ * (values = rhythmPatternValues(), one { beats, rest } per note, in quarter notes).
+ */
+export function rhythmCells(timeSignature = '4/4') {
+  const ts = parseTimeSignature(timeSignature) || parseTimeSignature('4/4');
+  const compound = ts.groupBeats === 1.5;
+  const out = [];
+  RHYTHM_PATTERNS.forEach((p) => {
+    if ((patternMeter(p) === 'compound') !== compound) return;
+    const values = rhythmPatternValues(p);
+    if (!values || !values.length) return;
+    const total = values.reduce((s, v) => s + v.beats, 0);
+    // A cell must fill whole beat groups and fit in one bar
+    const groups = total / ts.groupBeats;
+    if (total > ts.barBeats + EPS || Math.abs(groups - Math.round(groups)) > EPS) return;
+    out.push({ id: p.id, name: p.name, difficulty: Number(p.difficulty) || 1, values, total });
+  });
+  return out;
+}
+
+/** Default cell ids for a level and meter. */
+export function rhythmIdsForLevel(level, timeSignature = '4/4') {
+  const cfg = levelConfig(level);
+  return rhythmCells(timeSignature)
+    .filter((c) => c.difficulty <= cfg.rhythmDifficulty)
+    .map((c) => c.id);
+}
+
+/**
+ * Sounding MIDI range for a position: the instrument's full reach there, or
+ * one octave from the key's lowest tonic inside that reach.
+ */
+export function phraseRange({ position = 1, span = 'position', tonic = 'C', profile = getInstrumentProfile() } = {}) {
+  const reach = positionRange(position, profile);
+  if (span !== 'octave') return reach;
+
+  const pc = pitchClassOf(tonic);
+  let low = reach.low + ((pc - reach.low) % 12 + 12) % 12;
+  // Prefer an octave that starts in the lower half of the reach
+  while (low + 12 > reach.high && low - 12 >= reach.low) low -= 12;
+  if (low + 12 > reach.high) return reach;
+  return { low, high: low + 12 };
+}
+
+/** Diatonic MIDI notes of a key between low and high (inclusive). */
+export function scaleNotesInRange(keyEntry, low, high) {
+  const map = keyAccidentalMap(keyEntry);
+  const pcs = new Set(Object.keys(LETTER_PC).map((l) => ((LETTER_PC[l] + (map[l] || 0)) % 12 + 12) % 12));
+  const out = [];
+  for (let m = Math.ceil(low); m <= Math.floor(high); m++) {
+    if (pcs.has(((m % 12) + 12) % 12)) out.push(m);
+  }
+  return out;
+}
+
+// ======================================
+// GENERATION
+// ======================================
+
+function buildRhythm({ bars, timeSignature, cells, random }) {
+  const ts = parseTimeSignature(timeSignature) || parseTimeSignature('4/4');
+  const group = ts.groupBeats;
+  const compound = group === 1.5;
+  const fillers = compound ? [3, 1.5, 0.5] : [2, 1, 0.5];
+  // Cadence: a long final note (half in 4/4, full bar in 2/4 and 3/4, dotted quarter in 6/8)
+  const finalBeats = compound ? 1.5 : (ts.barBeats <= 3 ? ts.barBeats : 2);
+
+  const out = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const last = bar === bars - 1;
+    const room = last ? ts.barBeats - finalBeats : ts.barBeats;
+    let pos = 0;
+    while (pos < room - EPS) {
+      const left = room - pos;
+      const fits = cells.filter((c) =>
+        c.total <= left + EPS &&
+        // no opening rest, and never two rest cells in a row
+        !(out.length === 0 && c.values[0].rest) &&
+        !(c.values.every((v) => v.rest) && out.length && out[out.length - 1].rest)
+      );
+      // Harder cells turn up less often than the basics
+      const cell = fits.length ? weightedPick(fits, fits.map((c) => 1 / (c.difficulty * c.difficulty)), random) : null;
+      if (cell) {
+        cell.values.forEach((v) => {
+          out.push({ beats: v.beats, rest: !!v.rest, bar, start: bar * ts.barBeats + pos });
+          pos += v.beats;
+        });
+      } else {
+        const fill = fillers.find((f) => f <= left + EPS) || left;
+        out.push({ beats: fill, rest: false, bar, start: bar * ts.barBeats + pos });
+        pos += fill;
+      }
+    }
+    if (last) out.push({ beats: finalBeats, rest: false, bar, start: bar * ts.barBeats + room, final: true });
+  }
+  return out;
+}
+
+function buildMelody({ count, pool, tonicPc, maxLeap, random }) {
+  if (!pool.length) return [];
+  const tonicIdx = pool.map((m, i) => (((m % 12) + 12) % 12 === tonicPc ? i : -1)).filter((i) => i >= 0);
+  // Start on the tonic, 3rd or 5th in the lower half of the range
+  const starts = pool
+    .map((_, i) => i)
+    .filter((i) => tonicIdx.some((t) => [0, 2, 4].includes(((i - t) % 7 + 7) % 7)) && i <= Math.ceil(pool.length / 2));
+  let idx = pick(starts.length ? starts : [0], random);
+
+  const out = [pool[idx]];
+  let lastMove = 0;
+  for (let n = 1; n < count; n++) {
+    const moves = [];
+    const weights = [];
+    for (let d = -maxLeap; d <= maxLeap; d++) {
+      const next = idx + d;
+      if (next < 0 || next >= pool.length) continue;
+      let w = d === 0 ? 0.6 : Math.abs(d) === 1 ? 5 : Math.abs(d) === 2 ? 2 : 1 / Math.abs(d);
+      // After a leap, step back the other way
+      if (Math.abs(lastMove) > 2) w *= Math.sign(d) === -Math.sign(lastMove) && Math.abs(d) === 1 ? 4 : 0.3;
+      moves.push(d);
+      weights.push(w);
+    }
+    const d = weightedPick(moves, weights, random) ?? 0;
+    idx += d;
+    lastMove = d;
+    out.push(pool[idx]);
+  }
+
+  // Close on the tonic nearest the previous note
+  if (count > 1 && tonicIdx.length) {
+    const prev = pool.indexOf(out[count - 2]);
+    const best = tonicIdx.reduce((a, b) => (Math.abs(b - prev) < Math.abs(a - prev) ? b : a));
+    out[count - 1] = pool[best];
+  }
+  return out;
+}
+
+/**
+ * Generate a phrase.
+ * @param {object} options
+ *   level (1–5), keyId, position, span ('octave'|'position'), timeSignature,
+ *   bars, rhythmIds, profile, random (() => 0..1, for tests)
+ * @returns {{ id, level, key, keyId, tonic, minor, timeSignature, bars, tempo, position,
+ *   range, clef, notes: [{ index, midi, writtenMidi, note, beats, start, rest }] }}
+ */
+export function generatePhrase(options = {}) {
+  const random = typeof options.random === 'function' ? options.random : Math.random;
+  const cfg = levelConfig(options.level);
+  const profile = options.profile || getInstrumentProfile();
+
+  const keys = keysForLevel(cfg.level);
+  const key = KEY_SIGNATURES.find((k) => k.id === options.keyId) || pick(keys, random) || KEY_SIGNATURES[0];
+  const tonic = tonicOf(key);
+
+  const position = Number(options.position) || 1 + Math.floor(random() * cfg.maxPosition);
+  const span = options.span || cfg.span;
+  const range = phraseRange({ position, span, tonic, profile });
+  const pool = scaleNotesInRange(key, range.low, range.high);
+
+  const timeSignature = options.timeSignature || pick(cfg.meters, random) || '4/4';
+  const bars = Math.max(1, Math.round(Number(options.bars) || cfg.bars));
+  const allCells = rhythmCells(timeSignature);
+  const wanted = Array.isArray(options.rhythmIds) && options.rhythmIds.length
+    ? options.rhythmIds
+    : rhythmIdsForLevel(cfg.level, timeSignature);
+  let cells = allCells.filter((c) => wanted.includes(c.id));
+  if (!cells.length) cells = allCells.filter((c) => c.difficulty <= 1);
+
+  const rhythm = buildRhythm({ bars, timeSignature, cells, random });
+  const pitched = rhythm.filter((r) => !r.rest).length;
+  const melody = buildMelody({ count: pitched, pool, tonicPc: pitchClassOf(tonic), maxLeap: cfg.maxLeap, random });
+
+  let m = 0;
+  const notes = rhythm.map((r, index) => {
+    if (r.rest) return { index, midi: null, writtenMidi: null, note: null, beats: r.beats, start: r.start, rest: true };
+    const midi = melody[m++];
+    const written = writtenMidi(midi, profile);
+    return { index, midi, writtenMidi: written, note: spellMidi(written, key), beats: r.beats, start: r.start, rest: false };
+  });
+
+  const middle = writtenMidi(Math.round((range.low + range.high) / 2), profile);
+  return {
+    id: `sr-${Date.now().toString(36)}-${Math.floor(random() * 1e6).toString(36)}`,
+    level: cfg.level,
+    key,
+    keyId: key.id,
+    tonic,
+    minor: isMinorKey(key),
+    timeSignature,
+    bars,
+    tempo: cfg.tempo,
+    position,
+    range,
+    clef: clefForNote(spellMidi(middle, key), profile),
+    notes
+  };
+}
+
+// ======================================
+// TIMING
+// ======================================
+
+/**
+ * Metronome setup for a phrase: x/8 meters click eighths, others click the
+ * written beat. `quarterMs` converts elapsed time to phrase beats.
+ */
+export function clickPlan(phrase, quarterBpm = phrase?.tempo || 72) {
+  const ts = parseTimeSignature(phrase?.timeSignature) || parseTimeSignature('4/4');
+  const unitBeats = 4 / ts.unit;             // one click, in quarter notes
+  const bpm = Math.round(quarterBpm / unitBeats);
+  return {
+    bpm,
+    beatsPerBar: ts.beats,
+    accents: ts.groupBeats === 1.5 ? Array(ts.beats / 3).fill(3).join('+') : null,
+    unitBeats,
+    barBeats: ts.barBeats,
+    quarterMs: 60000 / quarterBpm
+  };
+}
+
+/** Index of the note sounding at `beat` (quarter notes from the first downbeat), or -1. */
+export function noteAtBeat(phrase, beat) {
+  const list = phrase?.notes || [];
+  for (let i = 0; i < list.length; i++) {
+    if (beat >= list[i].start - EPS && beat < list[i].start + list[i].beats - EPS) return i;
+  }
+  return -1;
+}
+
+// ======================================
+// SCORING
+// ======================================
+
+function mode(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((c, v) => { if (c > bestCount) { best = v; bestCount = c; } });
+  return best;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function summarize(phrase, rows, source) {
+  const pitched = rows.filter((r) => r.status !== 'rest');
+  const correct = pitched.filter((r) => r.status === 'correct').length;
+  const cents = pitched.map((r) => r.cents).filter((c) => Number.isFinite(c)).map(Math.abs);
+  return {
+    source,
+    notes: rows,
+    correct,
+    total: pitched.length,
+    missed: pitched.filter((r) => r.status === 'missed').length,
+    wrong: pitched.filter((r) => r.status === 'wrong').length,
+    accuracy: pitched.length ? Math.round((correct / pitched.length) * 100) : 0,
+    meanAbsCents: cents.length ? Math.round(cents.reduce((s, c) => s + c, 0) / cents.length) : null
+  };
+}
+
+/**
+ * Score a play-through from pitchTracker readings.
+ * @param {object} phrase generatePhrase() result
+ * @param {Array} readings [{ timestamp, midi, cents, silent }] (sounding pitch)
+ * @param {object} timing { startMs: wall-clock time of the first downbeat, quarterMs }
+ */
+export function scoreReadings(phrase, readings, { startMs, quarterMs } = {}) {
+  const buckets = (phrase?.notes || []).map(() => []);
+  (readings || []).forEach((r) => {
+    if (!r || r.silent || !Number.isFinite(r.midi) || !Number.isFinite(r.timestamp)) return;
+    const beat = (r.timestamp - startMs) / quarterMs;
+    const i = noteAtBeat(phrase, beat);
+    if (i < 0) return;
+    const n = phrase.notes[i];
+    if (beat < n.start + n.beats * ATTACK_FRACTION) return;
+    buckets[i].push(r);
+  });
+
+  const rows = phrase.notes.map((n, i) => {
+    if (n.rest) return { index: i, status: 'rest' };
+    const list = buckets[i];
+    if (list.length < MIN_READINGS) return { index: i, expected: n.midi, played: null, cents: null, status: 'missed' };
+    const played = mode(list.map((r) => r.midi));
+    const onTarget = list.filter((r) => r.midi === n.midi).map((r) => r.cents).filter(Number.isFinite);
+    return {
+      index: i,
+      expected: n.midi,
+      played,
+      cents: played === n.midi && onTarget.length ? Math.round(median(onTarget)) : null,
+      status: played === n.midi ? 'correct' : 'wrong'
+    };
+  });
+  return summarize(phrase, rows, 'mic');
+}
+
+/**
+ * Score a play-through the student graded: every pitched note not marked is correct.
+ * @param {number[]} missedIndexes note indexes the student marked as wrong
+ */
+export function scoreSelfGrade(phrase, missedIndexes = []) {
+  const missed = new Set(missedIndexes);
+  const rows = (phrase?.notes || []).map((n, i) => {
+    if (n.rest) return { index: i, status: 'rest' };
+    return { index: i, expected: n.midi, played: null, cents: null, status: missed.has(i) ? 'wrong' : 'correct' };
+  });
+  return summarize(phrase, rows, 'self');
+}
+
+// ======================================
+// SETTINGS
+// ======================================
+
+export function loadSightReadingSettings() {
+  const raw = loadJSON(STORAGE_KEYS.SIGHT_READING, {});
+  return { ...SIGHT_READING_DEFAULTS, ...(raw?.settings && typeof raw.settings === 'object' ? raw.settings : {}) };
+}
+
+export function saveSightReadingSettings(settings = {}) {
+  const next = { ...loadSightReadingSettings(), ...settings };
+  saveJSON(STORAGE_KEYS.SIGHT_READING, { settings: next });
+  return next;
+}
+
+export default {
+  SIGHT_READING_LEVELS,
+  SIGHT_READING_DEFAULTS,
+  keysForLevel,
+  patternMeter,
+  rhythmCells,
+  rhythmIdsForLevel,
+  phraseRange,
+  scaleNotesInRange,
+  generatePhrase,
+  clickPlan,
+  noteAtBeat,
+  scoreReadings,
+  scoreSelfGrade,
+  loadSightReadingSettings,
+  saveSightReadingSettings
+};
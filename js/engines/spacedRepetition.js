@@ -10,10 +10,21 @@
 // ✅ Bulk add DOES NOT count as a lapse (even for existing items)
 // ✅ Safe when called without await (sessionTracker endSession is sync)
 // ✅ Avoids hard import of sessionTracker (prevents circular-import crashes)
+// ✅ getConfusionMatrix(module) reads the storage confusion matrix for drills
+// ✅ Items marked suspended (cards of disabled custom decks) are never due
+// ✅ Pluggable schedulers: SM-2 (default) or FSRS (engines/fsrs.js), picked in
+//    Settings; reps, lapses and ease are kept under both so either can resume
+// ✅ Switching to FSRS seeds stability/difficulty from SM-2 items (due dates kept)
+// ✅ Short per-item review history (item.fitHistory): FSRS fitting's fallback
+//    for reviews the log doesn't hold
+// ✅ Review log (STORAGE_KEYS.SRS_REVIEW_LOG): item, time, quality, elapsed days,
+//    scheduled interval, response time; stored in chunks so a review only
+//    rewrites the newest chunk. Read by engines/srsAnalytics.js and FSRS fitting
 // ======================================
 
-import { saveJSON, loadJSON, STORAGE_KEYS } from '../config/storage.js';
+import { saveJSON, loadJSON, STORAGE_KEYS, getConfusionData } from '../config/storage.js';
 import { addXP } from './gamification.js';
+import { fsrsScheduler, fitFSRSParameters, validParams, FSRS_DEFAULT_PARAMS, FSRS_RETENTION } from './fsrs.js';
 
 export const SM2_PARAMS = {
   INIT_REPS: 0,
@@ -36,10 +47,28 @@ export const ITEM_TYPES = {
   KEY_SIG: 'key',
   RHYTHM: 'rhythm',
   SCALE: 'scale',
-  BIELER: 'bieler'
+  BIELER: 'bieler',
+  SHIFT: 'shift'
 };
 
 const DAY_MS = 24 * 60 * 60 * 1000;
+const FIT_HISTORY_MAX = 12;   // recent reviews kept per item: FSRS fitting falls back to these where the review log has no entries
+const REVIEW_LOG_CHUNK = 250;        // log entries per stored chunk
+const REVIEW_LOG_MAX_CHUNKS = 16;    // oldest chunk dropped past this (~4000 reviews)
+
+const reviewLogChunkKey = (chunkId) => `${STORAGE_KEYS.SRS_REVIEW_LOG}.${chunkId}`;
+
+const DEFAULT_SCHEDULER_SETTINGS = {
+  algorithm: 'sm2',
+  fsrs: {
+    params: null,          // null = FSRS_DEFAULT_PARAMS
+    retention: FSRS_RETENTION.default,
+    fittedAt: null,
+    fitReviews: 0,
+    fitLoss: null,
+    defaultLoss: null
+  }
+};
 
 const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
 const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
@@ -63,6 +92,61 @@ function safeTrack(action, payload) {
   }
 }
 
+// ======================================
+// SCHEDULERS
+// ======================================
+/**
+ * Scheduler interface. updateItem() does the shared bookkeeping (reps,
+ * lapses, SM-2 ease, history) and asks the active scheduler for the interval:
+ *
+ *   {
+ *     id, label,
+ *     schedule(item, quality, ctx) → { interval (days), fields?, retrievability? }
+ *       fields are merged into the item (scheduler state such as item.fsrs)
+ *     migrate?(item, ctx) → fields | null   seed state when switching to it
+ *   }
+ *   ctx: { now, lastReview, elapsedDays, previous: {reps, interval, efactor, lapses},
+ *          params, retention, maxInterval }
+ */
+export const sm2Scheduler = Object.freeze({
+  id: 'sm2',
+  label: 'SM-2 (classic)',
+
+  schedule(item, quality, ctx) {
+    if (quality < 3) return { interval: 1 };
+    if (item.reps === 1) return { interval: SM2_PARAMS.INTERVALS[0] };
+    if (item.reps === 2) return { interval: SM2_PARAMS.INTERVALS[1] };
+    const mult = SM2_PARAMS.EF_MULTIPLIERS[clamp(quality, 1, 5) - 1] || 1.0;
+    return { interval: Math.round((ctx.previous.interval || 1) * ctx.previous.efactor * mult) };
+  }
+});
+
+const SCHEDULERS = new Map([
+  [sm2Scheduler.id, sm2Scheduler],
+  [fsrsScheduler.id, fsrsScheduler]
+]);
+
+/** Add a scheduler (see the interface above); it becomes selectable by id. */
+export function registerScheduler(scheduler) {
+  if (!scheduler?.id || typeof scheduler.schedule !== 'function') return false;
+  SCHEDULERS.set(scheduler.id, scheduler);
+  return true;
+}
+
+export function listSchedulers() {
+  return Array.from(SCHEDULERS.values()).map(({ id, label }) => ({ id, label }));
+}
+
+function loadSchedulerSettings() {
+  const raw = loadJSON(STORAGE_KEYS.SRS_SCHEDULER, null);
+  const saved = isObj(raw) ? raw : {};
+  return {
+    ...DEFAULT_SCHEDULER_SETTINGS,
+    ...saved,
+    fsrs: { ...DEFAULT_SCHEDULER_SETTINGS.fsrs, ...(isObj(saved.fsrs) ? saved.fsrs : {}) }
+  };
+}
+
 // small helper: pick N unique random items (no external dependency)
 function pickRandom(arr, n) {
   const a = Array.isArray(arr) ? arr.slice() : [];
@@ -77,8 +161,16 @@ function pickRandom(arr, n) {
 class SpacedRepEngine {
   constructor() {
     this.deck = new Map();
+    this.schedulerSettings = loadSchedulerSettings();
     this._initPromise = null;
 
+    // review log: [{ id, entries }], oldest first; only changed chunks are written
+    this._logChunks = [];
+    this._logNextChunk = 0;
+    this._logDirtyChunks = new Set();
+    this._logDroppedChunks = [];
+    this._logIndexDirty = false;
+
     // persist coalescing (prevents storage thrash on rapid reviews)
     this._persistInFlight = null;
     this._persistQueued = false;
@@ -107,7 +199,9 @@ class SpacedRepEngine {
         this.deck.set('__vmq_srs_meta__', meta);
       }
 
-      console.log(`[SM-2] Loaded ${this.deck.size} items`);
+      this._loadReviewLog();
+
+      console.log(`[SM-2] Loaded ${this.deck.size} items (${this.schedulerSettings.algorithm})`);
       return true;
     })();
 
@@ -129,6 +223,7 @@ class SpacedRepEngine {
           STORAGE_KEYS.SPACED_REPETITION,
           Object.fromEntries(this.deck)
         ));
+        this._saveReviewLog();
       } catch (e) {
         console.warn('[SM-2] save failed:', e);
       } finally {
@@ -233,34 +328,64 @@ class SpacedRepEngine {
     }
 
     // -------------------------
-    // SM-2 core update
+    // Shared bookkeeping (reps, lapses, SM-2 ease) + scheduler interval
     // -------------------------
+    const previous = { reps: oldReps, interval: oldInterval, efactor: item.efactor || oldEF, lapses: oldLapses };
+    const lastReview = wasExisting ? item.lastReview : undefined;
+
     if (q < 3) {
       item.reps = 0;
       item.lapses = (item.lapses || 0) + 1;
-      item.interval = 1;
-      item.efactor = Math.max(SM2_PARAMS.MIN_EF, (item.efactor || oldEF) - 0.2);
+      item.efactor = Math.max(SM2_PARAMS.MIN_EF, previous.efactor - 0.2);
     } else {
       item.reps = (item.reps || 0) + 1;
 
-      if (item.reps === 1) item.interval = 1;
-      else if (item.reps === 2) item.interval = 6;
-      else {
-        const mult = SM2_PARAMS.EF_MULTIPLIERS[clamp(q, 1, 5) - 1] || 1.0;
-        const next = Math.round((oldInterval || 1) * (item.efactor || oldEF) * mult);
-        item.interval = Math.min(Math.max(1, next), SM2_PARAMS.MAX_INTERVAL);
-      }
-
       // canonical SM-2 EF update
-      const nextEF =
-        (item.efactor || oldEF) + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
-
+      const nextEF = previous.efactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
       item.efactor = clamp(nextEF, SM2_PARAMS.MIN_EF, SM2_PARAMS.MAX_EF);
     }
 
+    const scheduler = this.getScheduler();
+    const ctx = this._schedulerContext(now, lastReview, previous);
+    let planned;
+    try {
+      planned = scheduler.schedule(item, q, ctx);
+    } catch (e) {
+      console.warn(`[SM-2] ${scheduler.id} scheduler failed, using SM-2:`, e);
+      planned = sm2Scheduler.schedule(item, q, ctx);
+    }
+    if (isObj(planned?.fields)) Object.assign(item, planned.fields);
+    item.interval = clamp(Math.round(Number(planned?.interval) || 1), 1, SM2_PARAMS.MAX_INTERVAL);
+
     item.due = now + item.interval * DAY_MS;
     item.lastReview = now;
 
+    // [ts, quality, days since the previous review (null if first), previous interval, previous ease]
+    const fitEntry = [
+      now,
+      q,
+      lastReview ? Math.round(ctx.elapsedDays * 1000) / 1000 : null,
+      previous.interval,
+      Math.round(previous.efactor * 100) / 100
+    ];
+    item.fitHistory = Array.isArray(item.fitHistory)
+      ? [...item.fitHistory.slice(-(FIT_HISTORY_MAX - 1)), fitEntry]
+      : [fitEntry];
+
+    this._logReview({
+      ts: now,
+      id,
+      type: item.type,
+      q,
+      dt: lastReview ? Math.round(ctx.elapsedDays * 1000) / 1000 : null,
+      pivl: previous.interval,
+      pef: Math.round(previous.efactor * 100) / 100,
+      ivl: item.interval,
+      algo: scheduler.id,
+      rt: Number(responseTime) > 0 ? Math.round(Number(responseTime)) : null,
+      r: Number.isFinite(planned?.retrievability) ? Math.round(planned.retrievability * 1000) / 1000 : null
+    });
+
     item.responseTime = Number.isFinite(Number(responseTime)) ? Number(responseTime) : 0;
     item.qualityHistory = Array.isArray(item.qualityHistory)
       ? [...item.qualityHistory.slice(-9), q]
@@ -310,7 +435,7 @@ class SpacedRepEngine {
     const GRACE_MS = Math.round(DAY_MS * 0.2); // ~4.8 hours grace
 
     const dueItems = Array.from(this.deck.values())
-      .filter(item => item && item.type !== 'meta')
+      .filter(item => item && item.type !== 'meta' && !item.suspended)
       .filter(item => {
         const due = Number(item?.due);
         return Number.isFinite(due) && due <= (now + GRACE_MS);
@@ -341,7 +466,7 @@ class SpacedRepEngine {
     const allItems = Array.from(this.deck.values()).filter(i => i && i.type !== 'meta');
     const now = nowMs();
 
-    const dueToday = allItems.filter(item => (item?.due ?? Infinity) <= now + DAY_MS);
+    const dueToday = allItems.filter(item => !item.suspended && (item?.due ?? Infinity) <= now + DAY_MS);
     const mature = allItems.filter(item => (item?.reps ?? 0) >= 3 && (item?.interval ?? 0) > 21);
     const lapsed = allItems.filter(item => (item?.lapses ?? 0) > 0);
 
@@ -456,6 +581,194 @@ class SpacedRepEngine {
     return true;
   }
 
+  // ======================================
+  // SCHEDULER SELECTION + REVIEW LOG
+  // ======================================
+
+  getScheduler() {
+    return SCHEDULERS.get(this.schedulerSettings.algorithm) || sm2Scheduler;
+  }
+
+  _schedulerContext(now, lastReview, previous = null) {
+    const fsrs = this.schedulerSettings.fsrs;
+    return {
+      now,
+      lastReview: lastReview || null,
+      elapsedDays: lastReview ? Math.max(0, (now - lastReview) / DAY_MS) : 0,
+      previous,
+      params: validParams(fsrs.params),
+      retention: fsrs.retention,
+      maxInterval: SM2_PARAMS.MAX_INTERVAL
+    };
+  }
+
+  /**
+   * fitFSRSParameters() entries: the whole review log, plus each item's
+   * fitHistory reviews from before its first logged one (history recorded
+   * before the log existed, or in chunks the log has since dropped).
+   */
+  _fitHistory() {
+    const out = [];
+    const firstLogged = new Map();
+    this._logChunks.forEach((chunk) => chunk.entries.forEach((e) => {
+      if (!e?.id || !Number.isFinite(Number(e.ts))) return;
+      out.push({ ts: e.ts, id: e.id, q: e.q, dt: e.dt, pivl: e.pivl, pef: e.pef });
+      if (!firstLogged.has(e.id) || e.ts < firstLogged.get(e.id)) firstLogged.set(e.id, e.ts);
+    }));
+    this.deck.forEach((item, id) => {
+      if (!item || item.type === 'meta' || !Array.isArray(item.fitHistory)) return;
+      const before = firstLogged.has(id) ? firstLogged.get(id) : Infinity;
+      item.fitHistory.forEach(([ts, q, dt, pivl, pef]) => {
+        if (ts < before) out.push({ ts, id, q, dt, pivl, pef });
+      });
+    });
+    return out;
+  }
+
+  _loadReviewLog() {
+    try {
+      const index = loadJSON(STORAGE_KEYS.SRS_REVIEW_LOG, null);
+      const ids = isObj(index) && Array.isArray(index.chunks) ? index.chunks : [];
+      this._logChunks = ids.map((chunkId) => {
+        const entries = loadJSON(reviewLogChunkKey(chunkId), []);
+        return { id: chunkId, entries: Array.isArray(entries) ? entries : [] };
+      });
+      this._logNextChunk = Number.isInteger(index?.next) ? index.next : ids.length;
+    } catch (e) {
+      console.warn('[SM-2] review log load failed:', e);
+      this._logChunks = [];
+    }
+  }
+
+  _logReview(entry) {
+    let chunk = this._logChunks[this._logChunks.length - 1];
+    if (!chunk || chunk.entries.length >= REVIEW_LOG_CHUNK) {
+      chunk = { id: this._logNextChunk++, entries: [] };
+      this._logChunks.push(chunk);
+      this._logIndexDirty = true;
+      while (this._logChunks.length > REVIEW_LOG_MAX_CHUNKS) {
+        const dropped = this._logChunks.shift();
+        this._logDirtyChunks.delete(dropped.id);
+        this._logDroppedChunks.push(dropped.id);
+      }
+    }
+    chunk.entries.push(entry);
+    this._logDirtyChunks.add(chunk.id);
+  }
+
+  _saveReviewLog() {
+    this._logChunks.forEach((chunk) => {
+      if (this._logDirtyChunks.has(chunk.id)) saveJSON(reviewLogChunkKey(chunk.id), chunk.entries);
+    });
+    this._logDirtyChunks.clear();
+    this._logDroppedChunks.splice(0).forEach((chunkId) => saveJSON(reviewLogChunkKey(chunkId), null));
+    if (this._logIndexDirty) {
+      this._logIndexDirty = false;
+      saveJSON(STORAGE_KEYS.SRS_REVIEW_LOG, { chunks: this._logChunks.map((c) => c.id), next: this._logNextChunk });
+    }
+  }
+
+  _saveSchedulerSettings() {
+    saveJSON(STORAGE_KEYS.SRS_SCHEDULER, this.schedulerSettings);
+  }
+
+  getSchedulerSettings() {
+    const s = this.schedulerSettings;
+    return {
+      algorithm: this.getScheduler().id,
+      schedulers: listSchedulers(),
+      fsrs: { ...s.fsrs, params: validParams(s.fsrs.params).slice(), custom: !!s.fsrs.params },
+      reviewsLogged: this._fitHistory().length,
+      reviewLogMax: REVIEW_LOG_CHUNK * REVIEW_LOG_MAX_CHUNKS
+    };
+  }
+
+  /**
+   * Switch scheduler. Items reviewed under another scheduler get this one's
+   * state seeded from their SM-2 fields (migrate); due dates stay as they are.
+   * @returns {Promise<{algorithm, migrated}|null>} null for an unknown id
+   */
+  async setScheduler(id) {
+    await this.init();
+    const scheduler = SCHEDULERS.get(id);
+    if (!scheduler) return null;
+
+    let migrated = 0;
+    if (typeof scheduler.migrate === 'function') {
+      const now = nowMs();
+      this.deck.forEach((item, itemId) => {
+        if (!item || item.type === 'meta') return;
+        try {
+          const fields = scheduler.migrate(item, this._schedulerContext(now, item.lastReview));
+          if (isObj(fields)) {
+            this.deck.set(itemId, { ...item, ...fields });
+            migrated++;
+          }
+        } catch (e) {
+          console.warn(`[SM-2] ${id} migration skipped ${itemId}:`, e);
+        }
+      });
+    }
+
+    const from = this.schedulerSettings.algorithm;
+    this.schedulerSettings = { ...this.schedulerSettings, algorithm: scheduler.id };
+    this._saveSchedulerSettings();
+    if (migrated) await this.persist();
+
+    safeTrack('scheduler_change', { from, to: scheduler.id, migrated });
+    return { algorithm: scheduler.id, migrated };
+  }
+
+  /** FSRS target recall (0.7-0.97); applies from each item's next review. */
+  setDesiredRetention(retention) {
+    const r = clamp(Number(retention) || FSRS_RETENTION.default, FSRS_RETENTION.min, FSRS_RETENTION.max);
+    this.schedulerSettings = { ...this.schedulerSettings, fsrs: { ...this.schedulerSettings.fsrs, retention: r } };
+    this._saveSchedulerSettings();
+    return r;
+  }
+
+  /**
+   * Fit FSRS weights to this device's review history and keep them if they
+   * predict it better than the defaults.
+   */
+  async fitScheduler() {
+    await this.init();
+    const fsrs = this.schedulerSettings.fsrs;
+    const result = await fitFSRSParameters(this._fitHistory(), { initial: validParams(fsrs.params) });
+    if (!result.ok) return result;
+
+    const better = result.loss <= result.defaultLoss;
+    this.schedulerSettings = {
+      ...this.schedulerSettings,
+      fsrs: {
+        ...fsrs,
+        params: better ? result.params : null,
+        fittedAt: nowMs(),
+        fitReviews: result.reviews,
+        fitLoss: Math.round(result.loss * 10000) / 10000,
+        defaultLoss: Math.round(result.defaultLoss * 10000) / 10000
+      }
+    };
+    this._saveSchedulerSettings();
+    safeTrack('scheduler_fit', { reviews: result.reviews, loss: result.loss, defaultLoss: result.defaultLoss, kept: better });
+    return { ...result, kept: better };
+  }
+
+  resetSchedulerParams() {
+    this.schedulerSettings = {
+      ...this.schedulerSettings,
+      fsrs: { ...DEFAULT_SCHEDULER_SETTINGS.fsrs, retention: this.schedulerSettings.fsrs.retention }
+    };
+    this._saveSchedulerSettings();
+    return FSRS_DEFAULT_PARAMS.slice();
+  }
+
+  /** Every logged review, oldest first (see _logReview for the entry shape). */
+  async getReviewLog() {
+    await this.init();
+    return this._logChunks.flatMap((chunk) => chunk.entries);
+  }
+
   /**
    * Stores session-level summary inside a reserved meta record.
    * This is intentionally side-effect-free w.r.t. scheduling (no item updates).
@@ -549,6 +862,12 @@ export const resetItem = spacedRepetition.resetItem.bind(spacedRepetition);
 export const getReviewSession = spacedRepetition.getReviewSession.bind(spacedRepetition);
 export const exportDeck = spacedRepetition.exportDeck.bind(spacedRepetition);
 export const importDeck = spacedRepetition.importDeck.bind(spacedRepetition);
+export const getSchedulerSettings = spacedRepetition.getSchedulerSettings.bind(spacedRepetition);
+export const setScheduler = spacedRepetition.setScheduler.bind(spacedRepetition);
+export const setDesiredRetention = spacedRepetition.setDesiredRetention.bind(spacedRepetition);
+export const fitScheduler = spacedRepetition.fitScheduler.bind(spacedRepetition);
+export const resetSchedulerParams = spacedRepetition.resetSchedulerParams.bind(spacedRepetition);
+export const getReviewLog = spacedRepetition.getReviewLog.bind(spacedRepetition);
 
 export default spacedRepetition;
 
@@ -618,6 +937,41 @@ export function updateSRSReviews(payloadOrCorrect = 0, wrong = 0, engagedMs = 0)
   })();
 }
 
+/**
+ * Confusion counts for one module (storage trackConfusion matrix) in the
+ * { pairs } shape Fingerboard and ScalesLab normalize.
+ *   target -> 'missed:<spot>' becomes { midi: target, weight }
+ *   target -> guessed         becomes { a: target, b: guessed, weight }
+ * Non-numeric ids (e.g. scale ids) pass through as 'a-b' strings.
+ */
+export async function getConfusionMatrix(module) {
+  try {
+    const data = getConfusionData(module);
+    const pairs = [];
+    const missed = new Map();
+    Object.entries(data || {}).forEach(([target, guesses]) => {
+      if (!isObj(guesses)) return;
+      const a = Number(target);
+      Object.entries(guesses).forEach(([guess, count]) => {
+        const weight = Number(count) || 0;
+        if (weight <= 0) return;
+        if (guess.startsWith('missed:')) {
+          if (Number.isFinite(a)) missed.set(a, (missed.get(a) || 0) + weight);
+          return;
+        }
+        const b = Number(guess);
+        if (Number.isFinite(a) && Number.isFinite(b)) pairs.push({ a, b, weight });
+        else pairs.push(`${target}-${guess}`);
+      });
+    });
+    missed.forEach((weight, midi) => pairs.push({ midi, weight }));
+    return { pairs };
+  } catch (e) {
+    console.warn('[SRS] getConfusionMatrix failed:', e);
+    return { pairs: [] };
+  }
+}
+
 if (typeof window !== 'undefined') {
   window.addEventListener('load', () => {
     console.log('[SM-2] Violin-optimized spaced repetition ready');
@@ -0,0 +1,340 @@
+// js/engines/srsAnalytics.js
+// ======================================
+// VMQ SRS ANALYTICS v1.0.0 - What the review log says about scheduling
+// Reads the spaced-repetition review log (spacedRepetition.getReviewLog) and
+// the current items to answer: are cards remembered as often as the
+// scheduler intends, how fast is each kind of item forgotten, how much
+// review is coming, and where have eases drifted.
+//
+// ✅ True retention vs target (FSRS target recall, or SM-2's nominal 90%),
+//    weekly, per scheduler, and per previous answer under SM-2 (the
+//    violin-tuned EF_MULTIPLIERS: do Easy-stretched intervals still hold?)
+// ✅ Forgetting curves per ITEM_TYPE: recall by days since the last review,
+//    with a fitted stability (days until recall falls to 90%)
+// ✅ Workload: reviews, lapses and time per day, plus due-date forecast
+// ✅ Ease distribution of reviewed items (and how many sit near the floor)
+// ======================================
+
+import spacedRepetition, { SM2_PARAMS, getReviewLog, getSchedulerSettings } from './spacedRepetition.js';
+import { retrievability } from './fsrs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAME_DAY = 0.5;          // reviews closer than this (days) don't measure memory
+const MIN_FIT_REVIEWS = 10;    // scored reviews before a curve gets a stability
+const SM2_NOMINAL_RETENTION = 0.9;
+
+// Days-since-last-review bins for forgetting curves
+export const ELAPSED_BINS = Object.freeze([
+  { label: '1d', min: SAME_DAY, max: 1.5 },
+  { label: '2–3d', min: 1.5, max: 3.5 },
+  { label: '4–7d', min: 3.5, max: 7.5 },
+  { label: '1–2w', min: 7.5, max: 14.5 },
+  { label: '2–4w', min: 14.5, max: 30.5 },
+  { label: '1–2m', min: 30.5, max: 60.5 },
+  { label: '2–4m', min: 60.5, max: 120.5 },
+  { label: '4m+', min: 120.5, max: Infinity }
+]);
+
+const isScored = (e) => e && e.dt != null && Number(e.dt) >= SAME_DAY;
+const passed = (e) => Number(e.q) >= 3;
+const round = (n, digits = 3) => (Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null);
+
+function rate(list) {
+  return list.length ? list.filter(passed).length / list.length : null;
+}
+
+function mean(values) {
+  const v = values.filter(Number.isFinite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Calendar-day arithmetic: a local day is 23 or 25 hours across a DST change
+function addDays(dayStart, n) {
+  const d = new Date(dayStart);
+  d.setDate(d.getDate() + n);
+  return d.getTime();
+}
+
+function daysBetween(fromDayStart, ms) {
+  return Math.round((startOfDay(ms) - fromDayStart) / DAY_MS);
+}
+
+function dayLabel(ms) {
+  const d = new Date(ms);
+  return `${d.getMonth() + 1}/${d.getDate()}`;
+}
+
+function sequences(log) {
+  const byItem = new Map();
+  log.forEach((e) => {
+    if (!e?.id) return;
+    if (!byItem.has(e.id)) byItem.set(e.id, []);
+    byItem.get(e.id).push(e);
+  });
+  byItem.forEach((list) => list.sort((a, b) => a.ts - b.ts));
+  return byItem;
+}
+
+// ======================================
+// RETENTION
+// ======================================
+
+/**
+ * True retention (share of spaced reviews answered 3+) against the target.
+ * @param {Array} log review log
+ * @param {object} options { target, weeks, now }
+ */
+export function retentionReport(log, { target = SM2_NOMINAL_RETENTION, weeks = 12, now = Date.now() } = {}) {
+  const scored = log.filter(isScored);
+  const retention = rate(scored);
+
+  const byAlgorithm = {};
+  scored.forEach((e) => {
+    const key = e.algo || 'sm2';
+    (byAlgorithm[key] = byAlgorithm[key] || []).push(e);
+  });
+  Object.keys(byAlgorithm).forEach((key) => {
+    const list = byAlgorithm[key];
+    byAlgorithm[key] = {
+      reviews: list.length,
+      retention: round(rate(list)),
+      predicted: round(mean(list.map((e) => (e.r == null ? NaN : Number(e.r)))))
+    };
+  });
+
+  const weekStart = addDays(startOfDay(now), -(weeks - 1) * 7);
+  const weekly = Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(weekStart, i * 7);
+    const end = addDays(start, 7);
+    const list = scored.filter((e) => e.ts >= start && e.ts < end);
+    return { start, label: dayLabel(start), reviews: list.length, retention: round(rate(list)) };
+  });
+
+  // Under SM-2 the interval after a pass past the fixed early steps is
+  // interval × ease × EF_MULTIPLIERS[quality]: compare how those hold up.
+  const byPrevious = new Map();
+  sequences(log).forEach((list) => {
+    for (let i = 1; i < list.length; i++) {
+      const prev = list[i - 1];
+      const e = list[i];
+      if (!isScored(e) || (prev.algo || 'sm2') !== 'sm2' || !passed(prev)) continue;
+      if (!(Number(prev.ivl) > SM2_PARAMS.INTERVALS[1])) continue;
+      const q = Number(prev.q);
+      if (!byPrevious.has(q)) byPrevious.set(q, []);
+      byPrevious.get(q).push({ e, prev });
+    }
+  });
+  const byPreviousAnswer = Array.from(byPrevious.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([quality, list]) => ({
+      quality,
+      multiplier: SM2_PARAMS.EF_MULTIPLIERS[quality - 1] ?? null,
+      reviews: list.length,
+      retention: round(rate(list.map((x) => x.e))),
+      avgInterval: round(mean(list.map((x) => Number(x.prev.ivl))), 1)
+    }));
+
+  return {
+    target,
+    reviews: scored.length,
+    retention: round(retention),
+    gap: retention == null ? null : round(retention - target),
+    byAlgorithm,
+    weekly,
+    byPreviousAnswer
+  };
+}
+
+// ======================================
+// FORGETTING CURVES
+// ======================================
+
+/** Stability (days) that best explains the outcomes, by golden-section search on ln S. */
+function fitStability(list) {
+  const logLik = (lnS) => {
+    const s = Math.exp(lnS);
+    return list.reduce((sum, e) => {
+      const p = Math.min(1 - 1e-4, Math.max(1e-4, retrievability(Number(e.dt), s)));
+      return sum + (passed(e) ? Math.log(p) : Math.log(1 - p));
+    }, 0);
+  };
+  let lo = Math.log(0.1);
+  let hi = Math.log(3650);
+  const g = (Math.sqrt(5) - 1) / 2;
+  let a = hi - g * (hi - lo);
+  let b = lo + g * (hi - lo);
+  let fa = logLik(a);
+  let fb = logLik(b);
+  for (let i = 0; i < 60; i++) {
+    if (fa > fb) { hi = b; b = a; fb = fa; a = hi - g * (hi - lo); fa = logLik(a); }
+    else { lo = a; a = b; fa = fb; b = lo + g * (hi - lo); fb = logLik(b); }
+  }
+  return Math.exp((lo + hi) / 2);
+}
+
+/**
+ * Recall by days since the previous review, per item type.
+ * @returns {Array<{type, reviews, recall, stability, bins: [{label, min, max, days, reviews, recall}]}>}
+ *   sorted by review count; stability is null below MIN_FIT_REVIEWS
+ */
+export function forgettingCurves(log) {
+  const byType = new Map();
+  log.filter(isScored).forEach((e) => {
+    const type = e.type || 'flashcard';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(e);
+  });
+
+  return Array.from(byType.entries())
+    .map(([type, list]) => ({
+      type,
+      reviews: list.length,
+      recall: round(rate(list)),
+      stability: list.length >= MIN_FIT_REVIEWS ? round(fitStability(list), 1) : null,
+      bins: ELAPSED_BINS.map((bin) => {
+        const inBin = list.filter((e) => e.dt >= bin.min && e.dt < bin.max);
+        return {
+          label: bin.label,
+          min: bin.min,
+          max: bin.max,
+          days: round(mean(inBin.map((e) => Number(e.dt))), 1),
+          reviews: inBin.length,
+          recall: round(rate(inBin))
+        };
+      })
+    }))
+    .sort((a, b) => b.reviews - a.reviews);
+}
+
+// ======================================
+// WORKLOAD
+// ======================================
+
+/**
+ * Reviews per day over the last `days`, and items coming due over the next `ahead`.
+ * @returns {{past: Array<{start, label, reviews, lapses, first, minutes}>, forecast: Array<{start, label, due}>, overdue, avgPerDay, avgSecondsPerReview}}
+ */
+export function reviewWorkload(log, items, { days = 30, ahead = 14, now = Date.now() } = {}) {
+  const today = startOfDay(now);
+  const firstDay = addDays(today, -(days - 1));
+
+  const past = Array.from({ length: days }, (_, i) => ({
+    start: addDays(firstDay, i), label: dayLabel(addDays(firstDay, i)), reviews: 0, lapses: 0, first: 0, ms: 0
+  }));
+  log.forEach((e) => {
+    if (!(e.ts >= firstDay)) return;
+    const day = past[daysBetween(firstDay, e.ts)];
+    if (!day) return;
+    day.reviews++;
+    if (!passed(e)) day.lapses++;
+    if (e.dt == null) day.first++;
+    if (Number(e.rt) > 0) day.ms += Math.min(Number(e.rt), 5 * 60 * 1000);   // ignore walked-away answers
+  });
+
+  const forecast = Array.from({ length: ahead }, (_, i) => ({
+    start: addDays(today, i), label: dayLabel(addDays(today, i)), due: 0
+  }));
+  let overdue = 0;
+  items.forEach((item) => {
+    const due = Number(item?.due);
+    if (!item || item.type === 'meta' || item.suspended || !Number.isFinite(due)) return;
+    if (due < today) overdue++;
+    const idx = Math.max(0, daysBetween(today, due));
+    if (idx < ahead) forecast[idx].due++;
+  });
+
+  const total = past.reduce((s, d) => s + d.reviews, 0);
+  const timed = log.filter((e) => e.ts >= firstDay && Number(e.rt) > 0);
+  return {
+    past: past.map(({ ms, ...d }) => ({ ...d, minutes: round(ms / 60000, 1) })),
+    forecast,
+    overdue,
+    avgPerDay: round(total / days, 1),
+    avgSecondsPerReview: round(mean(timed.map((e) => Math.min(Number(e.rt), 5 * 60 * 1000) / 1000)), 1)
+  };
+}
+
+// ======================================
+// EASE
+// ======================================
+
+/**
+ * Histogram of SM-2 ease over reviewed items (0.1 wide, MIN_EF..MAX_EF).
+ * @returns {{bins: [{ease, count}], items, mean, median, nearFloor, byType: {[type]: mean}}}
+ */
+export function easeDistribution(items) {
+  const reviewed = items.filter((i) => i && i.type !== 'meta' && i.lastReview && Number.isFinite(Number(i.efactor)));
+  const lo = SM2_PARAMS.MIN_EF;
+  const hi = Number.isFinite(SM2_PARAMS.MAX_EF) ? SM2_PARAMS.MAX_EF : 3.5;
+  const count = Math.round((hi - lo) / 0.1) + 1;
+  const bins = Array.from({ length: count }, (_, i) => ({ ease: round(lo + i * 0.1, 1), count: 0 }));
+
+  const values = reviewed.map((i) => Number(i.efactor));
+  values.forEach((v) => {
+    bins[Math.min(count - 1, Math.max(0, Math.round((v - lo) / 0.1)))].count++;
+  });
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const byType = {};
+  reviewed.forEach((i) => {
+    (byType[i.type] = byType[i.type] || []).push(Number(i.efactor));
+  });
+  Object.keys(byType).forEach((t) => { byType[t] = round(mean(byType[t]), 2); });
+
+  return {
+    bins,
+    items: values.length,
+    mean: round(mean(values), 2),
+    median: sorted.length ? round(sorted[Math.floor(sorted.length / 2)], 2) : null,
+    nearFloor: values.filter((v) => v < lo + 0.4).length,
+    byType
+  };
+}
+
+// ======================================
+// ALL-IN-ONE
+// ======================================
+
+/**
+ * Everything the Analytics screen shows, from the live engine.
+ * @param {object} options { weeks, days, ahead }
+ */
+export async function getSRSAnalytics({ weeks = 12, days = 30, ahead = 14 } = {}) {
+  try {
+    const log = await getReviewLog();
+    await spacedRepetition.init();
+    const items = Array.from(spacedRepetition.deck.values());
+    const settings = getSchedulerSettings();
+    const target = settings.algorithm === 'fsrs' ? settings.fsrs.retention : SM2_NOMINAL_RETENTION;
+    const now = Date.now();
+
+    return {
+      generatedAt: now,
+      scheduler: settings.algorithm,
+      logSize: log.length,
+      since: log.length ? log[0].ts : null,
+      retention: retentionReport(log, { target, weeks, now }),
+      curves: forgettingCurves(log),
+      workload: reviewWorkload(log, items, { days, ahead, now }),
+      ease: easeDistribution(items)
+    };
+  } catch (e) {
+    console.warn('[SRS Analytics] failed:', e);
+    return null;
+  }
+}
+
+export default {
+  ELAPSED_BINS,
+  retentionReport,
+  forgettingCurves,
+  reviewWorkload,
+  easeDistribution,
+  getSRSAnalytics
+};
@@ -0,0 +1,728 @@
+// js/utils/abc.js
+// ======================================
+// VMQ ABC v1.0.0 - ABC notation reader and writer (plain text, no network)
+// Reads one tune from pasted or shared ABC into the same melodic passage shape
+// as utils/musicxml.js, so engines/repertoire.js builds drills from either.
+// Writes generated exercises (sight-reading phrases, scales) back to ABC.
+//
+// ✅ Header fields X: T: C: M: L: Q: K: (modes, clef=, explicit accidentals)
+// ✅ Notes, ^ _ = accidentals carried through the bar, ' and , octave marks
+// ✅ Durations (2, /, 3/2, //), rests z x Z, ties, broken rhythm > <, tuplets
+// ✅ Bar lines, repeats and endings (repeats are not expanded); pickup = bar 0
+// ✅ Chords keep their top note; grace notes, decorations, chord symbols,
+//    lyrics and comments skipped; only the first voice is read
+// ✅ Inline fields [K:] [M:] [L:] [V:]
+// ======================================
+
+import { keyFromFifths } from './musicxml.js';
+import { keyAccidentalMap, parsePitch, parseTimeSignature, spellMidi } from './notation.js';
+import { slugFilename } from './helpers.js';
+
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const MAJOR_FIFTHS = {
+  Fb: -8, Cb: -7, Gb: -6, Db: -5, Ab: -4, Eb: -3, Bb: -2, F: -1, C: 0,
+  G: 1, D: 2, A: 3, E: 4, B: 5, 'F#': 6, 'C#': 7, 'G#': 8, 'D#': 9, 'A#': 10, 'E#': 11, 'B#': 12
+};
+const MODES = {
+  maj: { offset: 0, name: 'Major' },
+  ion: { offset: 0, name: 'Ionian' },
+  min: { offset: -3, name: 'minor' },
+  aeo: { offset: -3, name: 'Aeolian' },
+  mix: { offset: -1, name: 'Mixolydian' },
+  dor: { offset: -2, name: 'Dorian' },
+  phr: { offset: -4, name: 'Phrygian' },
+  lyd: { offset: 1, name: 'Lydian' },
+  loc: { offset: -5, name: 'Locrian' }
+};
+const ACCIDENTALS = { '^^': 2, '^': 1, '=': 0, _: -1, __: -2 };
+const CLEFS = ['treble', 'alto', 'tenor', 'bass'];
+const DECORATION_CHARS = '.~HLMOPSTuvJR';
+const EPS = 1e-6;
+
+export const ABC_LIMITS = Object.freeze({
+  maxBytes: 512 * 1024,   // ABC is terse; anything bigger is not a single tune
+  maxNotes: 400           // notes kept per passage (same as MusicXML)
+});
+
+export const ABC_EXTENSIONS = Object.freeze(['.abc']);
+export const ABC_MIME = 'text/vnd.abc';
+
+function round(n, places = 4) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+// ======================================
+// HEADER FIELDS
+// ======================================
+
+/** 'D', 'Ador', 'F#m', 'Bb mix', 'G clef=alto', 'D exp _b' → key + clef + extra accidentals. */
+export function parseABCKey(value = '') {
+  const raw = String(value).replace(/%.*$/, '').trim();
+  const clefMatch = raw.match(/clef\s*=\s*([a-z]+)/i);
+  const clef = clefMatch && CLEFS.includes(clefMatch[1].toLowerCase()) ? clefMatch[1].toLowerCase() : null;
+  const body = raw.replace(/\b[a-z-]+\s*=\s*\S+/gi, '').trim();
+
+  const m = body.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/);
+  if (!m || /^none\b/i.test(body) || /^H[Pp]\b/.test(body)) {
+    return { key: keyFromFifths(0, 'major'), clef, accidentals: {} };
+  }
+
+  const tonic = `${m[1]}${m[2] || ''}`;
+  const word = m[3].toLowerCase();
+  const modeId = word === '' || word === 'exp' ? 'maj' : word === 'm' ? 'min' : word.slice(0, 3);
+  const mode = MODES[modeId] || MODES.maj;
+  const fifths = Math.max(-7, Math.min(7, (MAJOR_FIFTHS[tonic] ?? 0) + mode.offset));
+
+  const accidentals = {};
+  const explicit = /\bexp\b/i.test(body);
+  body.slice(m[0].length).split(/\s+/).forEach((tok) => {
+    const a = tok.match(/^(\^\^|\^|__|_|=)([A-Ga-g])$/);
+    if (a) accidentals[a[2].toUpperCase()] = ACCIDENTALS[a[1]];
+  });
+
+  let key;
+  if (modeId === 'maj' || modeId === 'min') {
+    key = keyFromFifths(fifths, modeId === 'min' ? 'minor' : 'major');
+  } else {
+    const base = keyFromFifths(fifths, 'major');
+    key = { ...base, mode: mode.name.toLowerCase(), tonic, name: `${tonic} ${mode.name}` };
+  }
+  return { key, clef, accidentals, explicit };
+}
+
+/** 'C' → 4/4, 'C|' → 2/2, '2+3/8' → 5/8, 'none' → null. */
+export function parseABCMeter(value = '') {
+  const v = String(value).replace(/%.*$/, '').trim();
+  if (!v || /^none$/i.test(v)) return null;
+  if (v === 'C') return '4/4';
+  if (v === 'C|') return '2/2';
+  const m = v.match(/^\(?([\d+\s]+)\)?\s*\/\s*(\d+)/);
+  if (!m) return null;
+  const beats = m[1].split('+').reduce((sum, n) => sum + (parseInt(n, 10) || 0), 0);
+  return beats > 0 ? `${beats}/${m[2]}` : null;
+}
+
+function parseFraction(value) {
+  const m = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!m) return null;
+  const n = Number(m[1]) / Number(m[2]);
+  return n > 0 ? n : null;
+}
+
+/** Unit note length in quarter-note beats ('1/8' → 0.5). */
+function unitBeats(lField, meter) {
+  const explicit = parseFraction(lField);
+  if (explicit) return explicit * 4;
+  const ts = parseTimeSignature(meter);
+  return ts && ts.beats / ts.unit < 0.75 ? 0.25 : 0.5;
+}
+
+/** 'Q:1/4=120', 'Q:3/8=60', 'Q:"Allegro" 1/4=132', 'Q:120' → quarter-note BPM. */
+function parseABCTempo(value, unit) {
+  const v = String(value || '').replace(/"[^"]*"/g, '').trim();
+  const m = v.match(/((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)/);
+  if (m) {
+    const beatLen = m[1].trim().split(/\s+/).reduce((sum, f) => sum + (parseFraction(f) || 0), 0) * 4;
+    return beatLen > 0 ? Math.round(Number(m[2]) * beatLen) : null;
+  }
+  const bare = v.match(/^(?:C\s*=\s*)?(\d+(?:\.\d+)?)$/);
+  return bare ? Math.round(Number(bare[1]) * unit) : null;
+}
+
+// ======================================
+// TUNES
+// ======================================
+
+function stripComment(line) {
+  const i = line.search(/(^|[^\\])%/);
+  if (i === -1) return line;
+  return line.slice(0, line[i] === '%' ? i : i + 1);
+}
+
+/** Split a tunebook into tunes ({ index, number, title, lines }). */
+export function listABCTunes(text) {
+  const tunes = [];
+  let current = null;
+  String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+    if (/^X:/.test(line)) {
+      current = { index: tunes.length, number: line.slice(2).trim(), title: '', lines: [line] };
+      tunes.push(current);
+      return;
+    }
+    if (!current) {
+      // Tunes without X: (pasted from a forum post) start at the first header field
+      if (!/^[A-Za-z]:/.test(line) || /^%/.test(line)) return;
+      current = { index: tunes.length, number: '', title: '', lines: [] };
+      tunes.push(current);
+    }
+    current.lines.push(line);
+    if (!current.title && /^T:/.test(line)) current.title = line.slice(2).trim();
+  });
+  return tunes.filter((t) => t.lines.some((l) => /^K:/.test(l)));
+}
+
+// ======================================
+// PARSER
+// ======================================
+
+function readLength(src, pos) {
+  const m = src.slice(pos).match(/^(\d*)(\/*)(\d*)/);
+  const num = m[1] ? Number(m[1]) : 1;
+  let den = 1;
+  if (m[2]) den = m[3] ? Number(m[3]) * 2 ** (m[2].length - 1) : 2 ** m[2].length;
+  return { factor: den > 0 ? num / den : 1, length: m[0].length };
+}
+
+function defaultTupletQ(p, meter) {
+  if (p === 2 || p === 4 || p === 8) return 3;
+  if (p === 3 || p === 6) return 2;
+  const ts = parseTimeSignature(meter);
+  return ts && ts.unit === 8 && ts.beats % 3 === 0 ? 3 : 2;
+}
+
+/**
+ * Parse one ABC tune into a melodic passage.
+ * @param {string} text tune or tunebook
+ * @param {object} options { tune (index in the book), fromMeasure, toMeasure, maxNotes }
+ * @returns {{
+ *   format: 'abc', title, composer, tunes, tune, voice,
+ *   key: {fifths, mode, tonic, id, name}, timeSignature, clef, tempo, unit,
+ *   measures: {from, to, count},
+ *   notes: Array<{index, midi, note, beats, start, rest, measure, tuplet, tied}>,
+ *   truncated, warnings
+ * }}
+ * @throws {Error} with a user-facing message when the text can't be read
+ */
+export function parseABC(text, options = {}) {
+  const src = String(text || '');
+  if (!src.trim()) throw new Error('The ABC text is empty.');
+  if (src.length > ABC_LIMITS.maxBytes) throw new Error('The ABC text is too large to import.');
+
+  const tunes = listABCTunes(src);
+  if (!tunes.length) throw new Error('No ABC tune found — a tune needs at least a K: line.');
+  const tuneIndex = Math.max(0, Math.min(tunes.length - 1, Math.round(Number(options.tune) || 0)));
+  const tune = tunes[tuneIndex];
+
+  const fromMeasure = options.fromMeasure !== '' && options.fromMeasure != null && Number.isFinite(Number(options.fromMeasure))
+    ? Number(options.fromMeasure) : -Infinity;
+  const toMeasure = options.toMeasure !== '' && options.toMeasure != null && Number.isFinite(Number(options.toMeasure))
+    ? Number(options.toMeasure) : Infinity;
+  const maxNotes = Math.max(1, Math.round(Number(options.maxNotes) || ABC_LIMITS.maxNotes));
+
+  const warnings = new Set();
+  const header = { title: '', composer: '', meter: '4/4', meterSet: false, length: '', tempo: '' };
+  let keyInfo = null;
+  let clef = null;
+  let bodyStart = tune.lines.length;
+
+  for (let i = 0; i < tune.lines.length; i++) {
+    const line = stripComment(tune.lines[i]);
+    const f = line.match(/^([A-Za-z]):\s*(.*)$/);
+    if (!f) continue;
+    const [, field, value] = f;
+    if (field === 'T' && !header.title) header.title = value.trim();
+    else if (field === 'C' && !header.composer) header.composer = value.trim();
+    else if (field === 'M') {
+      header.meter = parseABCMeter(value);
+      header.meterSet = true;
+    } else if (field === 'L') header.length = value;
+    else if (field === 'Q') header.tempo = value;
+    else if (field === 'K') {
+      keyInfo = parseABCKey(value);
+      clef = keyInfo.clef;
+      bodyStart = i + 1;
+      break;
+    }
+  }
+
+  // Running state — inline fields and body field lines change it mid-tune
+  const state = {
+    meter: header.meter,
+    unit: unitBeats(header.length, header.meter),
+    keyInfo,
+    keyMap: { ...(keyInfo.explicit ? {} : keyAccidentalMap(keyInfo.key)), ...keyInfo.accidentals },
+    voice: null
+  };
+  const tempo = parseABCTempo(header.tempo, state.unit);
+  let voice = null;
+  let key = keyInfo.key;
+  let timeSignature = state.meter;
+
+  const all = [];
+  const barTotals = [];
+  let measure = 1;
+  let barBeats = 0;
+  let barAcc = {};
+  let start = 0;   // exact onset; rounded only when stored
+  let tuplet = null;
+  let brokenNext = 1;
+  let tieOpen = false;
+
+  const setKey = (value) => {
+    state.keyInfo = parseABCKey(value);
+    state.keyMap = { ...(state.keyInfo.explicit ? {} : keyAccidentalMap(state.keyInfo.key)), ...state.keyInfo.accidentals };
+    if (state.keyInfo.clef && !all.length) clef = state.keyInfo.clef;
+    if (!all.length) key = state.keyInfo.key;
+  };
+  const applyField = (field, value) => {
+    if (field === 'K') setKey(value);
+    else if (field === 'M') {
+      state.meter = parseABCMeter(value);
+      if (!all.length) timeSignature = state.meter;
+    } else if (field === 'L') state.unit = unitBeats(value, state.meter);
+    else if (field === 'V') {
+      const id = String(value).trim().split(/\s+/)[0] || '1';
+      if (voice == null) voice = id;
+      state.voice = id;
+      if (id !== voice) warnings.add('Several voices: only the first is read.');
+    }
+  };
+  const inVoice = () => state.voice == null || voice == null || state.voice === voice;
+
+  const closeBar = () => {
+    if (barBeats > EPS) {
+      barTotals[measure] = round(barBeats);
+      measure++;
+    }
+    barBeats = 0;
+    barAcc = {};
+  };
+
+  const readPitch = (s, pos) => {
+    const m = s.slice(pos).match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/);
+    if (!m) return null;
+    const letter = m[2].toUpperCase();
+    let octave = m[2] === letter ? 4 : 5;
+    for (const c of m[3]) octave += c === "'" ? 1 : -1;
+    const slot = `${letter}${octave}`;
+    let alter;
+    if (m[1] != null) {
+      alter = ACCIDENTALS[m[1]];
+      barAcc[slot] = alter;
+    } else {
+      alter = barAcc[slot] ?? state.keyMap[letter] ?? 0;
+    }
+    const len = readLength(s, pos + m[0].length);
+    return {
+      midi: (octave + 1) * 12 + LETTER_PC[letter] + alter,
+      note: `${letter}${alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter)}${octave}`,
+      factor: len.factor,
+      length: m[0].length + len.length
+    };
+  };
+
+  const addEvent = (pitch, units, isRest) => {
+    let beats = units * state.unit * brokenNext;
+    brokenNext = 1;
+    let tupletSize = null;
+    if (tuplet) {
+      beats *= tuplet.factor;
+      tupletSize = tuplet.p;
+      tuplet.remaining--;
+      if (tuplet.remaining <= 0) tuplet = null;
+    }
+    if (!(beats > 0)) return;
+
+    const prev = all[all.length - 1];
+    if (tieOpen && !isRest && prev && !prev.rest && prev.midi === pitch.midi) {
+      prev.beats = round(prev.beats + beats);
+      prev.tied = true;
+      start += beats;
+      barBeats += beats;
+      tieOpen = false;
+      return;
+    }
+    tieOpen = false;
+
+    all.push({
+      midi: isRest ? null : pitch.midi,
+      note: isRest ? null : pitch.note,
+      beats: round(beats),
+      start: round(start),
+      rest: isRest,
+      measure,
+      tuplet: tupletSize,
+      tied: false
+    });
+    start += beats;
+    barBeats += beats;
+  };
+
+  const body = tune.lines.slice(bodyStart);
+  for (const rawLine of body) {
+    const line = stripComment(rawLine);
+    const field = line.match(/^([A-Za-z]):\s*(.*)$/);
+    if (field) {
+      applyField(field[1], field[2]);
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    let pos = 0;
+    while (pos < line.length) {
+      const c = line[pos];
+      const next = line[pos + 1];
+
+      if (c === ' ' || c === '\t' || c === '\\' || c === '`' || c === '$' || c === 'y') { pos++; continue; }
+
+      // Chord symbols and annotations
+      if (c === '"') {
+        const end = line.indexOf('"', pos + 1);
+        pos = end === -1 ? line.length : end + 1;
+        continue;
+      }
+      // Decorations !trill! +trill+
+      if (c === '!' || c === '+') {
+        const end = line.indexOf(c, pos + 1);
+        pos = end === -1 ? pos + 1 : end + 1;
+        continue;
+      }
+      // Grace notes
+      if (c === '{') {
+        const end = line.indexOf('}', pos + 1);
+        pos = end === -1 ? line.length : end + 1;
+        warnings.add('Grace notes skipped.');
+        continue;
+      }
+
+      // Inline field [K:D]
+      if (c === '[' && /[A-Za-z]/.test(next || '') && line[pos + 2] === ':') {
+        const end = line.indexOf(']', pos);
+        const inner = line.slice(pos + 1, end === -1 ? line.length : end);
+        applyField(inner[0], inner.slice(2));
+        pos = end === -1 ? line.length : end + 1;
+        continue;
+      }
+      // Ending [1 [2
+      if (c === '[' && /\d/.test(next || '')) {
+        pos++;
+        while (pos < line.length && /[\d,-]/.test(line[pos])) pos++;
+        continue;
+      }
+
+      // Bar lines | || |] [| |: :| :: and endings |1 :|2
+      if (c === '|' || c === ':' || (c === '[' && next === '|')) {
+        while (pos < line.length) {
+          const b = line[pos];
+          if (b === '|' || b === ':') pos++;
+          else if (b === ']' && line[pos - 1] === '|') pos++;
+          else if (b === '[' && line[pos + 1] === '|') pos++;
+          else break;
+        }
+        while (pos < line.length && /[\d,-]/.test(line[pos]) && /[|\d,-]/.test(line[pos - 1])) pos++;
+        if (inVoice()) closeBar();
+        continue;
+      }
+
+      // Tuplets (3 (3:2:3 — other ( and ) are slurs
+      if (c === '(') {
+        const t = line.slice(pos).match(/^\((\d+)(?::(\d*))?(?::(\d*))?/);
+        if (t) {
+          const p = Number(t[1]);
+          const q = t[2] ? Number(t[2]) : defaultTupletQ(p, state.meter);
+          const r = t[3] ? Number(t[3]) : p;
+          if (p > 1 && inVoice()) tuplet = { p, factor: q / p, remaining: r };
+          pos += t[0].length;
+        } else {
+          pos++;
+        }
+        continue;
+      }
+      if (c === ')') { pos++; continue; }
+
+      if (c === '-') {
+        if (inVoice()) tieOpen = true;
+        pos++;
+        continue;
+      }
+
+      // Broken rhythm: a>b dots the first and halves the second
+      if (c === '>' || c === '<') {
+        let n = 0;
+        while (line[pos] === c) { n++; pos++; }
+        const prev = all[all.length - 1];
+        if (!inVoice() || !prev) continue;
+        const longer = 2 - 1 / 2 ** n;
+        const shorter = 1 / 2 ** n;
+        const old = prev.beats;
+        prev.beats = round(old * (c === '>' ? longer : shorter));
+        start += prev.beats - old;
+        barBeats += prev.beats - old;
+        brokenNext = c === '>' ? shorter : longer;
+        continue;
+      }
+
+      // Chords [CEG]2 — keep the top note
+      if (c === '[') {
+        const end = line.indexOf(']', pos);
+        const inner = line.slice(pos + 1, end === -1 ? line.length : end);
+        let top = null;
+        let first = null;
+        let i = 0;
+        while (i < inner.length) {
+          const p = readPitch(inner, i);
+          if (p) {
+            if (!first) first = p;
+            if (!top || p.midi > top.midi) top = p;
+            i += p.length;
+          } else {
+            i++;
+          }
+        }
+        pos = end === -1 ? line.length : end + 1;
+        const post = readLength(line, pos);
+        pos += post.length;
+        if (top && inVoice()) {
+          addEvent(top, first.factor * post.factor, false);
+          warnings.add('Chords reduced to their top note.');
+        }
+        continue;
+      }
+
+      // Rests z x, multi-bar rests Z
+      if (c === 'z' || c === 'x') {
+        const len = readLength(line, pos + 1);
+        pos += 1 + len.length;
+        if (inVoice()) addEvent(null, len.factor, true);
+        continue;
+      }
+      if (c === 'Z' || c === 'X') {
+        const m = line.slice(pos + 1).match(/^\d*/)[0];
+        pos += 1 + m.length;
+        if (!inVoice()) continue;
+        const bars = Math.max(1, Number(m) || 1);
+        const ts = parseTimeSignature(state.meter);
+        const barLen = ts ? ts.barBeats : 4;
+        for (let b = 0; b < bars; b++) {
+          if (b > 0) closeBar();
+          addEvent(null, barLen / state.unit, true);
+        }
+        continue;
+      }
+
+      const pitch = readPitch(line, pos);
+      if (pitch) {
+        pos += pitch.length;
+        if (inVoice()) addEvent(pitch, pitch.factor, false);
+        continue;
+      }
+
+      if (DECORATION_CHARS.includes(c)) { pos++; continue; }
+      pos++;
+    }
+  }
+  if (barBeats > EPS) barTotals[measure] = round(barBeats);
+
+  // A short first bar followed by more music is a pickup: number it 0
+  const ts = parseTimeSignature(timeSignature);
+  const lastBar = all.length ? all[all.length - 1].measure : 1;
+  if (ts && lastBar > 1 && (barTotals[1] || 0) > 0 && barTotals[1] < ts.barBeats - EPS) {
+    all.forEach((n) => { n.measure -= 1; });
+  }
+
+  // Measure range, then note limit
+  let notes = all.filter((n) => n.measure >= fromMeasure && n.measure <= toMeasure);
+  let truncated = false;
+  if (notes.length > maxNotes) {
+    notes = notes.slice(0, maxNotes);
+    truncated = true;
+  }
+  if (!notes.some((n) => !n.rest)) throw new Error('No notes found in the selected tune and measures.');
+
+  const offset = notes[0].start;
+  notes = notes.map((n, index) => ({ ...n, index, start: round(n.start - offset) }));
+  const firstMeasure = notes[0].measure;
+  const lastMeasure = notes[notes.length - 1].measure;
+  if (tunes.length > 1) warnings.add(`Tunebook with ${tunes.length} tunes: read tune ${tuneIndex + 1}.`);
+  if (!header.meterSet) warnings.add('No M: field — assumed 4/4.');
+
+  return {
+    format: 'abc',
+    title: header.title || tune.title,
+    composer: header.composer,
+    tunes: tunes.map((t) => ({ index: t.index, number: t.number, title: t.title })),
+    tune: tuneIndex,
+    voice,
+    key,
+    timeSignature: timeSignature || '4/4',
+    clef: clef || 'treble',
+    tempo,
+    unit: state.unit,
+    measures: { from: firstMeasure, to: lastMeasure, count: lastMeasure - firstMeasure + 1 },
+    notes,
+    truncated,
+    warnings: [...warnings]
+  };
+}
+
+// ======================================
+// WRITER
+// ======================================
+
+function lengthText(units) {
+  for (const den of [1, 2, 4, 8, 16, 32, 64]) {
+    const num = units * den;
+    // Stored beats are rounded to 4 places, so triplet eighths arrive as 0.3333
+    if (Math.abs(num - Math.round(num)) < 1e-3 * den) {
+      let n = Math.round(num);
+      let d = den;
+      while (n % 2 === 0 && d % 2 === 0) { n /= 2; d /= 2; }
+      if (n === 1 && d === 1) return '';
+      if (d === 1) return String(n);
+      if (n === 1) return d === 2 ? '/' : `/${d}`;
+      return `${n}/${d}`;
+    }
+  }
+  return null;
+}
+
+function tupletFor(beats, unit) {
+  for (const p of [3, 5, 6, 7, 9]) {
+    const q = 2 ** Math.floor(Math.log2(p));
+    if (lengthText((beats * p / q) / unit) != null) return { p, q };
+  }
+  return null;
+}
+
+function keyField(key) {
+  if (key == null || key === '') return 'C';
+  if (typeof key === 'string') return key.replace(/♯/g, '#').replace(/♭/g, 'b').replace(/\s*(major|maj)$/i, '').replace(/\s*minor$/i, 'm');
+  if (typeof key === 'number') return keyFromFifths(key, 'major').id;
+  if (key.tonic && key.mode && !['major', 'minor'].includes(key.mode)) return `${key.tonic}${key.mode.slice(0, 3)}`;
+  if (key.id) return String(key.id);
+  if (Number.isFinite(Number(key.fifths))) return keyFromFifths(key.fifths, key.mode).id;
+  return 'C';
+}
+
+function abcPitch(letter, octave, accidental) {
+  const acc = accidental == null ? '' : { 2: '^^', 1: '^', 0: '=', '-1': '_', '-2': '__' }[accidental] ?? '';
+  if (octave >= 5) return `${acc}${letter.toLowerCase()}${"'".repeat(octave - 5)}`;
+  return `${acc}${letter}${','.repeat(Math.max(0, 4 - octave))}`;
+}
+
+/**
+ * Serialize a melodic exercise to an ABC tune.
+ * @param {object} exercise
+ *   title, composer, key (KEY_SIGNATURES entry, {fifths, mode}, 'D', 'Em'),
+ *   timeSignature ('4/4', null for free meter), tempo (quarter BPM), clef,
+ *   notes: [{ note: 'F#4' } | { midi }, beats, rest, tuplet]
+ * @param {object} options { index (X:), unit ('1/8'), barsPerLine }
+ * @returns {string} ABC text ending in a newline
+ */
+export function toABC(exercise = {}, options = {}) {
+  const { title = 'VMQ exercise', composer = '', key = null, timeSignature = '4/4', tempo = null, clef = null } = exercise;
+  const notes = Array.isArray(exercise.notes) ? exercise.notes : [];
+  const unitText = options.unit || '1/8';
+  const unit = (parseFraction(unitText) || 0.125) * 4;
+  const barsPerLine = Math.max(1, Math.round(Number(options.barsPerLine) || 4));
+  const ts = parseTimeSignature(timeSignature);
+  const keyMap = keyAccidentalMap(key);
+  const byMeasure = notes.length > 0 && notes.every((n) => n.measure != null);
+
+  const lines = [`X:${options.index || 1}`, `T:${title}`];
+  if (composer) lines.push(`C:${composer}`);
+  lines.push(`M:${ts ? `${ts.beats}/${ts.unit}` : 'none'}`);
+  lines.push(`L:${unitText}`);
+  if (Number(tempo) > 0) lines.push(`Q:1/4=${Math.round(Number(tempo))}`);
+  lines.push(`K:${keyField(key)}${clef && clef !== 'treble' ? ` clef=${clef}` : ''}`);
+
+  const body = [];
+  let bar = [];
+  let barCount = 0;
+  let barPos = 0;
+  let barAcc = {};
+  let tupletLeft = 0;
+
+  const flushBar = (final) => {
+    if (!bar.length) return;
+    body.push(`${bar.join('')} ${final ? '|]' : '|'}`);
+    barCount++;
+    if (!final && barCount % barsPerLine === 0) body.push('\n');
+    else if (!final) body.push(' ');
+    bar = [];
+    barPos = 0;
+    barAcc = {};
+  };
+
+  notes.forEach((n, i) => {
+    const beats = Number(n.beats ?? n.duration) || 1;
+    if (ts && barPos > EPS && ts.groupBeats && Math.abs(barPos / ts.groupBeats - Math.round(barPos / ts.groupBeats)) < EPS) {
+      if (!tupletLeft) bar.push(' ');
+    }
+
+    let len = lengthText(beats / unit);
+    if (len == null) {
+      const t = tupletFor(beats, unit);
+      if (t) {
+        if (!tupletLeft) {
+          bar.push(t.p === 3 ? '(3' : `(${t.p}:${t.q}:${t.p}`);
+          tupletLeft = t.p;
+        }
+        len = lengthText((beats * t.p / t.q) / unit) ?? '';
+      } else {
+        len = '';
+      }
+    }
+    if (tupletLeft) tupletLeft--;
+
+    if (n.rest || (n.note == null && n.midi == null)) {
+      bar.push(`z${len}`);
+    } else {
+      const spelled = parsePitch(n.note) || parsePitch(spellMidi(n.midi, key));
+      if (spelled) {
+        const slot = `${spelled.letter}${spelled.octave}`;
+        const expected = barAcc[slot] ?? keyMap[spelled.letter] ?? 0;
+        const accidental = spelled.alter !== expected ? spelled.alter : null;
+        if (accidental != null) barAcc[slot] = spelled.alter;
+        bar.push(`${abcPitch(spelled.letter, spelled.octave, accidental)}${len}`);
+      } else {
+        bar.push(`z${len}`);
+      }
+    }
+
+    barPos = round(barPos + beats);
+    const last = i === notes.length - 1;
+    if (byMeasure ? !last && notes[i + 1].measure !== n.measure : ts && barPos >= ts.barBeats - EPS && !last) flushBar(false);
+  });
+  flushBar(true);
+
+  lines.push(body.join('').replace(/ +\n/g, '\n').trim());
+  return `${lines.join('\n')}\n`;
+}
+
+// ======================================
+// FILES & DETECTION
+// ======================================
+
+/** True for .abc file names / the ABC MIME type. */
+export function isABCFile(file) {
+  const name = String(file?.name || '').toLowerCase();
+  const type = String(file?.type || '').toLowerCase();
+  return ABC_EXTENSIONS.some((ext) => name.endsWith(ext)) || type === ABC_MIME;
+}
+
+/** True when text looks like an ABC tune (a K: line after header fields). */
+export function looksLikeABC(text) {
+  const src = String(text || '').slice(0, 20000);
+  return /^K:/m.test(src) && (/^X:/m.test(src) || /^[TML]:/m.test(src));
+}
+
+/** 'Sight reading', 'D major' -> 'vmq-sight-reading-d-major.abc' */
+export function abcFilename(...parts) {
+  return slugFilename(parts, 'abc');
+}
+
+export default {
+  ABC_LIMITS,
+  ABC_EXTENSIONS,
+  ABC_MIME,
+  parseABCKey,
+  parseABCMeter,
+  listABCTunes,
+  parseABC,
+  toABC,
+  isABCFile,
+  looksLikeABC,
+  abcFilename
+};
@@ -0,0 +1,525 @@
+// js/utils/deckText.js
+// ======================================
+// VMQ DECK TEXT v1.0.0 - CSV / TSV flashcard interchange (Anki-compatible)
+// Reads spreadsheet exports and Anki "Notes in Plain Text" files into plain
+// card rows, and writes decks back in a shape Anki's File → Import accepts.
+// Pure text in, text out: engines/flashcardDecks.js owns storage and SM-2.
+//
+// ✅ Delimiters: tab, comma, semicolon, pipe (auto-detected or chosen)
+// ✅ RFC 4180 quoting: "a, b", doubled "" quotes, line breaks inside quotes
+// ✅ Anki file headers: #separator, #html, #tags column, #columns, #deck,
+//    #guid/#notetype/#deck column (those columns are ignored)
+// ✅ Column mapping: front, back, tags, due, interval, ease (+ VMQ music);
+//    guessed from a header row or Anki's #columns, overridable per column
+// ✅ HTML fields (<br>, entities) ⇄ plain text with line breaks
+// ✅ Ease as 2.5, 250% or Anki's 2500; due as YYYY-MM-DD or epoch time
+// ======================================
+
+import { INTERVALS } from '../config/constants.js';
+import { parsePitch } from './notation.js';
+
+const CLEFS = ['treble', 'alto', 'tenor', 'bass'];
+const AUDIO = ['melodic', 'harmonic'];
+
+export const DECK_TEXT_LIMITS = Object.freeze({
+  maxBytes: 2 * 1024 * 1024,
+  maxRows: 5000
+});
+
+export const DECK_TEXT_EXTENSIONS = Object.freeze(['.csv', '.tsv', '.txt']);
+
+export const DECK_TEXT_DELIMITERS = Object.freeze({
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|'
+});
+
+// Fields a column can map to (label shown in the mapping UI)
+export const DECK_TEXT_FIELDS = Object.freeze({
+  front: 'Front',
+  back: 'Back',
+  tags: 'Tags',
+  due: 'Due date',
+  interval: 'Interval (days)',
+  ease: 'Ease',
+  music: 'VMQ note / interval',
+  ignore: '— ignore —'
+});
+
+const FIELD_ALIASES = {
+  front: /^(front|question|prompt|term|word|side ?1|q)$/,
+  back: /^(back|answer|definition|meaning|side ?2|a)$/,
+  tags: /^tags?$/,
+  due: /^(due|due ?date|next ?review|next)$/,
+  interval: /^(interval|ivl|interval ?\(days\)|days)$/,
+  ease: /^(ease|ease ?factor|factor|e ?factor|ef)$/,
+  music: /^(music|vmq ?music|note|staff|vmq note \/ interval)$/
+};
+
+// Aliases that are just as likely card content ("Note,A" is a card on the
+// A string): they map a known header row but don't make row 1 one.
+const AMBIGUOUS_HEADERS = new Set(['note']);
+
+// Anki's #separator names
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+const MIMES = { tab: 'text/tab-separated-values', comma: 'text/csv' };
+
+function delimiterId(sep) {
+  return Object.keys(DECK_TEXT_DELIMITERS).find((k) => DECK_TEXT_DELIMITERS[k] === sep) || null;
+}
+
+// ======================================
+// LOW-LEVEL CSV
+// ======================================
+
+/**
+ * Split delimited text into rows of cells (RFC 4180 quoting).
+ * Blank lines are dropped; the scan stops once maxRows rows are read.
+ */
+export function splitDelimited(text, sep = ',', maxRows = Infinity) {
+  const src = String(text ?? '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let atStart = true;
+
+  const endCell = () => { row.push(cell); cell = ''; atStart = true; };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < src.length && rows.length < maxRows; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') { cell += '"'; i++; }
+        else quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && atStart) {
+      quoted = true;
+      atStart = false;
+    } else if (c === sep) {
+      endCell();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += c;
+      atStart = false;
+    }
+  }
+  if (rows.length < maxRows && (cell !== '' || row.length)) endRow();
+  return rows;
+}
+
+function quoteCell(value, sep) {
+  const s = String(value ?? '');
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Guess the delimiter from the first records: the one present in every record wins.
+ * Records are read with splitDelimited, so quoted cells (line breaks included) don't count.
+ */
+export function detectDelimiter(text) {
+  const src = String(text ?? '');
+  let best = 'comma';
+  let bestScore = 0;
+  Object.entries(DECK_TEXT_DELIMITERS).forEach(([id, sep]) => {
+    const records = splitDelimited(src, sep, 20).filter((row) => !String(row[0]).startsWith('#')).slice(0, 10);
+    if (!records.length) return;
+    const counts = records.map((row) => row.length - 1);
+    const min = Math.min(...counts);
+    // Tab first: it never appears in prose, commas often do
+    const score = min > 0 ? min + (id === 'tab' ? 100 : 0) : 0;
+    if (score > bestScore) { best = id; bestScore = score; }
+  });
+  return best;
+}
+
+// ======================================
+// HTML FIELDS
+// ======================================
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  sharp: '♯', flat: '♭', natur: '♮'
+};
+
+/** Anki field HTML → plain text ('<br>' and block ends become line breaks). */
+export function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>\s*/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+      if (e[0] === '#') {
+        const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+      }
+      return ENTITIES[e.toLowerCase()] ?? m;
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export function textToHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, '<br>');
+}
+
+const looksLikeHtml = (s) => /<(br|div|p|b|i|u|span|li)\b[^>]*>|&(amp|lt|gt|nbsp|quot|#\d+);/i.test(s);
+
+// ======================================
+// VALUES
+// ======================================
+
+/** '2025-03-14' (local midnight), epoch ms or epoch seconds → ms; else null. */
+export function parseDueValue(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    if (n > 1e11) return Math.round(n);
+    if (n > 1e8) return Math.round(n * 1000);
+    return null;
+  }
+  const m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (m) {
+    const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+    return Number.isFinite(d.getTime()) ? d.getTime() : null;
+  }
+  return null;
+}
+
+/** Days ('12', '12d'); Anki learning intervals (negative seconds) count as 1 day. */
+export function parseIntervalValue(value) {
+  const s = String(value ?? '').trim().replace(/\s*d(ays?)?$/i, '');
+  if (!s) return null;
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  return n < 0 ? 1 : Math.max(1, Math.round(n));
+}
+
+/** 2.5, '250%' or Anki's permille 2500 → 2.5; else null. */
+export function parseEaseValue(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  let n = Number(s.replace(/%$/, ''));
+  if (!Number.isFinite(n) || n <= 0) return null;
+  if (n >= 1000) n /= 1000;
+  else if (s.endsWith('%') || n > 10) n /= 100;
+  return Math.round(n * 100) / 100;
+}
+
+function formatDate(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * VMQ music column: 'A4', 'A4 m3', 'A4 m3 down alto harmonic', 'G3 nostaff'.
+ * Tokens after the note may come in any order.
+ * @returns {{music, staff, audio}|null}
+ */
+export function parseMusicValue(value) {
+  const tokens = String(value ?? '').trim().split(/[\s,]+/).filter(Boolean);
+  if (!tokens.length || !parsePitch(tokens[0].replace(/♯/g, '#').replace(/♭/g, 'b'))) return null;
+  const music = { note: tokens[0], interval: null, direction: 'up', clef: 'treble' };
+  let staff = true;
+  let audio = 'none';
+  tokens.slice(1).forEach((t) => {
+    const lower = t.toLowerCase();
+    if (INTERVALS.some((i) => i.id === t)) music.interval = t;
+    else if (lower === 'up' || lower === 'down') music.direction = lower;
+    else if (CLEFS.includes(lower)) music.clef = lower;
+    else if (AUDIO.includes(lower)) audio = lower;
+    else if (lower === 'nostaff') staff = false;
+  });
+  return { music, staff, audio };
+}
+
+export function formatMusicValue(card) {
+  const m = card?.music;
+  if (!m?.note) return '';
+  const parts = [m.note];
+  if (m.interval) parts.push(m.interval, m.direction || 'up');
+  if (m.clef && m.clef !== 'treble') parts.push(m.clef);
+  if (card.audio && card.audio !== 'none') parts.push(card.audio);
+  if (card.staff === false) parts.push('nostaff');
+  return parts.join(' ');
+}
+
+/** Anki tags are space-separated with '_' for spaces; commas or semicolons win when present. */
+function splitTags(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return [];
+  if (/[,;]/.test(s)) return s.split(/[,;]/).map((t) => t.trim()).filter(Boolean);
+  return s.split(/\s+/).map((t) => t.replace(/_/g, ' ')).filter(Boolean);
+}
+
+// ======================================
+// READ
+// ======================================
+
+function fieldForHeader(name) {
+  const key = String(name ?? '').trim().toLowerCase();
+  return Object.keys(FIELD_ALIASES).find((f) => FIELD_ALIASES[f].test(key)) || null;
+}
+
+// Auto-detect: row 1 is a header only with two unambiguous column names
+// (one-letter aliases like q / a never count); otherwise it's a card and
+// the "First row" choice in the import UI can say otherwise.
+function looksLikeHeaderRow(cells) {
+  return cells.filter((cell) => {
+    const key = String(cell ?? '').trim().toLowerCase();
+    return key.length > 1 && !AMBIGUOUS_HEADERS.has(key) && fieldForHeader(key);
+  }).length >= 2;
+}
+
+function readAnkiHeaders(lines) {
+  const directives = {};
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const m = lines[i].match(/^#([a-z ]+):(.*)$/i);
+    if (!m) break;
+    directives[m[1].trim().toLowerCase()] = m[2].trim();
+  }
+  return { directives, consumed: i };
+}
+
+/**
+ * Guess which field each column holds.
+ * @param {string[]|null} headers column names, if any
+ * @param {number} columns
+ * @param {object} anki { tagsColumn, ignore: Set<number> } (1-based Anki columns → 0-based here)
+ * @returns {string[]} one DECK_TEXT_FIELDS key per column
+ */
+export function guessMapping(headers, columns, anki = {}) {
+  const mapping = new Array(columns).fill('ignore');
+  const used = new Set();
+  const assign = (col, field) => {
+    if (col < 0 || col >= columns || used.has(field) || mapping[col] !== 'ignore') return;
+    mapping[col] = field;
+    used.add(field);
+  };
+  const skip = anki.ignore || new Set();
+  const named = Array.from({ length: columns }, (_, col) => (headers ? fieldForHeader(headers[col]) : null));
+
+  if (anki.tagsColumn != null) assign(anki.tagsColumn, 'tags');
+  named.forEach((field, col) => {
+    if (field && !skip.has(col)) assign(col, field);
+  });
+  // Unnamed columns: the first two free ones are front and back
+  ['front', 'back'].forEach((field) => {
+    if (used.has(field)) return;
+    const col = mapping.findIndex((f, i) => f === 'ignore' && !skip.has(i) && !named[i]);
+    if (col >= 0) assign(col, field);
+  });
+  return mapping;
+}
+
+/**
+ * Parse CSV / TSV / Anki plain-text notes.
+ * @param {string} text
+ * @param {object} options { delimiter: 'auto'|'tab'|'comma'|'semicolon'|'pipe', header: 'auto'|true|false }
+ * @returns {{delimiter, headers, rows, columns, html, mapping, deckName, truncated, warnings}}
+ */
+export function parseDeckText(text, { delimiter = 'auto', header = 'auto' } = {}) {
+  const warnings = [];
+  let src = String(text ?? '').replace(/^﻿/, '');
+  if (src.length > DECK_TEXT_LIMITS.maxBytes) {
+    throw new Error(`File is too large (limit ${Math.round(DECK_TEXT_LIMITS.maxBytes / 1024 / 1024)} MB).`);
+  }
+
+  const lines = src.split(/\r?\n/);
+  const { directives, consumed } = readAnkiHeaders(lines);
+  if (consumed) src = lines.slice(consumed).join('\n');
+
+  let sepId = delimiter !== 'auto' && DECK_TEXT_DELIMITERS[delimiter] ? delimiter : null;
+  let sep = sepId ? DECK_TEXT_DELIMITERS[sepId] : null;
+  if (!sep && directives.separator) {
+    const named = ANKI_SEPARATORS[directives.separator.toLowerCase()];
+    sep = named || directives.separator[0];
+    sepId = delimiterId(sep) || directives.separator.toLowerCase();
+  }
+  if (!sep) {
+    sepId = detectDelimiter(src);
+    sep = DECK_TEXT_DELIMITERS[sepId];
+  }
+
+  let rows = splitDelimited(src, sep);
+  let headers = null;
+
+  if (directives.columns) {
+    headers = directives.columns.split(sep).map((h) => h.trim());
+  } else if (header === true || (header === 'auto' && rows.length > 1)) {
+    const first = rows[0] || [];
+    if (header === true || looksLikeHeaderRow(first)) {
+      headers = first.map((c) => String(c).trim());
+      rows = rows.slice(1);
+    }
+  }
+
+  let truncated = false;
+  if (rows.length > DECK_TEXT_LIMITS.maxRows) {
+    rows = rows.slice(0, DECK_TEXT_LIMITS.maxRows);
+    truncated = true;
+    warnings.push(`Only the first ${DECK_TEXT_LIMITS.maxRows} rows were read.`);
+  }
+
+  const columns = Math.max(headers?.length || 0, ...rows.map((r) => r.length), 0);
+  const col = (v) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n > 0 ? n - 1 : null;
+  };
+  const ignore = new Set(['guid column', 'notetype column', 'deck column'].map((k) => col(directives[k])).filter((n) => n != null));
+  const html = directives.html != null
+    ? /^true$/i.test(directives.html)
+    : rows.slice(0, 50).some((r) => r.some(looksLikeHtml));
+
+  return {
+    delimiter: sepId,
+    headers,
+    rows,
+    columns,
+    html,
+    mapping: guessMapping(headers, columns, { tagsColumn: col(directives['tags column']), ignore }),
+    deckName: directives.deck ? directives.deck.split('::').pop().trim() : '',
+    truncated,
+    warnings
+  };
+}
+
+/**
+ * Apply a column mapping to parsed rows.
+ * @param {object} parsed parseDeckText() result
+ * @param {string[]} mapping field per column (defaults to parsed.mapping)
+ * @returns {{cards: Array<{front, back, tags, music, staff, audio, schedule}>, skipped: number}}
+ *   schedule is {due, interval, ease} with nulls, or null when the row has none
+ */
+export function rowsToCards(parsed, mapping = parsed?.mapping) {
+  const cards = [];
+  let skipped = 0;
+  const text = (v) => (parsed.html ? htmlToText(v) : String(v ?? '').trim());
+
+  (parsed?.rows || []).forEach((row) => {
+    const get = (field) => {
+      const i = mapping.indexOf(field);
+      return i >= 0 ? row[i] ?? '' : '';
+    };
+    const musicValue = parseMusicValue(get('music'));
+    const card = {
+      front: text(get('front')),
+      back: text(get('back')),
+      tags: splitTags(get('tags')),
+      music: musicValue?.music || null,
+      staff: musicValue ? musicValue.staff : false,
+      audio: musicValue?.audio || 'none',
+      schedule: null
+    };
+    const due = parseDueValue(get('due'));
+    const interval = parseIntervalValue(get('interval'));
+    const ease = parseEaseValue(get('ease'));
+    if (due != null || interval != null) card.schedule = { due, interval, ease };
+
+    if (!card.back || (!card.front && !card.music)) { skipped++; return; }
+    cards.push(card);
+  });
+
+  return { cards, skipped };
+}
+
+// ======================================
+// WRITE
+// ======================================
+
+/**
+ * Write cards as Anki-importable TSV / CSV.
+ * @param {Array} cards { front, back, tags[], music, staff, audio, schedule: {due, interval, ease}|null }
+ * @param {object} options { delimiter: 'tab'|'comma', columns, anki (header lines + HTML fields), deckName }
+ */
+export function toDeckText(cards, { delimiter = 'tab', columns = ['front', 'back', 'tags'], anki = true, deckName = '' } = {}) {
+  const sep = DECK_TEXT_DELIMITERS[delimiter] || '\t';
+  const textCell = (s) => (anki ? textToHtml(s) : String(s ?? ''));
+  const cell = (card, field) => {
+    const s = card.schedule || null;
+    switch (field) {
+      case 'front': return textCell(card.front);
+      case 'back': return textCell(card.back);
+      case 'tags': return anki
+        ? (card.tags || []).map((t) => String(t).trim().replace(/\s+/g, '_')).join(' ')
+        : (card.tags || []).join(', ');
+      case 'due': return s?.due ? formatDate(s.due) : '';
+      case 'interval': return s?.interval ? String(Math.round(s.interval)) : '';
+      case 'ease': return s?.ease ? Number(s.ease).toFixed(2) : '';
+      case 'music': return formatMusicValue(card);
+      default: return '';
+    }
+  };
+
+  const lines = [];
+  if (anki) {
+    lines.push(`#separator:${delimiter === 'tab' ? 'tab' : delimiter === 'comma' ? 'comma' : sep}`);
+    lines.push('#html:true');
+    if (columns.includes('tags')) lines.push(`#tags column:${columns.indexOf('tags') + 1}`);
+    if (deckName) lines.push(`#deck:${deckName.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(`#columns:${columns.map((f) => DECK_TEXT_FIELDS[f] || f).join(sep)}`);
+  } else {
+    lines.push(columns.map((f) => quoteCell(DECK_TEXT_FIELDS[f] || f, sep)).join(sep));
+  }
+  (cards || []).forEach((card) => {
+    lines.push(columns.map((f) => quoteCell(cell(card, f), sep)).join(sep));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+export function deckTextMime(delimiter = 'tab') {
+  return MIMES[delimiter] || 'text/plain';
+}
+
+/** ('Suzuki Book 2', 'tab') → 'vmq-deck-suzuki-book-2.tsv' */
+export function deckTextFilename(name, delimiter = 'tab') {
+  const slug = String(name ?? '').toLowerCase().replace(/#/g, 'sharp').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `vmq-deck-${slug || 'export'}.${delimiter === 'comma' ? 'csv' : delimiter === 'tab' ? 'tsv' : 'txt'}`;
+}
+
+export function isDeckTextFile(name = '', type = '') {
+  const n = String(name).toLowerCase();
+  return DECK_TEXT_EXTENSIONS.some((ext) => n.endsWith(ext)) || /text\/(csv|tab-separated-values|plain)/.test(String(type));
+}
+
+export default {
+  DECK_TEXT_LIMITS,
+  DECK_TEXT_EXTENSIONS,
+  DECK_TEXT_DELIMITERS,
+  DECK_TEXT_FIELDS,
+  splitDelimited,
+  detectDelimiter,
+  htmlToText,
+  textToHtml,
+  parseDueValue,
+  parseIntervalValue,
+  parseEaseValue,
+  parseMusicValue,
+  formatMusicValue,
+  guessMapping,
+  parseDeckText,
+  rowsToCards,
+  toDeckText,
+  deckTextMime,
+  deckTextFilename,
+  isDeckTextFile
+};
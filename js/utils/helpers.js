@@ -12,6 +12,8 @@
 //   week aggregation, crypto checks, escapeHTML, etc.)
 // =====================================================
 
+import { getReferencePitch, getInstrumentProfile } from '../config/constants.js';
+
 /* -------------------- Internal helpers (not exported) -------------------- */
 function _clamp(n, min, max) {
   return Math.min(max, Math.max(min, n));
@@ -78,18 +80,18 @@ export const MUSIC = {
     return `${name}${octave}`;
   },
 
-  // MIDI → Frequency (A4=440Hz)
+  // MIDI → Frequency (A4 = configurable reference, 440 Hz by default)
   midiToFreq(midi) {
     const m = _safeNumber(midi, NaN);
     if (!Number.isFinite(m)) return null;
-    return 440 * Math.pow(2, (m - 69) / 12);
+    return getReferencePitch() * Math.pow(2, (m - 69) / 12);
   },
 
   // Frequency → MIDI (nearest semitone)
   freqToMidi(freq) {
     const f = _safeNumber(freq, NaN);
     if (!Number.isFinite(f) || f <= 0) return null;
-    return Math.round(69 + 12 * Math.log2(f / 440));
+    return Math.round(69 + 12 * Math.log2(f / getReferencePitch()));
   },
 
   // Cents deviation from perfect pitch (targetMidi required)
@@ -97,14 +99,23 @@ export const MUSIC = {
     const f = _safeNumber(freq, NaN);
     const t = _safeNumber(targetMidi, NaN);
     if (!Number.isFinite(f) || f <= 0 || !Number.isFinite(t)) return null;
-    const actualMidi = 69 + 12 * Math.log2(f / 440);
+    const actualMidi = 69 + 12 * Math.log2(f / getReferencePitch());
     return Math.round((actualMidi - t) * 100);
   },
 
   // Violin open strings (G3=55, D4=62, A4=69, E5=76)
   VIOLIN_STRINGS: [55, 62, 69, 76],
-  STRING_NAMES: ['G', 'D', 'A', 'E'],
-  STRING_FREQS: [196.0, 293.66, 440.0, 659.25],
+
+  // Open strings of the active instrument profile (Settings → Instrument)
+  get OPEN_STRINGS() {
+    return getInstrumentProfile().strings.map((s) => s.openMidi);
+  },
+  get STRING_NAMES() {
+    return getInstrumentProfile().strings.map((s) => s.id);
+  },
+  get STRING_FREQS() {
+    return this.OPEN_STRINGS.map((m) => this.midiToFreq(m));
+  },
 
   // Position → Semitones (simplified pedagogy model: 4 semitones per “position block”)
   positionToSemitones(pos, finger = 1) {
@@ -126,8 +137,8 @@ export const MUSIC = {
   // Get note for string + position + finger
   getNote(stringIdx, position, finger = 1, opts) {
     const si = Math.floor(_safeNumber(stringIdx, -1));
-    if (si < 0 || si > 3) return null;
-    const openString = this.VIOLIN_STRINGS[si];
+    const openString = this.OPEN_STRINGS[si];
+    if (openString == null) return null;
     const semitones = this.positionToSemitones(position, finger);
     return this.midiToNote(openString + semitones, opts);
   },
@@ -229,8 +240,8 @@ export const MUSIC = {
     // extension cost (very rough)
     let extensionCost = 0;
     const tm = _safeNumber(targetMidi, NaN);
-    if (Number.isFinite(tm) && si >= 0 && si <= 3) {
-      const open = this.VIOLIN_STRINGS[si];
+    const open = this.OPEN_STRINGS[si];
+    if (Number.isFinite(tm) && open != null) {
       const semis = tm - open;
       const { finger } = this.semitonesToPosition(Math.max(0, semis));
       if (finger === 4 && pos <= 2) extensionCost = 1; // 4th finger in low positions
@@ -905,8 +916,8 @@ export function getNoteName(midi, { preferFlats = false } = {}) {
 export function positionFromNote(stringIdx, midi) {
   const si = Math.floor(_safeNumber(stringIdx, -1));
   const m = Math.floor(_safeNumber(midi, NaN));
-  if (si < 0 || si > 3 || !Number.isFinite(m)) return null;
-  const open = MUSIC.VIOLIN_STRINGS[si];
+  const open = MUSIC.OPEN_STRINGS[si];
+  if (open == null || !Number.isFinite(m)) return null;
   const semis = Math.max(0, m - open);
   return MUSIC.semitonesToPosition(semis);
 }
@@ -918,12 +929,12 @@ export function findBestFingering(targetMidi, { preferredString = null, maxPosit
   const maxPos = Math.max(1, Math.floor(_safeNumber(maxPosition, 7)));
   const pref = preferredString == null ? null : Math.floor(_safeNumber(preferredString, -1));
 
-  const strings = [0, 1, 2, 3];
+  const strings = MUSIC.OPEN_STRINGS.map((_, i) => i);
   const candidates = [];
 
   for (const si of strings) {
     if (pref != null && si !== pref) continue;
-    const open = MUSIC.VIOLIN_STRINGS[si];
+    const open = MUSIC.OPEN_STRINGS[si];
     const semis = tm - open;
     if (semis < 0) continue;
 
@@ -1090,6 +1101,19 @@ export function slugify(str) {
     .replace(/^-+|-+$/g, '');
 }
 
+/**
+ * Download name for an export: ('A# major', 'mid') -> 'vmq-asharp-major.mid'.
+ * `title` may be an array of parts (empty ones are skipped).
+ */
+export function slugFilename(title, ext, fallback = 'export') {
+  const slug = [].concat(title)
+    .filter((p) => p != null && p !== '')
+    .map((p) => slugify(String(p).replace(/#/g, 'sharp')))
+    .filter(Boolean)
+    .join('-');
+  return `vmq-${slug || fallback}.${ext}`;
+}
+
 /* -------------------- URL / routing helpers -------------------- */
 export function getQueryParam(key, url = null) {
   try {
@@ -1313,6 +1337,7 @@ export default {
   titleCase,
   truncate,
   slugify,
+  slugFilename,
   getQueryParam,
   setQueryParam,
   getAllQueryParams,
@@ -0,0 +1,401 @@
+// js/utils/musicxml.js
+// ======================================
+// VMQ MUSICXML v1.0.0 - Local MusicXML reader (no DOM, no network)
+// Reads an uncompressed .musicxml / .xml score-partwise file and returns one
+// melodic line: pitched notes and rests in quarter-note beats, with the key,
+// time signature, clef and title. engines/repertoire.js turns it into drills.
+//
+// ✅ Small XML tokenizer (elements, attributes, text, CDATA, entities) so the
+//    same code runs in pages, workers and tests
+// ✅ One part and one voice; chords keep their top note, grace/cue notes skipped
+// ✅ Ties merged into a single note; tuplets flagged from <time-modification>
+// ✅ Measure ranges ({ fromMeasure, toMeasure }) to cut a passage from a piece
+// ✅ Compressed .mxl and score-timewise are rejected with a readable error
+// ======================================
+
+const STEP_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const MAJOR_TONICS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_TONICS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+const CLEF_IDS = { G2: 'treble', F4: 'bass', C3: 'alto', C4: 'tenor' };
+
+export const MUSICXML_LIMITS = Object.freeze({
+  maxBytes: 4 * 1024 * 1024,   // refuse anything bigger before tokenizing
+  maxNotes: 400                // notes kept per passage
+});
+
+export const MUSICXML_EXTENSIONS = Object.freeze(['.musicxml', '.xml']);
+
+// ======================================
+// XML
+// ======================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return ENTITIES[ent.toLowerCase()] ?? all;
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(src))) attrs[m[1]] = decodeEntities(m[3] ?? m[4] ?? '');
+  return attrs;
+}
+
+/**
+ * Minimal XML tree: { name, attrs, children, text }.
+ * Skips the prolog, doctype, comments and processing instructions.
+ * @throws {Error} on unbalanced tags
+ */
+export function parseXML(text) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const src = String(text || '');
+  let i = 0;
+
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    if (lt === -1) {
+      top.text += decodeEntities(src.slice(i));
+      break;
+    }
+    if (lt > i) top.text += decodeEntities(src.slice(i, lt));
+
+    if (src.startsWith('<!--', lt)) {
+      const end = src.indexOf('-->', lt + 4);
+      i = end === -1 ? src.length : end + 3;
+    } else if (src.startsWith('<![CDATA[', lt)) {
+      const end = src.indexOf(']]>', lt + 9);
+      top.text += src.slice(lt + 9, end === -1 ? src.length : end);
+      i = end === -1 ? src.length : end + 3;
+    } else if (src.startsWith('<!', lt) || src.startsWith('<?', lt)) {
+      // DOCTYPE may carry an internal subset in [...]
+      let end = src.indexOf('>', lt);
+      const bracket = src.indexOf('[', lt);
+      if (src.startsWith('<!DOCTYPE', lt) && bracket !== -1 && bracket < end) {
+        end = src.indexOf(']>', bracket);
+        end = end === -1 ? src.length : end + 1;
+      }
+      i = end === -1 ? src.length : end + 1;
+    } else if (src[lt + 1] === '/') {
+      const end = src.indexOf('>', lt);
+      const name = src.slice(lt + 2, end === -1 ? src.length : end).trim();
+      if (stack.length < 2 || top.name !== name) throw new Error(`Unexpected </${name}>`);
+      stack.pop();
+      i = end === -1 ? src.length : end + 1;
+    } else {
+      const end = src.indexOf('>', lt);
+      if (end === -1) throw new Error('Unterminated tag');
+      let body = src.slice(lt + 1, end);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) body = body.slice(0, -1);
+      const nameMatch = /^[^\s/>]+/.exec(body);
+      if (!nameMatch) throw new Error('Malformed tag');
+      const node = { name: nameMatch[0], attrs: parseAttrs(body.slice(nameMatch[0].length)), children: [], text: '' };
+      top.children.push(node);
+      if (!selfClosing) stack.push(node);
+      i = end + 1;
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+function child(node, name) {
+  return node?.children?.find((c) => c.name === name) || null;
+}
+
+function childrenOf(node, name) {
+  return (node?.children || []).filter((c) => c.name === name);
+}
+
+function textOf(node, name) {
+  const c = name ? child(node, name) : node;
+  return c ? c.text.trim() : '';
+}
+
+function numOf(node, name, fallback = null) {
+  const t = textOf(node, name);
+  const n = t === '' ? NaN : Number(t);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// ======================================
+// MUSIC
+// ======================================
+
+/** MusicXML <pitch> → { midi, note } ('F#5', 'Bb4', 'C##4'). */
+export function pitchFromXML(step, alter = 0, octave = 4) {
+  const s = String(step || '').toUpperCase();
+  if (!(s in STEP_PC)) return null;
+  const a = Math.round(Number(alter) || 0);
+  const o = Math.round(Number(octave));
+  if (!Number.isFinite(o)) return null;
+  return {
+    midi: (o + 1) * 12 + STEP_PC[s] + a,
+    note: `${s}${a > 0 ? '#'.repeat(a) : 'b'.repeat(-a)}${o}`
+  };
+}
+
+/** fifths + mode → { fifths, mode, tonic, id, name } ('Bb', 'F#m'). */
+export function keyFromFifths(fifths = 0, mode = 'major') {
+  const f = Math.max(-7, Math.min(7, Math.round(Number(fifths) || 0)));
+  const minor = String(mode || '').toLowerCase() === 'minor';
+  const tonic = (minor ? MINOR_TONICS : MAJOR_TONICS)[f + 7];
+  return {
+    fifths: f,
+    mode: minor ? 'minor' : 'major',
+    tonic,
+    id: minor ? `${tonic}m` : tonic,
+    name: `${tonic} ${minor ? 'minor' : 'Major'}`
+  };
+}
+
+function readClef(clefNode) {
+  if (!clefNode) return null;
+  const sign = textOf(clefNode, 'sign').toUpperCase();
+  const line = textOf(clefNode, 'line') || (sign === 'G' ? '2' : sign === 'F' ? '4' : '3');
+  return CLEF_IDS[`${sign}${line}`] || (sign === 'G' ? 'treble' : sign === 'F' ? 'bass' : sign === 'C' ? 'alto' : null);
+}
+
+function readTime(timeNode) {
+  if (!timeNode) return null;
+  const beats = textOf(timeNode, 'beats');
+  const type = textOf(timeNode, 'beat-type');
+  if (beats && type) return `${beats}/${type}`;
+  const symbol = timeNode.attrs?.symbol;
+  if (symbol === 'common') return '4/4';
+  if (symbol === 'cut') return '2/2';
+  return null;
+}
+
+function readTitle(score) {
+  return textOf(child(score, 'work'), 'work-title') || textOf(score, 'movement-title') ||
+    childrenOf(child(score, 'credit'), 'credit-words').map((c) => c.text.trim()).find(Boolean) || '';
+}
+
+function readComposer(score) {
+  const creators = childrenOf(child(score, 'identification'), 'creator');
+  const composer = creators.find((c) => c.attrs.type === 'composer') || creators[0];
+  return composer ? composer.text.trim() : '';
+}
+
+function listParts(score) {
+  return childrenOf(child(score, 'part-list'), 'score-part').map((p) => ({
+    id: p.attrs.id || '',
+    name: textOf(p, 'part-name') || p.attrs.id || ''
+  }));
+}
+
+function round(n, places = 4) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Parse a MusicXML document into one melodic passage.
+ * @param {string} text file contents
+ * @param {object} options { partId, voice, fromMeasure, toMeasure, maxNotes }
+ * @returns {{
+ *   title, composer, parts, partId, partName, voice,
+ *   key: {fifths, mode, tonic, id, name}, timeSignature, clef, tempo,
+ *   measures: {from, to, count}, divisions,
+ *   notes: Array<{index, midi, note, beats, start, rest, measure, tuplet, tied}>,
+ *   truncated, warnings
+ * }}
+ * @throws {Error} with a user-facing message when the file can't be read
+ */
+export function parseMusicXML(text, options = {}) {
+  const src = String(text || '');
+  if (!src.trim()) throw new Error('The file is empty.');
+  if (src.length > MUSICXML_LIMITS.maxBytes) throw new Error('The file is too large to import.');
+  if (src.startsWith('PK')) throw new Error('Compressed MusicXML (.mxl) is not supported — export uncompressed .musicxml.');
+
+  let doc;
+  try {
+    doc = parseXML(src);
+  } catch (e) {
+    throw new Error(`Not valid XML (${e.message}).`);
+  }
+
+  const score = child(doc, 'score-partwise');
+  if (!score) {
+    if (child(doc, 'score-timewise')) throw new Error('score-timewise MusicXML is not supported — export as partwise.');
+    throw new Error('Not a MusicXML score.');
+  }
+
+  const parts = listParts(score);
+  const partNodes = childrenOf(score, 'part');
+  if (!partNodes.length) throw new Error('The score has no parts.');
+  const part = (options.partId && partNodes.find((p) => p.attrs.id === options.partId)) || partNodes[0];
+  const partId = part.attrs.id || '';
+
+  const fromMeasure = Number.isFinite(Number(options.fromMeasure)) && options.fromMeasure !== '' && options.fromMeasure != null
+    ? Number(options.fromMeasure) : -Infinity;
+  const toMeasure = Number.isFinite(Number(options.toMeasure)) && options.toMeasure !== '' && options.toMeasure != null
+    ? Number(options.toMeasure) : Infinity;
+  const maxNotes = Math.max(1, Math.round(Number(options.maxNotes) || MUSICXML_LIMITS.maxNotes));
+
+  const warnings = new Set();
+  const notes = [];
+  let divisions = 1;
+  let key = null;
+  let timeSignature = null;
+  let clef = null;
+  let tempo = null;
+  let voice = options.voice != null ? String(options.voice) : null;
+  let start = 0;
+  let firstMeasure = null;
+  let lastMeasure = null;
+  let truncated = false;
+  let tieOpen = false;
+
+  for (const measure of childrenOf(part, 'measure')) {
+    const numberText = measure.attrs.number || '';
+    const number = Number.parseInt(numberText, 10);
+    const inRange = !Number.isFinite(number) || (number >= fromMeasure && number <= toMeasure);
+    if (Number.isFinite(number) && number > toMeasure) break;
+
+    for (const el of measure.children) {
+      if (el.name === 'attributes') {
+        const d = numOf(el, 'divisions');
+        if (d > 0) divisions = d;
+        const keyNode = child(el, 'key');
+        if (keyNode && (!key || !notes.length)) {
+          key = keyFromFifths(numOf(keyNode, 'fifths', 0), textOf(keyNode, 'mode') || 'major');
+        }
+        const ts = readTime(child(el, 'time'));
+        if (ts && (!timeSignature || !notes.length)) timeSignature = ts;
+        const c = readClef(child(el, 'clef'));
+        if (c && (!clef || !notes.length)) clef = c;
+        if (numOf(el, 'staves', 1) > 1) warnings.add('Multi-staff part: only the first voice is read.');
+        continue;
+      }
+
+      if (el.name === 'direction' || el.name === 'sound') {
+        const sound = el.name === 'sound' ? el : child(el, 'sound');
+        const t = Number(sound?.attrs?.tempo);
+        if (!tempo && Number.isFinite(t) && t > 0) tempo = Math.round(t);
+        continue;
+      }
+
+      if (el.name !== 'note' || !inRange) continue;
+      if (child(el, 'grace') || child(el, 'cue')) continue;
+
+      const v = textOf(el, 'voice') || '1';
+      if (voice == null) voice = v;
+      if (v !== voice) continue;
+
+      const pitchNode = child(el, 'pitch');
+      const isRest = !!child(el, 'rest') || !pitchNode;
+      const pitch = pitchNode ? pitchFromXML(textOf(pitchNode, 'step'), numOf(pitchNode, 'alter', 0), numOf(pitchNode, 'octave')) : null;
+
+      // Chord tones share the previous note's onset: keep the highest as the melody
+      if (child(el, 'chord')) {
+        const prev = notes[notes.length - 1];
+        if (prev && pitch && !prev.rest && pitch.midi > prev.midi) {
+          prev.midi = pitch.midi;
+          prev.note = pitch.note;
+        }
+        warnings.add('Chords reduced to their top note.');
+        continue;
+      }
+
+      const beats = round((numOf(el, 'duration', 0) || 0) / divisions);
+      if (!(beats > 0)) continue;
+
+      const ties = childrenOf(el, 'tie').map((t) => t.attrs.type);
+      const prev = notes[notes.length - 1];
+      if (tieOpen && ties.includes('stop') && prev && !prev.rest && pitch && prev.midi === pitch.midi) {
+        prev.beats = round(prev.beats + beats);
+        prev.tied = true;
+        tieOpen = ties.includes('start');
+        start = round(start + beats);
+        continue;
+      }
+      tieOpen = ties.includes('start');
+
+      if (notes.length >= maxNotes) {
+        truncated = true;
+        break;
+      }
+
+      const tm = child(el, 'time-modification');
+      const tuplet = tm ? numOf(tm, 'actual-notes', 0) || null : null;
+
+      notes.push({
+        index: notes.length,
+        midi: isRest || !pitch ? null : pitch.midi,
+        note: isRest || !pitch ? null : pitch.note,
+        beats,
+        start,
+        rest: isRest || !pitch,
+        measure: Number.isFinite(number) ? number : numberText,
+        tuplet,
+        tied: false
+      });
+      start = round(start + beats);
+
+      if (firstMeasure == null) firstMeasure = Number.isFinite(number) ? number : null;
+      lastMeasure = Number.isFinite(number) ? number : lastMeasure;
+    }
+    if (truncated) break;
+  }
+
+  if (!notes.some((n) => !n.rest)) throw new Error('No notes found in the selected part and measures.');
+
+  const partInfo = parts.find((p) => p.id === partId);
+  return {
+    title: readTitle(score),
+    composer: readComposer(score),
+    parts,
+    partId,
+    partName: partInfo?.name || partId,
+    voice,
+    key: key || keyFromFifths(0, 'major'),
+    timeSignature: timeSignature || '4/4',
+    clef: clef || 'treble',
+    tempo,
+    measures: {
+      from: firstMeasure,
+      to: lastMeasure,
+      count: firstMeasure != null && lastMeasure != null ? lastMeasure - firstMeasure + 1 : 0
+    },
+    divisions,
+    notes,
+    truncated,
+    warnings: [...warnings]
+  };
+}
+
+/** True for file names / MIME types this reader accepts. */
+export function isMusicXMLFile(file) {
+  const name = String(file?.name || '').toLowerCase();
+  const type = String(file?.type || '').toLowerCase();
+  return MUSICXML_EXTENSIONS.some((ext) => name.endsWith(ext)) || /musicxml|(^|\/)xml$/.test(type);
+}
+
+/** True when text looks like a MusicXML document (for shared text). */
+export function looksLikeMusicXML(text) {
+  return /<score-(partwise|timewise)[\s>]/.test(String(text || '').slice(0, 4000));
+}
+
+export default {
+  MUSICXML_LIMITS,
+  MUSICXML_EXTENSIONS,
+  parseXML,
+  pitchFromXML,
+  keyFromFifths,
+  parseMusicXML,
+  isMusicXMLFile,
+  looksLikeMusicXML
+};
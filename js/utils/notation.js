@@ -0,0 +1,572 @@
+// js/utils/notation.js
+// ======================================
+// VMQ NOTATION v1.0.0 - Staff layout model (no DOM)
+// Turns notes and rests into positioned glyphs that components/StaffNotation.js
+// draws as SVG: staff, clef, key and time signatures, noteheads, accidentals,
+// ledger lines, stems, flags, beams, dots and tuplet numbers.
+//
+// ✅ Treble / alto / tenor / bass clefs (constants.CLEFS) + rhythm-only single line
+// ✅ Key signatures from ±count, KEY_SIGNATURES entries or names ('Bb', 'F#m', 'D minor')
+// ✅ Accidentals against the key signature, carried to the end of the bar
+// ✅ Durations: 'quarter', 'dotted-eighth', beats (0.75) or tuplet fractions (1/3)
+// ✅ Beams per beat (dotted-quarter groups in compound time), secondary beams + stubs
+// ✅ Pitch spelling from the key, or letter by letter for 7-note scales
+// ======================================
+
+import { CLEFS, KEY_SIGNATURES } from '../config/constants.js';
+import { staffStep, stepsFromMiddle } from '../engines/instrumentProfile.js';
+
+export { staffStep, stepsFromMiddle };
+
+export const STAFF_GEOMETRY = Object.freeze({
+  space: 10,            // distance between staff lines
+  top: 30,              // y of the top staff line
+  left: 6,
+  clefWidth: 32,
+  keyAccidentalWidth: 9,
+  timeSigWidth: 24,
+  stemLength: 35,
+  headRx: 6.2,
+  headRy: 4.5,
+  beamThickness: 4.5,
+  beamGap: 7.5
+});
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// Where each key-signature accidental sits, per clef (engraving convention;
+// tenor-clef sharps zig-zag low to stay inside the staff)
+const KEY_SIG_PLACEMENT = {
+  treble: { sharps: ['F5', 'C5', 'G5', 'D5', 'A4', 'E5', 'B4'], flats: ['B4', 'E5', 'A4', 'D5', 'G4', 'C5', 'F4'] },
+  alto:   { sharps: ['F4', 'C4', 'G4', 'D4', 'A3', 'E4', 'B3'], flats: ['B3', 'E4', 'A3', 'D4', 'G3', 'C4', 'F3'] },
+  tenor:  { sharps: ['F3', 'C4', 'G3', 'D4', 'A3', 'E4', 'B3'], flats: ['B3', 'E4', 'A3', 'D4', 'G3', 'C4', 'F3'] },
+  bass:   { sharps: ['F3', 'C3', 'G3', 'D3', 'A2', 'E3', 'B2'], flats: ['B2', 'E3', 'A2', 'D3', 'G2', 'C3', 'F2'] }
+};
+
+// Clef glyph size + baseline, in staff spaces from the top line
+const CLEF_GLYPHS = {
+  treble: { size: 3.4, baseline: 3.45 },
+  alto:   { size: 3.3, baseline: 4.0 },
+  tenor:  { size: 3.3, baseline: 3.0 },
+  bass:   { size: 3.0, baseline: 3.1 }
+};
+
+const MAJOR_FIFTHS = { C: 0, G: 1, D: 2, A: 3, E: 4, B: 5, 'F#': 6, 'C#': 7, F: -1, Bb: -2, Eb: -3, Ab: -4, Db: -5, Gb: -6, Cb: -7 };
+const MINOR_FIFTHS = { A: 0, E: 1, B: 2, 'F#': 3, 'C#': 4, 'G#': 5, 'D#': 6, 'A#': 7, D: -1, G: -2, C: -3, F: -4, Bb: -5, Eb: -6, Ab: -7 };
+
+const ACCIDENTAL_GLYPHS = { '-2': '𝄫', '-1': '♭', 0: '♮', 1: '♯', 2: '𝄪' };
+const REST_GLYPHS = { 1: '𝄽', 0.5: '𝄾', 0.25: '𝄿', 0.125: '𝅀' };
+
+const DURATION_BEATS = { whole: 4, half: 2, quarter: 1, eighth: 0.5, sixteenth: 0.25, 'thirty-second': 0.125 };
+const BASE_VALUES = [4, 2, 1, 0.5, 0.25, 0.125];
+const EPS = 1e-6;
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+function near(a, b) {
+  return Math.abs(a - b) < EPS;
+}
+
+// ======================================
+// PITCH
+// ======================================
+
+/**
+ * 'F#4' / 'Bb3' / 'C♯5' / 'Ebb4' -> { letter, alter, octave, step, midi }.
+ * step counts diatonic steps from C0, so accidentals don't move the note on the staff.
+ */
+export function parsePitch(note) {
+  const m = String(note ?? '').trim().match(/^([A-Ga-g])(##|bb|#|b|♯|♭|x|𝄪|𝄫)?(-?\d+)$/);
+  if (!m) return null;
+  const letter = m[1].toUpperCase();
+  const alter = { '#': 1, '♯': 1, '##': 2, x: 2, '𝄪': 2, b: -1, '♭': -1, bb: -2, '𝄫': -2 }[m[2]] || 0;
+  const octave = Number(m[3]);
+  return {
+    letter,
+    alter,
+    octave,
+    step: octave * 7 + LETTERS.indexOf(letter),
+    midi: (octave + 1) * 12 + LETTER_PC[letter] + alter
+  };
+}
+
+function pitchName(letter, alter, midi) {
+  const acc = alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter);
+  const octave = Math.round((midi - alter - LETTER_PC[letter]) / 12) - 1;
+  return `${letter}${acc}${octave}`;
+}
+
+// ======================================
+// KEY SIGNATURES
+// ======================================
+
+/**
+ * Sharps (+) or flats (−) for a key.
+ * @param {number|string|object} key 2, 'D', 'Bb', 'F#m', 'G minor', a KEY_SIGNATURES entry,
+ *   or { sharps, flats } / { fifths }
+ */
+export function keySignatureCount(key) {
+  if (key == null || key === '') return 0;
+  if (typeof key === 'number') return Number.isFinite(key) ? clamp(Math.round(key), -7, 7) : 0;
+
+  if (typeof key === 'object') {
+    if (Number.isFinite(Number(key.fifths))) return keySignatureCount(Number(key.fifths));
+    if (Number.isFinite(Number(key.sharps)) || Number.isFinite(Number(key.flats))) {
+      return keySignatureCount((Number(key.sharps) || 0) - (Number(key.flats) || 0));
+    }
+    return key.id != null ? keySignatureCount(String(key.id)) : 0;
+  }
+
+  const text = String(key).trim();
+  const entry = KEY_SIGNATURES.find((k) => k.id === text || k.name === text);
+  if (entry) return keySignatureCount(entry);
+
+  const m = text.replace(/♯/g, '#').replace(/♭/g, 'b')
+    .match(/^([A-Ga-g])([#b]?)\s*(m(?:in(?:or)?)?|maj(?:or)?)?$/i);
+  if (!m) return 0;
+  const tonic = `${m[1].toUpperCase()}${m[2] || ''}`;
+  const minor = !!m[3] && /^m(in)?/i.test(m[3]) && !/^maj/i.test(m[3]);
+  const table = minor ? MINOR_FIFTHS : MAJOR_FIFTHS;
+  return table[tonic] ?? 0;
+}
+
+/** { F: 1, C: 1 } for D major; { B: -1 } for F major. */
+export function keyAccidentalMap(key) {
+  const count = keySignatureCount(key);
+  const out = {};
+  const order = count >= 0 ? SHARP_ORDER : FLAT_ORDER;
+  order.slice(0, Math.abs(count)).forEach((letter) => { out[letter] = count >= 0 ? 1 : -1; });
+  return out;
+}
+
+// ======================================
+// SPELLING
+// ======================================
+
+/**
+ * MIDI -> note name spelled for a key: diatonic notes take the key's spelling
+ * (F# in D major, Bb in F, Cb in Gb), other notes sharps in sharp keys, flats in flat keys.
+ */
+export function spellMidi(midi, key = 0) {
+  const m = Math.round(Number(midi));
+  if (!Number.isFinite(m)) return null;
+  const pc = ((m % 12) + 12) % 12;
+  const map = keyAccidentalMap(key);
+  const diatonic = LETTERS.find((l) => ((LETTER_PC[l] + (map[l] || 0)) % 12 + 12) % 12 === pc);
+  if (diatonic) return pitchName(diatonic, map[diatonic] || 0, m);
+  const names = keySignatureCount(key) < 0 ? FLAT_NAMES : SHARP_NAMES;
+  return `${names[pc]}${Math.floor(m / 12) - 1}`;
+}
+
+/**
+ * Spell an ascending scale. Seven-note scales get one letter per degree
+ * (A harmonic minor -> G#, not Ab); others fall back to the tonic's side.
+ * @param {number[]} midis scale notes from the tonic
+ * @param {string} tonic 'C#', 'Bb' … (optional; sharps assumed)
+ */
+export function spellScale(midis, tonic = '') {
+  const list = (midis || []).map(Number);
+  if (!list.length) return [];
+  const flatSide = /b|♭/.test(String(tonic).slice(1));
+  const fallback = (m) => spellMidi(m, flatSide ? -1 : 0);
+
+  const tonicLetter = String(tonic || '').charAt(0).toUpperCase();
+  const degrees = new Set(list.map((m) => ((m - list[0]) % 12 + 12) % 12)).size;
+  if (degrees !== 7 || !LETTERS.includes(tonicLetter)) return list.map(fallback);
+
+  const start = LETTERS.indexOf(tonicLetter);
+  return list.map((m, i) => {
+    const letter = LETTERS[(start + i) % 7];
+    let alter = ((m - LETTER_PC[letter]) % 12 + 12) % 12;
+    if (alter > 6) alter -= 12;
+    return Math.abs(alter) <= 2 ? pitchName(letter, alter, m) : fallback(m);
+  });
+}
+
+// ======================================
+// DURATIONS
+// ======================================
+
+/**
+ * 'dotted-quarter' | 'eighth-rest' | 0.75 | 1/3 -> { beats, base, dots, tuplet }
+ * beats and base are in quarter notes; tuplet is the group size (3, 5, 6…) or null.
+ */
+export function durationInfo(duration) {
+  let d = duration;
+  if (typeof d === 'string') {
+    const dotted = /^dotted-/.test(d);
+    const key = d.replace(/^dotted-/, '').replace(/-?rest$/, '');
+    const base = DURATION_BEATS[key];
+    if (base) return { beats: base * (dotted ? 1.5 : 1), base, dots: dotted ? 1 : 0, tuplet: null };
+    d = Number(d);
+  }
+  const b = Number(d);
+  if (!(b > 0)) return { beats: 1, base: 1, dots: 0, tuplet: null };
+
+  let base = BASE_VALUES.find((v) => near(v, b));
+  if (base) return { beats: b, base, dots: 0, tuplet: null };
+  base = BASE_VALUES.find((v) => near(v * 1.5, b));
+  if (base) return { beats: b, base, dots: 1, tuplet: null };
+  base = BASE_VALUES.find((v) => near(v * 1.75, b));
+  if (base) return { beats: b, base, dots: 2, tuplet: null };
+
+  // n notes in one beat: triplet eighths, quintuplet/sextuplet sixteenths
+  const n = Math.round(1 / b);
+  if (n > 2 && near(n * b, 1)) return { beats: b, base: n < 4 ? 0.5 : 0.25, dots: 0, tuplet: n };
+  // Quarter-note triplets (three in two beats)
+  if (near(b * 3, 2)) return { beats: b, base: 1, dots: 0, tuplet: 3 };
+
+  return { beats: b, base: BASE_VALUES.find((v) => v <= b) || 0.125, dots: 0, tuplet: null };
+}
+
+function flagCount(base) {
+  return base <= 0.125 ? 3 : base <= 0.25 ? 2 : base <= 0.5 ? 1 : 0;
+}
+
+export function parseTimeSignature(ts) {
+  if (!ts) return null;
+  const [n, d] = String(ts).split('/').map((x) => parseInt(x, 10));
+  if (!Number.isFinite(n) || !Number.isFinite(d) || n <= 0 || d <= 0) return null;
+  return { beats: n, unit: d, barBeats: n * 4 / d, groupBeats: d === 8 && n % 3 === 0 ? 1.5 : d === 2 ? 2 : 1 };
+}
+
+// ======================================
+// LAYOUT
+// ======================================
+
+/**
+ * Lay out one staff.
+ * @param {object} options
+ *   clef: 'treble' | 'alto' | 'tenor' | 'bass'
+ *   keySignature: see keySignatureCount()
+ *   timeSignature: '4/4' | '6/8' | null
+ *   notes: [{ note: 'F#4' | midi, duration, rest, color, label, halo, className }]
+ *     (midi numbers are spelled with spellMidi() in the key; rhythm staves ignore pitch)
+ *   rhythm: true for a single-line rhythm staff
+ *   showClef, minWidth, noteSpacing (width multiplier)
+ * @returns {object} model: { width, top, height, lines, clef, keySig, timeSig, bars, notes, beams, flags, tuplets, labelsY }
+ */
+export function layoutStaff(options = {}) {
+  const g = STAFF_GEOMETRY;
+  const rhythm = !!options.rhythm;
+  const clef = CLEFS[options.clef] ? options.clef : 'treble';
+  const keyCount = rhythm ? 0 : keySignatureCount(options.keySignature);
+  const keyMap = keyAccidentalMap(keyCount);
+  const ts = parseTimeSignature(options.timeSignature);
+  const spacing = Number(options.noteSpacing) > 0 ? Number(options.noteSpacing) : 1;
+  const step = g.space / 2;
+  const middleY = g.top + 2 * g.space;
+  const yOf = (steps) => middleY - steps * step;
+
+  const model = {
+    rhythm,
+    middleY,
+    lines: rhythm ? [middleY] : [0, 1, 2, 3, 4].map((i) => g.top + i * g.space),
+    clef: null,
+    keySig: [],
+    timeSig: null,
+    bars: [],
+    notes: [],
+    beams: [],
+    flags: [],
+    tuplets: [],
+    labelsY: null
+  };
+
+  let x = g.left;
+
+  // Clef
+  if (options.showClef !== false) {
+    if (rhythm) {
+      model.clef = { kind: 'percussion', x: x + 8, y1: middleY - g.space, y2: middleY + g.space };
+    } else {
+      const c = CLEF_GLYPHS[clef];
+      model.clef = { kind: clef, glyph: CLEFS[clef].glyph, x: x + 2, y: g.top + c.baseline * g.space, size: c.size * g.space };
+    }
+    x += g.clefWidth;
+  }
+
+  // Key signature
+  if (keyCount !== 0) {
+    const places = KEY_SIG_PLACEMENT[clef][keyCount > 0 ? 'sharps' : 'flats'].slice(0, Math.abs(keyCount));
+    places.forEach((pitch) => {
+      model.keySig.push({ glyph: keyCount > 0 ? '♯' : '♭', x, y: yOf(stepsFromMiddle(pitch, clef)) });
+      x += g.keyAccidentalWidth;
+    });
+    x += 4;
+  }
+
+  // Time signature
+  if (ts) {
+    const upper = rhythm ? middleY - 1 : g.top + 2 * g.space - 1;
+    const lower = rhythm ? middleY + 2 * g.space - 1 : g.top + 4 * g.space - 1;
+    model.timeSig = { x: x + g.timeSigWidth / 2 - 2, top: String(ts.beats), bottom: String(ts.unit), upperY: upper, lowerY: lower, size: 2.1 * g.space };
+    x += g.timeSigWidth;
+  }
+  x += 8;
+
+  // Notes and rests
+  const notes = Array.isArray(options.notes) ? options.notes : [];
+  let pos = 0;            // beats from the start
+  let bar = 0;
+  let barAlters = {};     // 'F4' -> alter already shown in this bar
+
+  notes.forEach((n, index) => {
+    const dur = durationInfo(n?.duration ?? n?.beats ?? 1);
+    const rest = !!n?.rest;
+
+    let pitch = null;
+    let steps = 0;
+    if (!rhythm && !rest) {
+      const name = typeof n?.note === 'number' || (n?.note == null && Number.isFinite(Number(n?.midi)))
+        ? spellMidi(n.note ?? n.midi, keyCount)
+        : n?.note;
+      pitch = parsePitch(name);
+      if (pitch) steps = stepsFromMiddle(name, clef);
+    }
+
+    // Accidental against the key and earlier notes in the bar
+    let accidental = null;
+    if (pitch) {
+      const barKey = `${pitch.letter}${pitch.octave}`;
+      const expected = barAlters[barKey] ?? (keyMap[pitch.letter] || 0);
+      if (pitch.alter !== expected) accidental = ACCIDENTAL_GLYPHS[pitch.alter];
+      barAlters[barKey] = pitch.alter;
+    }
+
+    if (accidental) x += 10;
+    const headX = x + g.headRx;
+    const y = rest ? middleY : yOf(steps);
+    const beatInBar = ts ? pos - bar * ts.barBeats : pos;
+    const beatGroup = Math.floor((beatInBar + EPS) / (ts ? ts.groupBeats : 1));
+
+    const el = {
+      index,
+      rest,
+      x: headX,
+      y,
+      steps,
+      pitch,
+      start: pos,
+      bar,
+      group: `${bar}:${beatGroup}`,
+      base: dur.base,
+      dots: dur.dots,
+      tuplet: dur.tuplet,
+      flags: rest ? 0 : flagCount(dur.base),
+      filled: dur.base <= 1,
+      stem: !rest && dur.base < 4,
+      accidental: accidental ? { glyph: accidental, x: headX - g.headRx - 9, y } : null,
+      ledger: [],
+      color: n?.color || null,
+      label: n?.label ?? null,
+      halo: !!n?.halo,
+      className: n?.className || '',
+      source: n
+    };
+
+    if (rest) {
+      el.restGlyph = dur.base >= 2 ? null : (REST_GLYPHS[dur.base] || REST_GLYPHS[0.125]);
+      el.restBlock = dur.base >= 4
+        ? { x: headX - 6, y: g.top + g.space, w: 12, h: 5 }        // hangs from the 4th line
+        : dur.base >= 2 ? { x: headX - 6, y: middleY - 5, w: 12, h: 5 } : null; // sits on the middle line
+    }
+
+    // Ledger lines every other step beyond the outer lines
+    if (!rhythm && pitch) {
+      for (let s = 6; s <= steps; s += 2) el.ledger.push(yOf(s));
+      for (let s = -6; s >= steps; s -= 2) el.ledger.push(yOf(s));
+    }
+
+    if (el.dots) {
+      const dy = (rest ? 0 : steps) % 2 === 0 ? -step : 0;   // dots on a line move into the space above
+      el.dotPoints = Array.from({ length: el.dots }, (_, i) => ({ x: headX + g.headRx + 4 + i * 5, y: y + dy }));
+    }
+
+    model.notes.push(el);
+    x += Math.max(18, (14 + 22 * Math.sqrt(dur.beats)) * spacing) + (el.dots ? 5 : 0);
+    pos += dur.beats;
+
+    // Bar lines
+    if (ts && index < notes.length - 1) {
+      const barsDone = Math.floor((pos + EPS) / ts.barBeats);
+      if (barsDone > bar) {
+        bar = barsDone;
+        barAlters = {};
+        model.bars.push({ x: x - 4, final: false });
+        x += 8;
+      }
+    }
+  });
+
+  // Closing bar line
+  model.bars.push({ x: x + 2, final: !!ts });
+  x += 8;
+
+  layoutStems(model, rhythm);
+
+  // Vertical extent
+  const staffTop = rhythm ? middleY - g.space : g.top;
+  const staffBottom = rhythm ? middleY + g.space : g.top + 4 * g.space;
+  let minY = staffTop - 4;
+  let maxY = staffBottom + 4;
+  model.notes.forEach((el) => {
+    minY = Math.min(minY, el.y - 8, el.stemTip ?? el.y);
+    maxY = Math.max(maxY, el.y + 8, el.stemTip ?? el.y);
+  });
+  model.tuplets.forEach((t) => { minY = Math.min(minY, t.y - 12); maxY = Math.max(maxY, t.y + 4); });
+  if (model.notes.some((el) => el.label != null && el.label !== '')) {
+    model.labelsY = maxY + 16;
+    maxY = model.labelsY + 4;
+  }
+
+  model.width = Math.max(Number(options.minWidth) || 0, Math.ceil(x));
+  model.top = Math.floor(minY - 6);
+  model.height = Math.ceil(maxY + 6) - model.top;
+  model.staffLeft = g.left;
+  model.staffRight = model.width - 2;
+  return model;
+}
+
+// Stems, beams, flags and tuplet numbers
+function layoutStems(model, rhythm) {
+  const g = STAFF_GEOMETRY;
+  const middleY = model.middleY;
+  const stemX = (el, up) => (up ? el.x + g.headRx - 0.6 : el.x - g.headRx + 0.6);
+  const nominalTip = (el, up) => {
+    const tip = up ? el.y - g.stemLength : el.y + g.stemLength;
+    // Notes far off the staff keep their stems reaching the middle line
+    return up ? Math.min(tip, Math.max(middleY, el.y - g.stemLength * 2)) : Math.max(tip, Math.min(middleY, el.y + g.stemLength * 2));
+  };
+
+  // Beam groups: consecutive flagged notes in the same beat group
+  const groups = [];
+  let current = [];
+  model.notes.forEach((el) => {
+    const beamable = el.stem && el.flags > 0;
+    const last = current[current.length - 1];
+    if (beamable && last && last.group === el.group && (last.tuplet || 0) === (el.tuplet || 0)) {
+      current.push(el);
+    } else {
+      if (current.length) groups.push(current);
+      current = beamable ? [el] : [];
+    }
+  });
+  if (current.length) groups.push(current);
+
+  const beamed = new Set();
+  groups.filter((grp) => grp.length > 1).forEach((grp) => {
+    const up = rhythm || grp.reduce((s, el) => s + el.steps, 0) / grp.length < 0;
+    const first = grp[0];
+    const lastEl = grp[grp.length - 1];
+    const x1 = stemX(first, up);
+    const x2 = stemX(lastEl, up);
+    let y1 = nominalTip(first, up);
+    let y2 = nominalTip(lastEl, up);
+    // Gentle slope: at most one staff space
+    y2 = y1 + clamp(y2 - y1, -g.space, g.space);
+    const beamY = (x) => (x2 === x1 ? y1 : y1 + (y2 - y1) * (x - x1) / (x2 - x1));
+
+    // Move the beam so every stem keeps at least its nominal length
+    let shift = 0;
+    grp.forEach((el) => {
+      const d = beamY(stemX(el, up)) - nominalTip(el, up);
+      shift = up ? Math.max(shift, d) : Math.min(shift, d);
+    });
+    y1 -= shift;
+    y2 -= shift;
+
+    grp.forEach((el) => {
+      el.stemUp = up;
+      el.stemX = stemX(el, up);
+      el.stemTip = beamY(el.stemX);
+      beamed.add(el);
+    });
+
+    const dir = up ? 1 : -1;   // secondary beams stack toward the noteheads
+    model.beams.push({ x1, y1, x2, y2, thickness: g.beamThickness, up });
+    [2, 3].forEach((level) => {
+      const offset = (level - 1) * g.beamGap * dir;
+      let i = 0;
+      while (i < grp.length) {
+        if (grp[i].flags < level) { i++; continue; }
+        let j = i;
+        while (j + 1 < grp.length && grp[j + 1].flags >= level) j++;
+        if (j > i) {
+          model.beams.push({ x1: grp[i].stemX, y1: grp[i].stemTip + offset, x2: grp[j].stemX, y2: grp[j].stemTip + offset, thickness: g.beamThickness, up });
+        } else {
+          // Lone short note: a stub toward the note it belongs with
+          // (back toward a dotted note, otherwise forward unless it ends the group)
+          const toRight = i < grp.length - 1 && !(i > 0 && grp[i - 1].dots);
+          const sx = grp[i].stemX;
+          const ex = sx + (toRight ? 8 : -8);
+          model.beams.push({ x1: Math.min(sx, ex), y1: beamY(Math.min(sx, ex)) + offset, x2: Math.max(sx, ex), y2: beamY(Math.max(sx, ex)) + offset, thickness: g.beamThickness, up });
+        }
+        i = j + 1;
+      }
+    });
+
+    if (first.tuplet) {
+      model.tuplets.push({
+        x: (x1 + x2) / 2,
+        y: up ? Math.min(y1, y2) - 6 : Math.min(...grp.map((el) => el.y)) - 10,
+        text: String(first.tuplet)
+      });
+    }
+  });
+
+  // Unbeamed stems + flags
+  model.notes.forEach((el) => {
+    if (!el.stem || beamed.has(el)) return;
+    const up = rhythm || el.steps < 0;
+    el.stemUp = up;
+    el.stemX = stemX(el, up);
+    el.stemTip = nominalTip(el, up);
+    for (let k = 0; k < el.flags; k++) {
+      model.flags.push({ x: el.stemX, y: el.stemTip + (up ? k * 7 : -k * 7), up });
+    }
+  });
+
+  // Tuplets without beams (quarter triplets, lone tuplet notes): one number per run
+  let run = [];
+  const flush = () => {
+    if (run.length && !beamed.has(run[0])) {
+      model.tuplets.push({
+        x: (run[0].x + run[run.length - 1].x) / 2,
+        y: Math.min(...run.map((el) => Math.min(el.y, el.stemTip ?? el.y))) - 8,
+        text: String(run[0].tuplet)
+      });
+    }
+    run = [];
+  };
+  model.notes.forEach((el) => {
+    if (el.tuplet && !beamed.has(el) && (!run.length || run[0].tuplet === el.tuplet) && run.length < el.tuplet) run.push(el);
+    else {
+      flush();
+      if (el.tuplet && !beamed.has(el)) run.push(el);
+    }
+  });
+  flush();
+}
+
+export default {
+  STAFF_GEOMETRY,
+  parsePitch,
+  staffStep,
+  stepsFromMiddle,
+  keySignatureCount,
+  keyAccidentalMap,
+  spellMidi,
+  spellScale,
+  durationInfo,
+  parseTimeSignature,
+  layoutStaff
+};
@@ -36,6 +36,8 @@ export const VMQ_ROUTES = {
   NOTE_LOCATOR: 'notelocator',
   SCALES: 'scales',
   FLASHCARDS: 'flashcards',
+  SIGHT_READING: 'sightreading',
+  DECKS: 'decks',
 
   RHYTHM: 'rhythm',
   RHYTHM_DRILLS: 'rhythm-drills',
@@ -43,6 +45,10 @@ export const VMQ_ROUTES = {
   SPEED_DRILL: 'speeddrill',
 
   SPACED_REP: 'spaced-rep',
+  TUNER: 'tuner',
+  METRONOME: 'metronome',
+  RECORDINGS: 'recordings',
+  SHIFTING: 'shifting',
 
   DATA_MANAGER: 'datamanager',
   SETTINGS: 'settings',
@@ -104,9 +110,12 @@ export const ROUTE_TO_COMPONENT_FILE = {
   // Not shipped in this repo; resolve to an existing module.
   bielerlab: 'Bieler.js',
   fingerboard: 'Fingerboard.js',
-  // Not shipped in this repo; resolve to an existing module.
-  notelocator: 'Fingerboard.js',
+  notelocator: 'NoteLocator.js',
   scales: 'ScalesLab.js',
+  tuner: 'Tuner.js',
+  metronome: 'Metronome.js',
+  recordings: 'RecordingLibrary.js',
+  shifting: 'ShiftingTrainer.js',
 
   coach: 'CoachPanel.js',
   // Not shipped in this repo; resolve to an existing module.
@@ -115,6 +124,8 @@ export const ROUTE_TO_COMPONENT_FILE = {
   practiceplanner: 'PracticePlanner.js',
   journal: 'PracticeJournal.js',
   flashcards: 'Flashcards.js',
+  sightreading: 'SightReading.js',
+  decks: 'DeckEditor.js',
   datamanager: 'DataManager.js',
   testers: 'Testers.js',
   // Non-shipped pages (keep keys out of the map to prevent 404 prefetches)
@@ -607,7 +618,7 @@ function getRouteCategory(route) {
     technique: [VMQ_ROUTES.BIELER, VMQ_ROUTES.FINGERBOARD, VMQ_ROUTES.NOTE_LOCATOR, VMQ_ROUTES.BIELER_LAB],
     rhythm: [VMQ_ROUTES.RHYTHM, VMQ_ROUTES.TEMPO, VMQ_ROUTES.RHYTHM_DRILLS, VMQ_ROUTES.SPEED_DRILL],
     coach: [VMQ_ROUTES.DASHBOARD, VMQ_ROUTES.COACH, VMQ_ROUTES.ANALYTICS, VMQ_ROUTES.ACHIEVEMENTS],
-    cognitive: [VMQ_ROUTES.FLASHCARDS, VMQ_ROUTES.SPACED_REP],
+    cognitive: [VMQ_ROUTES.FLASHCARDS, VMQ_ROUTES.SPACED_REP, VMQ_ROUTES.SIGHT_READING, VMQ_ROUTES.DECKS],
     tools: [VMQ_ROUTES.SETTINGS, VMQ_ROUTES.DATA_MANAGER, VMQ_ROUTES.JOURNAL]
   };
 
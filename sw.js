@@ -5,11 +5,12 @@
    - Stale-While-Revalidate for static assets (never serve offline.html to assets)
    - Update flow: skipWaiting on message, notify clients when updated
    - Keeps: IDB queues • nav-history ML-ish predictions • prefetch • metrics • quota mgmt • sync hooks
+   - Share target: POSTed shares are parked in the runtime cache and handed to share.html
 */
 
 /* global self, caches, indexedDB */
 
-const VMQ_VERSION = '3.0.9.0.9';
+const VMQ_VERSION = '3.0.9.1.0';
 
 // Derive base-path from registration scope (GH Pages safe; no hardcoding)
 const SCOPE_URL = new URL(self.registration.scope); // e.g. https://host/violin-mastery-quest/
@@ -31,6 +32,12 @@ const INDEX_URL   = new URL('./index.html',   BASE_URL).href;
 // GET {BASE}__vmq_cache_status__
 const CACHE_STATUS_URL = new URL('./__vmq_cache_status__', BASE_URL).href;
 
+// Web Share Target (manifest share_target POSTs here); the payload waits in the
+// runtime cache until share.html asks for it with VMQ_SHARE_PING
+const SHARE_URL = new URL('./share.html', BASE_URL).href;
+const SHARE_PENDING_URL = new URL('./__vmq_share_pending__', BASE_URL).href;
+const SHARE_MAX_TEXT_BYTES = 4 * 1024 * 1024; // MusicXML is read inline up to this size
+
 // ------------------------------------------------------------
 // IndexedDB (kept)
 // ------------------------------------------------------------
@@ -508,11 +515,57 @@ self.addEventListener('activate', (event) => {
   })());
 });
 
+// ------------------------------------------------------------
+// SHARE TARGET
+// ------------------------------------------------------------
+function isScoreShare(file) {
+  return /\.(musicxml|xml|abc)$/i.test(file?.name || '') || /musicxml|(^|\/)xml$|vnd\.abc/i.test(file?.type || '');
+}
+
+async function handleShareTarget(request) {
+  try {
+    const form = await request.formData();
+    const files = [];
+    for (const f of form.getAll('files')) {
+      if (!f || typeof f.text !== 'function') continue;
+      const inline = isScoreShare(f) && f.size <= SHARE_MAX_TEXT_BYTES;
+      files.push({ name: f.name || '', type: f.type || '', size: f.size || 0, text: inline ? await f.text() : '' });
+    }
+    const payload = {
+      title: String(form.get('title') || ''),
+      text: String(form.get('text') || ''),
+      url: String(form.get('url') || ''),
+      files
+    };
+    const cache = await caches.open(CACHE_RUNTIME);
+    await cache.put(SHARE_PENDING_URL, jsonResponse(payload));
+  } catch (e) {
+    console.warn('[SW] share target failed:', e);
+  }
+  return Response.redirect(`${SHARE_URL}?shared=1`, 303);
+}
+
+async function takePendingShare() {
+  try {
+    const cache = await caches.open(CACHE_RUNTIME);
+    const res = await cache.match(SHARE_PENDING_URL);
+    if (!res) return null;
+    await cache.delete(SHARE_PENDING_URL);
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
 // ------------------------------------------------------------
 // FETCH
 // ------------------------------------------------------------
 self.addEventListener('fetch', (event) => {
   const request = event.request;
+  if (request && request.method === 'POST' && request.url.split('?')[0] === SHARE_URL) {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
   if (!request || request.method !== 'GET') return;
 
   // Provide a simple JSON endpoint so offline.html can display cache version safely.
@@ -649,6 +702,15 @@ self.addEventListener('message', (event) => {
     return;
   }
 
+  // share.html asks for a POSTed share parked by handleShareTarget()
+  if (data.type === 'VMQ_SHARE_PING') {
+    event.waitUntil((async () => {
+      const payload = await takePendingShare();
+      if (payload && event.source) event.source.postMessage({ type: 'VMQ_SHARE_HANDOFF', payload });
+    })());
+    return;
+  }
+
   if (data.type === 'SKIP_WAITING') {
     self.skipWaiting();
     return;